@@ -4,11 +4,28 @@
  */
 
 // Import required scripts
-importScripts('config.js', 'utils.js', 'services/PriceTracker.js');
+importScripts('config.js', 'utils.js', 'services/ProductRepository.js', 'services/StorageMigrations.js', 'services/PageFetcher.js', 'services/AlertPolicy.js', 'services/PriceCheckQueue.js', 'services/PriceTracker.js', 'services/SyncService.js');
 
 // Global price tracker instance
 let priceTracker = null;
 
+// Price check queue shared by every tracker instance so queued jobs are only processed once
+const checkQueue = new PriceCheckQueue();
+
+// Brings data stored by older versions to the current schema when the extension is updated
+const storageMigrations = new StorageMigrations();
+
+// Shares the list and settings with the user's other devices once they turn sync on
+const syncService = new SyncService({
+    onApplied: async () => {
+        if (!priceTracker) return;
+        // The same product saved on two devices arrives as two entries
+        await priceTracker.mergeDuplicateProducts();
+        await priceTracker.setupProductionAlarm();
+    }
+});
+syncService.listen();
+
 /**
  * Initialize the extension background services
  */
@@ -16,8 +33,28 @@ async function initializeExtension() {
     console.log('🚀 [Background] Initializing extension background services...');
     
     try {
-        // Initialize price tracker
-        priceTracker = new PriceTracker();
+        // Initialize price tracker with a background page loader for live prices
+        priceTracker = new PriceTracker({
+            pageFetcher: new PageFetcher(),
+            notify: sendSaleNotification,
+            alertPolicy: new AlertPolicy(),
+            checkQueue
+        });
+        
+        // Data from an older version is migrated by onInstalled, which initializes again afterwards
+        if (!(await storageMigrations.isCurrent())) {
+            console.log('⏳ [Background] Waiting for storage migrations before resuming checks');
+            return;
+        }
+        
+        // Entries saved through tracking links or other URL formats of the same product
+        await priceTracker.mergeDuplicateProducts();
+        
+        // Finish checks that were queued before the service worker was suspended
+        checkQueue.resume();
+        
+        // Pick up changes other devices made while this one was away
+        syncService.schedule();
         
         console.log('✅ [Background] Extension services initialized successfully');
     } catch (error) {
@@ -28,13 +65,18 @@ async function initializeExtension() {
 /**
  * Handle extension installation
  */
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('📦 [Background] Extension installed/updated:', details.reason);
     
     if (details.reason === 'install') {
         console.log('🎉 [Background] Welcome! Extension installed for the first time');
+        await storageMigrations.markCurrent();
     } else if (details.reason === 'update') {
         console.log('🔄 [Background] Extension updated to version:', chrome.runtime.getManifest().version);
+        const report = await storageMigrations.run();
+        if (report.error) {
+            console.error('❌ [Background] Storage migration rolled back:', report.error);
+        }
     }
     
     // Initialize services
@@ -44,8 +86,13 @@ chrome.runtime.onInstalled.addListener((details) => {
 /**
  * Handle extension startup
  */
-chrome.runtime.onStartup.addListener(() => {
+chrome.runtime.onStartup.addListener(async () => {
     console.log('🔄 [Background] Extension startup detected');
+    
+    // Retry migrations that were rolled back after the last update
+    if (!(await storageMigrations.isCurrent())) {
+        await storageMigrations.run();
+    }
     initializeExtension();
 });
 
@@ -77,6 +124,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     }
                     break;
                     
+                case 'rescheduleChecks':
+                    if (priceTracker) {
+                        await priceTracker.setupProductionAlarm();
+                        sendResponse({ success: true });
+                    } else {
+                        sendResponse({ success: false, error: 'Price tracker not initialized' });
+                    }
+                    break;
+                    
+                case 'checkProducts':
+                    if (priceTracker && Array.isArray(request.productIds)) {
+                        const queued = await priceTracker.checkProducts(request.productIds, request.source);
+                        sendResponse({ success: true, queued });
+                    } else {
+                        sendResponse({ success: false, error: 'Invalid request' });
+                    }
+                    break;
+                    
                 case 'getPriceHistory':
                     if (priceTracker && request.productId) {
                         const history = await priceTracker.getProductPriceHistory(request.productId);
@@ -95,6 +160,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     }
                     break;
 
+                case 'syncNow':
+                    sendResponse({ success: true, status: await syncService.sync() });
+                    break;
+
                 case 'sendSaleNotification':
                     if (request.productInfo) {
                         await sendSaleNotification(request.productInfo);
@@ -129,7 +198,24 @@ async function sendSaleNotification(productInfo) {
         let notificationMessage = '';
         let iconPath = 'icon-128.png';
         
-        if (typeof productInfo.price === 'object' && productInfo.price.isOnSale) {
+        if (productInfo.alert) {
+            // Alert event allowed by the alert policy
+            notificationTitle = productInfo.alert.title;
+            notificationMessage = productInfo.alert.message;
+            
+        } else if (productInfo.priceAlert) {
+            // User-defined target price alert
+            const alert = productInfo.priceAlert;
+            notificationTitle = '🎯 Target Price Reached!';
+            notificationMessage = `${productInfo.title} is now ${productInfo.price}`;
+            
+            if (alert.targetPrice) {
+                notificationMessage += ` (your target: ${alert.targetPrice.toFixed(2)})`;
+            } else if (alert.percentBelow) {
+                notificationMessage += ` - ${alert.percentBelow}% below what you saved it at`;
+            }
+            
+        } else if (typeof productInfo.price === 'object' && productInfo.price.isOnSale) {
             const saleInfo = productInfo.price;
             
             // Customize notification based on sale type
@@ -186,12 +272,10 @@ async function sendSaleNotification(productInfo) {
         console.log('✅ [Background] Sale notification sent successfully');
         
         // Store notification for click handling
-        await chrome.storage.local.set({
-            [`notification_${notificationId}`]: {
-                url: productInfo.url,
-                productInfo: productInfo,
-                timestamp: Date.now()
-            }
+        await ExtensionUtils.storage.saveNotification(notificationId, {
+            url: productInfo.url,
+            productInfo: productInfo,
+            timestamp: Date.now()
         });
         
     } catch (error) {
@@ -207,8 +291,7 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
     
     try {
         // Get notification data
-        const result = await chrome.storage.local.get([`notification_${notificationId}`]);
-        const notificationData = result[`notification_${notificationId}`];
+        const notificationData = await ExtensionUtils.storage.getNotification(notificationId);
         
         if (notificationData && notificationData.url) {
             // Open the product page
@@ -218,7 +301,7 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
             await chrome.notifications.clear(notificationId);
             
             // Clean up storage
-            await chrome.storage.local.remove([`notification_${notificationId}`]);
+            await ExtensionUtils.storage.removeNotification(notificationId);
         }
         
     } catch (error) {
@@ -233,8 +316,7 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
     console.log('🔔 [Background] Notification button clicked:', notificationId, buttonIndex);
     
     try {
-        const result = await chrome.storage.local.get([`notification_${notificationId}`]);
-        const notificationData = result[`notification_${notificationId}`];
+        const notificationData = await ExtensionUtils.storage.getNotification(notificationId);
         
         if (notificationData) {
             if (buttonIndex === 0) {
@@ -246,7 +328,7 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
             }
             
             // Clean up storage
-            await chrome.storage.local.remove([`notification_${notificationId}`]);
+            await ExtensionUtils.storage.removeNotification(notificationId);
         }
         
     } catch (error) {
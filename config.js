@@ -23,6 +23,11 @@ const ExtensionConfig = {
             generic: [
                 '[data-testid*="price"]',
                 '[data-cy*="price"]',
+                // Shopify and WooCommerce themes on shops without a recognisable platform marker
+                '.price ins .amount',
+                '.woocommerce-Price-amount',
+                '.price .amount',
+                '.money',
                 '[class*="price"]',
                 '[id*="price"]',
                 '[itemprop="price"]',
@@ -68,12 +73,10 @@ const ExtensionConfig = {
             'meta[itemprop="price"]'
         ],
         
-        // Regular expressions for price pattern matching
-        patterns: [
-            /[\$€£¥₹₽¢]\s*[\d,]+\.?\d*/g,
-            /[\d,]+\.?\d*\s*(?:USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|CZK|HUF|RUB|\$|€|£|¥|₹|₽|¢)/gi,
-            /\d{1,3}(?:,\d{3})*(?:\.\d{2})?/g
-        ],
+        // An amount in any common locale: digit groups separated by , . ' ’ or (narrow) spaces,
+        // Indian lakh grouping ("1,23,456"), up to 3 decimals ("1.299,00", "1'299.50", "12 800")
+        // and amounts below one written without the leading zero ("$.99")
+        amountPattern: /\d{1,3}(?:,\d{2})*(?:[.,'’ \u00a0\u202f\u2009]\d{3})+(?:[.,]\d{1,3})?(?!\d)|\d+(?:[.,]\d{1,3})?(?!\d)|(?<!\d)\.\d{1,3}(?!\d)/,
         
         // Loading indicators to avoid
         loadingIndicators: [
@@ -93,9 +96,303 @@ const ExtensionConfig = {
             minDigits: 2,
             maxPrice: 999999,
             minPrice: 0.01
+        },
+        
+        // Currency symbols and prefixes mapped to ISO 4217 codes (longest prefixes first)
+        currencySymbols: {
+            'CA$': 'CAD',
+            'US$': 'USD',
+            'AU$': 'AUD',
+            'NZ$': 'NZD',
+            'HK$': 'HKD',
+            'SG$': 'SGD',
+            'MX$': 'MXN',
+            'R$': 'BRL',
+            '$': 'USD',
+            '€': 'EUR',
+            '£': 'GBP',
+            '¥': 'JPY',
+            '￥': 'JPY',
+            '₹': 'INR',
+            '₽': 'RUB',
+            '₩': 'KRW'
+        },
+        
+        // ISO 4217 codes recognised in price text ("CHF 1'299.–", "29,99 EUR")
+        currencyCodes: [
+            'USD', 'EUR', 'GBP', 'JPY', 'INR', 'CAD', 'AUD', 'CHF', 'CNY', 'SEK', 'NOK', 'DKK',
+            'PLN', 'CZK', 'HUF', 'RUB', 'BRL', 'KRW', 'MXN', 'NZD', 'HKD', 'SGD', 'ZAR', 'TRY',
+            'KWD', 'BHD', 'JOD', 'OMR', 'TND'
+        ],
+        
+        // Symbols used by several currencies; a currency hint from the page picks between them
+        sharedSymbols: {
+            '$': ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN'],
+            '¥': ['JPY', 'CNY'],
+            '￥': ['JPY', 'CNY']
+        },
+        
+        // Digits after the decimal point for ISO 4217 currencies that don't use 2
+        currencyDecimals: {
+            JPY: 0,
+            KRW: 0,
+            VND: 0,
+            CLP: 0,
+            ISK: 0,
+            BHD: 3,
+            KWD: 3,
+            OMR: 3,
+            JOD: 3,
+            TND: 3
+        }
+    },
+    
+    // Background price tracking configuration
+    priceTracking: {
+        // Retention limits for the per-product price history series
+        history: {
+            maxEntries: 500,  // Observations kept per product
+            maxAgeDays: 365   // Observations older than this are dropped
+        },
+        
+        // Check frequencies in minutes, selectable globally and per product (null = never checked)
+        frequencies: {
+            hourly: 60,
+            every6h: 360,
+            daily: 1440,
+            off: null
+        },
+        frequencyLabels: {
+            hourly: 'Every hour',
+            every6h: 'Every 6 hours',
+            daily: 'Once a day',
+            off: 'Off'
+        },
+        // Products checked this close to their interval count as due, so that
+        // the time spent on a check run does not push them to the next tick
+        dueToleranceMinutes: 5,
+        
+        // Background check queue
+        queue: {
+            concurrency: 2,        // Product pages loaded at the same time
+            domainInterval: 10000  // Minimum ms between two checks on the same retailer
+        }
+    },
+    
+    // Stock states reported by page extraction
+    availability: {
+        labels: {
+            in_stock: 'In stock',
+            limited: 'Few left',
+            preorder: 'Pre-order',
+            backorder: 'Backorder',
+            in_store_only: 'In store only',
+            out_of_stock: 'Out of stock',
+            discontinued: 'Discontinued'
+        },
+        // Moving from an unavailable to a purchasable state counts as back in stock
+        purchasable: ['in_stock', 'limited'],
+        unavailable: ['out_of_stock', 'backorder', 'discontinued'],
+        // Containers around a product's purchase controls; stock is only read inside them
+        buyBoxSelectors: [
+            'form',
+            '#buy-box',
+            '#buybox',
+            '[class*="buy-box"]',
+            '[class*="buybox"]',
+            '[class*="product-form"]',
+            '[class*="add-to-cart"]'
+        ]
+    },
+    
+    // Alert policy rules shown in the settings panel
+    alerts: {
+        ruleLabels: {
+            priceDrop: 'Price drop',
+            allTimeLow: 'New all-time low',
+            saleStarted: 'Sale started',
+            saleEnded: 'Sale ended',
+            backInStock: 'Back in stock',
+            targetPrice: 'Target price reached'
+        }
+    },
+    
+    // Default user settings, merged with what is stored under storage.keys.settings
+    defaultSettings: {
+        schedule: {
+            frequency: 'daily' // Key of priceTracking.frequencies, products may override it
+        },
+        alerts: {
+            enabled: true,
+            rules: {
+                priceDrop: { enabled: true, cooldownMinutes: 720 },
+                allTimeLow: { enabled: true, cooldownMinutes: 1440 },
+                saleStarted: { enabled: true, cooldownMinutes: 1440 },
+                saleEnded: { enabled: false, cooldownMinutes: 1440 },
+                backInStock: { enabled: true, cooldownMinutes: 720 },
+                targetPrice: { enabled: true, cooldownMinutes: 0 } // Fires once per threshold crossing
+            }
+        },
+        currency: {
+            home: 'USD' // Totals, savings and price sorting are shown in this currency
+        },
+        sync: {
+            enabled: false // Share the list and settings with other devices; chosen per device and never synced itself
         }
     },
     
+    // Bundled exchange rates used until the user updates or imports a table (no network needed)
+    // Units of each currency per 1 unit of the base currency
+    exchangeRates: {
+        base: 'USD',
+        date: '2025-06-30',
+        rates: {
+            USD: 1,
+            EUR: 0.853,
+            GBP: 0.729,
+            CAD: 1.364,
+            AUD: 1.525,
+            NZD: 1.642,
+            JPY: 144.1,
+            CNY: 7.163,
+            INR: 85.76,
+            CHF: 0.795,
+            SEK: 9.521,
+            NOK: 10.11,
+            DKK: 6.368,
+            PLN: 3.614,
+            CZK: 21.11,
+            HUF: 340.5,
+            RUB: 78.48,
+            BRL: 5.459,
+            MXN: 18.83,
+            KRW: 1355.2,
+            HKD: 7.85,
+            SGD: 1.273,
+            ZAR: 17.72,
+            TRY: 39.79,
+            KWD: 0.306,
+            BHD: 0.377
+        }
+    },
+
+    // Product identity: links to the same product share one saved entry
+    productIdentity: {
+        // Query parameters that only track where a visit came from
+        trackingParams: [
+            'ref', 'ref_', 'tag', 'linkcode', 'linkid', 'camp', 'creative', 'creativeasin', 'ascsubtag',
+            'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'twclid', 'ttclid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+            'mkevt', 'mkcid', 'mkrid', 'campid', 'toolid', 'customid', '_trkparms', '_trksid', 'amdata',
+            'srsltid', 'spm', 'scm', 'aff_id', 'affiliate_id'
+        ],
+        // Parameter prefixes used by analytics and affiliate tools
+        trackingPrefixes: ['utm_', 'pd_rd_', 'pf_rd_', '_hs', 'hsa_', 'mtm_', 'pk_', 'sb_'],
+        // Product keys read from retailer URLs; each pattern captures the product id
+        retailerKeys: [
+            { name: 'amazon', host: /(^|\.)amazon\.[a-z.]+$/, path: /\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/asin|o\/asin)\/([A-Z0-9]{10})(?=\/|$)/i },
+            { name: 'ebay', host: /(^|\.)ebay\.[a-z.]+$/, path: /\/itm\/(?:[^/]+\/)?(\d{9,15})(?=\/|$)/, param: 'item' },
+            { name: 'shopify', path: /\/products\/([a-z0-9][a-z0-9-]*)\/?$/i, variantParam: 'variant' }
+        ]
+    },
+
+    // Details the user adds to saved products
+    productDetails: {
+        fields: ['tags', 'note', 'priority', 'quantity', 'variant'], // Kept when a saved product is saved again
+        priorityLabels: {
+            5: 'Must have',
+            4: 'High',
+            3: 'Medium',
+            2: 'Low',
+            1: 'Someday'
+        },
+        maxTags: 20,
+        maxTagLength: 30,
+        maxNoteLength: 1000,
+        maxVariantLength: 60, // Preferred size or color
+        maxQuantity: 99
+    },
+
+    // Spreadsheet exports (services/ProductExporter.js)
+    exporting: {
+        // CSV columns users can pick, in file order, with their header text
+        columns: {
+            title: 'Title',
+            price: 'Current price',
+            amount: 'Amount',
+            currency: 'Currency',
+            originalPrice: 'Original price',
+            discountPercent: 'Discount %',
+            domain: 'Domain',
+            url: 'URL',
+            dateAdded: 'Date added',
+            lastChecked: 'Last checked',
+            lowestPrice: 'Lowest seen',
+            tags: 'Tags'
+        },
+        // Price history in long format: one row per observation
+        historyColumns: {
+            productId: 'Product ID',
+            title: 'Title',
+            url: 'URL',
+            timestamp: 'Observed at',
+            price: 'Price',
+            currency: 'Currency',
+            isOnSale: 'On sale',
+            originalPrice: 'Original price',
+            availability: 'Availability',
+            source: 'Source'
+        }
+    },
+
+    // Importing exported lists (services/ProductImporter.js)
+    importing: {
+        // Kept from the saved product when an import updates it, since price checks keep them current
+        trackedFields: ['price', 'priceHints', 'priceMoney', 'savedPriceMoney', 'availability', 'saleInfo', 'lastChecked'],
+        previewLimit: 5 // Product titles listed per group in the import preview
+    },
+
+    // Importing spreadsheets and lists from other wishlist tools (services/CsvImporter.js)
+    csvImport: {
+        delimiters: [',', ';', '\t', '|'],
+        sampleLines: 20, // Lines read to detect the delimiter and the URL column
+        fallbackEncoding: 'windows-1252', // Files that are not valid UTF-8 are usually saved by Excel on Windows
+        // Header names recognized when guessing which column holds which field, lower case, best match first
+        headerAliases: {
+            url: ['url', 'link', 'product url', 'product link', 'web address', 'address', 'href'],
+            title: ['title', 'name', 'product name', 'product', 'item name', 'item'],
+            price: ['price', 'current price', 'cost', 'amount'],
+            note: ['note', 'notes', 'comment', 'comments', 'description'],
+            tags: ['tags', 'tag', 'labels', 'category']
+        }
+    },
+
+    // Named lists; every saved product is in at least one of them
+    lists: {
+        defaultId: 'default', // Always exists and cannot be deleted, holds products saved before there were lists
+        defaultName: 'Tracked Products',
+        maxNameLength: 40
+    },
+
+    // Cross-device sync through chrome.storage.sync (services/SyncService.js)
+    // Price history and tracking data stay on each device; only the list and settings are shared
+    sync: {
+        keyPrefix: 'wishlist_', // Chunks are stored as wishlist_0, wishlist_1, ... next to wishlist_meta
+        chunkBytes: 8000, // Per chunk, below chrome.storage.sync.QUOTA_BYTES_PER_ITEM (8192) with room for the key
+        quotaBytes: 100000, // Whole wishlist, below chrome.storage.sync.QUOTA_BYTES (102400)
+        debounceDelay: 2000, // Wait for a burst of changes before syncing, sync writes are rate limited
+        tombstoneDays: 30, // Deleted products and lists are remembered this long so other devices delete them too
+        // Product fields shared between devices, each resolved by last writer wins
+        productFields: [
+            'productKey', 'title', 'url', 'canonicalUrl', 'domain', 'price', 'priceHints',
+            'savedPrice', 'priceAlert', 'checkFrequency', 'lists', 'dateAdded',
+            'tags', 'note', 'priority', 'quantity', 'variant', 'userOverrides', 'overriddenPrice'
+        ],
+        // Fields of named lists shared between devices
+        listFields: ['name', 'position'],
+        // Settings sections shared between devices
+        settingsFields: ['schedule', 'alerts', 'currency']
+    },
+
     // Title extraction configuration
     titleExtraction: {
         // Strategies for title extraction (in order of preference)
@@ -157,7 +454,9 @@ const ExtensionConfig = {
             timeout: 'Timeout: Page took too long to load',
             fetchFailed: 'Failed to fetch page information',
             contentScriptError: 'Content script not responding',
-            extensionError: 'Extension error'
+            extensionError: 'Extension error',
+            invalidRates: 'Exchange rates must list a positive rate for each currency code',
+            tooManyProducts: 'Too many products for this browser to keep; remove some and try again'
         },
         
         loading: {
@@ -174,7 +473,31 @@ const ExtensionConfig = {
             addedToList: 'Product added to your list!',
             removedFromList: 'Product removed from list',
             listCleared: 'List cleared successfully',
-            listExported: 'List exported successfully'
+            listExported: 'List exported successfully',
+            alertSaved: 'Price alert saved',
+            alertCleared: 'Price alert removed',
+            settingsSaved: 'Settings saved',
+            scheduleSaved: 'Check schedule updated',
+            currencySaved: 'Home currency updated',
+            ratesSaved: 'Exchange rates updated',
+            syncEnabled: 'Sync turned on',
+            syncDisabled: 'Sync turned off',
+            listCreated: 'List created',
+            listRenamed: 'List renamed',
+            listDeleted: 'List deleted',
+            movedToList: 'Product moved',
+            copiedToList: 'Product copied',
+            detailsSaved: 'Details saved',
+            productEdited: 'Product updated',
+            listImported: 'Import finished'
+        },
+        
+        // Sync status shown in the popup header
+        sync: {
+            syncing: '☁️ Syncing…',
+            waiting: '☁️ Waiting for other devices',
+            synced: '☁️ Synced',
+            error: '⚠️ Sync failed'
         },
         
         list: {
@@ -185,7 +508,9 @@ const ExtensionConfig = {
             clearAll: 'Clear All',
             exportList: 'Export List',
             showList: 'Show List',
-            hideList: 'Hide List'
+            hideList: 'Hide List',
+            allLists: 'All lists',
+            newListPlaceholder: 'New list name'
         }
     },
     
@@ -199,9 +524,24 @@ const ExtensionConfig = {
     storage: {
         keys: {
             productList: 'saved_products',
-            settings: 'extension_settings'
+            lists: 'wishlists', // Named lists in display order; products name the lists they are in
+            trackingData: 'price_tracking_data',
+            settings: 'extension_settings',
+            alertState: 'alert_state',
+            checkQueue: 'price_check_queue',
+            exchangeRates: 'exchange_rates',
+            schemaVersion: 'schema_version', // Version of the stored data shapes, see services/StorageMigrations.js
+            dataRevision: 'data_revision', // Changed after every write to IndexedDB so open views hear about it
+            syncState: 'sync_state', // Last list and settings agreed with chrome.storage.sync
+            syncStatus: 'sync_status' // Shown in the popup header
+        },
+        lockName: 'wishcart-storage', // Web Lock held by the popup or service worker while it changes stored data
+        // IndexedDB database for products, price history and alert state (services/ProductRepository.js)
+        database: {
+            name: 'wishcart',
+            version: 1
         },
-        maxItems: 100, // Maximum number of saved products
+        maxItems: 100, // Maximum number of saved products when IndexedDB is unavailable
         maxTitleLength: 100,
         maxPriceLength: 20
     },
@@ -6,6 +6,8 @@
 class SimplePageExtractor {
     constructor() {
         this.isReady = false;
+        this.structuredData = new StructuredDataExtractor();
+        this.adapters = RetailerAdapterRegistry.createDefault();
         this.init();
     }
     
@@ -99,10 +101,18 @@ class SimplePageExtractor {
     extractPageInfo() {
         const title = this.extractTitle();
         const price = this.extractPrice();
+        const product = this.extractStructuredProduct();
+        const adapter = this.getAdapter();
         
         return {
             title: title,
             price: price,
+            product: product,
+            availability: this.extractAvailability(product, price),
+            priceHints: this.extractPriceHints(product),
+            canonicalUrl: this.extractCanonicalUrl(product),
+            variant: this.runAdapter('extractVariant'),
+            retailer: adapter ? adapter.name : 'generic',
             url: window.location.href,
             domain: window.location.hostname,
             ready: this.isReady,
@@ -113,6 +123,7 @@ class SimplePageExtractor {
     extractTitle() {
         // Simple, reliable title extraction
         const strategies = [
+            () => this.runAdapter('extractTitle'),
             () => document.title,
             () => this.getTextContent('title'),
             () => this.getMetaContent('meta[property="og:title"]'),
@@ -135,11 +146,161 @@ class SimplePageExtractor {
         return 'No title found';
     }
     
+    extractAvailability(product, price) {
+        // Retailer adapters know their own stock widgets best, heuristics around the buy box come last
+        const strategies = [
+            () => this.runAdapter('extractAvailability'),
+            () => product?.availability,
+            () => this.extractAvailabilityFromButtons(),
+            () => this.extractAvailabilityFromText(price)
+        ];
+        
+        for (const strategy of strategies) {
+            try {
+                const availability = strategy();
+                if (availability) {
+                    console.log('📦 [Content] Detected availability:', availability);
+                    return availability;
+                }
+            } catch (error) {
+                console.log('⚠️ [Content] Availability strategy failed:', error.message);
+                continue;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Read stock from the buttons of the product's buy box
+     * Buttons elsewhere (related products, size options, newsletter sign-ups) are not looked at, and
+     * "Sold out" or "Notify me" only count when there is no enabled add to cart button
+     * @returns {string|null} - Availability, or null without a buy box
+     */
+    extractAvailabilityFromButtons() {
+        const buyBox = this.findBuyBox();
+        if (!buyBox) return null;
+        
+        const buttons = this.getButtons(buyBox);
+        const addToCart = buttons.filter(({ label }) => /add to (cart|bag|basket|trolley)|buy now/.test(label));
+        const canBuy = addToCart.some(({ element }) => !element.disabled && element.getAttribute('aria-disabled') !== 'true');
+        
+        if (buttons.some(({ label }) => /pre-?order/.test(label))) return 'preorder';
+        if (buttons.some(({ label }) => /back-?order/.test(label))) return 'backorder';
+        if (canBuy) return 'in_stock';
+        if (addToCart.length > 0 || buttons.some(({ label }) => /sold out|out of stock|unavailable|notify me/.test(label))) {
+            return 'out_of_stock';
+        }
+        return null;
+    }
+    
+    /**
+     * Find the form or container holding the product's purchase button
+     * The first add to cart button on the page is taken as the product's own; without one, a sold out
+     * or pre-order button only counts inside a form
+     * @returns {Element|null} - Buy box element
+     */
+    findBuyBox() {
+        const buttons = this.getButtons(document);
+        const button = buttons.find(({ label }) => /add to (cart|bag|basket|trolley)|buy now/.test(label)) ||
+            buttons.find(({ label, element }) => /pre-?order|back-?order|sold out|out of stock/.test(label) && element.closest('form'));
+        if (!button) return null;
+        
+        const parent = button.element.parentElement;
+        return parent?.closest(ExtensionConfig.availability.buyBoxSelectors.join(', ')) || parent;
+    }
+    
+    /**
+     * @param {Element|Document} root - Where to look
+     * @returns {Array} - Visible buttons with short labels, as { element, label } with a lower-case label
+     */
+    getButtons(root) {
+        return Array.from(root.querySelectorAll('button, input[type="submit"], a[role="button"]'))
+            .map(element => ({ element, label: (element.textContent || element.value || '').replace(/\s+/g, ' ').trim().toLowerCase() }))
+            .filter(({ element, label }) => label && label.length <= 40 && this.isElementVisible(element));
+    }
+    
+    /**
+     * Find the block around the extracted price, for pages whose buy box has no recognisable button
+     * @param {string|object} price - Price from extractPrice()
+     * @returns {Element|null} - Grandparent of the first visible element showing the price
+     */
+    findPriceBlock(price) {
+        const text = ExtensionUtils.price.getCurrentPrice(price);
+        if (!text || !document.body) return null;
+        
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const element = node.parentElement;
+            if (node.textContent.includes(text) && this.isElementVisible(element)) {
+                return element.parentElement?.parentElement || element.parentElement || element;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Read the locale and currency the page declares, so prices like "1.299" parse correctly
+     * @param {object|null} product - Structured product record
+     * @returns {object} - { locale, currency }, each null if the page does not say
+     */
+    extractPriceHints(product) {
+        const locale = document.documentElement.getAttribute('lang') ||
+            this.getMetaContent('meta[http-equiv="content-language"]') ||
+            this.getMetaContent('meta[property="og:locale"]');
+        const currency = this.getMetaContent('meta[property="product:price:currency"]') ||
+            this.getMetaContent('meta[property="og:price:currency"]') ||
+            this.getMetaContent('meta[itemprop="priceCurrency"]') ||
+            product?.priceCurrency;
+        
+        return {
+            locale: locale ? locale.trim().replace('_', '-') : null,
+            currency: currency ? currency.trim().toUpperCase() : null
+        };
+    }
+    
+    /**
+     * Get the address the page declares as the canonical one for this product
+     * @param {object} product - Structured data product, if any
+     * @returns {string|null} - Absolute canonical URL
+     */
+    extractCanonicalUrl(product) {
+        const link = document.querySelector('link[rel="canonical"]');
+        return ExtensionUtils.url.pickCanonical(window.location.href, [
+            link ? link.getAttribute('href') : null,
+            this.getMetaContent('meta[property="og:url"]'),
+            typeof product?.url === 'string' ? product.url : null
+        ]);
+    }
+    
+    /**
+     * Last resort: read stock phrases from the buy box or the block around the price
+     * The rest of the page is not read, since recommendation carousels show "out of stock" for other products
+     * @param {string|object} price - Price from extractPrice()
+     * @returns {string|null} - Availability, or null
+     */
+    extractAvailabilityFromText(price) {
+        const container = this.findBuyBox() || this.findPriceBlock(price);
+        if (!container) return null;
+        const text = (container.textContent || '').replace(/\s+/g, ' ').toLowerCase();
+        
+        const patterns = [
+            [/currently unavailable|out of stock|sold out|no longer available/, 'out_of_stock'],
+            [/only \d+ left|few left|low stock/, 'limited'],
+            [/available for pre-?order|pre-?order now/, 'preorder'],
+            [/available on back-?order|on back-?order/, 'backorder']
+        ];
+        
+        const match = patterns.find(([pattern]) => pattern.test(text));
+        return match ? match[1] : null;
+    }
+    
     extractPrice() {
         console.log('💰 [Content] Starting enhanced price extraction...');
         
         // Try different extraction methods with sale detection
         const methods = [
+            () => this.extractPriceFromAdapter(),
             () => this.extractSalePriceInfo(),
             () => this.extractPriceFromSelectors(),
             () => this.extractPriceFromStructuredData(),
@@ -209,18 +370,11 @@ class SimplePageExtractor {
     }
     
     extractPriceFromSelectors() {
-        // Common price selectors for major e-commerce sites
+        // Retailer-specific selectors live in the adapters; these apply to any site
         const selectors = [
-            // Amazon
-            '.a-price-whole', '.a-price .a-offscreen', '#priceblock_dealprice', '#priceblock_ourprice',
-            // eBay
-            '.u-flL.condText', '.u-flL .notranslate', '.display-price',
-            // Shopify
-            '.price', '.money', '.product-price', '.current-price',
-            // WooCommerce
-            '.woocommerce-Price-amount', '.price ins .amount', '.price .amount',
-            // Generic
-            '[class*="price"]', '[id*="price"]', '[data-price]', '.cost', '.value'
+            ...ExtensionConfig.priceExtraction.selectors.common,
+            ...ExtensionConfig.priceExtraction.selectors.generic,
+            '[data-price]'
         ];
         
         for (const selector of selectors) {
@@ -240,20 +394,40 @@ class SimplePageExtractor {
         return null;
     }
     
+    extractPriceFromAdapter() {
+        const sale = this.runAdapter('extractSalePrice');
+        if (sale && sale.currentPrice) {
+            const priceInfo = {
+                currentPrice: sale.currentPrice,
+                originalPrice: sale.originalPrice,
+                discount: this.calculateDiscount(sale.originalPrice, sale.currentPrice),
+                isOnSale: true,
+                currency: null,
+                displayText: null,
+                saleType: this.detectSaleType()
+            };
+            priceInfo.displayText = this.formatSaleDisplay(priceInfo);
+            return priceInfo;
+        }
+        
+        return this.runAdapter('extractPrice');
+    }
+    
     extractPriceFromStructuredData() {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+        const product = this.extractStructuredProduct();
+        if (!product || !(product.price > 0) || !product.priceCurrency) return null;
         
-        for (const script of scripts) {
-            try {
-                const data = JSON.parse(script.textContent);
-                const price = this.findPriceInData(data);
-                if (price) return price;
-            } catch (error) {
-                continue;
-            }
+        const decimals = ExtensionUtils.money.getDecimals(product.priceCurrency);
+        return this.cleanPriceText(`${product.price.toFixed(decimals)} ${product.priceCurrency}`);
+    }
+    
+    extractStructuredProduct() {
+        try {
+            return this.structuredData.extract(document);
+        } catch (error) {
+            console.log('⚠️ [Content] Structured data extraction failed:', error.message);
+            return null;
         }
-        
-        return null;
     }
     
     extractPriceFromMeta() {
@@ -276,21 +450,9 @@ class SimplePageExtractor {
     }
     
     extractPriceFromText() {
-        // Enhanced price patterns including prefixed currencies
-        const pricePatterns = [
-            // Prefixed currencies like CA$129, US$99, AU$150
-            /(?:CA|US|AU|NZ|HK|SG)\$\s*\d+(?:[.,]\d{2})?/g,
-            // Standard currency symbols
-            /[\$€£¥₹₽]\s*\d+(?:[.,]\d{2})?/g,
-            // Numbers followed by currency symbols
-            /\d+(?:[.,]\d{2})?\s*[\$€£¥₹₽]/g,
-            // Numbers followed by currency codes
-            /\d+(?:[.,]\d{2})?\s*(?:USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|CZK|HUF|RUB)/gi
-        ];
-        
         const pageText = document.body.textContent || '';
         
-        for (const pattern of pricePatterns) {
+        for (const pattern of ExtensionUtils.price.getPatterns('g')) {
             const matches = pageText.match(pattern);
             if (matches && matches.length > 0) {
                 // Return the first reasonable price found
@@ -307,6 +469,22 @@ class SimplePageExtractor {
     }
     
     // Helper methods
+    getAdapter() {
+        return this.adapters.getAdapter(window.location.hostname, document);
+    }
+    
+    runAdapter(method) {
+        const adapter = this.getAdapter();
+        if (!adapter || typeof adapter[method] !== 'function') return null;
+        
+        try {
+            return adapter[method](document) || null;
+        } catch (error) {
+            console.log(`⚠️ [Content] ${adapter.name} adapter ${method} failed:`, error.message);
+            return null;
+        }
+    }
+    
     getTextContent(selector) {
         try {
             const element = document.querySelector(selector);
@@ -349,33 +527,11 @@ class SimplePageExtractor {
     
     containsPrice(text) {
         if (!text) return false;
-        // Enhanced pattern to include CA$, US$, AU$, etc. and currency codes
-        return /(?:CA|US|AU|NZ|HK|SG)\$|[\$€£¥₹₽]|\d+[.,]\d{2}|(?:USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|CZK|HUF|RUB)/.test(text);
+        return ExtensionUtils.price.getPatterns().some(pattern => pattern.test(text)) || /\d+[.,]\d{2}/.test(text);
     }
     
     cleanPriceText(text) {
-        if (!text) return null;
-        
-        // Enhanced regex to handle CA$, US$, AU$ and other prefixed currencies
-        const pricePatterns = [
-            // Prefixed currencies like CA$129, US$99, AU$150
-            /((?:CA|US|AU|NZ|HK|SG)\$\s*\d+(?:[.,]\d{2})?)/,
-            // Standard currency symbols
-            /([\$€£¥₹₽]\s*\d+(?:[.,]\d{2})?)/,
-            // Numbers followed by currency symbols
-            /(\d+(?:[.,]\d{2})?\s*[\$€£¥₹₽])/,
-            // Numbers followed by currency codes
-            /(\d+(?:[.,]\d{2})?\s*(?:USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|CZK|HUF|RUB))/i
-        ];
-        
-        for (const pattern of pricePatterns) {
-            const priceMatch = text.match(pattern);
-            if (priceMatch) {
-                return priceMatch[1].trim();
-            }
-        }
-        
-        return null;
+        return ExtensionUtils.text.extractPrice(text);
     }
     
     isValidPrice(price) {
@@ -398,51 +554,10 @@ class SimplePageExtractor {
     isPriceRealistic(price) {
         if (!price) return false;
         
-        const numericValue = parseFloat(price.replace(/[^\d.]/g, ''));
+        const numericValue = ExtensionUtils.price.getNumericValue(price, this.extractPriceHints(null));
         return numericValue > 0 && numericValue < 100000; // Between $0 and $100,000
     }
     
-    findPriceInData(data) {
-        if (!data) return null;
-        
-        // Handle arrays
-        if (Array.isArray(data)) {
-            for (const item of data) {
-                const price = this.findPriceInData(item);
-                if (price) return price;
-            }
-            return null;
-        }
-        
-        // Handle objects
-        if (typeof data === 'object') {
-            // Look for common price fields
-            const priceFields = ['price', 'lowPrice', 'highPrice', 'amount', 'value'];
-            
-            for (const field of priceFields) {
-                if (data[field]) {
-                    const price = this.cleanPriceText(String(data[field]));
-                    if (price) return price;
-                }
-            }
-            
-            // Look for offers
-            if (data.offers) {
-                return this.findPriceInData(data.offers);
-            }
-            
-            // Recursively search other fields
-            for (const key in data) {
-                if (typeof data[key] === 'object') {
-                    const price = this.findPriceInData(data[key]);
-                    if (price) return price;
-                }
-            }
-        }
-        
-        return null;
-    }
-
     // Enhanced Sale Price Detection Methods
     findSalePriceStructures() {
         const structures = [];
@@ -618,16 +733,18 @@ class SimplePageExtractor {
 
     calculateDiscount(originalPrice, currentPrice) {
         try {
-            const original = this.extractNumericValue(originalPrice);
-            const current = this.extractNumericValue(currentPrice);
+            const hints = this.extractPriceHints(null);
+            const current = ExtensionUtils.money.parse(currentPrice, hints);
+            const original = ExtensionUtils.money.parse(originalPrice, { ...hints, currency: current?.currency || hints.currency });
+            const difference = ExtensionUtils.money.compare(original, current);
             
-            if (original && current && original > current) {
-                const savings = original - current;
-                const percentage = Math.round((savings / original) * 100);
+            if (difference > 0) {
+                const savings = { amount: difference, currency: current.currency, raw: null };
+                const percentage = Math.round((difference / original.amount) * 100);
                 return {
                     percentage: percentage,
-                    amount: savings,
-                    formatted: `${percentage}% (Save $${savings.toFixed(2)})`
+                    amount: ExtensionUtils.money.toMajor(savings),
+                    formatted: `${percentage}% (Save ${ExtensionUtils.money.format(savings)})`
                 };
             }
         } catch (error) {
@@ -749,19 +866,6 @@ class SimplePageExtractor {
         };
     }
 
-    extractNumericValue(priceString) {
-        if (!priceString) return null;
-        
-        // Handle different currency formats
-        const cleanString = priceString
-            .replace(/[^\d.,]/g, '') // Remove non-numeric chars except . and ,
-            .replace(/,(?=\d{3})/g, '') // Remove thousands separators
-            .replace(/,/g, '.'); // Convert comma decimals to dots
-        
-        const number = parseFloat(cleanString);
-        return isNaN(number) ? null : number;
-    }
-
     sortPricesByImportance(prices) {
         return prices.sort((a, b) => {
             // Current prices (not strikethrough, highlighted) come first
@@ -8,6 +8,16 @@ class ShoppingExtensionPopup {
         this.elements = {};
         this.currentPageInfo = null;
         this.listVisible = false;
+        this.exchangeRates = new ExchangeRates();
+        this.homeCurrency = ExtensionConfig.defaultSettings.currency.home;
+        this.rateTable = ExtensionConfig.exchangeRates;
+        this.lists = [];
+        this.currentListId = ExtensionConfig.lists.defaultId; // null shows every list
+        this.importer = new ProductImporter();
+        this.exporter = new ProductExporter();
+        this.csvImporter = new CsvImporter();
+        this.pendingImport = null; // Records read from a file, waiting for the user to confirm
+        this.pendingCsv = null; // { table, mapping } of a spreadsheet being mapped
         
         console.log('🚀 [Popup] Initializing Shopping Extension...');
         this.init();
@@ -21,7 +31,11 @@ class ShoppingExtensionPopup {
         try {
             this.bindElements();
             this.setupEventListeners();
+            await this.loadCurrencySettings();
             await this.loadSavedList();
+            // Price checks in the service worker and other open views change the list too
+            ExtensionUtils.storage.onChange(() => this.scheduleListReload());
+            await this.loadSyncStatus();
             console.log('✅ [Popup] Extension initialized successfully');
         } catch (error) {
             console.error('❌ [Popup] Initialization failed:', error);
@@ -59,6 +73,39 @@ class ShoppingExtensionPopup {
         this.elements.trackCurrentBtn = document.getElementById('trackCurrentBtn');
         this.elements.refreshBtn = document.getElementById('refreshBtn');
         
+        // Settings panel elements
+        this.elements.settingsBtn = document.getElementById('settingsBtn');
+        this.elements.settingsPanel = document.getElementById('settingsPanel');
+        this.elements.alertsEnabled = document.getElementById('alertsEnabled');
+        this.elements.alertRules = document.getElementById('alertRules');
+        this.elements.checkFrequency = document.getElementById('checkFrequency');
+        this.elements.homeCurrency = document.getElementById('homeCurrency');
+        this.elements.ratesDate = document.getElementById('ratesDate');
+        this.elements.exchangeRatesInput = document.getElementById('exchangeRatesInput');
+        this.elements.saveRatesBtn = document.getElementById('saveRatesBtn');
+        this.elements.importRatesInput = document.getElementById('importRatesInput');
+        this.elements.resetRatesBtn = document.getElementById('resetRatesBtn');
+        this.elements.statsNote = document.getElementById('statsNote');
+        this.elements.syncEnabled = document.getElementById('syncEnabled');
+        this.elements.syncStatus = document.getElementById('syncStatus');
+        
+        // Named lists
+        this.elements.listPicker = document.getElementById('listPicker');
+        this.elements.addToListSelect = document.getElementById('addToListSelect');
+        this.elements.manageListsBtn = document.getElementById('manageListsBtn');
+        this.elements.listManager = document.getElementById('listManager');
+        this.elements.listManagerRows = document.getElementById('listManagerRows');
+        this.elements.newListName = document.getElementById('newListName');
+        this.elements.createListBtn = document.getElementById('createListBtn');
+        
+        // Exporting and importing lists
+        this.elements.exportPanel = document.getElementById('exportPanel');
+        this.elements.exportFormat = document.getElementById('exportFormat');
+        this.elements.exportColumns = document.getElementById('exportColumns');
+        this.elements.downloadExportBtn = document.getElementById('downloadExportBtn');
+        this.elements.importListInput = document.getElementById('importListInput');
+        this.elements.importPreview = document.getElementById('importPreview');
+        
         console.log('🔗 [Popup] Elements bound successfully');
     }
     
@@ -68,7 +115,30 @@ class ShoppingExtensionPopup {
         
         // List management buttons
         this.elements.clearListBtn?.addEventListener('click', () => this.handleClearList());
-        this.elements.exportListBtn?.addEventListener('click', () => this.handleExportList());
+        this.elements.exportListBtn?.addEventListener('click', () => this.toggleExportPanel());
+        this.elements.exportFormat?.addEventListener('change', () => {
+            this.elements.exportColumns?.classList.toggle('hidden', this.elements.exportFormat.value !== 'csv');
+        });
+        this.elements.downloadExportBtn?.addEventListener('click', () => this.handleExportList(this.elements.exportFormat?.value));
+        this.elements.importListInput?.addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        this.elements.importPreview?.addEventListener('change', (e) => {
+            if (e.target.name === 'importMode') {
+                this.renderImportPreview(e.target.value);
+            } else if (e.target.classList.contains('csv-mapping-select') && this.pendingCsv) {
+                this.pendingCsv.mapping[e.target.dataset.field] = e.target.value === '' ? null : Number(e.target.value);
+                this.renderCsvImportPreview();
+            }
+        });
+        this.elements.importPreview?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'confirm-import') {
+                this.handleConfirmImport();
+            } else if (action === 'confirm-csv-import') {
+                this.handleConfirmCsvImport();
+            } else if (action === 'cancel-import') {
+                this.closeImportPreview();
+            }
+        });
         this.elements.refreshBtn?.addEventListener('click', () => this.handleRefreshPrices());
         
         // Search and sort functionality
@@ -76,6 +146,41 @@ class ShoppingExtensionPopup {
         this.elements.sortSelect?.addEventListener('change', () => this.handleSort());
         this.elements.trackCurrentBtn?.addEventListener('click', () => this.handleTrackCurrent());
         
+        // Settings panel
+        this.elements.settingsBtn?.addEventListener('click', () => this.toggleSettings());
+        this.elements.alertsEnabled?.addEventListener('change', () => this.handleSaveAlertSettings());
+        this.elements.alertRules?.addEventListener('change', () => this.handleSaveAlertSettings());
+        this.elements.checkFrequency?.addEventListener('change', () => this.handleSaveSchedule());
+        this.elements.homeCurrency?.addEventListener('change', () => this.handleSaveHomeCurrency());
+        this.elements.saveRatesBtn?.addEventListener('click', () => this.handleSaveRates());
+        this.elements.importRatesInput?.addEventListener('change', (e) => this.handleImportRates(e.target.files[0]));
+        this.elements.resetRatesBtn?.addEventListener('click', () => this.handleResetRates());
+        this.elements.syncEnabled?.addEventListener('change', () => this.handleToggleSync());
+        
+        // Named lists
+        this.elements.listPicker?.addEventListener('change', () => this.handleSwitchList(this.elements.listPicker.value));
+        this.elements.manageListsBtn?.addEventListener('click', () => this.elements.listManager?.classList.toggle('hidden'));
+        this.elements.createListBtn?.addEventListener('click', () => this.handleCreateList());
+        this.elements.newListName?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.handleCreateList();
+            }
+        });
+        this.elements.listManagerRows?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('list-name-input')) {
+                this.handleRenameList(e.target.dataset.listId, e.target.value);
+            }
+        });
+        this.elements.listManagerRows?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.classList.contains('list-delete-btn')) {
+                this.handleDeleteList(btn.dataset.listId);
+            } else if (btn.dataset.offset) {
+                this.handleMoveList(btn.dataset.listId, Number(btn.dataset.offset));
+            }
+        });
+        
         // Search input handling
         this.elements.searchInput?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -104,7 +209,7 @@ class ShoppingExtensionPopup {
         
         try {
             const pageInfo = await this.fetchPageInfoFromURL(url);
-            this.showResult(pageInfo.title, pageInfo.price, url);
+            this.showResult(pageInfo.title, pageInfo.price, url, pageInfo.availability, pageInfo.priceHints, pageInfo.canonicalUrl);
         } catch (error) {
             console.error('❌ [Popup] Failed to fetch page info:', error);
             this.showError(`${ExtensionConfig.messages.errors.fetchFailed}: ${error.message}`);
@@ -124,7 +229,7 @@ class ShoppingExtensionPopup {
             
             console.log('📋 [Popup] Current tab:', tab.url);
             const result = await this.getPageInfoFromCurrentTab(tab);
-            this.showResult(result.title, result.price, result.url);
+            this.showResult(result.title, result.price, result.url, result.availability, result.priceHints, result.canonicalUrl);
             
         } catch (error) {
             console.error('❌ [Popup] Current tab error:', error);
@@ -178,7 +283,10 @@ class ShoppingExtensionPopup {
             
             resolve({
                 title: response?.title || tab.title || ExtensionConfig.messages.notFound.title,
-                price: response?.price || ExtensionConfig.messages.notFound.price
+                price: response?.price || ExtensionConfig.messages.notFound.price,
+                availability: response?.availability || null,
+                priceHints: response?.priceHints || null,
+                canonicalUrl: response?.canonicalUrl || null
             });
         } catch (error) {
             chrome.tabs.remove(tabId);
@@ -233,7 +341,10 @@ class ShoppingExtensionPopup {
                         return {
                             title: response.title,
                             price: response.price,
-                            url: tab.url
+                            url: tab.url,
+                            availability: response.availability || null,
+                            priceHints: response.priceHints || null,
+                            canonicalUrl: response.canonicalUrl || null
                         };
                     } else if (attempt === maxAttempts - 1) {
                         // Last attempt, return what we have
@@ -241,7 +352,10 @@ class ShoppingExtensionPopup {
                         return {
                             title: response.title,
                             price: response.price || ExtensionConfig.messages.notFound.price,
-                            url: tab.url
+                            url: tab.url,
+                            availability: response.availability || null,
+                            priceHints: response.priceHints || null,
+                            canonicalUrl: response.canonicalUrl || null
                         };
                     } else {
                         console.log('⏳ [Popup] Price not ready, waiting before retry...');
@@ -299,7 +413,7 @@ class ShoppingExtensionPopup {
         console.log('⏳ [Popup] Showing loading state');
     }
     
-    showResult(title, price, url) {
+    showResult(title, price, url, availability = null, priceHints = null, canonicalUrl = null) {
         console.log('📋 [Popup] Showing result:', { title, price, url });
         
         this.hideAllSections();
@@ -323,7 +437,10 @@ class ShoppingExtensionPopup {
             price: this.extractPriceForStorage(price),
             url,
             domain: this.extractDomain(url),
-            saleInfo: this.extractSaleInfo(price)
+            saleInfo: this.extractSaleInfo(price),
+            availability,
+            priceHints,
+            canonicalUrl
         };
         
         // Update add to list button state
@@ -440,10 +557,11 @@ class ShoppingExtensionPopup {
             return;
         }
         
-        console.log('💾 [Popup] Adding product to list:', this.currentPageInfo);
+        const listId = this.elements.addToListSelect?.value || this.currentListId || ExtensionConfig.lists.defaultId;
+        console.log('💾 [Popup] Adding product to list:', listId, this.currentPageInfo);
         
         try {
-            const success = await ExtensionUtils.storage.saveProduct(this.currentPageInfo);
+            const success = await ExtensionUtils.storage.saveProduct(this.currentPageInfo, listId);
             
             if (success) {
                 this.showSuccessMessage(ExtensionConfig.messages.success.addedToList);
@@ -459,7 +577,9 @@ class ShoppingExtensionPopup {
                     }
                 }, 2000);
             } else {
-                this.showError('Failed to add product to list');
+                const limit = ExtensionUtils.storage.getProductLimit();
+                const full = limit !== null && (await ExtensionUtils.storage.getProducts()).length >= limit;
+                this.showError(full ? ExtensionConfig.messages.errors.tooManyProducts : 'Failed to add product to list');
             }
         } catch (error) {
             console.error('❌ [Popup] Failed to add to list:', error);
@@ -470,7 +590,8 @@ class ShoppingExtensionPopup {
     async loadSavedList() {
         try {
             console.log('📋 [Popup] Loading saved products...');
-            const products = await ExtensionUtils.storage.getProducts();
+            await this.loadLists();
+            const products = await this.getListProducts();
             console.log('📋 [Popup] Loaded products:', products.length);
             
             this.renderProductList(products);
@@ -481,6 +602,23 @@ class ShoppingExtensionPopup {
         }
     }
     
+    /**
+     * Get the saved products in the list being shown
+     * @returns {Promise<Array>} - Products in the current list, or all products
+     */
+    async getListProducts() {
+        const products = await ExtensionUtils.storage.getProducts();
+        return products.filter(product => ExtensionUtils.storage.isInList(product, this.currentListId));
+    }
+    
+    /**
+     * Reload the list once a burst of storage changes is over
+     */
+    scheduleListReload() {
+        clearTimeout(this.listReloadTimer);
+        this.listReloadTimer = setTimeout(() => this.loadSavedList(), ExtensionConfig.performance.debounceDelay);
+    }
+    
     renderProductList(products) {
         if (!this.elements.savedList) return;
         
@@ -506,19 +644,39 @@ class ShoppingExtensionPopup {
         const truncatedTitle = product.title.length > 45 ? 
             product.title.substring(0, 45) + '...' : product.title;
         const domain = this.extractDomain(product.url);
+        const alert = product.priceAlert;
+        // Shown in every list view, so the product's lists are spelled out when all lists are shown
+        const listChips = this.currentListId ? '' : ExtensionUtils.storage.getProductLists(product)
+            .map(listId => `<span class="list-chip">${ExtensionUtils.text.escapeHtml(this.getListName(listId))}</span>`)
+            .join('');
+        const escape = ExtensionUtils.text.escapeHtml;
+        const priorityLabels = ExtensionConfig.productDetails.priorityLabels;
+        const availabilityLabel = ExtensionConfig.availability.labels[product.availability] || product.availability;
         
         return `
             <div class="list-item" data-product-id="${product.id}">
                 <div class="item-content">
                     <div class="item-details">
                         <div class="item-main">
-                            <h4 class="item-title" title="${product.title}">${truncatedTitle}</h4>
-                            <span class="item-price">${product.price}</span>
+                            <h4 class="item-title" title="${escape(product.title)}">${escape(truncatedTitle)}${product.userOverrides?.length ? ' <span class="edited-mark" title="Edited by you">✎</span>' : ''}</h4>
+                            <span class="item-price">${escape(product.price)}</span>
                         </div>
                         <div class="item-meta">
-                            <span class="item-domain">${domain}</span>
+                            <span class="item-domain">${escape(domain)}</span>
+                            ${product.availability ? `<span class="stock-badge ${escape(product.availability)}">${escape(availabilityLabel)}</span>` : ''}
+                            ${alert ? `<span class="alert-badge ${alert.triggered ? 'triggered' : ''}" title="Price alert">${this.formatAlertBadge(alert)}</span>` : ''}
+                            ${product.priority ? `<span class="priority-badge priority-${product.priority}" title="Priority">${priorityLabels[product.priority]}</span>` : ''}
+                            ${product.quantity > 1 ? `<span class="item-quantity" title="Quantity">×${product.quantity}</span>` : ''}
+                            ${product.variant ? `<span class="item-variant" title="Size or color">${escape(product.variant)}</span>` : ''}
+                            ${listChips}
                             <span class="item-date">${dateAdded}</span>
+                            ${this.createListActionsHTML(product)}
+                            <select class="frequency-select" data-product-id="${product.id}" title="How often this product is checked">
+                                ${this.createFrequencyOptionsHTML(product.checkFrequency, 'Default checks')}
+                            </select>
                         </div>
+                        ${product.tags?.length ? `<div class="item-tags">${product.tags.map(tag => `<span class="tag-chip">#${escape(tag)}</span>`).join('')}</div>` : ''}
+                        ${product.note ? `<p class="item-note" title="${escape(product.note)}">${escape(product.note)}</p>` : ''}
                     </div>
                     
                     <div class="item-actions">
@@ -529,18 +687,178 @@ class ShoppingExtensionPopup {
                             <span>Remove</span>
                         </button>
                         
-                        <button class="visit-btn" data-url="${product.url}" title="Visit product page">
+                        <button class="visit-btn" data-url="${escape(product.url)}" title="Visit product page">
                             <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                                 <path d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"/>
                             </svg>
                             <span>View</span>
                         </button>
+                        
+                        <button class="alert-btn" data-product-id="${product.id}" title="Set price alert">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"/>
+                            </svg>
+                            <span>Alert</span>
+                        </button>
+                        
+                        <button class="edit-btn" data-product-id="${product.id}" title="Correct title, price or URL">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+                            </svg>
+                            <span>Edit</span>
+                        </button>
+                        
+                        <button class="details-btn" data-product-id="${product.id}" title="Tags, note, priority and quantity">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"/>
+                            </svg>
+                            <span>Details</span>
+                        </button>
                     </div>
+                    
+                    <div class="alert-form hidden" data-product-id="${product.id}">
+                        <label>
+                            Target price
+                            <input type="number" class="alert-target" min="0" step="0.01" value="${alert?.targetPrice || ''}" placeholder="e.g. 49.99">
+                        </label>
+                        <label>
+                            or % below saved price
+                            <input type="number" class="alert-percent" min="1" max="99" step="1" value="${alert?.percentBelow || ''}" placeholder="e.g. 15">
+                        </label>
+                        <div class="alert-form-actions">
+                            <button class="alert-save-btn" data-product-id="${product.id}">Save</button>
+                            <button class="alert-clear-btn" data-product-id="${product.id}">Clear</button>
+                        </div>
+                    </div>
+                    
+                    ${this.createEditFormHTML(product)}
+                    ${this.createDetailsFormHTML(product)}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Build the inline form that corrects what extraction got wrong
+     * @param {object} product - Saved product
+     * @returns {string} - Form markup, hidden until the Edit button is clicked
+     */
+    createEditFormHTML(product) {
+        const escape = ExtensionUtils.text.escapeHtml;
+        const currency = product.priceMoney?.currency || product.priceHints?.currency || '';
+        const currencies = [...new Set([...ExtensionConfig.priceExtraction.currencyCodes, currency].filter(Boolean))].sort();
+        const options = [['', 'Unknown'], ...currencies.map(code => [code, code])]
+            .map(([value, label]) => `<option value="${value}" ${value === currency ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        
+        return `
+            <div class="edit-form hidden" data-product-id="${product.id}">
+                <label>
+                    Title
+                    <input type="text" class="edit-title" maxlength="${ExtensionConfig.storage.maxTitleLength}" value="${escape(product.title)}">
+                </label>
+                <label>
+                    Price
+                    <input type="text" class="edit-price" maxlength="${ExtensionConfig.storage.maxPriceLength}" value="${escape(product.price || '')}">
+                </label>
+                <label>
+                    Currency
+                    <select class="edit-currency">${options}</select>
+                </label>
+                <label>
+                    URL
+                    <input type="url" class="edit-url" value="${escape(product.url)}">
+                </label>
+                <div class="alert-form-actions">
+                    <button class="edit-save-btn" data-product-id="${product.id}">Save</button>
+                    <button class="edit-cancel-btn" data-product-id="${product.id}">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Build the inline form for the details the user keeps on a product
+     * @param {object} product - Saved product
+     * @returns {string} - Form markup, hidden until the Details button is clicked
+     */
+    createDetailsFormHTML(product) {
+        const escape = ExtensionUtils.text.escapeHtml;
+        const { priorityLabels, maxNoteLength, maxVariantLength, maxQuantity } = ExtensionConfig.productDetails;
+        const priorities = [['', 'No priority'], ...Object.entries(priorityLabels).sort(([a], [b]) => b - a)]
+            .map(([value, label]) => `<option value="${value}" ${String(product.priority || '') === value ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        
+        return `
+            <div class="details-form hidden" data-product-id="${product.id}">
+                <label>
+                    Tags
+                    <input type="text" class="details-tags" value="${escape((product.tags || []).join(', '))}" placeholder="e.g. desk, gift">
+                </label>
+                <label>
+                    Priority
+                    <select class="details-priority">${priorities}</select>
+                </label>
+                <label>
+                    Quantity
+                    <input type="number" class="details-quantity" min="1" max="${maxQuantity}" step="1" value="${product.quantity || ''}" placeholder="1">
+                </label>
+                <label>
+                    Size or color
+                    <input type="text" class="details-variant" maxlength="${maxVariantLength}" value="${escape(product.variant || '')}" placeholder="e.g. M, navy">
+                </label>
+                <label class="details-note-label">
+                    Note
+                    <textarea class="details-note" rows="2" maxlength="${maxNoteLength}">${escape(product.note || '')}</textarea>
+                </label>
+                <div class="alert-form-actions">
+                    <button class="details-save-btn" data-product-id="${product.id}">Save</button>
                 </div>
             </div>
         `;
     }
     
+    /**
+     * Build the per-product select that moves or copies it to another list
+     * @param {object} product - Saved product
+     * @returns {string} - Select markup, empty when there is no other list
+     */
+    createListActionsHTML(product) {
+        const productLists = ExtensionUtils.storage.getProductLists(product);
+        const targets = this.lists.filter(list => !productLists.includes(list.id));
+        if (targets.length === 0) return '';
+        
+        const options = (action) => targets.map(list =>
+            `<option value="${action}:${list.id}">${ExtensionUtils.text.escapeHtml(list.name)}</option>`
+        ).join('');
+        // Moving needs a list to leave, which the "All lists" view doesn't have
+        const move = this.currentListId ? `<optgroup label="Move to">${options('move')}</optgroup>` : '';
+        
+        return `
+            <select class="item-list-select" data-product-id="${product.id}" title="Move or copy to another list">
+                <option value="">Lists…</option>
+                ${move}
+                <optgroup label="Copy to">${options('copy')}</optgroup>
+            </select>
+        `;
+    }
+    
+    createFrequencyOptionsHTML(selected, defaultLabel) {
+        const labels = ExtensionConfig.priceTracking.frequencyLabels;
+        const options = defaultLabel ? [['', defaultLabel], ...Object.entries(labels)] : Object.entries(labels);
+        
+        return options.map(([value, label]) =>
+            `<option value="${value}" ${value === (selected || '') ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+    
+    formatAlertBadge(alert) {
+        const parts = [];
+        if (alert.targetPrice) parts.push(`≤ ${alert.targetPrice.toFixed(2)}`);
+        if (alert.percentBelow) parts.push(`-${alert.percentBelow}%`);
+        return `🎯 ${parts.join(' / ')}`;
+    }
+    
     setupListEventListeners() {
         // Remove buttons
         this.elements.savedList?.querySelectorAll('.remove-btn').forEach(btn => {
@@ -563,13 +881,96 @@ class ShoppingExtensionPopup {
                 this.handleVisitProduct(url);
             });
         });
+        
+        // Alert buttons toggle the inline alert form
+        this.elements.savedList?.querySelectorAll('.alert-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const form = this.elements.savedList.querySelector(`.alert-form[data-product-id="${btn.dataset.productId}"]`);
+                form?.classList.toggle('hidden');
+            });
+        });
+        
+        this.elements.savedList?.querySelectorAll('.alert-save-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleSavePriceAlert(btn.dataset.productId, btn.closest('.alert-form'));
+            });
+        });
+        
+        this.elements.savedList?.querySelectorAll('.alert-clear-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleClearPriceAlert(btn.dataset.productId);
+            });
+        });
+        
+        // Per-product check frequency
+        this.elements.savedList?.querySelectorAll('.frequency-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.handleSetCheckFrequency(select.dataset.productId, select.value);
+            });
+        });
+        
+        // Edit buttons switch the item into edit mode
+        this.elements.savedList?.querySelectorAll('.edit-btn, .edit-cancel-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const item = btn.closest('.list-item');
+                const editing = item.classList.toggle('editing');
+                item.querySelector('.edit-form')?.classList.toggle('hidden', !editing);
+            });
+        });
+        
+        this.elements.savedList?.querySelectorAll('.edit-save-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleSaveEdit(btn.dataset.productId, btn.closest('.edit-form'));
+            });
+        });
+        
+        // Details buttons toggle the inline details form
+        this.elements.savedList?.querySelectorAll('.details-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const form = this.elements.savedList.querySelector(`.details-form[data-product-id="${btn.dataset.productId}"]`);
+                form?.classList.toggle('hidden');
+            });
+        });
+        
+        this.elements.savedList?.querySelectorAll('.details-save-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleSaveDetails(btn.dataset.productId, btn.closest('.details-form'));
+            });
+        });
+        
+        // Move or copy to another list
+        this.elements.savedList?.querySelectorAll('.item-list-select').forEach(select => {
+            select.addEventListener('change', () => {
+                const [action, listId] = select.value.split(':');
+                if (listId) {
+                    this.handleMoveOrCopyProduct(select.dataset.productId, action, listId);
+                }
+            });
+        });
     }
     
     async handleRemoveFromList(productId) {
-        console.log('🗑️ [Popup] Removing product:', productId);
+        console.log('🗑️ [Popup] Removing product:', productId, 'from', this.currentListId || 'all lists');
         
         try {
-            const success = await ExtensionUtils.storage.removeProduct(productId);
+            // In a list the product only leaves that list; in "All lists" it is removed everywhere
+            const success = this.currentListId ?
+                await ExtensionUtils.storage.removeFromList(productId, this.currentListId) :
+                await ExtensionUtils.storage.removeProduct(productId);
             
             if (success) {
                 this.showSuccessMessage(ExtensionConfig.messages.success.removedFromList);
@@ -583,6 +984,596 @@ class ShoppingExtensionPopup {
         }
     }
     
+    async handleSavePriceAlert(productId, form) {
+        const targetPrice = parseFloat(form.querySelector('.alert-target').value);
+        const percentBelow = parseFloat(form.querySelector('.alert-percent').value);
+        const hasTarget = targetPrice > 0;
+        const hasPercent = percentBelow > 0 && percentBelow < 100;
+        
+        if (!hasTarget && !hasPercent) {
+            this.showError('Enter a target price or a percentage between 1 and 99');
+            return;
+        }
+        
+        console.log('🎯 [Popup] Saving price alert:', productId, { targetPrice, percentBelow });
+        
+        try {
+            const products = await ExtensionUtils.storage.getProducts();
+            const product = products.find(p => p.id === productId);
+            if (!product) {
+                this.showError('Product not found');
+                return;
+            }
+            
+            const success = await ExtensionUtils.storage.updateProduct(productId, {
+                priceAlert: {
+                    targetPrice: hasTarget ? targetPrice : null,
+                    percentBelow: hasPercent ? percentBelow : null,
+                    referencePrice: ExtensionUtils.money.toMajor(product.savedPriceMoney || ExtensionUtils.money.parse(product.savedPrice || product.price)),
+                    triggered: false,
+                    createdAt: new Date().toISOString()
+                }
+            });
+            
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.alertSaved);
+                await this.loadSavedList();
+            } else {
+                this.showError('Failed to save price alert');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save price alert:', error);
+            this.showError(`Error saving price alert: ${error.message}`);
+        }
+    }
+    
+    async handleSaveEdit(productId, form) {
+        const title = form.querySelector('.edit-title').value.trim();
+        const price = form.querySelector('.edit-price').value.trim();
+        const url = ExtensionUtils.url.normalize(form.querySelector('.edit-url').value);
+        
+        const validation = ExtensionUtils.url.validate(url);
+        if (!validation.valid) {
+            this.showError(validation.error);
+            return;
+        }
+        if (!title) {
+            this.showError('Enter a title');
+            return;
+        }
+        if (!ExtensionUtils.money.parse(price)) {
+            this.showError('Enter a price like 49.99');
+            return;
+        }
+        
+        const edits = { title, price, url, currency: form.querySelector('.edit-currency').value || null };
+        console.log('✏️ [Popup] Saving edits:', productId, edits);
+        
+        try {
+            const success = await ExtensionUtils.storage.editProduct(productId, edits);
+            
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.productEdited);
+                await this.loadSavedList();
+            } else {
+                this.showError('Failed to save changes');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save edits:', error);
+            this.showError(`Error saving changes: ${error.message}`);
+        }
+    }
+    
+    async handleSaveDetails(productId, form) {
+        const quantity = form.querySelector('.details-quantity').value;
+        const maxQuantity = ExtensionConfig.productDetails.maxQuantity;
+        if (quantity && ExtensionUtils.storage.normalizeDetails({ quantity }).quantity === null) {
+            this.showError(`Enter a quantity between 1 and ${maxQuantity}`);
+            return;
+        }
+        
+        const details = {
+            tags: form.querySelector('.details-tags').value,
+            note: form.querySelector('.details-note').value,
+            priority: form.querySelector('.details-priority').value,
+            quantity,
+            variant: form.querySelector('.details-variant').value
+        };
+        console.log('🏷️ [Popup] Saving details:', productId, details);
+        
+        try {
+            const success = await ExtensionUtils.storage.updateProductDetails(productId, details);
+            
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.detailsSaved);
+                await this.loadSavedList();
+            } else {
+                this.showError('Failed to save details');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save details:', error);
+            this.showError(`Error saving details: ${error.message}`);
+        }
+    }
+    
+    async handleClearPriceAlert(productId) {
+        console.log('🎯 [Popup] Clearing price alert:', productId);
+        
+        try {
+            const success = await ExtensionUtils.storage.updateProduct(productId, { priceAlert: null });
+            
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.alertCleared);
+                await this.loadSavedList();
+            } else {
+                this.showError('Failed to clear price alert');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to clear price alert:', error);
+            this.showError(`Error clearing price alert: ${error.message}`);
+        }
+    }
+    
+    // ============================================
+    // NAMED LISTS SECTION
+    // ============================================
+    
+    /**
+     * Load the named lists and fill the list picker, the add-to-list choice and the list manager
+     */
+    async loadLists() {
+        this.lists = await ExtensionUtils.storage.getLists();
+        // The list being shown may have been deleted here or on another device
+        if (this.currentListId && !this.lists.some(list => list.id === this.currentListId)) {
+            this.currentListId = ExtensionConfig.lists.defaultId;
+        }
+        this.renderLists();
+    }
+    
+    renderLists() {
+        const option = (list, selected) =>
+            `<option value="${list.id}" ${list.id === selected ? 'selected' : ''}>${ExtensionUtils.text.escapeHtml(list.name)}</option>`;
+        
+        if (this.elements.listPicker) {
+            this.elements.listPicker.innerHTML = this.lists.map(list => option(list, this.currentListId)).join('') +
+                `<option value="" ${this.currentListId ? '' : 'selected'}>${ExtensionConfig.messages.list.allLists}</option>`;
+        }
+        if (this.elements.addToListSelect) {
+            const target = this.elements.addToListSelect.value || this.currentListId || ExtensionConfig.lists.defaultId;
+            this.elements.addToListSelect.innerHTML = this.lists.map(list => option(list, target)).join('');
+        }
+        this.renderListManager();
+    }
+    
+    renderListManager() {
+        if (!this.elements.listManagerRows) return;
+        
+        const last = this.lists.length - 1;
+        this.elements.listManagerRows.innerHTML = this.lists.map((list, index) => `
+            <div class="list-manager-row">
+                <input type="text" class="list-name-input" data-list-id="${list.id}" maxlength="${ExtensionConfig.lists.maxNameLength}"
+                       value="${ExtensionUtils.text.escapeHtml(list.name)}" title="Rename list">
+                <button class="settings-action-btn" data-list-id="${list.id}" data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="settings-action-btn" data-list-id="${list.id}" data-offset="1" title="Move down" ${index === last ? 'disabled' : ''}>↓</button>
+                ${list.id === ExtensionConfig.lists.defaultId ? '' :
+                    `<button class="settings-action-btn list-delete-btn" data-list-id="${list.id}" title="Delete list">🗑️</button>`}
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Get the name of a list for display
+     * @param {string} listId - List ID
+     * @returns {string} - List name
+     */
+    getListName(listId) {
+        const list = this.lists.find(entry => entry.id === listId);
+        return list ? list.name : ExtensionConfig.lists.defaultName;
+    }
+    
+    async handleSwitchList(listId) {
+        console.log('📂 [Popup] Showing list:', listId || 'all lists');
+        this.currentListId = listId || null;
+        if (this.elements.addToListSelect && listId) {
+            this.elements.addToListSelect.value = listId;
+        }
+        await this.handleSearch();
+    }
+    
+    async handleCreateList() {
+        const name = this.elements.newListName?.value || '';
+        if (!ExtensionUtils.storage.normalizeListName(name)) {
+            this.showError('Enter a name for the new list');
+            return;
+        }
+        
+        try {
+            const list = await ExtensionUtils.storage.createList(name);
+            if (list) {
+                this.elements.newListName.value = '';
+                this.currentListId = list.id;
+                this.showSuccessMessage(ExtensionConfig.messages.success.listCreated);
+                await this.loadSavedList();
+            } else {
+                this.showError('Failed to create list');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to create list:', error);
+            this.showError(`Error creating list: ${error.message}`);
+        }
+    }
+    
+    async handleRenameList(listId, name) {
+        try {
+            const success = await ExtensionUtils.storage.renameList(listId, name);
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.listRenamed);
+            } else {
+                this.showError('Failed to rename list');
+            }
+            await this.loadSavedList();
+        } catch (error) {
+            console.error('❌ [Popup] Failed to rename list:', error);
+            this.showError(`Error renaming list: ${error.message}`);
+        }
+    }
+    
+    async handleMoveList(listId, offset) {
+        try {
+            if (await ExtensionUtils.storage.moveList(listId, offset)) {
+                await this.loadLists();
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to move list:', error);
+            this.showError(`Error moving list: ${error.message}`);
+        }
+    }
+    
+    async handleDeleteList(listId) {
+        if (!confirm(`Delete "${this.getListName(listId)}"? Products that are only in this list will be removed.`)) {
+            return;
+        }
+        
+        try {
+            const success = await ExtensionUtils.storage.deleteList(listId);
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.listDeleted);
+                await this.loadSavedList();
+            } else {
+                this.showError('Failed to delete list');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to delete list:', error);
+            this.showError(`Error deleting list: ${error.message}`);
+        }
+    }
+    
+    async handleMoveOrCopyProduct(productId, action, listId) {
+        console.log(`📂 [Popup] ${action === 'move' ? 'Moving' : 'Copying'} product to list:`, productId, listId);
+        
+        try {
+            const success = action === 'move' ?
+                await ExtensionUtils.storage.moveToList(productId, this.currentListId, listId) :
+                await ExtensionUtils.storage.addToList(productId, listId);
+            
+            if (success) {
+                this.showSuccessMessage(action === 'move' ?
+                    ExtensionConfig.messages.success.movedToList :
+                    ExtensionConfig.messages.success.copiedToList);
+            } else {
+                this.showError('Failed to update the product\'s lists');
+            }
+            await this.loadSavedList();
+        } catch (error) {
+            console.error('❌ [Popup] Failed to move or copy product:', error);
+            this.showError(`Error changing lists: ${error.message}`);
+        }
+    }
+    
+    // ============================================
+    // SETTINGS SECTION
+    // ============================================
+    
+    async toggleSettings() {
+        const panel = this.elements.settingsPanel;
+        if (!panel) return;
+        
+        const opening = panel.classList.contains(ExtensionConfig.ui.classes.hidden);
+        if (opening) {
+            await this.loadSettings();
+        }
+        panel.classList.toggle(ExtensionConfig.ui.classes.hidden, !opening);
+    }
+    
+    async loadSettings() {
+        try {
+            const settings = await ExtensionUtils.storage.getSettings();
+            this.renderScheduleSettings(settings.schedule);
+            this.renderAlertSettings(settings.alerts);
+            this.renderSyncSettings(settings.sync);
+            await this.loadCurrencySettings();
+            this.renderCurrencySettings();
+        } catch (error) {
+            console.error('❌ [Popup] Failed to load settings:', error);
+            this.showError('Failed to load settings');
+        }
+    }
+    
+    renderScheduleSettings(schedule) {
+        if (this.elements.checkFrequency) {
+            this.elements.checkFrequency.innerHTML = this.createFrequencyOptionsHTML(schedule.frequency);
+        }
+    }
+    
+    renderAlertSettings(alerts) {
+        if (this.elements.alertsEnabled) {
+            this.elements.alertsEnabled.checked = alerts.enabled;
+        }
+        if (!this.elements.alertRules) return;
+        
+        const labels = ExtensionConfig.alerts.ruleLabels;
+        this.elements.alertRules.innerHTML = Object.entries(alerts.rules).map(([rule, config]) => `
+            <div class="alert-rule" data-rule="${rule}">
+                <label class="settings-row">
+                    <input type="checkbox" class="rule-enabled" ${config.enabled ? 'checked' : ''}>
+                    <span>${labels[rule] || rule}</span>
+                </label>
+                <label class="rule-cooldown">
+                    Wait
+                    <input type="number" class="rule-cooldown-hours" min="0" step="1" value="${config.cooldownMinutes / 60}">
+                    h between alerts
+                </label>
+            </div>
+        `).join('');
+    }
+    
+    readAlertSettings() {
+        const rules = {};
+        this.elements.alertRules?.querySelectorAll('.alert-rule').forEach(row => {
+            const hours = parseFloat(row.querySelector('.rule-cooldown-hours').value);
+            rules[row.dataset.rule] = {
+                enabled: row.querySelector('.rule-enabled').checked,
+                cooldownMinutes: hours > 0 ? Math.round(hours * 60) : 0
+            };
+        });
+        
+        return {
+            enabled: !!this.elements.alertsEnabled?.checked,
+            rules
+        };
+    }
+    
+    async handleSaveSchedule() {
+        try {
+            const success = await ExtensionUtils.storage.saveSettings({
+                schedule: { frequency: this.elements.checkFrequency.value }
+            });
+            
+            if (success) {
+                await this.rescheduleChecks();
+                this.showSuccessMessage(ExtensionConfig.messages.success.scheduleSaved);
+            } else {
+                this.showError('Failed to save settings');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save schedule:', error);
+            this.showError(`Error saving settings: ${error.message}`);
+        }
+    }
+    
+    async handleSaveAlertSettings() {
+        try {
+            const success = await ExtensionUtils.storage.saveSettings({ alerts: this.readAlertSettings() });
+            
+            if (success) {
+                this.showSuccessMessage(ExtensionConfig.messages.success.settingsSaved);
+            } else {
+                this.showError('Failed to save settings');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save settings:', error);
+            this.showError(`Error saving settings: ${error.message}`);
+        }
+    }
+    
+    // ============================================
+    // SYNC SECTION
+    // ============================================
+    
+    renderSyncSettings(sync) {
+        if (this.elements.syncEnabled) {
+            this.elements.syncEnabled.checked = sync.enabled;
+        }
+    }
+    
+    async handleToggleSync() {
+        try {
+            const enabled = !!this.elements.syncEnabled?.checked;
+            const success = await ExtensionUtils.storage.saveSettings({ sync: { enabled } });
+            
+            if (success) {
+                const messages = ExtensionConfig.messages.success;
+                this.showSuccessMessage(enabled ? messages.syncEnabled : messages.syncDisabled);
+                // Sync right away instead of waiting for the next change
+                await chrome.runtime.sendMessage({ action: 'syncNow' });
+            } else {
+                this.showError('Failed to save settings');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to change sync:', error);
+            this.showError(`Error changing sync: ${error.message}`);
+        }
+    }
+    
+    async loadSyncStatus() {
+        const statusKey = ExtensionConfig.storage.keys.syncStatus;
+        try {
+            const result = await chrome.storage.local.get([statusKey]);
+            this.renderSyncStatus(result[statusKey]);
+        } catch (error) {
+            console.error('❌ [Popup] Failed to load sync status:', error);
+        }
+        
+        // The service worker updates the status while the popup is open
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[statusKey]) {
+                this.renderSyncStatus(changes[statusKey].newValue);
+            }
+        });
+    }
+    
+    renderSyncStatus(status) {
+        const element = this.elements.syncStatus;
+        if (!element) return;
+        
+        const label = status && ExtensionConfig.messages.sync[status.state];
+        element.classList.toggle(ExtensionConfig.ui.classes.hidden, !label);
+        element.classList.toggle('sync-error', status?.state === 'error');
+        if (!label) return;
+        
+        element.textContent = label;
+        element.title = status.error ||
+            (status.time ? `Last sync activity ${new Date(status.time).toLocaleString()}` : '');
+    }
+    
+    // ============================================
+    // CURRENCY SECTION
+    // ============================================
+    
+    async loadCurrencySettings() {
+        try {
+            const settings = await ExtensionUtils.storage.getSettings();
+            this.homeCurrency = settings.currency.home;
+            this.rateTable = await this.exchangeRates.getTable();
+        } catch (error) {
+            console.error('❌ [Popup] Failed to load currency settings:', error);
+        }
+    }
+    
+    renderCurrencySettings() {
+        const table = this.rateTable;
+        
+        if (this.elements.homeCurrency) {
+            const currencies = Object.keys(table.rates).sort();
+            if (!currencies.includes(this.homeCurrency)) currencies.unshift(this.homeCurrency);
+            
+            this.elements.homeCurrency.innerHTML = currencies.map(currency =>
+                `<option value="${currency}" ${currency === this.homeCurrency ? 'selected' : ''}>${currency}</option>`
+            ).join('');
+        }
+        if (this.elements.ratesDate) {
+            const source = table.source === 'user' ? 'your rates' : 'bundled rates';
+            this.elements.ratesDate.textContent = `Converted with ${source} from ${table.date}`;
+        }
+        if (this.elements.exchangeRatesInput) {
+            this.elements.exchangeRatesInput.value = this.exchangeRates.toCsv(table);
+        }
+    }
+    
+    async handleSaveHomeCurrency() {
+        try {
+            const success = await ExtensionUtils.storage.saveSettings({
+                currency: { home: this.elements.homeCurrency.value }
+            });
+            
+            if (success) {
+                await this.refreshCurrencyViews();
+                this.showSuccessMessage(ExtensionConfig.messages.success.currencySaved);
+            } else {
+                this.showError('Failed to save settings');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save home currency:', error);
+            this.showError(`Error saving settings: ${error.message}`);
+        }
+    }
+    
+    async handleSaveRates() {
+        await this.saveRatesFromText(this.elements.exchangeRatesInput?.value);
+    }
+    
+    async handleImportRates(file) {
+        if (!file) return;
+        
+        try {
+            await this.saveRatesFromText(await file.text());
+        } finally {
+            // Allow importing the same file again after fixing it
+            this.elements.importRatesInput.value = '';
+        }
+    }
+    
+    async saveRatesFromText(text) {
+        try {
+            await this.exchangeRates.saveTable(this.exchangeRates.parse(text));
+            await this.refreshCurrencyViews();
+            this.showSuccessMessage(ExtensionConfig.messages.success.ratesSaved);
+        } catch (error) {
+            console.error('❌ [Popup] Failed to save exchange rates:', error);
+            this.showError(`Error saving exchange rates: ${error.message}`);
+        }
+    }
+    
+    async handleResetRates() {
+        try {
+            await this.exchangeRates.resetTable();
+            await this.refreshCurrencyViews();
+            this.showSuccessMessage(ExtensionConfig.messages.success.ratesSaved);
+        } catch (error) {
+            console.error('❌ [Popup] Failed to reset exchange rates:', error);
+            this.showError(`Error resetting exchange rates: ${error.message}`);
+        }
+    }
+    
+    async refreshCurrencyViews() {
+        await this.loadCurrencySettings();
+        this.renderCurrencySettings();
+        await this.loadSavedList();
+    }
+    
+    /**
+     * Get a price in the home currency
+     * Prices without a currency are taken to already be in the home currency
+     * @param {object} money - Money value
+     * @returns {number|null} - Amount in major units, or null if there is no rate for its currency
+     */
+    toHomeAmount(money) {
+        if (!ExtensionUtils.money.isMoney(money)) return null;
+        if (!money.currency) return ExtensionUtils.money.toMajor(money);
+        
+        const converted = this.exchangeRates.convert(money, this.homeCurrency, this.rateTable);
+        return converted ? ExtensionUtils.money.toMajor(converted) : null;
+    }
+    
+    async handleSetCheckFrequency(productId, frequency) {
+        console.log('⏱️ [Popup] Setting check frequency:', productId, frequency || 'default');
+        
+        try {
+            const success = await ExtensionUtils.storage.updateProduct(productId, {
+                checkFrequency: frequency || null
+            });
+            
+            if (success) {
+                await this.rescheduleChecks();
+                this.showSuccessMessage(ExtensionConfig.messages.success.scheduleSaved);
+            } else {
+                this.showError('Failed to update check frequency');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to update check frequency:', error);
+            this.showError(`Error updating check frequency: ${error.message}`);
+        }
+    }
+    
+    async rescheduleChecks() {
+        try {
+            await chrome.runtime.sendMessage({ action: 'rescheduleChecks' });
+        } catch (error) {
+            // The alarm is rebuilt the next time the background starts
+            console.warn('⚠️ [Popup] Failed to reschedule price checks:', error);
+        }
+    }
+    
     async handleVisitProduct(url) {
         try {
             await chrome.tabs.create({ url, active: true });
@@ -592,14 +1583,19 @@ class ShoppingExtensionPopup {
     }
     
     async handleClearList() {
-        if (!confirm('Are you sure you want to clear all saved products? This action cannot be undone.')) {
+        const question = this.currentListId ?
+            `Are you sure you want to clear "${this.getListName(this.currentListId)}"? Products that are only in this list will be removed.` :
+            'Are you sure you want to clear all saved products? This action cannot be undone.';
+        if (!confirm(question)) {
             return;
         }
         
-        console.log('🧹 [Popup] Clearing all products');
+        console.log('🧹 [Popup] Clearing', this.currentListId || 'all products');
         
         try {
-            const success = await ExtensionUtils.storage.clearProducts();
+            const success = this.currentListId ?
+                await ExtensionUtils.storage.clearList(this.currentListId) :
+                await ExtensionUtils.storage.clearProducts();
             
             if (success) {
                 this.showSuccessMessage(ExtensionConfig.messages.success.listCleared);
@@ -613,23 +1609,44 @@ class ShoppingExtensionPopup {
         }
     }
     
-    async handleExportList() {
-        console.log('📤 [Popup] Exporting products');
+    toggleExportPanel() {
+        const panel = this.elements.exportPanel;
+        if (!panel) return;
+        
+        if (this.elements.exportColumns && !this.elements.exportColumns.hasChildNodes()) {
+            this.elements.exportColumns.innerHTML = Object.entries(ExtensionConfig.exporting.columns).map(([column, label]) => `
+                <label class="export-column">
+                    <input type="checkbox" value="${column}" checked> ${ExtensionUtils.text.escapeHtml(label)}
+                </label>
+            `).join('');
+        }
+        panel.classList.toggle('hidden');
+    }
+    
+    /**
+     * Download the list being shown
+     * @param {string} format - 'json', 'csv' or 'history' (price history CSV)
+     */
+    async handleExportList(format = 'json') {
+        console.log('📤 [Popup] Exporting products as', format);
         
         try {
-            const jsonData = await ExtensionUtils.storage.exportProducts();
-            
-            // Create and download file
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `shopping-list-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            const date = new Date().toISOString().split('T')[0];
+            if (format === 'csv') {
+                const columns = [...(this.elements.exportColumns?.querySelectorAll('input:checked') || [])].map(input => input.value);
+                if (columns.length === 0) {
+                    this.showError('Choose at least one column to export');
+                    return;
+                }
+                this.downloadCsv(await this.exporter.exportCsv(this.currentListId, columns), `${this.getExportName()}-${date}.csv`);
+            } else if (format === 'history') {
+                this.downloadCsv(await this.exporter.exportHistoryCsv(this.currentListId), `${this.getExportName()}-price-history-${date}.csv`);
+            } else {
+                const jsonData = await ExtensionUtils.storage.exportProducts(this.currentListId);
+                this.downloadFile(new Blob([jsonData], { type: 'application/json' }), `${this.getExportName()}-${date}.json`);
+            }
             
+            this.elements.exportPanel?.classList.add('hidden');
             this.showSuccessMessage(ExtensionConfig.messages.success.listExported);
         } catch (error) {
             console.error('❌ [Popup] Failed to export list:', error);
@@ -637,6 +1654,221 @@ class ShoppingExtensionPopup {
         }
     }
     
+    downloadCsv(csv, fileName) {
+        // The byte order mark makes Excel read the file as UTF-8 instead of the system code page
+        this.downloadFile(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), fileName);
+    }
+    
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    async handleImportFile(file) {
+        if (!file) return;
+        
+        try {
+            console.log('📥 [Popup] Reading import file:', file.name);
+            this.closeImportPreview();
+            if (/\.(csv|tsv|txt)$/i.test(file.name) || file.type === 'text/csv') {
+                const table = this.csvImporter.read(await file.arrayBuffer());
+                this.pendingCsv = { table, mapping: this.csvImporter.guessMapping(table) };
+                await this.renderCsvImportPreview();
+            } else {
+                this.pendingImport = this.importer.parse(await file.text());
+                await this.renderImportPreview('merge');
+            }
+        } catch (error) {
+            console.error('❌ [Popup] Failed to read import file:', error);
+            this.showError(`Error reading import: ${error.message}`);
+        } finally {
+            // Allow importing the same file again after fixing it
+            this.elements.importListInput.value = '';
+        }
+    }
+    
+    /**
+     * Show what importing the pending records would change
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async renderImportPreview(mode) {
+        if (!this.pendingImport || !this.elements.importPreview) return;
+        
+        const plan = await this.importer.preview(this.pendingImport, mode);
+        const replacing = mode === 'replace';
+        
+        this.elements.importPreview.innerHTML = `
+            <div class="import-modes">
+                <label><input type="radio" name="importMode" value="merge" ${replacing ? '' : 'checked'}> Merge with my lists</label>
+                <label><input type="radio" name="importMode" value="replace" ${replacing ? 'checked' : ''}> Replace my lists</label>
+            </div>
+            ${this.createImportGroupHTML('new', plan.adds)}
+            ${this.createImportGroupHTML('updated from the file', replacing ? [...plan.updates, ...plan.conflicts] : plan.updates)}
+            ${replacing ? '' : this.createImportGroupHTML('changed here since the export, kept as saved', plan.conflicts)}
+            ${this.createImportGroupHTML('removed, not in the file', plan.removals)}
+            ${this.createImportGroupHTML('already up to date', plan.unchanged, false)}
+            ${this.createImportGroupHTML('skipped: missing title, invalid URL or listed twice', plan.invalid, false)}
+            ${this.createImportLimitHTML(plan)}
+            <div class="import-actions">
+                <button class="import-confirm-btn" data-action="confirm-import" ${plan.overLimit > 0 ? 'disabled' : ''}>Import</button>
+                <button class="import-cancel-btn" data-action="cancel-import">Cancel</button>
+            </div>
+        `;
+        this.elements.importPreview.classList.remove('hidden');
+    }
+    
+    /**
+     * Show the column mapping of a spreadsheet and what importing it would add
+     */
+    async renderCsvImportPreview() {
+        if (!this.pendingCsv || !this.elements.importPreview) return;
+        
+        const { table, mapping } = this.pendingCsv;
+        const escape = ExtensionUtils.text.escapeHtml;
+        const plan = await this.importer.preview(this.csvImporter.toRecords(table, mapping), 'add');
+        const fields = { url: 'URL', title: 'Title', price: 'Price', note: 'Notes', tags: 'Tags' };
+        const delimiterNames = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+        const queueChecked = this.elements.importPreview.querySelector('.csv-fill-details')?.checked ?? true;
+        
+        const selects = Object.entries(fields).map(([field, label]) => `
+            <label class="csv-mapping-row">
+                ${label}
+                <select class="csv-mapping-select" data-field="${field}">
+                    <option value="">Not in file</option>
+                    ${table.headers.map((header, i) => `
+                        <option value="${i}" ${mapping[field] === i ? 'selected' : ''}>${escape(header)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+        
+        this.elements.importPreview.innerHTML = `
+            <div class="csv-file-info">${table.rows.length} rows, ${escape(table.encoding.toUpperCase())}, ${delimiterNames[table.delimiter] || escape(table.delimiter)} separated</div>
+            <div class="csv-mapping">${selects}</div>
+            ${this.createImportGroupHTML('new', plan.adds)}
+            ${this.createImportGroupHTML('already in your lists', plan.unchanged, false)}
+            ${this.createImportGroupHTML('skipped: no valid URL or listed twice', plan.invalid, false)}
+            ${this.createImportLimitHTML(plan)}
+            <label class="csv-fill-option">
+                <input type="checkbox" class="csv-fill-details" ${queueChecked ? 'checked' : ''}>
+                Fill in titles and prices from the product pages in the background
+            </label>
+            <div class="import-actions">
+                <button class="import-confirm-btn" data-action="confirm-csv-import" ${mapping.url === null || plan.overLimit > 0 ? 'disabled' : ''}>Import</button>
+                <button class="import-cancel-btn" data-action="cancel-import">Cancel</button>
+            </div>
+        `;
+        this.elements.importPreview.classList.remove('hidden');
+    }
+    
+    /**
+     * Build one group of an import preview: a count and the first few product titles
+     * @param {string} label - What happens to the products
+     * @param {Array} entries - Plan entries ({ record, existing })
+     * @param {boolean} showTitles - Whether to list titles
+     * @returns {string} - HTML, empty for an empty group
+     */
+    createImportGroupHTML(label, entries, showTitles = true) {
+        if (entries.length === 0) return '';
+        
+        const limit = ExtensionConfig.importing.previewLimit;
+        const titles = entries.slice(0, limit).map(({ record, existing }) => `<li>${ExtensionUtils.text.escapeHtml((existing || record).title)}</li>`);
+        if (entries.length > limit) titles.push(`<li>and ${entries.length - limit} more</li>`);
+        
+        return `
+            <div class="import-group">
+                <strong>${entries.length}</strong> ${label}
+                ${showTitles ? `<ul>${titles.join('')}</ul>` : ''}
+            </div>`;
+    }
+    
+    /**
+     * Explain an import that would save more products than this browser can keep
+     * @param {object} plan - Plan from ProductImporter.preview()
+     * @returns {string} - HTML, empty when the import fits
+     */
+    createImportLimitHTML(plan) {
+        if (!plan.overLimit) return '';
+        
+        const limit = ExtensionUtils.storage.getProductLimit();
+        return `<div class="import-limit">This browser can only keep ${limit} saved products. Remove ${plan.overLimit} before importing.</div>`;
+    }
+    
+    async handleConfirmImport() {
+        const mode = this.elements.importPreview?.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+        
+        try {
+            const summary = await this.importer.apply(this.pendingImport || [], mode, this.currentListId);
+            if (!summary) {
+                this.showError('Failed to import products');
+                return;
+            }
+            
+            this.closeImportPreview();
+            await this.loadSavedList();
+            const removed = summary.removed > 0 ? `, ${summary.removed} removed` : '';
+            this.showSuccessMessage(`${ExtensionConfig.messages.success.listImported}: ${summary.added} added, ${summary.updated} updated${removed}`);
+        } catch (error) {
+            console.error('❌ [Popup] Failed to import products:', error);
+            this.showError(`Error importing products: ${error.message}`);
+        }
+    }
+    
+    async handleConfirmCsvImport() {
+        if (!this.pendingCsv) return;
+        
+        const fillDetails = !!this.elements.importPreview?.querySelector('.csv-fill-details')?.checked;
+        try {
+            const records = this.csvImporter.toRecords(this.pendingCsv.table, this.pendingCsv.mapping);
+            const summary = await this.importer.apply(records, 'add', this.currentListId);
+            if (!summary) {
+                this.showError('Failed to import products');
+                return;
+            }
+            
+            this.closeImportPreview();
+            await this.loadSavedList();
+            if (fillDetails && summary.productIds.length > 0) {
+                await this.queueProductChecks(summary.productIds);
+            }
+            this.showSuccessMessage(`${ExtensionConfig.messages.success.listImported}: ${summary.added} added, ${summary.unchanged} already saved`);
+        } catch (error) {
+            console.error('❌ [Popup] Failed to import spreadsheet:', error);
+            this.showError(`Error importing products: ${error.message}`);
+        }
+    }
+    
+    async queueProductChecks(productIds) {
+        try {
+            await chrome.runtime.sendMessage({ action: 'checkProducts', productIds, source: 'import' });
+        } catch (error) {
+            // Imported products are due for a check, so the next scheduled check fills them in
+            console.warn('⚠️ [Popup] Failed to queue checks for imported products:', error);
+        }
+    }
+    
+    closeImportPreview() {
+        this.pendingImport = null;
+        this.pendingCsv = null;
+        this.elements.importPreview?.classList.add('hidden');
+    }
+    
+    /**
+     * Name export files after the list being shown
+     * @returns {string} - File name without date and extension
+     */
+    getExportName() {
+        if (!this.currentListId) return 'shopping-list';
+        const slug = this.getListName(this.currentListId).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `shopping-list-${slug || 'list'}`;
+    }
+    
     updateListCount(count) {
         // The listCount element no longer exists in the new design
         // This method is kept for compatibility but does nothing
@@ -658,8 +1890,11 @@ class ShoppingExtensionPopup {
             
             // Update UI elements
             this.updateStatElement('totalProducts', totalProducts);
-            this.updateStatElement('totalSaved', `$${totalSaved.toFixed(2)}`);
+            this.updateStatElement('totalSaved', ExtensionUtils.money.format(
+                ExtensionUtils.money.fromMajor(totalSaved, this.homeCurrency)
+            ));
             this.updateStatElement('totalDrops', totalDrops);
+            this.updateStatElement('statsNote', `In ${this.homeCurrency} · rates from ${this.rateTable.date}`);
             
         } catch (error) {
             console.error('❌ [Popup] Failed to update statistics:', error);
@@ -668,8 +1903,11 @@ class ShoppingExtensionPopup {
     
     async getTrackingData() {
         try {
-            const result = await chrome.storage.local.get(['price_tracking_data']);
-            return result.price_tracking_data || {};
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) return await repository.getTrackingData();
+
+            const result = await chrome.storage.local.get([ExtensionConfig.storage.keys.trackingData]);
+            return result[ExtensionConfig.storage.keys.trackingData] || {};
         } catch (error) {
             console.error('❌ [Popup] Failed to get tracking data:', error);
             return {};
@@ -686,11 +1924,16 @@ class ShoppingExtensionPopup {
                 // Calculate savings from price drops
                 const history = productTracking.priceHistory;
                 for (let i = 1; i < history.length; i++) {
-                    const currentPrice = this.extractNumericPrice(history[i].price);
-                    const previousPrice = this.extractNumericPrice(history[i-1].price);
+                    // Only compare observations recorded in the same currency
+                    if (history[i].currency !== history[i-1].currency) continue;
                     
-                    if (currentPrice < previousPrice) {
-                        totalSaved += (previousPrice - currentPrice);
+                    // Observations store major-unit numbers, null when the check found no price
+                    const currentPrice = history[i].price;
+                    const previousPrice = history[i-1].price;
+                    
+                    if (currentPrice > 0 && previousPrice > currentPrice) {
+                        const drop = ExtensionUtils.money.fromMajor(previousPrice - currentPrice, history[i].currency);
+                        totalSaved += this.toHomeAmount(drop) || 0;
                         totalDrops++;
                     }
                 }
@@ -700,16 +1943,6 @@ class ShoppingExtensionPopup {
         return { totalSaved, totalDrops };
     }
     
-    extractNumericPrice(priceString) {
-        if (!priceString) return 0;
-        
-        // Remove currency symbols and extract number
-        const cleanPrice = priceString.replace(/[^\d.,]/g, '');
-        const numericPrice = parseFloat(cleanPrice.replace(',', ''));
-        
-        return isNaN(numericPrice) ? 0 : numericPrice;
-    }
-    
     updateStatElement(elementId, value) {
         const element = document.getElementById(elementId);
         if (element) {
@@ -726,12 +1959,12 @@ class ShoppingExtensionPopup {
         console.log('🔍 [Popup] Searching for:', searchTerm);
         
         try {
-            const allProducts = await ExtensionUtils.storage.getProducts();
+            const allProducts = await this.getListProducts();
             const filteredProducts = this.filterProducts(allProducts, searchTerm);
             const sortedProducts = this.sortProducts(filteredProducts, this.elements.sortSelect?.value || 'date');
             
             this.renderProductList(sortedProducts);
-            await this.updateStatistics(allProducts); // Keep stats for all products
+            await this.updateStatistics(allProducts); // Keep stats for the whole list
         } catch (error) {
             console.error('❌ [Popup] Search failed:', error);
         }
@@ -743,7 +1976,7 @@ class ShoppingExtensionPopup {
         console.log('🔄 [Popup] Sorting by:', sortBy);
         
         try {
-            const allProducts = await ExtensionUtils.storage.getProducts();
+            const allProducts = await this.getListProducts();
             const filteredProducts = this.filterProducts(allProducts, searchTerm);
             const sortedProducts = this.sortProducts(filteredProducts, sortBy);
             
@@ -760,7 +1993,10 @@ class ShoppingExtensionPopup {
             const searchableText = [
                 product.title,
                 product.price,
-                this.extractDomain(product.url)
+                this.extractDomain(product.url),
+                ...(product.tags || []).map(tag => `#${tag}`),
+                product.note,
+                product.variant
             ].join(' ').toLowerCase();
             
             return searchableText.includes(searchTerm);
@@ -776,11 +2012,20 @@ class ShoppingExtensionPopup {
                 break;
             case 'price':
                 sortedProducts.sort((a, b) => {
-                    const priceA = this.extractNumericPrice(a.price);
-                    const priceB = this.extractNumericPrice(b.price);
+                    const priceA = this.toHomeAmount(a.priceMoney || ExtensionUtils.money.parse(a.price, a.priceHints));
+                    const priceB = this.toHomeAmount(b.priceMoney || ExtensionUtils.money.parse(b.price, b.priceHints));
+                    // Prices that can't be converted go last
+                    if (priceA === null || priceB === null) return (priceA === null) - (priceB === null);
                     return priceA - priceB;
                 });
                 break;
+            case 'priority':
+                sortedProducts.sort((a, b) => {
+                    // Highest priority first, products without one last, newest first within a priority
+                    const priorityDiff = (b.priority || 0) - (a.priority || 0);
+                    return priorityDiff || new Date(b.dateAdded) - new Date(a.dateAdded);
+                });
+                break;
             case 'savings':
                 sortedProducts.sort((a, b) => {
                     const savingsA = this.calculateProductSavings(a);
@@ -798,9 +2043,13 @@ class ShoppingExtensionPopup {
     }
     
     calculateProductSavings(product) {
-        // This would need tracking data to calculate actual savings
-        // For now, return 0 as placeholder
-        return 0;
+        // Drop from the price when the product was saved, in the home currency
+        const current = product.priceMoney || ExtensionUtils.money.parse(product.price, product.priceHints);
+        const saved = product.savedPriceMoney || ExtensionUtils.money.parse(product.savedPrice, product.priceHints);
+        const difference = ExtensionUtils.money.compare(saved, current);
+        if (!(difference > 0)) return 0;
+        
+        return this.toHomeAmount({ amount: difference, currency: current.currency, raw: null }) || 0;
     }
     
     async handleTrackCurrent() {
@@ -823,14 +2072,14 @@ class ShoppingExtensionPopup {
                 title: result.title,
                 price: result.price,
                 url: result.url,
+                availability: result.availability || null,
+                priceHints: result.priceHints || null,
+                canonicalUrl: result.canonicalUrl || null,
                 dateAdded: new Date().toISOString()
             };
             
-            // Generate ID for the product
-            product.id = ExtensionUtils.generateId();
-            
             // Add to list directly
-            const success = await ExtensionUtils.storage.addProduct(product);
+            const success = await ExtensionUtils.storage.addProduct(product, this.currentListId);
             
             if (success) {
                 this.showSuccessMessage('Product tracked successfully!');
@@ -0,0 +1,196 @@
+/**
+ * AlertPolicy - Decides which price alerts may be sent
+ * Detects alert events from consecutive price observations and filters them
+ * through the user's global switch, per-rule toggles and per-rule cooldowns
+ */
+class AlertPolicy {
+    constructor() {
+        this.stateKey = ExtensionConfig.storage.keys.alertState;
+    }
+
+    /**
+     * Get the alert events allowed for a freshly checked product
+     * @param {object} product - Product with the live price
+     * @param {object} observation - Observation recorded for this check
+     * @param {Array} history - Earlier observations, oldest first
+     * @returns {Promise<Array>} - Allowed alerts with rule, title and message
+     */
+    async evaluate(product, observation, history) {
+        const settings = await this.getAlertSettings();
+        if (!settings.enabled) {
+            console.log('🔕 [AlertPolicy] Alerts are turned off');
+            return [];
+        }
+
+        const events = this.detectEvents(product, observation, history || []);
+        if (events.length === 0) return [];
+
+        // Checking and recording cooldowns in one mutation keeps concurrent checks from both sending an alert
+        const allowed = await ExtensionUtils.storage.mutate(async () => {
+            const state = await this.getState();
+            const productState = state[product.id] || {};
+            const now = Date.now();
+
+            const allowedRules = events.filter(event => {
+                const rule = settings.rules[event.rule];
+                if (!rule || !rule.enabled) return false;
+
+                const lastFired = productState[event.rule];
+                return !lastFired || now - new Date(lastFired).getTime() >= rule.cooldownMinutes * 60 * 1000;
+            });
+            // A price drop to a new low is only announced once, as the all-time low when that rule may fire
+            const permitted = allowedRules.filter(event => !allowedRules.some(other => other.rule === event.supersededBy));
+
+            if (permitted.length > 0) {
+                permitted.forEach(event => {
+                    productState[event.rule] = new Date(now).toISOString();
+                });
+                await this.saveState({ ...state, [product.id]: productState });
+            }
+            return permitted;
+        });
+
+        console.log(`🔔 [AlertPolicy] ${allowed.length}/${events.length} alerts allowed for ${product.title}`);
+        return allowed;
+    }
+
+    /**
+     * Check whether a rule is enabled, including the global switch
+     * @param {string} ruleName - Rule name from ExtensionConfig.defaultSettings.alerts.rules
+     * @returns {Promise<boolean>} - True if alerts for the rule may be sent
+     */
+    async isEnabled(ruleName) {
+        const settings = await this.getAlertSettings();
+        return settings.enabled && !!settings.rules[ruleName]?.enabled;
+    }
+
+    /**
+     * Detect alert events by comparing the new observation with the history
+     * @param {object} product - Product with the live price
+     * @param {object} observation - Observation recorded for this check
+     * @param {Array} history - Earlier observations, oldest first
+     * @returns {Array} - Detected events; a drop to a new low gives both an allTimeLow and a priceDrop
+     *                    event, the latter with supersededBy: 'allTimeLow'
+     */
+    detectEvents(product, observation, history) {
+        const previous = history[history.length - 1];
+        if (!previous) return [];
+
+        const events = [];
+        const currency = observation.currency;
+        const priorPrices = history
+            .filter(entry => entry.currency === currency && entry.price > 0)
+            .map(entry => entry.price);
+        // Sold-out checks can have no price, so compare with the last check that had one
+        const lastPriced = [...history].reverse().find(entry => entry.price > 0);
+        const comparable = observation.price > 0 && lastPriced?.currency === currency;
+
+        const allTimeLow = comparable && priorPrices.length >= 2 && observation.price < Math.min(...priorPrices);
+        if (allTimeLow) {
+            events.push({
+                rule: 'allTimeLow',
+                title: '🏆 New All-Time Low!',
+                message: `${product.title} is at its lowest price yet: ${this.formatAmount(observation.price, currency)}`
+            });
+        }
+        // Also detected for a new low, so the drop is still announced when the all-time low rule is off or cooling down
+        if (comparable && observation.price < lastPriced.price) {
+            events.push({
+                rule: 'priceDrop',
+                title: '📉 Price Drop!',
+                message: `${product.title} dropped from ${this.formatAmount(lastPriced.price, currency)} to ${this.formatAmount(observation.price, currency)}`,
+                ...(allTimeLow ? { supersededBy: 'allTimeLow' } : {})
+            });
+        }
+
+        if (!previous.isOnSale && observation.isOnSale) {
+            const price = observation.price > 0 ? ` for ${this.formatAmount(observation.price, currency)}` : '';
+            events.push({
+                rule: 'saleStarted',
+                title: '🏷️ Sale Started!',
+                message: `${product.title} is on sale${price}`
+            });
+        } else if (previous.isOnSale && !observation.isOnSale) {
+            events.push({
+                rule: 'saleEnded',
+                title: '⌛ Sale Ended',
+                message: `The sale on ${product.title} has ended`
+            });
+        }
+
+        const { purchasable, unavailable } = ExtensionConfig.availability;
+        const lastKnown = [...history].reverse().find(entry => entry.availability)?.availability;
+        if (unavailable.includes(lastKnown) && purchasable.includes(observation.availability)) {
+            const price = observation.price > 0 ? ` at ${this.formatAmount(observation.price, currency)}` : '';
+            events.push({
+                rule: 'backInStock',
+                title: '📦 Back in Stock!',
+                message: `${product.title} is available again${price}`
+            });
+        }
+
+        return events;
+    }
+
+    /**
+     * Format an amount with its currency for notification text
+     * @param {number} amount - Numeric price
+     * @param {string|null} currency - ISO 4217 code
+     * @returns {string} - Formatted price
+     */
+    formatAmount(amount, currency) {
+        try {
+            if (currency) {
+                return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+            }
+        } catch (error) {
+            // Unknown currency code - fall through to plain formatting
+        }
+        return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+    }
+
+    /**
+     * Get the alert section of the user settings
+     */
+    async getAlertSettings() {
+        const settings = await ExtensionUtils.storage.getSettings();
+        return settings.alerts;
+    }
+
+    /**
+     * Get last-fired timestamps keyed by product ID and rule
+     */
+    async getState() {
+        try {
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) return await repository.getAlertState();
+
+            const result = await chrome.storage.local.get([this.stateKey]);
+            return result[this.stateKey] || {};
+        } catch (error) {
+            console.error('❌ [AlertPolicy] Failed to get alert state:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save last-fired timestamps
+     */
+    async saveState(state) {
+        try {
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) {
+                await repository.saveAlertState(state);
+                return;
+            }
+            await chrome.storage.local.set({ [this.stateKey]: state });
+        } catch (error) {
+            console.error('❌ [AlertPolicy] Failed to save alert state:', error);
+        }
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertPolicy;
+}
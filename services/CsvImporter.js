@@ -0,0 +1,242 @@
+/**
+ * CsvImporter - Reads product lists from spreadsheets and other wishlist tools
+ * The file's encoding and delimiter are detected, the user maps its columns to URL, title,
+ * price, note and tags, and each row becomes a record for ProductImporter in 'add' mode,
+ * which skips products that are already saved. Fields a row leaves empty are listed in the
+ * record's needsDetails and filled in by the product's first price check.
+ */
+class CsvImporter {
+    constructor() {
+        this.config = ExtensionConfig.csvImport;
+    }
+
+    /**
+     * Read a CSV file
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {object} - { encoding, delimiter, headers, rows }; headers are "Column 1", "Column 2"...
+     *                     when the first row already holds a product
+     * @throws {Error} - If the file has no rows
+     */
+    read(buffer) {
+        const { text, encoding } = this.decode(buffer);
+        const delimiter = this.detectDelimiter(text);
+        const rows = this.parseRows(text, delimiter);
+        if (rows.length === 0) {
+            throw new Error('The file does not contain any rows');
+        }
+
+        const width = Math.max(...rows.map(row => row.length));
+        const hasHeader = !rows[0].some(cell => this.isUrl(cell));
+        const headers = hasHeader ?
+            Array.from({ length: width }, (_, i) => (rows[0][i] || '').trim() || `Column ${i + 1}`) :
+            Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+
+        return { encoding, delimiter, headers, rows: hasHeader ? rows.slice(1) : rows };
+    }
+
+    /**
+     * Turn file bytes into text
+     * A byte order mark decides the encoding; without one, text that is not valid UTF-8
+     * is read with the fallback encoding
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {object} - { text, encoding }
+     */
+    decode(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+        }
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (error) {
+            return { text: new TextDecoder(this.config.fallbackEncoding).decode(bytes), encoding: this.config.fallbackEncoding };
+        }
+    }
+
+    /**
+     * Pick the delimiter that splits the first lines into the same number of columns most often
+     * @param {string} text - CSV text
+     * @returns {string} - Delimiter, a comma if nothing splits the lines
+     */
+    detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).slice(0, this.config.sampleLines).join('\n');
+        let best = { delimiter: ',', consistent: 0, columns: 1 };
+
+        this.config.delimiters.forEach(delimiter => {
+            const rows = this.parseRows(sample, delimiter);
+            const columns = rows[0]?.length || 0;
+            const consistent = rows.filter(row => row.length === columns).length;
+            if (columns > 1 && (consistent > best.consistent || (consistent === best.consistent && columns > best.columns))) {
+                best = { delimiter, consistent, columns };
+            }
+        });
+        return best.delimiter;
+    }
+
+    /**
+     * Split CSV text into rows of cells
+     * Quoted cells may hold delimiters, line breaks and doubled quotes (RFC 4180); blank lines are skipped
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array<Array<string>>} - Rows
+     */
+    parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let cellStart = true;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char !== '"') {
+                    cell += char;
+                } else if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"' && cellStart) {
+                quoted = true;
+                cellStart = false;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+                cellStart = true;
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+                cellStart = true;
+            } else {
+                cell += char;
+                cellStart = false;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Guess which column holds which field from the header names, or for the URL,
+     * from the first column whose cells look like links
+     * @param {object} table - Table from read()
+     * @returns {object} - Column index by field (url, title, price, note, tags), null if not found
+     */
+    guessMapping(table) {
+        const names = table.headers.map(header => header.trim().toLowerCase());
+        const mapping = {};
+
+        Object.entries(this.config.headerAliases).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => names.includes(name));
+            mapping[field] = alias ? names.indexOf(alias) : null;
+        });
+
+        if (mapping.url === null) {
+            const sample = table.rows.slice(0, this.config.sampleLines);
+            const index = table.headers.findIndex((_, i) => sample.some(row => this.isUrl(row[i])));
+            mapping.url = index >= 0 ? index : null;
+        }
+        return mapping;
+    }
+
+    /**
+     * Build import records from the rows
+     * Rows without a title get one made from the URL; rows without a readable price get
+     * the "no price" text. Both are listed in needsDetails for the first price check to fill in.
+     * @param {object} table - Table from read()
+     * @param {object} mapping - Column index by field, from guessMapping() or picked by the user
+     * @returns {Array} - Records for ProductImporter
+     */
+    toRecords(table, mapping) {
+        return table.rows.map(row => {
+            const cell = (field) => (Number.isInteger(mapping[field]) ? row[mapping[field]] || '' : '').trim();
+            const link = cell('url');
+            const url = this.toProductUrl(link);
+            const title = ExtensionUtils.text.normalize(cell('title'));
+            const price = cell('price');
+            const hasPrice = !!ExtensionUtils.money.parse(price);
+
+            const record = {
+                title: title || this.getTitleFromUrl(url),
+                price: hasPrice ? price : ExtensionConfig.messages.notFound.price,
+                url,
+                domain: this.getDomain(url),
+                needsDetails: [...(title ? [] : ['title']), ...(hasPrice ? [] : ['price'])]
+            };
+            if (cell('note')) record.note = cell('note');
+            if (cell('tags')) record.tags = cell('tags');
+            return record;
+        });
+    }
+
+    /**
+     * Turn a cell into a product URL, adding https:// to bare addresses
+     * Cells with another scheme (javascript:, data:, mailto:...) are not links to a product page
+     * @param {string} link - URL cell text
+     * @returns {string} - http(s) URL, or an empty string
+     */
+    toProductUrl(link) {
+        const hasHttp = /^https?:\/\//i.test(link);
+        if (!link || (!hasHttp && /^[a-z][a-z\d+.-]*:(?!\d)/i.test(link))) return '';
+
+        const url = hasHttp ? link : ExtensionUtils.url.normalize(link);
+        try {
+            const parsed = new URL(url);
+            return /^https?:$/.test(parsed.protocol) && parsed.hostname ? url : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Make a stand-in title from a URL until the page's title is known
+     * @param {string} url - Product URL
+     * @returns {string} - Host and path, or an empty string for an invalid URL
+     */
+    getTitleFromUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * @param {string} url - Product URL
+     * @returns {string|null} - Host name
+     */
+    getDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} value - Cell text
+     * @returns {boolean} - True for cells that hold an http(s) link or a bare "www." address
+     */
+    isUrl(value) {
+        return /^(https?:\/\/|www\.)\S+$/i.test((value || '').trim());
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImporter;
+}
@@ -0,0 +1,152 @@
+/**
+ * ExchangeRates - Offline currency conversion
+ * Converts money values with the rate table bundled in ExtensionConfig, or with a table
+ * the user edited or imported from a JSON or CSV file. Rates are never fetched from the network.
+ */
+class ExchangeRates {
+    constructor() {
+        this.storageKey = ExtensionConfig.storage.keys.exchangeRates;
+    }
+
+    /**
+     * Get the rate table in use
+     * @returns {Promise<object>} - { base, date, rates, source } with source 'bundled' or 'user'
+     */
+    async getTable() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            if (result[this.storageKey]) {
+                return { ...result[this.storageKey], source: 'user' };
+            }
+        } catch (error) {
+            console.error('❌ [ExchangeRates] Failed to get exchange rates:', error);
+        }
+        return { ...ExtensionConfig.exchangeRates, source: 'bundled' };
+    }
+
+    /**
+     * Store a rate table in place of the bundled one
+     * @param {object} table - { base, date, rates }
+     * @returns {Promise<object>} - The normalized table that was stored
+     * @throws {Error} - If the table has no valid rates
+     */
+    async saveTable(table) {
+        const normalized = this.normalizeTable(table);
+        await chrome.storage.local.set({ [this.storageKey]: normalized });
+        console.log(`💱 [ExchangeRates] Saved ${Object.keys(normalized.rates).length} rates from ${normalized.date}`);
+        return normalized;
+    }
+
+    /**
+     * Go back to the bundled rate table
+     */
+    async resetTable() {
+        await chrome.storage.local.remove(this.storageKey);
+        console.log('💱 [ExchangeRates] Using the bundled exchange rates');
+    }
+
+    /**
+     * Read a rate table from JSON or CSV text
+     * JSON is { "base": "USD", "date": "2025-06-30", "rates": { "EUR": 0.85 } } or just the rates object.
+     * CSV has one "currency,rate" row per currency and an optional "date,2025-06-30" row.
+     * @param {string} text - File contents or text typed by the user
+     * @returns {object} - Normalized table
+     * @throws {Error} - If the text is not a valid rate table
+     */
+    parse(text) {
+        const trimmed = (text || '').trim();
+        if (trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            return this.normalizeTable(data.rates ? data : { rates: data });
+        }
+        return this.normalizeTable(this.parseCsv(trimmed));
+    }
+
+    /**
+     * Read CSV rows into a table; a header row and blank or # comment lines are skipped
+     * @param {string} text - CSV text, comma or semicolon separated
+     * @returns {object} - { base, date, rates } before validation
+     */
+    parseCsv(text) {
+        const table = { base: null, date: null, rates: {} };
+
+        text.split(/\r?\n/).forEach(line => {
+            // Semicolon and tab separated files often use a decimal comma ("EUR;0,85")
+            const delimiter = /[;\t]/.test(line) ? /[;\t]/ : ',';
+            const [key = '', value = ''] = line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+            if (!key || key.startsWith('#')) return;
+
+            const name = key.toLowerCase();
+            if (name === 'date' || name === 'base') {
+                table[name] = value || null;
+            } else if (name !== 'currency' && name !== 'code') {
+                table.rates[key] = value;
+            }
+        });
+        return table;
+    }
+
+    /**
+     * Write a table as CSV in the format parse() reads, for editing by hand
+     * @param {object} table - Rate table
+     * @returns {string} - CSV text
+     */
+    toCsv(table) {
+        const rows = Object.entries(table.rates).map(([currency, rate]) => `${currency},${rate}`);
+        return [`date,${table.date}`, ...rows].join('\n');
+    }
+
+    /**
+     * Validate a table and bring it into the stored shape
+     * @param {object} table - { base, date, rates } with rates as numbers or numeric strings
+     * @returns {object} - { base, date, rates } with upper-case codes and numeric rates;
+     *                     date defaults to today and base to the currency with rate 1
+     * @throws {Error} - If a rate is not positive or a code is not ISO 4217 shaped
+     */
+    normalizeTable(table) {
+        const entries = Object.entries(table?.rates || {});
+        if (entries.length === 0) {
+            throw new Error(ExtensionConfig.messages.errors.invalidRates);
+        }
+
+        const rates = {};
+        entries.forEach(([code, value]) => {
+            const currency = String(code).trim().toUpperCase();
+            const rate = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+            if (!/^[A-Z]{3}$/.test(currency) || !Number.isFinite(rate) || rate <= 0) {
+                throw new Error(`${ExtensionConfig.messages.errors.invalidRates} (${code})`);
+            }
+            rates[currency] = rate;
+        });
+
+        const date = table.date && !isNaN(new Date(table.date).getTime()) ?
+            String(table.date) : new Date().toISOString().slice(0, 10);
+        const base = table.base && rates[String(table.base).toUpperCase()] ?
+            String(table.base).toUpperCase() : Object.keys(rates).find(currency => rates[currency] === 1) || null;
+
+        return { base, date, rates };
+    }
+
+    /**
+     * Convert a money value to another currency
+     * @param {object} money - Money value from ExtensionUtils.money
+     * @param {string} currency - Target ISO 4217 code
+     * @param {object} table - Rate table from getTable()
+     * @returns {object|null} - Converted money value, or null if either rate is missing
+     */
+    convert(money, currency, table) {
+        if (!ExtensionUtils.money.isMoney(money) || !money.currency) return null;
+        if (money.currency === currency) return money;
+
+        const from = table.rates[money.currency];
+        const to = table.rates[currency];
+        if (!from || !to) return null;
+
+        return ExtensionUtils.money.fromMajor(ExtensionUtils.money.toMajor(money) / from * to, currency);
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExchangeRates;
+}
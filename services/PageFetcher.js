@@ -0,0 +1,99 @@
+/**
+ * PageFetcher - Background page loader
+ * Opens a product URL in an inactive tab and reads it through the content
+ * script's SimplePageExtractor, so the service worker can get live prices
+ */
+class PageFetcher {
+    constructor(options = {}) {
+        this.pageTimeout = options.pageTimeout || ExtensionConfig.timing.pageTimeout;
+        this.settleDelay = options.settleDelay !== undefined ?
+            options.settleDelay : ExtensionConfig.timing.dynamicContentDelay;
+        this.messageTimeout = options.messageTimeout || 10000;
+    }
+
+    /**
+     * Loads a page in a background tab and returns the extracted page info
+     * @param {string} url - Product page URL
+     * @returns {Promise<object>} - Page info from the content script (title, price, url, domain)
+     */
+    async fetchPageInfo(url) {
+        console.log('🌐 [PageFetcher] Loading page in background tab:', url);
+
+        const tab = await chrome.tabs.create({ url, active: false });
+
+        try {
+            await this.waitForTabComplete(tab.id);
+
+            // Let the extractor pick up prices rendered after the load event
+            await ExtensionUtils.async.delay(this.settleDelay);
+
+            const pageInfo = await ExtensionUtils.chrome.sendMessageToTab(
+                tab.id,
+                { action: 'getPageInfo' },
+                this.messageTimeout
+            );
+
+            if (!pageInfo || pageInfo.error) {
+                throw new Error(ExtensionConfig.messages.errors.contentScriptError);
+            }
+
+            console.log('✅ [PageFetcher] Page info received:', pageInfo.title);
+            return pageInfo;
+        } finally {
+            await this.closeTab(tab.id);
+        }
+    }
+
+    /**
+     * Waits until a tab reports status "complete"
+     * @param {number} tabId - ID of the tab
+     * @returns {Promise} - Resolves when loaded, rejects on timeout
+     */
+    waitForTabComplete(tabId) {
+        return new Promise((resolve, reject) => {
+            const onUpdated = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                    finish();
+                    resolve();
+                }
+            };
+
+            const timeoutId = setTimeout(() => {
+                finish();
+                reject(new Error(ExtensionConfig.messages.errors.timeout));
+            }, this.pageTimeout);
+
+            const finish = () => {
+                clearTimeout(timeoutId);
+                chrome.tabs.onUpdated.removeListener(onUpdated);
+            };
+
+            chrome.tabs.onUpdated.addListener(onUpdated);
+
+            // The tab may already have finished loading before the listener was attached
+            chrome.tabs.get(tabId).then((tab) => {
+                if (tab && tab.status === 'complete') {
+                    finish();
+                    resolve();
+                }
+            }).catch(() => {});
+        });
+    }
+
+    /**
+     * Closes a background tab, ignoring tabs the user already closed
+     * @param {number} tabId - ID of the tab
+     */
+    async closeTab(tabId) {
+        try {
+            await chrome.tabs.remove(tabId);
+        } catch (error) {
+            console.log('⚠️ [PageFetcher] Tab already closed:', tabId);
+        }
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageFetcher;
+}
@@ -0,0 +1,286 @@
+/**
+ * PriceCheckQueue - Persisted job queue for background price checks
+ * Runs a limited number of checks at a time, spaces out checks on the same
+ * retailer and retries failed checks after ExtensionConfig.timing.retryDelays.
+ * Jobs are stored in chrome.storage so a suspended service worker resumes them.
+ */
+class PriceCheckQueue {
+    /**
+     * @param {object} options - Optional overrides
+     * @param {Function} options.worker - Runs a job, rejects to have it retried
+     * @param {number} options.concurrency - Jobs run at the same time
+     * @param {number} options.domainInterval - Minimum ms between two jobs on the same domain
+     * @param {Array<number>} options.retryDelays - Delay in ms before each retry
+     * @param {number} options.maxAttempts - Attempts before a job is dropped
+     */
+    constructor(options = {}) {
+        const defaults = ExtensionConfig.priceTracking.queue;
+        this.storageKey = ExtensionConfig.storage.keys.checkQueue;
+        this.worker = options.worker || null;
+        this.concurrency = options.concurrency || defaults.concurrency;
+        this.domainInterval = options.domainInterval ?? defaults.domainInterval;
+        this.retryDelays = options.retryDelays || ExtensionConfig.timing.retryDelays;
+        this.maxAttempts = options.maxAttempts || ExtensionConfig.timing.maxRetryAttempts;
+        this.state = null;
+        this.active = new Map();
+        this.processing = null;
+    }
+
+    /**
+     * Set the function that runs each job
+     * @param {Function} worker - Receives the job, rejects to have it retried
+     */
+    setWorker(worker) {
+        this.worker = worker;
+    }
+
+    /**
+     * Add price checks for products that are not queued yet and start processing
+     * @param {Array} products - Products to check
+     * @param {string} source - What triggered the checks
+     * @returns {Promise<number>} - Number of jobs added
+     */
+    async enqueue(products, source = 'scheduled') {
+        const state = await this.loadState();
+        const queued = new Set(state.jobs.map(job => job.productId));
+
+        const jobs = products
+            .filter(product => !queued.has(product.id))
+            .map(product => ({
+                productId: product.id,
+                title: product.title,
+                domain: this.getDomain(product),
+                source,
+                status: 'pending',
+                attempts: 0,
+                notBefore: 0,
+                enqueuedAt: new Date().toISOString()
+            }));
+
+        if (jobs.length > 0) {
+            state.jobs.push(...jobs);
+            await this.saveState();
+            console.log(`📥 [PriceCheckQueue] Queued ${jobs.length} price checks`);
+        }
+
+        return jobs.length;
+    }
+
+    /**
+     * Pick up jobs left behind by a suspended service worker and process them
+     * @returns {Promise} - Resolves when the queue is empty
+     */
+    async resume() {
+        const state = await this.loadState();
+        if (state.jobs.length === 0) return;
+
+        console.log(`▶️ [PriceCheckQueue] Resuming ${state.jobs.length} queued price checks`);
+        return this.run();
+    }
+
+    /**
+     * Process queued jobs until the queue is empty
+     * @returns {Promise} - Resolves when the queue is empty
+     */
+    run() {
+        if (!this.processing) {
+            this.processing = this.processJobs().finally(() => {
+                this.processing = null;
+            });
+        }
+        return this.processing;
+    }
+
+    /**
+     * Start runnable jobs and wait for free slots, retry delays or domain intervals
+     */
+    async processJobs() {
+        if (!this.worker) {
+            console.error('❌ [PriceCheckQueue] No worker set - cannot process price checks');
+            return;
+        }
+
+        const state = await this.loadState();
+
+        while (state.jobs.length > 0) {
+            const now = Date.now();
+            for (const job of this.getRunnableJobs(state, now)) {
+                this.startJob(state, job, now);
+            }
+            await this.saveState();
+
+            const waitTime = this.getWaitTime(state, now);
+            const waits = [...this.active.values()];
+            if (waitTime !== null) {
+                waits.push(ExtensionUtils.async.delay(waitTime));
+            }
+            if (waits.length === 0) break;
+
+            await Promise.race(waits);
+        }
+
+        console.log('✅ [PriceCheckQueue] All queued price checks processed');
+    }
+
+    /**
+     * Get pending jobs that may start now without exceeding the concurrency
+     * limit or checking a domain too soon
+     * @param {object} state - Queue state
+     * @param {number} now - Current time in ms
+     * @returns {Array} - Jobs to start
+     */
+    getRunnableJobs(state, now) {
+        const slots = this.concurrency - this.active.size;
+        const busyDomains = new Set(state.jobs.filter(job => job.status === 'running').map(job => job.domain));
+        const runnable = [];
+
+        for (const job of state.jobs) {
+            if (runnable.length >= slots) break;
+            if (job.status !== 'pending' || job.notBefore > now) continue;
+            if (busyDomains.has(job.domain) || this.getDomainReadyTime(state, job.domain) > now) continue;
+
+            runnable.push(job);
+            busyDomains.add(job.domain);
+        }
+
+        return runnable;
+    }
+
+    /**
+     * Get how long to wait until the next pending job could start
+     * Jobs on a domain with a running job wait for that job instead
+     * @param {object} state - Queue state
+     * @param {number} now - Current time in ms
+     * @returns {number|null} - Wait in ms, or null if no pending job is waiting on time
+     */
+    getWaitTime(state, now) {
+        const busyDomains = new Set(state.jobs.filter(job => job.status === 'running').map(job => job.domain));
+        const readyTimes = state.jobs
+            .filter(job => job.status === 'pending' && !busyDomains.has(job.domain))
+            .map(job => Math.max(job.notBefore, this.getDomainReadyTime(state, job.domain)));
+
+        if (readyTimes.length === 0 || this.active.size >= this.concurrency) return null;
+        return Math.max(0, Math.min(...readyTimes) - now);
+    }
+
+    /**
+     * Get the earliest time the next job on a domain may start
+     */
+    getDomainReadyTime(state, domain) {
+        return (state.domains[domain] || 0) + this.domainInterval;
+    }
+
+    /**
+     * Mark a job as running and run it in the background
+     */
+    startJob(state, job, now) {
+        job.status = 'running';
+        state.domains[job.domain] = now;
+
+        const run = this.executeJob(state, job).finally(() => {
+            this.active.delete(job.productId);
+        });
+        this.active.set(job.productId, run);
+    }
+
+    /**
+     * Run a job, then remove it or schedule its retry
+     */
+    async executeJob(state, job) {
+        try {
+            await this.worker(job);
+            this.removeJob(state, job);
+        } catch (error) {
+            job.attempts += 1;
+
+            if (job.attempts >= this.maxAttempts) {
+                console.error(`❌ [PriceCheckQueue] Giving up on ${job.title} after ${job.attempts} attempts:`, error);
+                this.removeJob(state, job);
+            } else {
+                const retryDelay = this.getRetryDelay(job.attempts);
+                console.warn(`⚠️ [PriceCheckQueue] Check for ${job.title} failed - retrying in ${retryDelay}ms`);
+                job.status = 'pending';
+                job.notBefore = Date.now() + retryDelay;
+            }
+        }
+
+        await this.saveState();
+    }
+
+    /**
+     * Get the delay before a retry, reusing the last delay once the list runs out
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} - Delay in ms
+     */
+    getRetryDelay(attempts) {
+        return this.retryDelays[Math.min(attempts, this.retryDelays.length) - 1];
+    }
+
+    /**
+     * Remove a finished or abandoned job
+     */
+    removeJob(state, job) {
+        const index = state.jobs.indexOf(job);
+        if (index !== -1) {
+            state.jobs.splice(index, 1);
+        }
+    }
+
+    /**
+     * Get the domain used for rate limiting
+     */
+    getDomain(product) {
+        if (product.domain) return product.domain;
+
+        try {
+            return new URL(product.url).hostname;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Load the queue state from storage once per service worker lifetime
+     * Jobs stored as running were interrupted by a suspension and are run again
+     * without counting an attempt
+     * @returns {Promise<object>} - State with jobs and last check time per domain
+     */
+    async loadState() {
+        if (!this.state) {
+            try {
+                const result = await chrome.storage.local.get([this.storageKey]);
+                this.state = { jobs: [], domains: {}, ...result[this.storageKey] };
+                this.state.jobs.forEach(job => {
+                    if (job.status === 'running') job.status = 'pending';
+                });
+            } catch (error) {
+                console.error('❌ [PriceCheckQueue] Failed to load queue:', error);
+                this.state = { jobs: [], domains: {} };
+            }
+        }
+        return this.state;
+    }
+
+    /**
+     * Persist the queue state, dropping domain times that no longer limit anything
+     */
+    async saveState() {
+        const cutoff = Date.now() - this.domainInterval;
+        Object.keys(this.state.domains).forEach(domain => {
+            if (this.state.domains[domain] < cutoff) {
+                delete this.state.domains[domain];
+            }
+        });
+
+        try {
+            await chrome.storage.local.set({ [this.storageKey]: this.state });
+        } catch (error) {
+            console.error('❌ [PriceCheckQueue] Failed to save queue:', error);
+        }
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceCheckQueue;
+}
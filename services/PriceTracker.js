@@ -1,35 +1,113 @@
 /**
- * PriceTracker - Test Version
- * Modified for testing: 5-minute checks, notify when price remains the same
+ * PriceTracker - Periodic live price checks
+ * Records each product's price history and sends the alerts allowed by the alert policy
  */
 class PriceTracker {
-    constructor() {
+    /**
+     * @param {object} options - Optional dependencies
+     * @param {PageFetcher} options.pageFetcher - Loads product pages to read live prices
+     * @param {Function} options.notify - Sends alert notifications (background sendSaleNotification)
+     * @param {AlertPolicy} options.alertPolicy - Decides which alerts may be sent
+     * @param {PriceCheckQueue} options.checkQueue - Throttles and persists checks; without it products are checked in turn
+     */
+    constructor(options = {}) {
         this.alarmName = 'productionPriceCheck';
-        this.storageKey = 'price_tracking_data';
+        this.storageKey = ExtensionConfig.storage.keys.trackingData;
+        this.pageFetcher = options.pageFetcher || null;
+        this.notify = options.notify || null;
+        this.alertPolicy = options.alertPolicy || null;
+        this.checkQueue = options.checkQueue || null;
+        if (this.checkQueue) {
+            this.checkQueue.setWorker((job) => this.runQueuedCheck(job));
+        }
         this.setupAlarmListener();
         this.setupProductionAlarm();
     }
 
     /**
-     * Set up 12-hour alarm for production
+     * Set up the price check alarm to tick at the shortest check interval in use
+     * Clears the alarm when every check is turned off
      */
     async setupProductionAlarm() {
         try {
-            // Clear existing alarm
+            const settings = await ExtensionUtils.storage.getSettings();
+            const products = await this.getProducts();
+            const tickMinutes = this.getTickInterval(products, settings);
+
+            if (tickMinutes === null) {
+                await chrome.alarms.clear(this.alarmName);
+                console.log('🔕 [PriceTracker] Price checks are turned off');
+                return;
+            }
+
+            // Keep a running alarm so that rescheduling does not postpone the next tick
+            const existing = await chrome.alarms.get(this.alarmName);
+            if (existing && existing.periodInMinutes === tickMinutes) {
+                return;
+            }
+
             await chrome.alarms.clear(this.alarmName);
-            
-            // Create new alarm - check every 12 hours (720 minutes)
             await chrome.alarms.create(this.alarmName, {
-                delayInMinutes: 720,
-                periodInMinutes: 720
+                delayInMinutes: tickMinutes,
+                periodInMinutes: tickMinutes
             });
             
-            console.log('✅ [PriceTracker] Production alarm set up - checking every 12 hours');
+            console.log(`✅ [PriceTracker] Price check alarm set up - ticking every ${tickMinutes} minutes`);
         } catch (error) {
             console.error('❌ [PriceTracker] Failed to set up production alarm:', error);
         }
     }
 
+    /**
+     * Get how often a product is checked
+     * @param {object} product - Saved product, optionally with a checkFrequency override
+     * @param {object} settings - User settings
+     * @returns {number|null} - Interval in minutes, or null if the product is not checked
+     */
+    getCheckInterval(product, settings) {
+        const frequencies = ExtensionConfig.priceTracking.frequencies;
+        const frequency = product.checkFrequency in frequencies ?
+            product.checkFrequency : settings.schedule.frequency;
+
+        return frequencies[frequency] ?? null;
+    }
+
+    /**
+     * Get the alarm period: the shortest interval among the global schedule and product overrides
+     * @param {Array} products - Saved products
+     * @param {object} settings - User settings
+     * @returns {number|null} - Period in minutes, or null if nothing is checked
+     */
+    getTickInterval(products, settings) {
+        const intervals = [{}, ...products]
+            .map(product => this.getCheckInterval(product, settings))
+            .filter(interval => interval !== null);
+
+        return intervals.length > 0 ? Math.min(...intervals) : null;
+    }
+
+    /**
+     * Get the products whose check interval has elapsed since their last check
+     * @param {Array} products - Saved products
+     * @param {object} trackingData - Tracking records keyed by product ID
+     * @param {object} settings - User settings
+     * @returns {Array} - Products to check on this tick
+     */
+    getDueProducts(products, trackingData, settings) {
+        const toleranceMs = ExtensionConfig.priceTracking.dueToleranceMinutes * 60 * 1000;
+        const now = Date.now();
+
+        return products.filter(product => {
+            const interval = this.getCheckInterval(product, settings);
+            if (interval === null) return false;
+
+            const lastChecked = product.lastChecked || trackingData[product.id]?.lastCheckTime;
+            if (!lastChecked) return true;
+
+            return now - new Date(lastChecked).getTime() >= interval * 60 * 1000 - toleranceMs;
+        });
+    }
+
     /**
      * Set up alarm listener to handle price checks
      */
@@ -37,17 +115,19 @@ class PriceTracker {
         chrome.alarms.onAlarm.addListener((alarm) => {
             if (alarm.name === this.alarmName) {
                 console.log('⏰ [PriceTracker] Production alarm triggered - checking prices');
-                this.performPriceCheck();
+                this.performPriceCheck('scheduled');
             }
         });
     }
 
     /**
-     * Perform price check - notify when price remains the same
+     * Check the live price of saved products
+     * Scheduled checks only process the products that are due, manual checks process all of them
+     * @param {string} source - What triggered the check ('scheduled' or 'manual'), recorded in the price history
      */
-    async performPriceCheck() {
+    async performPriceCheck(source = 'scheduled') {
         try {
-            console.log('🔍 [PriceTracker] Starting test price check...');
+            console.log('🔍 [PriceTracker] Starting price check...');
             
             // Get saved products
             const products = await this.getProducts();
@@ -56,129 +136,304 @@ class PriceTracker {
                 return;
             }
 
-            console.log(`📊 [PriceTracker] Checking ${products.length} products`);
-            
             // Get tracking data
             const trackingData = await this.getTrackingData();
             
-            // Check each product
-            for (const product of products) {
-                await this.checkProductForSamePrice(product, trackingData);
+            let productsToCheck = products;
+            if (source === 'scheduled') {
+                const settings = await ExtensionUtils.storage.getSettings();
+                productsToCheck = this.getDueProducts(products, trackingData, settings);
             }
+
+            console.log(`📊 [PriceTracker] Checking ${productsToCheck.length} of ${products.length} products`);
             
-            console.log('✅ [PriceTracker] Test price check completed');
+            if (this.checkQueue) {
+                await this.checkQueue.enqueue(productsToCheck, source);
+                await this.checkQueue.run();
+            } else {
+                // Check each product
+                for (const product of productsToCheck) {
+                    await this.checkProduct(product, trackingData, source);
+                }
+            }
+            
+            console.log('✅ [PriceTracker] Price check completed');
+        } catch (error) {
+            console.error('❌ [PriceTracker] Price check failed:', error);
+        }
+    }
+
+    /**
+     * Load the product page and write the live price and availability back to the saved product
+     * Sold-out pages often show no price, so a page with only an availability state still counts;
+     * the returned product then keeps its stored price and is flagged with priceUnavailable
+     * @param {object} product - Saved product
+     * @returns {Promise<object|null>} - Product with the fresh details, or null if the page could not be read
+     */
+    async refreshProductPrice(product) {
+        if (!this.pageFetcher) {
+            console.error('❌ [PriceTracker] No page fetcher available for live prices');
+            return null;
+        }
+
+        try {
+            const pageInfo = await this.pageFetcher.fetchPageInfo(product.url);
+            const livePrice = ExtensionUtils.price.getCurrentPrice(pageInfo.price);
+            const availability = pageInfo.availability || null;
+
+            if (!livePrice && !availability) {
+                console.log(`⚠️ [PriceTracker] No price found on page for ${product.title}`);
+                return null;
+            }
+
+            const updates = {
+                availability,
+                lastChecked: new Date().toISOString()
+            };
+            if (pageInfo.priceHints) {
+                updates.priceHints = pageInfo.priceHints;
+            }
+            if (pageInfo.canonicalUrl && !product.canonicalUrl) {
+                // Picked up by mergeDuplicateProducts on the next start
+                updates.canonicalUrl = pageInfo.canonicalUrl;
+            }
+            if (livePrice) {
+                updates.price = livePrice;
+                updates.priceMoney = ExtensionUtils.money.parse(livePrice, pageInfo.priceHints || product.priceHints);
+                updates.saleInfo = ExtensionUtils.price.getSaleInfo(pageInfo.price);
+            } else {
+                console.log(`📦 [PriceTracker] No price on page for ${product.title} - recording availability only`);
+            }
+            if (product.needsDetails?.length > 0) {
+                Object.assign(updates, this.getMissingDetails(product, pageInfo, livePrice, updates.priceMoney));
+            }
+
+            // Titles, URLs, currencies and prices the user corrected are not undone by the page
+            await ExtensionUtils.storage.updateProduct(product.id, saved => ExtensionUtils.storage.keepOverrides(saved, updates));
+            return { ...product, ...ExtensionUtils.storage.keepOverrides(product, updates), priceUnavailable: !livePrice };
         } catch (error) {
-            console.error('❌ [PriceTracker] Test price check failed:', error);
+            console.error(`❌ [PriceTracker] Failed to load live price for ${product.title}:`, error);
+            return null;
         }
     }
 
     /**
-     * Check if product price remains the same and notify
+     * Fill in the fields a spreadsheet import left empty from the product page
+     * @param {object} product - Saved product with needsDetails (field names)
+     * @param {object} pageInfo - Page info from the page fetcher
+     * @param {string|null} livePrice - Price found on the page
+     * @param {object|null} priceMoney - Live price as money
+     * @returns {object} - Updates, including the fields still missing
      */
-    async checkProductForSamePrice(product, trackingData) {
+    getMissingDetails(product, pageInfo, livePrice, priceMoney) {
+        const updates = {};
+        const title = ExtensionUtils.text.normalize(pageInfo.title || '');
+
+        if (product.needsDetails.includes('title') && ExtensionUtils.storage.isValidProduct({ title })) {
+            updates.title = title.slice(0, ExtensionConfig.storage.maxTitleLength);
+        }
+        if (product.needsDetails.includes('price') && livePrice) {
+            // The first price found is the reference for "% below saved price" alerts
+            updates.savedPrice = livePrice;
+            updates.savedPriceMoney = priceMoney;
+        }
+        updates.needsDetails = product.needsDetails.filter(field => !(field === 'title' ? updates.title : updates.savedPrice));
+        return updates;
+    }
+
+    /**
+     * Check a product's live price, record it and send the alerts the policy allows
+     * @param {object} product - Saved product
+     * @param {object} trackingData - Tracking records keyed by product ID (updated in place)
+     * @param {string} source - What triggered the check, recorded in the price history
+     * @returns {Promise<boolean>} - True if the live price was checked and recorded
+     */
+    async checkProduct(product, trackingData, source = 'scheduled') {
         try {
+            const refreshedProduct = await this.refreshProductPrice(product);
+            if (!refreshedProduct) {
+                console.log(`⏭️ [PriceTracker] Skipping ${product.title} - live price unavailable`);
+                return false;
+            }
+
             const productId = product.id;
-            const currentPrice = product.price;
             const lastCheck = trackingData[productId];
-            
+            const priceFound = !refreshedProduct.priceUnavailable;
+            const currentPrice = priceFound ? refreshedProduct.price : lastCheck?.lastPrice || null;
+            const currentMoney = priceFound ?
+                refreshedProduct.priceMoney || ExtensionUtils.money.parse(refreshedProduct.price, refreshedProduct.priceHints) :
+                this.getLastMoney(lastCheck);
+            const history = lastCheck?.priceHistory || [];
+            const observation = this.createObservation(refreshedProduct, source);
+
             console.log(`🔍 [PriceTracker] Checking product: ${product.title}`);
-            console.log(`💰 Current price: ${currentPrice}`);
-            
-            if (lastCheck && lastCheck.lastPrice) {
-                console.log(`📈 Last recorded price: ${lastCheck.lastPrice}`);
-                
-                // Check if price is the same
-                if (currentPrice === lastCheck.lastPrice) {
-                    console.log('🔄 [PriceTracker] Price remained the same - sending notification');
-                    
-                    // Send notification for same price
-                    await this.sendSamePriceNotification(product, currentPrice);
-                    
-                    // Update check count
-                    trackingData[productId] = {
-                        ...lastCheck,
-                        lastCheckTime: new Date().toISOString(),
-                        samePrice: true,
-                        sameCount: (lastCheck.sameCount || 0) + 1
-                    };
-                } else {
-                    console.log('💱 [PriceTracker] Price changed - updating tracking data');
-                    
-                    // Price changed, update tracking data
-                    trackingData[productId] = {
-                        lastPrice: currentPrice,
-                        lastCheckTime: new Date().toISOString(),
-                        samePrice: false,
-                        sameCount: 0
-                    };
-                }
-            } else {
-                console.log('🆕 [PriceTracker] First time checking this product');
-                
-                // For testing: send notification even for first time (so we can see it working)
-                console.log('🧪 [PriceTracker] Sending test notification for first-time product');
-                await this.sendSamePriceNotification(product, currentPrice);
-                
-                // First time checking this product
-                trackingData[productId] = {
-                    lastPrice: currentPrice,
-                    lastCheckTime: new Date().toISOString(),
-                    samePrice: false,
-                    sameCount: 0
-                };
+            console.log(`💰 Current price: ${currentPrice}, availability: ${refreshedProduct.availability || 'unknown'}`);
+
+            await this.sendPolicyAlerts(refreshedProduct, observation, history);
+            if (priceFound) {
+                await this.checkPriceAlert(refreshedProduct);
             }
-            
+
+            // Compare amounts rather than display text so "$1,299.00" and "$1299" are the same price
+            const samePrice = !!lastCheck && ExtensionUtils.money.equals(currentMoney, this.getLastMoney(lastCheck));
+            trackingData[productId] = {
+                lastPrice: currentPrice,
+                lastMoney: currentMoney || null,
+                lastCheckTime: new Date().toISOString(),
+                samePrice,
+                sameCount: samePrice ? (lastCheck.sameCount || 0) + 1 : 0,
+                priceHistory: this.appendObservation(history, observation)
+            };
+
             // Save updated tracking data
-            await this.saveTrackingData(trackingData);
+            await this.saveTrackingRecord(productId, trackingData[productId]);
+            return true;
             
         } catch (error) {
             console.error(`❌ [PriceTracker] Error checking product ${product.title}:`, error);
+            return false;
         }
     }
 
     /**
-     * Send notification when price remains the same
+     * Run a queued price check against the latest saved product
+     * @param {object} job - Queue job with productId and source
+     * @throws {Error} - If the live price could not be checked, so the queue retries it
      */
-    async sendSamePriceNotification(product, price) {
-        try {
-            console.log(`🔔 [PriceTracker] Attempting to send notification for ${product.title}`);
-            
-            // Check if notifications API is available
-            if (!chrome.notifications) {
-                console.error('❌ [PriceTracker] chrome.notifications API not available');
-                return;
+    async runQueuedCheck(job) {
+        const products = await this.getProducts();
+        const product = products.find(p => p.id === job.productId);
+        if (!product) {
+            console.log(`⏭️ [PriceTracker] ${job.title} was removed before its check ran`);
+            return;
+        }
+
+        const trackingData = await this.getTrackingData();
+        const checked = await this.checkProduct(product, trackingData, job.source);
+        if (!checked) {
+            throw new Error(`Price check failed for ${product.title}`);
+        }
+    }
+
+    /**
+     * Send the alerts the alert policy allows for a new observation
+     * @param {object} product - Product with the live price
+     * @param {object} observation - Observation recorded for this check
+     * @param {Array} history - Earlier observations, oldest first
+     */
+    async sendPolicyAlerts(product, observation, history) {
+        if (!this.alertPolicy || !this.notify) return;
+
+        const alerts = await this.alertPolicy.evaluate(product, observation, history);
+        for (const alert of alerts) {
+            await this.notify({
+                title: product.title,
+                price: product.price,
+                url: product.url,
+                domain: product.domain,
+                alert
+            });
+        }
+    }
+
+    /**
+     * Notify once when a product's price crosses below its alert threshold
+     * and re-arm the alert when the price rises above it again
+     * @param {object} product - Product with the live price and its priceAlert settings
+     */
+    async checkPriceAlert(product) {
+        const alert = product.priceAlert;
+        const threshold = this.getAlertThreshold(alert);
+        if (threshold === null) return;
+
+        const currentPrice = ExtensionUtils.money.toMajor(product.priceMoney || ExtensionUtils.money.parse(product.price, product.priceHints));
+        const crossed = currentPrice > 0 && currentPrice <= threshold;
+
+        if (crossed && !alert.triggered) {
+            console.log(`🎯 [PriceTracker] ${product.title} reached alert threshold ${threshold}`);
+
+            const ruleEnabled = this.alertPolicy ? await this.alertPolicy.isEnabled('targetPrice') : true;
+            if (this.notify && ruleEnabled) {
+                await this.notify({
+                    title: product.title,
+                    price: product.price,
+                    url: product.url,
+                    domain: product.domain,
+                    priceAlert: { ...alert, threshold }
+                });
             }
-            
-            // Create notification
-            const notificationOptions = {
-                type: 'basic',
-                iconUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', // 1x1 transparent PNG
-                title: '🔄 WishCart - Price Unchanged',
-                message: `${product.title} is still ${price}. Checked at ${new Date().toLocaleTimeString()}`
-            };
-            
-            console.log('📋 [PriceTracker] Notification options:', notificationOptions);
-            
-            // Create notification with callback
-            const notificationId = `same-price-${product.id}-${Date.now()}`;
-            chrome.notifications.create(notificationId, notificationOptions, (createdId) => {
-                if (chrome.runtime.lastError) {
-                    console.error('❌ [PriceTracker] Notification creation failed:', chrome.runtime.lastError);
-                } else {
-                    console.log(`✅ [PriceTracker] Notification created successfully with ID: ${createdId}`);
-                    
-                    // Debug: Also try to show a Chrome notification permission status
-                    chrome.notifications.getPermissionLevel((level) => {
-                        console.log(`🔐 [PriceTracker] Notification permission level: ${level}`);
-                    });
-                }
+
+            await ExtensionUtils.storage.updateProduct(product.id, {
+                priceAlert: { ...alert, triggered: true, triggeredAt: new Date().toISOString() }
             });
-            
-            console.log(`📢 [PriceTracker] Notification request sent for ${product.title} - price unchanged: ${price}`);
-            
-        } catch (error) {
-            console.error('❌ [PriceTracker] Failed to send notification:', error);
+        } else if (!crossed && alert.triggered) {
+            console.log(`🔁 [PriceTracker] ${product.title} back above alert threshold - re-arming`);
+
+            await ExtensionUtils.storage.updateProduct(product.id, {
+                priceAlert: { ...alert, triggered: false, triggeredAt: null }
+            });
+        }
+    }
+
+    /**
+     * Get the price at or below which an alert fires
+     * @param {object} alert - Alert with targetPrice and/or percentBelow of referencePrice
+     * @returns {number|null} - Threshold, or null if the alert is not configured
+     */
+    getAlertThreshold(alert) {
+        if (!alert) return null;
+
+        const thresholds = [];
+        if (alert.targetPrice > 0) {
+            thresholds.push(alert.targetPrice);
+        }
+        if (alert.percentBelow > 0 && alert.referencePrice > 0) {
+            thresholds.push(alert.referencePrice * (1 - alert.percentBelow / 100));
         }
+
+        // With both set, whichever threshold is reached first fires the alert
+        return thresholds.length > 0 ? Math.max(...thresholds) : null;
+    }
+
+    /**
+     * Build a price history observation from a freshly checked product
+     * @param {object} product - Product with the live price, sale info and availability
+     * @param {string} source - What triggered the check
+     * @returns {object} - Observation with numeric price (null if the page showed none), currency,
+     *                     sale details and availability
+     */
+    createObservation(product, source) {
+        const saleInfo = product.saleInfo || { isOnSale: false };
+        const money = product.priceMoney || ExtensionUtils.money.parse(product.price, product.priceHints);
+
+        return {
+            timestamp: new Date().toISOString(),
+            price: product.priceUnavailable || !money ? null : ExtensionUtils.money.toMajor(money),
+            currency: money ? money.currency : null,
+            isOnSale: !!saleInfo.isOnSale,
+            originalPrice: saleInfo.originalPrice ?
+                ExtensionUtils.money.toMajor(ExtensionUtils.money.parse(saleInfo.originalPrice, {
+                    ...product.priceHints,
+                    currency: money ? money.currency : null
+                })) : null,
+            availability: product.availability || null,
+            source
+        };
+    }
+
+    /**
+     * Append an observation to a history series and apply the retention limits
+     * @param {Array} history - Existing observations, oldest first
+     * @param {object} observation - New observation
+     * @returns {Array} - Trimmed series including the new observation
+     */
+    appendObservation(history, observation) {
+        const { maxEntries, maxAgeDays } = ExtensionConfig.priceTracking.history;
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+        return [...(history || []), observation]
+            .filter(entry => new Date(entry.timestamp).getTime() >= cutoff)
+            .slice(-maxEntries);
     }
 
     /**
@@ -186,6 +441,9 @@ class PriceTracker {
      */
     async getProducts() {
         try {
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) return await repository.getProducts();
+
             const result = await chrome.storage.local.get([ExtensionConfig.storage.keys.productList]);
             return result[ExtensionConfig.storage.keys.productList] || [];
         } catch (error) {
@@ -194,11 +452,150 @@ class PriceTracker {
         }
     }
 
+    /**
+     * Get the last recorded price of a tracking record as a money value
+     * Records written before prices were stored as money only have the display text
+     * @param {object} record - Tracking record
+     * @returns {object|null} - Money value
+     */
+    getLastMoney(record) {
+        if (!record) return null;
+        return record.lastMoney || ExtensionUtils.money.parse(record.lastPrice);
+    }
+
+    /**
+     * Merge saved entries that turn out to be the same product (saved through tracking links
+     * or another retailer URL format) and refresh the stored product keys
+     * Merged entries keep the ID of the first one saved, with the price histories and
+     * alert cooldowns of all of them
+     * @returns {Promise<number>} - Number of duplicate entries merged away
+     */
+    async mergeDuplicateProducts() {
+        try {
+            return await ExtensionUtils.storage.mutate(async () => {
+                const alertStateKey = ExtensionConfig.storage.keys.alertState;
+                const repository = ExtensionUtils.storage.getRepository();
+                const products = await this.getProducts();
+                const trackingData = await this.getTrackingData();
+                const alertState = repository ?
+                    await repository.getAlertState() :
+                    (await chrome.storage.local.get([alertStateKey]))[alertStateKey] || {};
+
+                // Group by product key, keeping the list order of the first entry in each group
+                const groups = new Map();
+                products.forEach(product => {
+                    const key = ExtensionUtils.url.getProductKey(product);
+                    groups.set(key, [...(groups.get(key) || []), product]);
+                });
+
+                const changed = [...groups].filter(([key, group]) => group.length > 1 || group[0].productKey !== key);
+                if (changed.length === 0) return 0;
+
+                changed.forEach(([key, group]) => {
+                    const product = this.mergeProducts(key, group);
+                    const records = group.map(entry => trackingData[entry.id]).filter(Boolean);
+                    const states = group.map(entry => alertState[entry.id]).filter(Boolean);
+                    group.forEach(entry => {
+                        delete trackingData[entry.id];
+                        delete alertState[entry.id];
+                    });
+
+                    groups.set(key, [product]);
+                    if (records.length > 0) trackingData[product.id] = this.mergeTrackingRecords(records);
+                    if (states.length > 0) alertState[product.id] = this.mergeAlertStates(states);
+                });
+
+                const merged = products.length - groups.size;
+                const list = [...groups.values()].map(([product]) => product);
+                if (repository) {
+                    await repository.putProducts(list);
+                    await repository.saveTrackingData(trackingData);
+                    await repository.saveAlertState(alertState);
+                } else {
+                    await chrome.storage.local.set({
+                        [ExtensionConfig.storage.keys.productList]: list,
+                        [this.storageKey]: trackingData,
+                        [alertStateKey]: alertState
+                    });
+                }
+                console.log(`🔗 [PriceTracker] Merged ${merged} duplicate products`);
+                return merged;
+            });
+        } catch (error) {
+            console.error('❌ [PriceTracker] Failed to merge duplicate products:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Combine saved entries of one product
+     * The most recently updated entry provides the current details, the first one saved
+     * provides the ID, saved price and date, and the user's alert and schedule choices are kept
+     * @param {string} productKey - Product key shared by the entries
+     * @param {Array} group - Saved entries of the product
+     * @returns {object} - Merged product
+     */
+    mergeProducts(productKey, group) {
+        const time = (value) => (value ? new Date(value).getTime() : 0);
+        const byUpdate = [...group].sort((a, b) => time(b.dateUpdated || b.dateAdded) - time(a.dateUpdated || a.dateAdded));
+        const byAdded = [...group].sort((a, b) => time(a.dateAdded) - time(b.dateAdded));
+        const first = byAdded[0];
+
+        return {
+            ...byUpdate[0],
+            id: first.id,
+            productKey,
+            canonicalUrl: byUpdate.map(product => product.canonicalUrl).find(Boolean) || null,
+            dateAdded: first.dateAdded,
+            savedPrice: first.savedPrice || first.price,
+            savedPriceMoney: first.savedPriceMoney || ExtensionUtils.money.parse(first.savedPrice || first.price, first.priceHints),
+            priceAlert: byUpdate.map(product => product.priceAlert).find(Boolean) || null,
+            checkFrequency: byUpdate.map(product => product.checkFrequency).find(Boolean) || null
+        };
+    }
+
+    /**
+     * Combine tracking records of one product
+     * @param {Array} records - Tracking records
+     * @returns {object} - Latest record with the observations of all records, oldest first
+     */
+    mergeTrackingRecords(records) {
+        const time = (value) => (value ? new Date(value).getTime() : 0);
+        const latest = [...records].sort((a, b) => time(b.lastCheckTime) - time(a.lastCheckTime))[0];
+        const seen = new Set();
+        const priceHistory = records
+            .flatMap(record => record.priceHistory || [])
+            .sort((a, b) => time(a.timestamp) - time(b.timestamp))
+            .filter(entry => !seen.has(entry.timestamp) && seen.add(entry.timestamp))
+            .slice(-ExtensionConfig.priceTracking.history.maxEntries);
+
+        return { ...latest, priceHistory };
+    }
+
+    /**
+     * Combine alert cooldown states of one product, keeping the latest time each rule fired
+     * @param {Array} states - Per-product alert states ({ rule: ISO time })
+     * @returns {object} - Merged state
+     */
+    mergeAlertStates(states) {
+        return states.reduce((merged, state) => {
+            Object.entries(state).forEach(([rule, firedAt]) => {
+                if (!merged[rule] || new Date(firedAt) > new Date(merged[rule])) {
+                    merged[rule] = firedAt;
+                }
+            });
+            return merged;
+        }, {});
+    }
+
     /**
      * Get tracking data from storage
      */
     async getTrackingData() {
         try {
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) return await repository.getTrackingData();
+
             const result = await chrome.storage.local.get([this.storageKey]);
             return result[this.storageKey] || {};
         } catch (error) {
@@ -212,6 +609,11 @@ class PriceTracker {
      */
     async saveTrackingData(data) {
         try {
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) {
+                await repository.saveTrackingData(data);
+                return;
+            }
             await chrome.storage.local.set({
                 [this.storageKey]: data
             });
@@ -220,27 +622,136 @@ class PriceTracker {
         }
     }
 
+    /**
+     * Store one product's tracking record on top of the latest saved tracking data
+     * Writes go through ExtensionUtils.storage.mutate so that concurrent checks and the popup
+     * do not overwrite each other; with IndexedDB only this product's record and observations are written
+     * @param {string} productId - ID of the product
+     * @param {object} record - Tracking record
+     */
+    async saveTrackingRecord(productId, record) {
+        return ExtensionUtils.storage.mutate(async () => {
+            const repository = ExtensionUtils.storage.getRepository();
+            if (repository) {
+                await repository.saveTrackingRecord(productId, record);
+                return;
+            }
+            const data = await this.getTrackingData();
+            data[productId] = record;
+            await this.saveTrackingData(data);
+        });
+    }
+
     /**
      * Manual trigger for testing
      */
     async triggerManualCheck() {
         console.log('🔧 [PriceTracker] Manual check triggered');
-        await this.performPriceCheck();
+        await this.performPriceCheck('manual');
+    }
+
+    /**
+     * Queue checks for some products, such as ones just imported, without waiting for them
+     * @param {Array<string>} productIds - IDs of the products
+     * @param {string} source - What triggered the checks, recorded in the price history
+     * @returns {Promise<number>} - Number of products queued
+     */
+    async checkProducts(productIds, source = 'import') {
+        const ids = new Set(productIds);
+        const products = (await this.getProducts()).filter(product => ids.has(product.id));
+        if (products.length === 0) return 0;
+
+        if (this.checkQueue) {
+            const queued = await this.checkQueue.enqueue(products, source);
+            this.checkQueue.run();
+            return queued;
+        }
+
+        const trackingData = await this.getTrackingData();
+        (async () => {
+            for (const product of products) {
+                await this.checkProduct(product, trackingData, source);
+            }
+        })();
+        return products.length;
     }
 
     /**
-     * Get price history for a product (placeholder)
+     * Get the price history series for a product
+     * @param {string} productId - ID of the product
+     * @returns {Promise<Array>} - Observations, oldest first
      */
     async getProductPriceHistory(productId) {
         const trackingData = await this.getTrackingData();
-        return trackingData[productId] || null;
+        return trackingData[productId]?.priceHistory || [];
     }
 
     /**
-     * Get products with price drops (placeholder)
+     * Get products whose current price is below their price from daysBack days ago
+     * or below the highest price seen in that window
+     * @param {number} daysBack - Size of the look-back window in days
+     * @returns {Promise<Array>} - Drop records, largest percentage drop first
      */
     async getProductsWithPriceDrops(daysBack = 7) {
-        return [];
+        try {
+            const products = await this.getProducts();
+            const trackingData = await this.getTrackingData();
+            const cutoff = Date.now() - daysBack * 24 * 60 * 60 * 1000;
+
+            return products
+                .map(product => this.findPriceDrop(product, trackingData[product.id]?.priceHistory, cutoff))
+                .filter(Boolean)
+                .sort((a, b) => b.dropPercentage - a.dropPercentage);
+        } catch (error) {
+            console.error('❌ [PriceTracker] Failed to get products with price drops:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Compare a product's latest observation with its reference price for the window
+     * @param {object} product - Saved product
+     * @param {Array} history - Price observations, oldest first
+     * @param {number} cutoff - Start of the window as a timestamp in ms
+     * @returns {object|null} - Drop record or null if the price did not drop
+     */
+    findPriceDrop(product, history, cutoff) {
+        if (!history || history.length < 2) return null;
+
+        const latest = history[history.length - 1];
+        if (!(latest.price > 0)) return null;
+
+        // Only compare observations in the currency of the latest one
+        const series = history.filter(entry => entry.price > 0 && entry.currency === latest.currency);
+        const earlier = series.slice(0, -1);
+
+        // Price from daysBack days ago: the last observation at or before the cutoff
+        const baseline = earlier.filter(entry => new Date(entry.timestamp).getTime() <= cutoff).pop();
+        const windowEntries = earlier.filter(entry => new Date(entry.timestamp).getTime() > cutoff);
+        const candidates = baseline ? [baseline, ...windowEntries] : windowEntries;
+        if (candidates.length === 0) return null;
+
+        // Reference is the rolling maximum, preferring its most recent occurrence
+        const reference = candidates.reduce((max, entry) => entry.price >= max.price ? entry : max);
+        if (latest.price >= reference.price) return null;
+
+        // The drop happened at the first observation below the reference after it was seen
+        const referenceIndex = series.lastIndexOf(reference);
+        const dropEntry = series.slice(referenceIndex + 1).find(entry => entry.price < reference.price);
+        const dropAmount = reference.price - latest.price;
+
+        return {
+            productId: product.id,
+            title: product.title,
+            url: product.url,
+            domain: product.domain,
+            currency: latest.currency,
+            currentPrice: latest.price,
+            previousPrice: reference.price,
+            dropAmount: Math.round(dropAmount * 100) / 100,
+            dropPercentage: Math.round((dropAmount / reference.price) * 1000) / 10,
+            dropDate: dropEntry.timestamp
+        };
     }
 }
 
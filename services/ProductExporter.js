@@ -0,0 +1,171 @@
+/**
+ * ProductExporter - Writes saved products as CSV for spreadsheets
+ * The product CSV has one row per product with the columns the user picked; the price history
+ * CSV has one row per observation (long format), ready for a pivot table.
+ * Files follow RFC 4180: CRLF line endings, and fields with commas, quotes or line breaks are
+ * quoted with inner quotes doubled.
+ */
+class ProductExporter {
+    constructor() {
+        this.config = ExtensionConfig.exporting;
+    }
+
+    /**
+     * Export products as CSV
+     * @param {string|null} listId - Only products in this list, or null for all lists
+     * @param {Array<string>} columns - Column IDs from ExtensionConfig.exporting.columns, all by default;
+     *                                   they are written in the configured order
+     * @returns {Promise<string>} - CSV text with a header row
+     */
+    async exportCsv(listId = null, columns = Object.keys(this.config.columns)) {
+        const selected = Object.keys(this.config.columns).filter(column => columns.includes(column));
+        const { products, trackingData } = await this.getExportData(listId);
+
+        const rows = products.map(product => {
+            const values = this.getProductValues(product, trackingData[product.id]);
+            return selected.map(column => values[column]);
+        });
+        console.log('📤 [ProductExporter] Exported', rows.length, 'products as CSV');
+        return this.toCsv([selected.map(column => this.config.columns[column]), ...rows]);
+    }
+
+    /**
+     * Export price history as CSV with one row per observation, oldest first within each product
+     * @param {string|null} listId - Only products in this list, or null for all lists
+     * @returns {Promise<string>} - CSV text with a header row
+     */
+    async exportHistoryCsv(listId = null) {
+        const columns = Object.keys(this.config.historyColumns);
+        const { products, trackingData } = await this.getExportData(listId);
+
+        const rows = products.flatMap(product => (trackingData[product.id]?.priceHistory || []).map(observation => {
+            const values = {
+                productId: product.id,
+                title: product.title,
+                url: product.url,
+                timestamp: observation.timestamp,
+                price: this.formatAmount(observation.price, observation.currency),
+                currency: observation.currency,
+                isOnSale: observation.isOnSale === undefined ? null : observation.isOnSale ? 'yes' : 'no',
+                originalPrice: this.formatAmount(observation.originalPrice, observation.currency),
+                availability: observation.availability,
+                source: observation.source
+            };
+            return columns.map(column => values[column]);
+        }));
+        console.log('📤 [ProductExporter] Exported', rows.length, 'price observations as CSV');
+        return this.toCsv([columns.map(column => this.config.historyColumns[column]), ...rows]);
+    }
+
+    /**
+     * Read the products to export and their tracking records
+     * @param {string|null} listId - Only products in this list, or null for all lists
+     * @returns {Promise<object>} - { products, trackingData }
+     */
+    async getExportData(listId) {
+        const storage = ExtensionUtils.storage;
+        const products = (await storage.getProducts()).filter(product => storage.isInList(product, listId));
+        return { products, trackingData: await storage.getTrackingData() };
+    }
+
+    /**
+     * Work out every column value of a product
+     * @param {object} product - Saved product
+     * @param {object|undefined} tracking - Its tracking record
+     * @returns {object} - Values by column ID
+     */
+    getProductValues(product, tracking) {
+        const money = ExtensionUtils.money;
+        const current = product.priceUnavailable ? null : product.priceMoney || money.parse(product.price, product.priceHints);
+        const currency = current?.currency || null;
+        const saleInfo = product.saleInfo || {};
+        const original = saleInfo.isOnSale ? money.parse(saleInfo.originalPrice, { ...product.priceHints, currency }) : null;
+        const difference = money.compare(original, current);
+
+        return {
+            title: product.title,
+            price: current ? product.price : null,
+            amount: current ? this.formatAmount(money.toMajor(current), currency) : null,
+            currency,
+            originalPrice: original ? saleInfo.originalPrice : null,
+            discountPercent: difference > 0 ? Math.round((difference / original.amount) * 100) : null,
+            domain: product.domain || this.getDomain(product.url),
+            url: product.url,
+            dateAdded: product.dateAdded,
+            lastChecked: product.lastChecked || tracking?.lastCheckTime || null,
+            lowestPrice: this.getLowestPrice(current, tracking?.priceHistory),
+            tags: (product.tags || []).join(', ')
+        };
+    }
+
+    /**
+     * Find the lowest price seen in the product's current currency, including the current price
+     * @param {object|null} current - Current money value
+     * @param {Array|undefined} history - Observations with major-unit prices
+     * @returns {string|null} - Amount like "18.50"
+     */
+    getLowestPrice(current, history) {
+        const currency = current?.currency || null;
+        const prices = (history || [])
+            .filter(entry => entry.price > 0 && entry.currency === currency)
+            .map(entry => entry.price);
+        if (current) prices.push(ExtensionUtils.money.toMajor(current));
+
+        return prices.length > 0 ? this.formatAmount(Math.min(...prices), currency) : null;
+    }
+
+    /**
+     * Write an amount with a dot and the currency's decimals, which spreadsheets read as a number
+     * @param {number|null} amount - Amount in major units
+     * @param {string|null} currency - ISO 4217 code
+     * @returns {string|null} - Amount like "1299.50"
+     */
+    formatAmount(amount, currency) {
+        return typeof amount === 'number' && Number.isFinite(amount) ?
+            amount.toFixed(ExtensionUtils.money.getDecimals(currency)) :
+            null;
+    }
+
+    /**
+     * @param {string} url - Product URL
+     * @returns {string|null} - Host name
+     */
+    getDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write rows as RFC 4180 CSV
+     * @param {Array<Array>} rows - Rows of cell values; null and undefined become empty cells
+     * @returns {string} - CSV text, CRLF separated and ending in CRLF
+     */
+    toCsv(rows) {
+        return rows.map(row => row.map(value => this.formatCell(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a cell when needed
+     * Text from product pages that starts like a formula is prefixed with an apostrophe,
+     * so spreadsheets show it instead of evaluating it
+     * @param {*} value - Cell value
+     * @returns {string} - CSV field
+     */
+    formatCell(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductExporter;
+}
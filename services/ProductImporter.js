@@ -0,0 +1,441 @@
+/**
+ * ProductImporter - Reads lists exported with ExtensionUtils.storage.exportProducts back in
+ * An import is previewed first: each record becomes an add, an update, a conflict (the saved
+ * product changed after the file was exported), unchanged or invalid. Merge mode adds and updates
+ * products and keeps newer saved changes; replace mode makes the saved list match the file.
+ * Price history in the file is merged into the saved history either way.
+ */
+class ProductImporter {
+    constructor() {
+        this.config = ExtensionConfig.importing;
+        this.fields = this.getFieldConverters();
+    }
+
+    /**
+     * Read the records of an exported file
+     * @param {string} text - File contents: an array of products, or an object with a products array
+     * @returns {Array} - Records as found in the file
+     * @throws {Error} - If the text is not JSON or holds no product records
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const records = Array.isArray(data) ? data : data?.products;
+        if (!Array.isArray(records)) {
+            throw new Error('The file does not contain a list of products');
+        }
+        return records;
+    }
+
+    /**
+     * Preview an import against the saved products
+     * @param {Array} records - Records from parse()
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Promise<object>} - Plan, see plan()
+     */
+    async preview(records, mode = 'merge') {
+        return this.plan(records, await ExtensionUtils.storage.getProducts(), mode);
+    }
+
+    /**
+     * Sort records into what an import would do with them
+     * Records match a saved product by ID (a backup of this profile) or by product key
+     * @param {Array} records - Records from parse()
+     * @param {Array} products - Saved products
+     * @param {string} mode - 'merge', 'replace' or 'add' (only new products; every matched
+     *                        record is reported as unchanged)
+     * @returns {object} - { mode, adds, updates, conflicts, unchanged, invalid, removals }, each a list
+     *                     of { record, existing }; removals are the saved products replace mode deletes.
+     *                     overLimit counts the products past ExtensionUtils.storage.getProductLimit(),
+     *                     which make apply() fail
+     */
+    plan(records, products, mode = 'merge') {
+        const byId = new Map(products.map(product => [product.id, product]));
+        const byKey = new Map(products.map(product => [product.productKey || ExtensionUtils.url.getProductKey(product), product]));
+        const plan = { mode, adds: [], updates: [], conflicts: [], unchanged: [], invalid: [], removals: [] };
+        const seen = new Set();
+
+        records.forEach(entry => {
+            if (!this.isValidRecord(entry)) {
+                plan.invalid.push({ record: entry, existing: null });
+                return;
+            }
+            const record = this.sanitize(entry);
+
+            const productKey = ExtensionUtils.url.getProductKey(record);
+            const existing = byId.get(record.id) || byKey.get(productKey) || null;
+            const identity = existing ? existing.id : productKey;
+            // A product listed twice in the file is only imported once
+            if (seen.has(identity)) {
+                plan.invalid.push({ record, existing });
+                return;
+            }
+            seen.add(identity);
+
+            if (!existing) {
+                plan.adds.push({ record, existing });
+            } else if (!this.differs(record, existing)) {
+                plan.unchanged.push({ record, existing });
+            } else if (this.getTime(existing.dateUpdated) > this.getTime(record.dateUpdated)) {
+                plan.conflicts.push({ record, existing });
+            } else {
+                plan.updates.push({ record, existing });
+            }
+        });
+
+        if (mode === 'add') {
+            plan.unchanged.push(...plan.updates, ...plan.conflicts);
+            plan.updates = [];
+            plan.conflicts = [];
+        } else if (mode === 'replace') {
+            const matched = new Set([...plan.updates, ...plan.conflicts, ...plan.unchanged].map(({ existing }) => existing.id));
+            plan.removals = products.filter(product => !matched.has(product.id)).map(existing => ({ record: null, existing }));
+        }
+
+        const limit = ExtensionUtils.storage.getProductLimit();
+        const count = products.length + plan.adds.length - plan.removals.length;
+        plan.overLimit = limit !== null && count > products.length ? Math.max(0, count - limit) : 0;
+        return plan;
+    }
+
+    /**
+     * Import records into the saved list in one storage mutation
+     * @param {Array} records - Records from parse()
+     * @param {string} mode - 'merge' keeps saved products and their newer changes,
+     *                        'replace' makes the saved list match the file,
+     *                        'add' only adds products that are not saved yet
+     * @param {string|null} listId - List for records that name none, defaults to the default list
+     * @returns {Promise<object|null>} - { added, updated, removed, kept, unchanged, invalid } counts and the
+     *                                   productIds of added products, or null if the import failed
+     */
+    async apply(records, mode = 'merge', listId = null) {
+        const storage = ExtensionUtils.storage;
+        try {
+            return await storage.mutate(async () => {
+                const products = await storage._getProductsOrThrow();
+                const plan = this.plan(records, products, mode);
+                const lists = await storage._getListsOrThrow();
+                const listCount = lists.length;
+                const now = new Date().toISOString();
+                const usedIds = new Set(products.map(product => product.id));
+                const imported = new Map();
+                const added = [];
+                const histories = new Map();
+
+                const overwritten = mode === 'replace' ? [...plan.updates, ...plan.conflicts] : plan.updates;
+                [...plan.adds, ...overwritten].forEach(({ record, existing }) => {
+                    const product = this.toProduct(record, existing, this.getTargetLists(record, existing, lists, listId, mode), now, usedIds);
+                    usedIds.add(product.id);
+                    if (existing) {
+                        imported.set(existing.id, product);
+                    } else {
+                        added.push(product);
+                    }
+                });
+
+                // History is merged for every matched product, including ones whose fields are kept as saved
+                const matched = [...plan.updates, ...plan.conflicts, ...plan.unchanged].map(({ record, existing }) => [existing.id, record]);
+                const adds = plan.adds.map(({ record }, i) => [added[i].id, record]);
+                [...adds, ...matched].forEach(([productId, record]) => {
+                    if (Array.isArray(record.priceHistory) && record.priceHistory.length > 0) {
+                        histories.set(productId, record.priceHistory);
+                    }
+                });
+
+                const removed = new Set(plan.removals.map(({ existing }) => existing.id));
+                await storage._replaceProducts(current => [
+                    ...added,
+                    ...current.filter(product => !removed.has(product.id)).map(product => imported.get(product.id) || product)
+                ]);
+                if (lists.length !== listCount) {
+                    await storage._writeLists(lists);
+                }
+                await this.mergeHistories(histories);
+
+                const summary = {
+                    added: plan.adds.length,
+                    updated: overwritten.length,
+                    removed: plan.removals.length,
+                    kept: mode === 'replace' ? 0 : plan.conflicts.length,
+                    unchanged: plan.unchanged.length,
+                    invalid: plan.invalid.length,
+                    productIds: added.map(product => product.id)
+                };
+                console.log('📥 [ProductImporter] Import finished:', summary);
+                return summary;
+            });
+        } catch (error) {
+            console.error('❌ [ProductImporter] Import failed:', error);
+            ExtensionUtils.log.error('Import failed', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build the product to save from an imported record
+     * @param {object} record - Imported record
+     * @param {object|null} existing - Saved product it updates
+     * @param {Array<string>} lists - IDs of the lists it goes into
+     * @param {string} now - Import time
+     * @param {Set<string>} usedIds - Product IDs already taken
+     * @returns {object} - Product
+     */
+    toProduct(record, existing, lists, now, usedIds) {
+        const storage = ExtensionUtils.storage;
+        const money = ExtensionUtils.money;
+        const { priceHistory, listNames, ...fields } = record;
+
+        // Price checks keep the tracked fields of a saved product more current than any file
+        if (existing) {
+            this.config.trackedFields.forEach(field => delete fields[field]);
+        }
+        const product = { ...existing, ...fields };
+        const keepsId = !existing && ExtensionUtils.isUuid(record.id) && !usedIds.has(record.id);
+
+        product.id = existing ? existing.id : keepsId ? record.id : storage.generateProductId();
+        product.productKey = ExtensionUtils.url.getProductKey(product);
+        product.priceMoney = product.priceMoney || money.parse(product.price, product.priceHints);
+        product.savedPrice = product.savedPrice || product.price;
+        product.savedPriceMoney = (existing && product.savedPrice === existing.savedPrice && existing.savedPriceMoney) ||
+            money.parse(product.savedPrice, product.priceHints);
+        product.lists = lists;
+        product.dateAdded = existing?.dateAdded || (this.getTime(record.dateAdded) ? record.dateAdded : now);
+        product.dateUpdated = now;
+        return product;
+    }
+
+    /**
+     * Pick the lists an imported product goes into
+     * @param {object} record - Imported record
+     * @param {object|null} existing - Saved product it updates
+     * @param {Array} lists - Saved lists, extended in place with lists the file names
+     * @param {string|null} listId - List for new products that name none
+     * @param {string} mode - In merge mode an updated product also stays in its saved lists
+     * @returns {Array<string>} - List IDs
+     */
+    getTargetLists(record, existing, lists, listId, mode) {
+        const named = this.resolveLists(record, lists);
+        if (!existing) {
+            return named.length > 0 ? named : [listId || ExtensionConfig.lists.defaultId];
+        }
+
+        const saved = ExtensionUtils.storage.getProductLists(existing);
+        if (named.length === 0) return saved;
+        return mode === 'merge' ? [...new Set([...saved, ...named])] : named;
+    }
+
+    /**
+     * Find the lists an imported record belongs in
+     * Lists are matched by ID, then by name; lists the file names that don't exist here are
+     * created and appended to lists
+     * @param {object} record - Imported record with lists (IDs) and listNames
+     * @param {Array} lists - Saved lists, extended in place
+     * @returns {Array<string>} - List IDs, empty if the record names none
+     */
+    resolveLists(record, lists) {
+        const ids = Array.isArray(record.lists) ? record.lists : [];
+        const names = Array.isArray(record.listNames) ? record.listNames : [];
+        const resolved = new Set();
+
+        Array.from({ length: Math.max(ids.length, names.length) }, (_, i) => [ids[i], names[i]]).forEach(([id, name]) => {
+            if (id && lists.some(list => list.id === id)) {
+                resolved.add(id);
+                return;
+            }
+            const listName = ExtensionUtils.storage.normalizeListName(name);
+            if (!listName) return;
+
+            let list = lists.find(entry => entry.name.toLowerCase() === listName.toLowerCase());
+            if (!list) {
+                const now = new Date().toISOString();
+                list = { id: ExtensionUtils.generateUuid(), name: listName, dateAdded: now, dateUpdated: now };
+                lists.push(list);
+            }
+            resolved.add(list.id);
+        });
+
+        return [...resolved];
+    }
+
+    /**
+     * Merge imported observations into the saved price history
+     * @param {Map<string, Array>} histories - Observations by product ID
+     */
+    async mergeHistories(histories) {
+        if (histories.size === 0) return;
+
+        const repository = ExtensionUtils.storage.getRepository();
+        const trackingData = await ExtensionUtils.storage.getTrackingData();
+
+        histories.forEach((observations, productId) => {
+            trackingData[productId] = this.mergeHistory(trackingData[productId], observations);
+        });
+
+        if (repository) {
+            for (const productId of histories.keys()) {
+                await repository.saveTrackingRecord(productId, trackingData[productId]);
+            }
+        } else {
+            await chrome.storage.local.set({ [ExtensionConfig.storage.keys.trackingData]: trackingData });
+        }
+    }
+
+    /**
+     * Add observations to a tracking record, skipping ones it already has
+     * @param {object|undefined} record - Saved tracking record
+     * @param {Array} observations - Imported observations
+     * @returns {object} - Tracking record with the combined history, oldest first
+     */
+    mergeHistory(record, observations) {
+        const seen = new Set();
+        const priceHistory = [...(record?.priceHistory || []), ...observations]
+            .filter(entry => entry && this.getTime(entry.timestamp))
+            .sort((a, b) => this.getTime(a.timestamp) - this.getTime(b.timestamp))
+            .filter(entry => !seen.has(entry.timestamp) && seen.add(entry.timestamp))
+            .slice(-ExtensionConfig.priceTracking.history.maxEntries);
+        const latest = priceHistory[priceHistory.length - 1];
+
+        return { ...record, priceHistory, lastCheckTime: record?.lastCheckTime || latest?.timestamp || null };
+    }
+
+    /**
+     * Check that a record can become a saved product
+     * @param {object} record - Imported record
+     * @returns {boolean} - True for records with a text title and a valid http(s) URL
+     */
+    isValidRecord(record) {
+        return !!record && typeof record === 'object' && !Array.isArray(record) &&
+            typeof record.title === 'string' && !!ExtensionUtils.storage.isValidProduct(record) &&
+            typeof record.url === 'string' && ExtensionUtils.url.validate(record.url).valid &&
+            /^https?:$/.test(new URL(record.url).protocol);
+    }
+
+    /**
+     * Check whether a record differs from the saved product in anything but tracked and bookkeeping fields
+     * @param {object} record - Imported record
+     * @param {object} existing - Saved product
+     * @returns {boolean} - True if importing the record would change the product
+     */
+    differs(record, existing) {
+        const ignored = new Set([...this.config.trackedFields, 'id', 'productKey', 'dateUpdated', 'lists', 'listNames', 'priceHistory']);
+        const fields = [...Object.keys(this.fields), ...ExtensionConfig.productDetails.fields].filter(field => !ignored.has(field));
+        return fields.some(field => JSON.stringify(record[field] ?? null) !== JSON.stringify(existing[field] ?? null));
+    }
+
+    /**
+     * Keep only the fields a product can have, converted to the types the extension relies on
+     * Fields with a value of the wrong type become null; unknown fields are dropped
+     * @param {object} record - Record that passed isValidRecord()
+     * @returns {object} - Clean record
+     */
+    sanitize(record) {
+        return { ...this.pick(record, this.fields), ...ExtensionUtils.storage.normalizeDetails(record) };
+    }
+
+    /**
+     * Copy the known fields of an object through their converters
+     * @param {*} value - Object from the file
+     * @param {object} converters - Converter by field name
+     * @returns {object|null} - Converted fields that the object has, or null if it is not an object
+     */
+    pick(value, converters) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+        return Object.fromEntries(Object.keys(converters)
+            .filter(field => field in value)
+            .map(field => [field, converters[field](value[field])]));
+    }
+
+    /**
+     * Build the converters for every product field an import may set
+     * Details (tags, note, priority, quantity, variant) go through ExtensionUtils.storage.normalizeDetails
+     * @returns {object} - Converter by field name
+     */
+    getFieldConverters() {
+        const text = value => (typeof value === 'string' ? value : null);
+        const date = value => (typeof value === 'string' && this.getTime(value) ? value : null);
+        const number = value => this.toNumber(value);
+        const flag = value => value === true;
+        const oneOf = keys => value => (typeof value === 'string' && keys.includes(value) ? value : null);
+        const strings = (allowed = null) => value => (Array.isArray(value) ?
+            value.filter(entry => typeof entry === 'string' && (!allowed || allowed.includes(entry))) :
+            []);
+        const availability = oneOf(Object.keys(ExtensionConfig.availability.labels));
+        const observation = { timestamp: date, price: number, currency: text, isOnSale: flag, originalPrice: number, availability, source: text };
+
+        return {
+            id: text,
+            title: text,
+            url: text,
+            canonicalUrl: text,
+            domain: text,
+            price: text,
+            savedPrice: text,
+            overriddenPrice: text,
+            priceHints: value => this.pick(value, {
+                currency: value => (typeof value === 'string' && /^[A-Z]{3}$/.test(value) ? value : null),
+                locale: text
+            }),
+            saleInfo: value => this.pick(value, { isOnSale: flag, originalPrice: text, saleType: text }),
+            availability,
+            priceAlert: value => this.sanitizePriceAlert(value),
+            checkFrequency: oneOf(Object.keys(ExtensionConfig.priceTracking.frequencies)),
+            userOverrides: strings(['title', 'price', 'currency', 'url']),
+            needsDetails: strings(['title', 'price']),
+            dateAdded: date,
+            dateUpdated: date,
+            lastChecked: date,
+            lists: strings(),
+            listNames: value => (Array.isArray(value) ? value.map(text) : []),
+            priceHistory: value => (Array.isArray(value) ?
+                value.map(entry => this.pick(entry, observation)).filter(entry => entry?.timestamp) :
+                [])
+        };
+    }
+
+    /**
+     * @param {*} value - Price alert from the file
+     * @returns {object|null} - Alert with a positive target price or a 1-99 percentage, or null
+     */
+    sanitizePriceAlert(value) {
+        const alert = this.pick(value, {
+            targetPrice: value => this.toNumber(value),
+            percentBelow: value => this.toNumber(value),
+            referencePrice: value => this.toNumber(value),
+            triggered: value => value === true,
+            triggeredAt: value => (typeof value === 'string' ? value : null),
+            createdAt: value => (typeof value === 'string' ? value : null)
+        });
+        if (!alert) return null;
+
+        alert.targetPrice = alert.targetPrice > 0 ? alert.targetPrice : null;
+        alert.percentBelow = alert.percentBelow >= 1 && alert.percentBelow <= 99 ? alert.percentBelow : null;
+        return alert.targetPrice !== null || alert.percentBelow !== null ? alert : null;
+    }
+
+    /**
+     * @param {*} value - Number or numeric text
+     * @returns {number|null} - Finite number, or null
+     */
+    toNumber(value) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * @param {string} value - ISO date
+     * @returns {number} - Time in ms, 0 for a missing or invalid date
+     */
+    getTime(value) {
+        return (value && Date.parse(value)) || 0;
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductImporter;
+}
@@ -0,0 +1,413 @@
+/**
+ * ProductRepository - IndexedDB storage for saved products and their tracking data
+ * Products, price observations, tracking summaries, alert state and notifications each
+ * have their own object store, so saving one product writes one record instead of the
+ * whole list. ExtensionUtils.storage, PriceTracker and AlertPolicy use it when IndexedDB
+ * is available in the extension's own origin and fall back to chrome.storage.local otherwise.
+ */
+class ProductRepository {
+    /**
+     * @param {object} options - Optional dependencies
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory, defaults to the global one
+     */
+    constructor(options = {}) {
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.name = ExtensionConfig.storage.database.name;
+        this.version = ExtensionConfig.storage.database.version;
+        this.connection = null;
+        this.writeCount = 0; // Committed readwrite transactions, lets callers tell whether anything was written
+    }
+
+    /**
+     * Check whether products can be stored in IndexedDB
+     * Content scripts share the page's origin, so only extension pages and the service worker qualify
+     * @returns {boolean} - True in the popup and the service worker
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' &&
+            typeof location !== 'undefined' &&
+            location.protocol === 'chrome-extension:';
+    }
+
+    /**
+     * Get the repository shared by everything in this context
+     * @returns {ProductRepository} - Shared repository
+     */
+    static getDefault() {
+        if (!ProductRepository.shared) {
+            ProductRepository.shared = new ProductRepository();
+        }
+        return ProductRepository.shared;
+    }
+
+    /**
+     * Open the database, creating or upgrading its stores on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.name, this.version);
+                request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call try again after a failed open
+            this.connection.catch(() => {
+                this.connection = null;
+            });
+        }
+        return this.connection;
+    }
+
+    /**
+     * Create the object stores and indexes
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version before the upgrade, 0 for a new database
+     */
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const products = db.createObjectStore('products', { keyPath: 'id' });
+            products.createIndex('productKey', 'productKey', { unique: false });
+            products.createIndex('domain', 'domain', { unique: false });
+            products.createIndex('dateAdded', 'dateAdded', { unique: false });
+            products.createIndex('lastChecked', 'lastChecked', { unique: false });
+
+            const observations = db.createObjectStore('observations', { autoIncrement: true });
+            observations.createIndex('productId', 'productId', { unique: false });
+
+            db.createObjectStore('tracking', { keyPath: 'productId' });
+            db.createObjectStore('alertState', { keyPath: 'productId' });
+            db.createObjectStore('notifications', { keyPath: 'id' });
+        }
+        console.log(`🗄️ [ProductRepository] Database upgraded from version ${oldVersion} to ${this.version}`);
+    }
+
+    /**
+     * Run work in one transaction
+     * @param {Array<string>} storeNames - Stores the work uses
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the stores by name and returns the result, may be async
+     * @returns {Promise<*>} - Result of the work once the transaction has committed
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            let result;
+
+            transaction.oncomplete = () => {
+                if (mode === 'readwrite') this.writeCount++;
+                resolve(result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+            Promise.resolve()
+                .then(() => work(stores))
+                .then(value => {
+                    result = value;
+                })
+                .catch(error => {
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // Already finished
+                    }
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Wait for an IndexedDB request
+     * @param {IDBRequest} request - Pending request
+     * @returns {Promise<*>} - Request result
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ============================================
+    // PRODUCTS
+    // ============================================
+
+    /**
+     * Get all saved products
+     * @returns {Promise<Array>} - Products, most recently added first
+     */
+    async getProducts() {
+        const products = await this.transaction(['products'], 'readonly',
+            ({ products }) => ProductRepository.request(products.getAll()));
+        return products.sort((a, b) => (b.dateAdded || '').localeCompare(a.dateAdded || ''));
+    }
+
+    /**
+     * Get a saved product
+     * @param {string} id - Product ID
+     * @returns {Promise<object|null>} - Product
+     */
+    async getProduct(id) {
+        const product = await this.transaction(['products'], 'readonly',
+            ({ products }) => ProductRepository.request(products.get(id)));
+        return product || null;
+    }
+
+    /**
+     * Find the saved product with a product key from ExtensionUtils.url.getProductKey
+     * @param {string} productKey - Product key
+     * @returns {Promise<object|null>} - Product
+     */
+    async findByProductKey(productKey) {
+        const [product] = await this.queryProducts('productKey', productKey);
+        return product || null;
+    }
+
+    /**
+     * Get the products matching an index
+     * @param {string} indexName - 'productKey', 'domain', 'dateAdded' or 'lastChecked'
+     * @param {*} query - Key or IDBKeyRange
+     * @returns {Promise<Array>} - Matching products in index order
+     */
+    async queryProducts(indexName, query) {
+        return this.transaction(['products'], 'readonly',
+            ({ products }) => ProductRepository.request(products.index(indexName).getAll(query)));
+    }
+
+    /**
+     * Add or replace a product
+     * @param {object} product - Product with an id
+     */
+    async putProduct(product) {
+        await this.transaction(['products'], 'readwrite',
+            ({ products }) => ProductRepository.request(products.put(product)));
+    }
+
+    /**
+     * Replace all products with a new list
+     * @param {Array} list - Products
+     */
+    async putProducts(list) {
+        await this.transaction(['products'], 'readwrite', async ({ products }) => {
+            await ProductRepository.request(products.clear());
+            await Promise.all(list.map(product => ProductRepository.request(products.put(product))));
+        });
+    }
+
+    /**
+     * Remove a product with its price history and alert state
+     * @param {string} id - Product ID
+     */
+    async deleteProduct(id) {
+        await this.transaction(['products', 'observations', 'tracking', 'alertState'], 'readwrite', async (stores) => {
+            await ProductRepository.request(stores.products.delete(id));
+            await ProductRepository.request(stores.tracking.delete(id));
+            await ProductRepository.request(stores.alertState.delete(id));
+            await this.deleteObservations(stores.observations, id);
+        });
+    }
+
+    /**
+     * Put and remove several products in one transaction
+     * @param {Array} changed - Products to add or replace
+     * @param {Array<string>} removedIds - IDs of products to remove with their price history and alert state
+     */
+    async writeProducts(changed, removedIds = []) {
+        await this.transaction(['products', 'observations', 'tracking', 'alertState'], 'readwrite', async (stores) => {
+            for (const id of removedIds) {
+                await ProductRepository.request(stores.products.delete(id));
+                await ProductRepository.request(stores.tracking.delete(id));
+                await ProductRepository.request(stores.alertState.delete(id));
+                await this.deleteObservations(stores.observations, id);
+            }
+            await Promise.all(changed.map(product => ProductRepository.request(stores.products.put(product))));
+        });
+    }
+
+    /**
+     * Remove all products with their price histories and alert state
+     */
+    async clearProducts() {
+        const storeNames = ['products', 'observations', 'tracking', 'alertState'];
+        await this.transaction(storeNames, 'readwrite',
+            (stores) => Promise.all(storeNames.map(name => ProductRepository.request(stores[name].clear()))));
+    }
+
+    // ============================================
+    // TRACKING DATA
+    // ============================================
+
+    /**
+     * Get the tracking records of all products in the shape PriceTracker uses
+     * @returns {Promise<object>} - Records keyed by product ID, each with its priceHistory oldest first
+     */
+    async getTrackingData() {
+        return this.transaction(['tracking', 'observations'], 'readonly', async (stores) => {
+            const records = await ProductRepository.request(stores.tracking.getAll());
+            const observations = await ProductRepository.request(stores.observations.getAll());
+
+            const data = {};
+            records.forEach(({ productId, ...record }) => {
+                data[productId] = { ...record, priceHistory: [] };
+            });
+            observations.forEach(({ productId, ...observation }) => {
+                if (!data[productId]) data[productId] = { priceHistory: [] };
+                data[productId].priceHistory.push(observation);
+            });
+            Object.values(data).forEach(record => {
+                record.priceHistory.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            });
+            return data;
+        });
+    }
+
+    /**
+     * Store one product's tracking record
+     * Only observations that are new are added and only those dropped from the history are deleted
+     * @param {string} productId - Product ID
+     * @param {object} record - Tracking record with its priceHistory
+     */
+    async saveTrackingRecord(productId, record) {
+        await this.transaction(['tracking', 'observations'], 'readwrite', async (stores) => {
+            const { priceHistory = [], ...summary } = record;
+            await ProductRepository.request(stores.tracking.put({ ...summary, productId }));
+
+            const index = stores.observations.index('productId');
+            const keys = await ProductRepository.request(index.getAllKeys(productId));
+            const stored = await ProductRepository.request(index.getAll(productId));
+            const kept = new Set(priceHistory.map(observation => observation.timestamp));
+            const existing = new Set(stored.map(observation => observation.timestamp));
+
+            await Promise.all([
+                ...stored
+                    .map((observation, position) => (kept.has(observation.timestamp) ? null : keys[position]))
+                    .filter(key => key !== null)
+                    .map(key => ProductRepository.request(stores.observations.delete(key))),
+                ...priceHistory
+                    .filter(observation => !existing.has(observation.timestamp))
+                    .map(observation => ProductRepository.request(stores.observations.add({ ...observation, productId })))
+            ]);
+        });
+    }
+
+    /**
+     * Replace the tracking records of all products
+     * @param {object} data - Records keyed by product ID
+     */
+    async saveTrackingData(data) {
+        await this.transaction(['tracking', 'observations'], 'readwrite', async (stores) => {
+            await ProductRepository.request(stores.tracking.clear());
+            await ProductRepository.request(stores.observations.clear());
+
+            await Promise.all(Object.entries(data).flatMap(([productId, { priceHistory = [], ...summary }]) => [
+                ProductRepository.request(stores.tracking.put({ ...summary, productId })),
+                ...priceHistory.map(observation => ProductRepository.request(stores.observations.add({ ...observation, productId })))
+            ]));
+        });
+    }
+
+    /**
+     * Delete the observations of one product
+     * @param {IDBObjectStore} observations - Observations store in a readwrite transaction
+     * @param {string} productId - Product ID
+     */
+    async deleteObservations(observations, productId) {
+        const keys = await ProductRepository.request(observations.index('productId').getAllKeys(productId));
+        await Promise.all(keys.map(key => ProductRepository.request(observations.delete(key))));
+    }
+
+    // ============================================
+    // ALERT STATE AND NOTIFICATIONS
+    // ============================================
+
+    /**
+     * Get alert last-fired times
+     * @returns {Promise<object>} - { rule: ISO time } keyed by product ID
+     */
+    async getAlertState() {
+        const entries = await this.transaction(['alertState'], 'readonly',
+            ({ alertState }) => ProductRepository.request(alertState.getAll()));
+        return Object.fromEntries(entries.map(({ productId, rules }) => [productId, rules]));
+    }
+
+    /**
+     * Replace the alert last-fired times
+     * @param {object} state - { rule: ISO time } keyed by product ID
+     */
+    async saveAlertState(state) {
+        await this.transaction(['alertState'], 'readwrite', async ({ alertState }) => {
+            await ProductRepository.request(alertState.clear());
+            await Promise.all(Object.entries(state).map(([productId, rules]) =>
+                ProductRepository.request(alertState.put({ productId, rules }))));
+        });
+    }
+
+    /**
+     * Get the data stored for a shown notification
+     * @param {string} id - Notification ID
+     * @returns {Promise<object|null>} - Notification data
+     */
+    async getNotification(id) {
+        const notification = await this.transaction(['notifications'], 'readonly',
+            ({ notifications }) => ProductRepository.request(notifications.get(id)));
+        if (!notification) return null;
+
+        const { id: notificationId, ...data } = notification;
+        return data;
+    }
+
+    /**
+     * Store the data needed to handle clicks on a notification
+     * @param {string} id - Notification ID
+     * @param {object} data - Notification data
+     */
+    async saveNotification(id, data) {
+        await this.transaction(['notifications'], 'readwrite',
+            ({ notifications }) => ProductRepository.request(notifications.put({ ...data, id })));
+    }
+
+    /**
+     * Remove the data of a notification
+     * @param {string} id - Notification ID
+     */
+    async deleteNotification(id) {
+        await this.transaction(['notifications'], 'readwrite',
+            ({ notifications }) => ProductRepository.request(notifications.delete(id)));
+    }
+
+    /**
+     * Copy data kept in chrome.storage.local by older versions into the database
+     * Products and records are put by ID, so copying the same data twice changes nothing
+     * @param {object} data - { products, trackingData, alertState, notifications }
+     */
+    async importAll({ products = [], trackingData = {}, alertState = {}, notifications = {} }) {
+        const storeNames = ['products', 'observations', 'tracking', 'alertState', 'notifications'];
+        await this.transaction(storeNames, 'readwrite', async (stores) => {
+            await Promise.all([
+                ...products.map(product => ProductRepository.request(stores.products.put(product))),
+                ...Object.entries(alertState).map(([productId, rules]) =>
+                    ProductRepository.request(stores.alertState.put({ productId, rules }))),
+                ...Object.entries(notifications).map(([id, notification]) =>
+                    ProductRepository.request(stores.notifications.put({ ...notification, id })))
+            ]);
+
+            for (const [productId, { priceHistory = [], ...summary }] of Object.entries(trackingData)) {
+                await this.deleteObservations(stores.observations, productId);
+                await ProductRepository.request(stores.tracking.put({ ...summary, productId }));
+                await Promise.all(priceHistory.map(observation =>
+                    ProductRepository.request(stores.observations.add({ ...observation, productId }))));
+            }
+        });
+        console.log(`🗄️ [ProductRepository] Imported ${products.length} products into IndexedDB`);
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductRepository;
+}
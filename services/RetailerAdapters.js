@@ -0,0 +1,250 @@
+/**
+ * RetailerAdapters - Per-retailer page extraction
+ * Adapters are matched by hostname pattern, or by page markers for store platforms,
+ * and may provide any of extractTitle, extractPrice, extractSalePrice,
+ * extractAvailability and extractVariant. Anything an adapter does not provide
+ * (or returns null for) falls back to the generic extraction in content.js.
+ */
+class RetailerAdapterRegistry {
+    constructor() {
+        this.adapters = [];
+    }
+
+    /**
+     * Add an adapter
+     * @param {object} adapter - Adapter with a name and hosts patterns and/or a detect(doc) function
+     * @returns {RetailerAdapterRegistry} - The registry, for chaining
+     */
+    register(adapter) {
+        if (!adapter || !adapter.name || !(adapter.hosts?.length || typeof adapter.detect === 'function')) {
+            throw new Error('Retailer adapter needs a name and hosts or a detect function');
+        }
+
+        this.adapters.push(adapter);
+        return this;
+    }
+
+    /**
+     * Get the adapter for a page
+     * Hostname matches win over platform detection so a store-specific adapter
+     * can refine the platform adapter it is built on
+     * @param {string} hostname - Page hostname
+     * @param {Document} doc - Page document, used for platform detection
+     * @returns {object|null} - Matching adapter, or null to use generic extraction
+     */
+    getAdapter(hostname, doc) {
+        const host = (hostname || '').toLowerCase();
+        const byHost = this.adapters.find(adapter => (adapter.hosts || []).some(pattern => pattern.test(host)));
+        if (byHost) return byHost;
+
+        return this.adapters.find(adapter => {
+            try {
+                return typeof adapter.detect === 'function' && adapter.detect(doc);
+            } catch (error) {
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Create a registry with the built-in adapters
+     * @returns {RetailerAdapterRegistry} - Registry
+     */
+    static createDefault() {
+        const registry = new RetailerAdapterRegistry();
+        Object.values(RetailerAdapters).forEach(adapter => registry.register(adapter));
+        return registry;
+    }
+
+    /**
+     * Get the trimmed text of the first matching element with text
+     * @param {Document} doc - Document to search
+     * @param {Array<string>} selectors - Selectors in order of preference
+     * @returns {string|null} - Text with collapsed whitespace
+     */
+    static firstText(doc, selectors) {
+        for (const selector of selectors) {
+            for (const element of doc.querySelectorAll(selector)) {
+                const text = (element.getAttribute('content') || element.textContent || '').replace(/\s+/g, ' ').trim();
+                if (text) return text;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Map stock text to an availability value
+     * @param {string} text - Stock message shown on the page
+     * @returns {string|null} - 'in_stock', 'limited', 'out_of_stock', 'preorder', 'backorder' or null
+     */
+    static availabilityFromText(text) {
+        if (!text) return null;
+        const value = text.toLowerCase();
+
+        if (/out of stock|unavailable|sold out|no longer available|listing has ended/.test(value)) return 'out_of_stock';
+        if (/pre-?order/.test(value)) return 'preorder';
+        if (/backorder/.test(value)) return 'backorder';
+        if (/only \d+ left|few left|limited|low stock/.test(value)) return 'limited';
+        if (/in stock|available|ships/.test(value)) return 'in_stock';
+        return null;
+    }
+
+    /**
+     * Build sale price details when a current and a higher original price are shown
+     * @returns {object|null} - { currentPrice, originalPrice }
+     */
+    static salePrice(currentPrice, originalPrice) {
+        if (!currentPrice || !originalPrice || currentPrice === originalPrice) return null;
+        return { currentPrice, originalPrice };
+    }
+}
+
+/**
+ * Built-in adapters
+ */
+const RetailerAdapters = {
+    amazon: {
+        name: 'amazon',
+        hosts: [/(^|\.)amazon\.[a-z.]+$/],
+        priceSelectors: [
+            '#corePrice_feature_div .a-price:not(.a-text-price) .a-offscreen',
+            '#corePriceDisplay_desktop_feature_div .a-price:not(.a-text-price) .a-offscreen',
+            ...ExtensionConfig.priceExtraction.selectors.amazon
+        ],
+        extractTitle(doc) {
+            return RetailerAdapterRegistry.firstText(doc, ['#productTitle', '#title']);
+        },
+        extractPrice(doc) {
+            return RetailerAdapterRegistry.firstText(doc, this.priceSelectors);
+        },
+        extractSalePrice(doc) {
+            return RetailerAdapterRegistry.salePrice(
+                this.extractPrice(doc),
+                RetailerAdapterRegistry.firstText(doc, [
+                    '#corePriceDisplay_desktop_feature_div .a-price.a-text-price .a-offscreen',
+                    '#corePrice_feature_div .a-price.a-text-price .a-offscreen',
+                    '#listPrice',
+                    '#priceblock_listprice'
+                ])
+            );
+        },
+        extractAvailability(doc) {
+            return RetailerAdapterRegistry.availabilityFromText(
+                RetailerAdapterRegistry.firstText(doc, ['#availability', '#outOfStock'])
+            );
+        },
+        extractVariant(doc) {
+            const selections = Array.from(doc.querySelectorAll('[id^="variation_"] .selection'))
+                .map(element => element.textContent.trim())
+                .filter(Boolean);
+            return selections.length > 0 ? selections.join(' / ') : null;
+        }
+    },
+
+    ebay: {
+        name: 'ebay',
+        hosts: [/(^|\.)ebay\.[a-z.]+$/],
+        extractTitle(doc) {
+            return RetailerAdapterRegistry.firstText(doc, ['.x-item-title__mainTitle', '#itemTitle']);
+        },
+        extractPrice(doc) {
+            return RetailerAdapterRegistry.firstText(doc, ['.x-price-primary', '#prcIsum', '#mm-saleDscPrc', ...ExtensionConfig.priceExtraction.selectors.ebay]);
+        },
+        extractSalePrice(doc) {
+            return RetailerAdapterRegistry.salePrice(
+                this.extractPrice(doc),
+                RetailerAdapterRegistry.firstText(doc, ['.x-additional-info .ux-textspans--STRIKETHROUGH', '#orgPrc', '#mm-saleOrgPrc'])
+            );
+        },
+        extractAvailability(doc) {
+            return RetailerAdapterRegistry.availabilityFromText(
+                RetailerAdapterRegistry.firstText(doc, ['.d-quantity__availability', '#qtySubTxt', '.d-statusmessage'])
+            );
+        },
+        extractVariant(doc) {
+            const selections = Array.from(doc.querySelectorAll('select.x-msku__select-box'))
+                .map(select => select.selectedOptions[0])
+                .filter(option => option && option.value && option.value !== '-1')
+                .map(option => option.textContent.trim());
+            return selections.length > 0 ? selections.join(' / ') : null;
+        }
+    },
+
+    shopify: {
+        name: 'shopify',
+        hosts: [/\.myshopify\.com$/],
+        detect(doc) {
+            return !!doc.querySelector('meta[name="shopify-checkout-api-token"], link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"]');
+        },
+        extractPrice(doc) {
+            return RetailerAdapterRegistry.firstText(doc, [
+                '.price__sale .price-item--sale',
+                '.price__regular .price-item--regular',
+                ...ExtensionConfig.priceExtraction.selectors.shopify
+            ]);
+        },
+        extractSalePrice(doc) {
+            const original = RetailerAdapterRegistry.firstText(doc, ['.price--on-sale .price__sale s.price-item--regular', '.compare-at-price', '.product__price--compare']);
+            if (!original) return null;
+
+            return RetailerAdapterRegistry.salePrice(
+                RetailerAdapterRegistry.firstText(doc, ['.price--on-sale .price-item--sale', '.product__price--sale', '.sale-price']),
+                original
+            );
+        },
+        extractAvailability(doc) {
+            const addButton = doc.querySelector('form[action*="/cart/add"] [type="submit"], .product-form__submit');
+            if (!addButton) return null;
+            return addButton.disabled ? 'out_of_stock' : 'in_stock';
+        },
+        extractVariant(doc) {
+            const option = doc.querySelector('form[action*="/cart/add"] select[name="id"]')?.selectedOptions[0];
+            return option ? option.textContent.replace(/\s+/g, ' ').trim() : null;
+        }
+    },
+
+    woocommerce: {
+        name: 'woocommerce',
+        detect(doc) {
+            return !!doc.querySelector('body.woocommerce, body.woocommerce-page, meta[name="generator"][content^="WooCommerce"]');
+        },
+        extractTitle(doc) {
+            return RetailerAdapterRegistry.firstText(doc, ['.product_title']);
+        },
+        extractPrice(doc) {
+            return RetailerAdapterRegistry.firstText(doc, [
+                '.summary .price ins .woocommerce-Price-amount',
+                '.summary .price .woocommerce-Price-amount',
+                ...ExtensionConfig.priceExtraction.selectors.woocommerce
+            ]);
+        },
+        extractSalePrice(doc) {
+            const original = RetailerAdapterRegistry.firstText(doc, ['.summary .price del .woocommerce-Price-amount']);
+            if (!original) return null;
+
+            return RetailerAdapterRegistry.salePrice(
+                RetailerAdapterRegistry.firstText(doc, ['.summary .price ins .woocommerce-Price-amount']),
+                original
+            );
+        },
+        extractAvailability(doc) {
+            const stock = doc.querySelector('.summary .stock');
+            if (!stock) return null;
+            if (stock.classList.contains('out-of-stock')) return 'out_of_stock';
+            if (stock.classList.contains('available-on-backorder')) return 'backorder';
+            return RetailerAdapterRegistry.availabilityFromText(stock.textContent) || 'in_stock';
+        },
+        extractVariant(doc) {
+            const selections = Array.from(doc.querySelectorAll('.variations select'))
+                .map(select => select.selectedOptions[0])
+                .filter(option => option && option.value)
+                .map(option => option.textContent.trim());
+            return selections.length > 0 ? selections.join(' / ') : null;
+        }
+    }
+};
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RetailerAdapterRegistry, RetailerAdapters };
+}
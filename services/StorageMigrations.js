@@ -0,0 +1,263 @@
+/**
+ * StorageMigrations - Versioned schema for the data in chrome.storage.local
+ * The stored schema version says which of the ordered SchemaMigrations have been applied.
+ * Pending migrations run on a copy of the stored data and are written in one go, so a
+ * migration that throws leaves the stored data as it was; a failed write is rolled back.
+ * Migrations that move data out of chrome.storage.local return a step that copies it to its
+ * new home; those steps run before anything is removed from chrome.storage.local.
+ */
+class StorageMigrations {
+    /**
+     * @param {Array} migrations - Migrations in version order, defaults to SchemaMigrations
+     */
+    constructor(migrations = SchemaMigrations) {
+        this.versionKey = ExtensionConfig.storage.keys.schemaVersion;
+        this.migrations = migrations;
+    }
+
+    /**
+     * Get the schema version of the current code
+     * @returns {number} - Version of the last migration
+     */
+    getLatestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {Promise<number>} - Stored version, 0 for data from before versioning
+     */
+    async getVersion() {
+        try {
+            const result = await chrome.storage.local.get([this.versionKey]);
+            return result[this.versionKey] || 0;
+        } catch (error) {
+            console.error('❌ [StorageMigrations] Failed to get schema version:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Check whether the stored data has the current schema
+     * @returns {Promise<boolean>} - True if no migrations are pending
+     */
+    async isCurrent() {
+        return (await this.getVersion()) >= this.getLatestVersion();
+    }
+
+    /**
+     * Record that the stored data has the current schema, for new installs
+     */
+    async markCurrent() {
+        await chrome.storage.local.set({ [this.versionKey]: this.getLatestVersion() });
+        console.log(`📐 [StorageMigrations] Storage schema set to version ${this.getLatestVersion()}`);
+    }
+
+    /**
+     * Apply the pending migrations
+     * @param {object} options - Run options
+     * @param {boolean} options.dryRun - Report what would change without writing anything
+     * @returns {Promise<object>} - Report { from, to, applied, changed, removed, dryRun, error }
+     *                              with the descriptions of applied migrations and the storage keys they touch
+     */
+    async run({ dryRun = false } = {}) {
+        const snapshot = await chrome.storage.local.get(null);
+        const from = snapshot[this.versionKey] || 0;
+        const report = { from, to: from, applied: [], changed: [], removed: [], dryRun, error: null };
+
+        const pending = this.migrations.filter(migration => migration.version > from);
+        if (pending.length === 0) return report;
+
+        // Migrations work on a copy, so the stored data stays untouched until all of them succeeded
+        const data = JSON.parse(JSON.stringify(snapshot));
+        const steps = [];
+        for (const migration of pending) {
+            try {
+                const step = migration.migrate(data);
+                if (typeof step === 'function') steps.push({ migration, step });
+            } catch (error) {
+                console.error(`❌ [StorageMigrations] Migration ${migration.version} failed, nothing was changed:`, error);
+                return { ...report, error: `${migration.description}: ${error.message}` };
+            }
+            report.applied.push(migration.description);
+            report.to = migration.version;
+        }
+        data[this.versionKey] = report.to;
+
+        report.changed = Object.keys(data).filter(key => JSON.stringify(data[key]) !== JSON.stringify(snapshot[key]));
+        report.removed = Object.keys(snapshot).filter(key => !(key in data));
+
+        if (dryRun) {
+            console.log(`🧪 [StorageMigrations] Dry run from version ${from} to ${report.to}:`, report);
+            return report;
+        }
+
+        for (const { migration, step } of steps) {
+            try {
+                await step();
+            } catch (error) {
+                console.error(`❌ [StorageMigrations] Migration ${migration.version} could not copy its data, nothing was changed:`, error);
+                return { ...report, to: from, error: `${migration.description}: ${error.message}` };
+            }
+        }
+
+        try {
+            await this.write(data, report);
+            console.log(`📐 [StorageMigrations] Migrated storage from version ${from} to ${report.to}`);
+            return report;
+        } catch (error) {
+            console.error('❌ [StorageMigrations] Failed to write migrated data, rolling back:', error);
+            await this.restore(snapshot, report);
+            return { ...report, to: from, error: error.message };
+        }
+    }
+
+    /**
+     * Write the migrated data
+     * @param {object} data - Migrated storage contents
+     * @param {object} report - Run report with the changed and removed keys
+     */
+    async write(data, report) {
+        const updates = Object.fromEntries(report.changed.map(key => [key, data[key]]));
+        await chrome.storage.local.set(updates);
+        if (report.removed.length > 0) {
+            await chrome.storage.local.remove(report.removed);
+        }
+    }
+
+    /**
+     * Put back the stored data as it was before the run
+     * @param {object} snapshot - Storage contents read before migrating
+     * @param {object} report - Run report with the changed and removed keys
+     */
+    async restore(snapshot, report) {
+        try {
+            const touched = [...report.changed, ...report.removed];
+            const added = touched.filter(key => !(key in snapshot));
+            const original = Object.fromEntries(touched.filter(key => key in snapshot).map(key => [key, snapshot[key]]));
+
+            await chrome.storage.local.set(original);
+            if (added.length > 0) {
+                await chrome.storage.local.remove(added);
+            }
+            console.log('↩️ [StorageMigrations] Restored the stored data');
+        } catch (error) {
+            console.error('❌ [StorageMigrations] Failed to restore the stored data:', error);
+        }
+    }
+}
+
+/**
+ * Schema migrations in version order
+ * Each migration changes the storage contents it is given in place and throws to abort the run.
+ * A migration may return an async step that writes data elsewhere; it is skipped in dry runs.
+ * Migrations must also accept data that already has the new shape.
+ */
+const SchemaMigrations = [
+    {
+        version: 1,
+        description: 'Store prices as display text with sale details alongside',
+        migrate(data) {
+            const keys = ExtensionConfig.storage.keys;
+            const priceText = (price) => (typeof price === 'object' && price !== null ?
+                price.currentPrice || price.displayText || ExtensionConfig.messages.notFound.price :
+                price);
+
+            data[keys.productList] = (data[keys.productList] || []).map(product => {
+                if (typeof product.price !== 'object' && typeof product.savedPrice !== 'object') return product;
+                return {
+                    ...product,
+                    price: priceText(product.price),
+                    savedPrice: priceText(product.savedPrice) || null,
+                    saleInfo: product.saleInfo || ExtensionUtils.price.getSaleInfo(product.price)
+                };
+            });
+
+            Object.values(data[keys.trackingData] || {}).forEach(record => {
+                record.lastPrice = priceText(record.lastPrice);
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Add money values to stored prices',
+        migrate(data) {
+            const keys = ExtensionConfig.storage.keys;
+            const money = ExtensionUtils.money;
+
+            data[keys.productList] = (data[keys.productList] || []).map(product => (product.priceMoney !== undefined ? product : {
+                ...product,
+                priceMoney: money.parse(product.price, product.priceHints),
+                savedPriceMoney: money.parse(product.savedPrice || product.price, product.priceHints)
+            }));
+
+            Object.values(data[keys.trackingData] || {}).forEach(record => {
+                if (record.lastMoney === undefined) {
+                    record.lastMoney = money.parse(record.lastPrice);
+                }
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Give products permanent IDs',
+        migrate(data) {
+            const keys = ExtensionConfig.storage.keys;
+            const ids = {};
+
+            data[keys.productList] = (data[keys.productList] || []).map(product => {
+                if (ExtensionUtils.isUuid(product.id)) return product;
+
+                const id = ExtensionUtils.storage.generateProductId();
+                // Colliding legacy IDs already shared their tracking data; it stays with the first product
+                if (product.id && !ids[product.id]) ids[product.id] = id;
+                return { ...product, id, productKey: ExtensionUtils.url.getProductKey(product) };
+            });
+
+            const rekey = (records) => Object.fromEntries(
+                Object.entries(records).map(([productId, record]) => [ids[productId] || productId, record])
+            );
+            [keys.trackingData, keys.alertState].forEach(key => {
+                if (data[key]) data[key] = rekey(data[key]);
+            });
+
+            (data[keys.checkQueue]?.jobs || []).forEach(job => {
+                job.productId = ids[job.productId] || job.productId;
+            });
+
+            Object.keys(data)
+                .filter(key => key.startsWith('notification_') && ids[data[key]?.productInfo?.id])
+                .forEach(key => {
+                    data[key].productInfo.id = ids[data[key].productInfo.id];
+                });
+        }
+    },
+    {
+        version: 4,
+        description: 'Move products, price history and alert state to IndexedDB',
+        migrate(data) {
+            // Content scripts and environments without IndexedDB keep using chrome.storage.local
+            if (typeof ProductRepository === 'undefined' || !ProductRepository.isSupported()) return null;
+
+            const keys = ExtensionConfig.storage.keys;
+            const notificationKeys = Object.keys(data).filter(key => key.startsWith('notification_'));
+            const moved = {
+                products: data[keys.productList] || [],
+                trackingData: data[keys.trackingData] || {},
+                alertState: data[keys.alertState] || {},
+                notifications: Object.fromEntries(notificationKeys.map(key => [key.slice('notification_'.length), data[key]]))
+            };
+
+            [keys.productList, keys.trackingData, keys.alertState, ...notificationKeys].forEach(key => {
+                delete data[key];
+            });
+
+            return () => ProductRepository.getDefault().importAll(moved);
+        }
+    }
+];
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageMigrations, SchemaMigrations };
+}
@@ -0,0 +1,308 @@
+/**
+ * StructuredDataExtractor - Reads schema.org Product data from a page
+ * Supports JSON-LD (including @graph and @id references) and itemprop microdata,
+ * and returns one flat product record with offer, seller and rating details
+ */
+class StructuredDataExtractor {
+    constructor() {
+        this.productTypes = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'];
+        this.priceProperties = ['price', 'lowPrice', 'highPrice'];
+        this.availabilityMap = {
+            InStock: 'in_stock',
+            OnlineOnly: 'in_stock',
+            LimitedAvailability: 'limited',
+            InStoreOnly: 'in_store_only',
+            PreOrder: 'preorder',
+            PreSale: 'preorder',
+            BackOrder: 'backorder',
+            OutOfStock: 'out_of_stock',
+            SoldOut: 'out_of_stock',
+            Discontinued: 'discontinued'
+        };
+    }
+
+    /**
+     * Extract the main product on a page
+     * @param {Document} doc - Document to read
+     * @returns {object|null} - Product record, or null if the page has no Product data
+     */
+    extract(doc = document) {
+        const candidates = [
+            ...this.findJsonLdProducts(doc).map(node => this.normalizeProduct(node, 'json-ld')),
+            ...this.findMicrodataProducts(doc).map(node => this.normalizeProduct(node, 'microdata'))
+        ];
+
+        // Prefer a product that carries a price over breadcrumbs or related items
+        return candidates.find(product => product.price !== null) || candidates[0] || null;
+    }
+
+    /**
+     * Find Product nodes in all JSON-LD blocks
+     * @param {Document} doc - Document to read
+     * @returns {Array} - Product nodes with @id references resolved
+     */
+    findJsonLdProducts(doc) {
+        const nodes = [];
+
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                nodes.push(JSON.parse(script.textContent));
+            } catch (error) {
+                console.log('⚠️ [StructuredData] Skipping invalid JSON-LD block:', error.message);
+            }
+        });
+
+        const index = {};
+        this.walk(nodes, node => {
+            if (node['@id'] && Object.keys(node).length > 1) {
+                index[node['@id']] = node;
+            }
+        });
+
+        const products = [];
+        this.walk(nodes, node => {
+            if (this.isProduct(node)) {
+                products.push(this.resolveReferences(node, index, new Set()));
+            }
+        });
+        return products;
+    }
+
+    /**
+     * Visit every object in a JSON-LD tree, including @graph members
+     */
+    walk(value, visit) {
+        if (Array.isArray(value)) {
+            value.forEach(item => this.walk(item, visit));
+        } else if (value && typeof value === 'object') {
+            visit(value);
+            Object.values(value).forEach(child => this.walk(child, visit));
+        }
+    }
+
+    /**
+     * Replace { "@id": ... } stubs with the nodes they point to
+     */
+    resolveReferences(value, index, seen) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.resolveReferences(item, index, seen));
+        }
+        if (!value || typeof value !== 'object') return value;
+
+        const id = value['@id'];
+        if (id && Object.keys(value).length === 1 && index[id] && !seen.has(id)) {
+            return this.resolveReferences(index[id], index, new Set([...seen, id]));
+        }
+
+        const resolved = {};
+        Object.entries(value).forEach(([key, child]) => {
+            resolved[key] = this.resolveReferences(child, index, id ? new Set([...seen, id]) : seen);
+        });
+        return resolved;
+    }
+
+    /**
+     * Find top-level Product items in itemprop microdata
+     * @param {Document} doc - Document to read
+     * @returns {Array} - Product items converted to JSON-LD shaped objects
+     */
+    findMicrodataProducts(doc) {
+        return Array.from(doc.querySelectorAll('[itemscope][itemtype]'))
+            .filter(element => !element.hasAttribute('itemprop'))
+            .map(element => this.readMicrodataItem(element))
+            .filter(item => this.isProduct(item));
+    }
+
+    /**
+     * Convert a microdata item and its nested items to a plain object
+     * @param {Element} scope - Element with itemscope
+     * @returns {object} - Item with @type and its properties
+     */
+    readMicrodataItem(scope) {
+        const item = { '@type': scope.getAttribute('itemtype') };
+        const shownAsText = new Set();
+
+        scope.querySelectorAll('[itemprop]').forEach(element => {
+            // Properties of nested items belong to those items
+            const owner = element.parentElement?.closest('[itemscope]');
+            if (owner !== scope) return;
+
+            const value = element.hasAttribute('itemscope') ?
+                this.readMicrodataItem(element) : this.getMicrodataValue(element);
+
+            element.getAttribute('itemprop').trim().split(/\s+/).forEach(name => {
+                if (!element.hasAttribute('itemscope') && this.isTextValue(element)) shownAsText.add(name);
+                if (item[name] === undefined) {
+                    item[name] = value;
+                } else {
+                    item[name] = [].concat(item[name], value);
+                }
+            });
+        });
+
+        // Prices read from visible text use the page's separators ("1.299,00"), not schema.org's dot
+        const hints = { currency: this.getText(item.priceCurrency), locale: scope.closest('[lang]')?.getAttribute('lang') || null };
+        this.priceProperties
+            .filter(name => shownAsText.has(name) && typeof item[name] === 'string')
+            .forEach(name => {
+                const amount = ExtensionUtils.money.parseNumber(item[name], hints);
+                item[name] = amount === null ? null : String(amount);
+            });
+
+        return item;
+    }
+
+    /**
+     * Check whether a microdata property takes its value from the element's visible text
+     */
+    isTextValue(element) {
+        return !element.hasAttribute('content') &&
+            !['a', 'link', 'img', 'time', 'data', 'meter'].includes(element.tagName.toLowerCase());
+    }
+
+    /**
+     * Read the value of a microdata property element
+     */
+    getMicrodataValue(element) {
+        if (element.hasAttribute('content')) return element.getAttribute('content');
+
+        switch (element.tagName.toLowerCase()) {
+            case 'a':
+            case 'link':
+                return element.getAttribute('href');
+            case 'img':
+                return element.getAttribute('src');
+            case 'time':
+                return element.getAttribute('datetime') || element.textContent.trim();
+            case 'data':
+            case 'meter':
+                return element.getAttribute('value');
+            default:
+                return element.textContent.trim();
+        }
+    }
+
+    /**
+     * Build the product record from a Product node
+     * @param {object} node - JSON-LD Product node or converted microdata item
+     * @param {string} source - 'json-ld' or 'microdata'
+     * @returns {object} - Product record
+     */
+    normalizeProduct(node, source) {
+        const offer = this.selectOffer(node.offers);
+        const rating = this.first(node.aggregateRating);
+
+        return {
+            source,
+            name: this.getText(node.name),
+            brand: this.getName(node.brand),
+            sku: this.getText(node.sku),
+            gtin: this.getText(node.gtin || node.gtin13 || node.gtin12 || node.gtin14 || node.gtin8),
+            mpn: this.getText(node.mpn),
+            image: this.getImages(node.image),
+            url: this.getText(node.url),
+            price: this.getNumber(offer?.price ?? offer?.lowPrice),
+            priceCurrency: this.getText(offer?.priceCurrency),
+            lowPrice: this.getNumber(offer?.lowPrice),
+            highPrice: this.getNumber(offer?.highPrice),
+            offerCount: this.getNumber(offer?.offerCount),
+            availability: this.getAvailability(offer?.availability),
+            priceValidUntil: this.getText(offer?.priceValidUntil),
+            seller: this.getName(offer?.seller),
+            aggregateRating: rating ? {
+                ratingValue: this.getNumber(rating.ratingValue),
+                reviewCount: this.getNumber(rating.reviewCount),
+                ratingCount: this.getNumber(rating.ratingCount),
+                bestRating: this.getNumber(rating.bestRating)
+            } : null
+        };
+    }
+
+    /**
+     * Pick the offer to report from an Offer, an AggregateOffer or a list of offers
+     * AggregateOffers keep their price range and fill in missing details from their first offer
+     */
+    selectOffer(offers) {
+        const list = [].concat(offers || []).filter(offer => offer && typeof offer === 'object');
+        const offer = list.find(entry => this.getNumber(entry.price ?? entry.lowPrice) !== null) || list[0];
+        if (!offer) return null;
+
+        if (this.hasType(offer, 'AggregateOffer') && offer.offers) {
+            const nested = this.selectOffer(offer.offers);
+            if (!nested) return offer;
+            return {
+                ...nested,
+                ...this.withoutEmpty(offer),
+                price: offer.price ?? offer.lowPrice ?? nested.price
+            };
+        }
+        return offer;
+    }
+
+    /**
+     * Normalize a schema.org ItemAvailability value
+     * @param {string} value - e.g. 'https://schema.org/InStock' or 'InStock'
+     * @returns {string|null} - e.g. 'in_stock', or null if unknown
+     */
+    getAvailability(value) {
+        const text = this.getText(value);
+        if (!text) return null;
+        return this.availabilityMap[this.localName(text)] || null;
+    }
+
+    isProduct(node) {
+        return !!node && this.productTypes.some(type => this.hasType(node, type));
+    }
+
+    hasType(node, type) {
+        return [].concat(node['@type'] || []).some(value => this.localName(String(value)) === type);
+    }
+
+    /**
+     * Strip the schema.org prefix from a type or enumeration value
+     */
+    localName(value) {
+        return value.trim().split(/[/#:]/).pop();
+    }
+
+    first(value) {
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    getText(value) {
+        const single = this.first(value);
+        if (single === undefined || single === null || typeof single === 'object') return null;
+
+        const text = String(single).trim();
+        return text || null;
+    }
+
+    getName(value) {
+        const single = this.first(value);
+        return single && typeof single === 'object' ? this.getText(single.name) : this.getText(single);
+    }
+
+    getNumber(value) {
+        const text = this.getText(value);
+        if (text === null) return null;
+
+        // JSON-LD and content attributes use a dot as decimal separator; tolerate stray symbols and spaces
+        const number = parseFloat(text.replace(/[^\d.-]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    getImages(value) {
+        return [].concat(value || [])
+            .map(image => (image && typeof image === 'object' ? this.getText(image.url || image.contentUrl) : this.getText(image)))
+            .filter(Boolean);
+    }
+
+    withoutEmpty(object) {
+        return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredDataExtractor;
+}
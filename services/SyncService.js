@@ -0,0 +1,525 @@
+/**
+ * SyncService - Opt-in sync of the wishlist and settings between devices
+ * The shared document lives in chrome.storage.sync, split into chunks that fit the per-item quota.
+ * Every shared product field and settings section carries the time it last changed, so edits made
+ * on different devices merge field by field with the latest change winning. Deleted products leave
+ * tombstones so other devices delete them too. Named lists sync the same way, and products carry the
+ * IDs of the lists they are in. Price history and tracking data stay on each device.
+ *
+ * Document shape: { products: { id: { field: [value, time] } }, lists: { id: { field: [value, time] } },
+ *                   deleted: { id: time }, settings: { section: [value, time] } }
+ */
+class SyncService {
+    /**
+     * @param {object} options - Optional dependencies
+     * @param {Function} options.onApplied - Called after changes from other devices were applied to this one
+     */
+    constructor(options = {}) {
+        this.config = ExtensionConfig.sync;
+        this.stateKey = ExtensionConfig.storage.keys.syncState;
+        this.statusKey = ExtensionConfig.storage.keys.syncStatus;
+        this.metaKey = `${this.config.keyPrefix}meta`;
+        this.onApplied = options.onApplied || null;
+        this.timer = null;
+        this.running = Promise.resolve();
+    }
+
+    /**
+     * Sync after local changes to the list or settings and after changes from other devices
+     */
+    listen() {
+        ExtensionUtils.storage.onChange(() => this.schedule());
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const fromOtherDevice = areaName === 'sync' && Object.keys(changes).some(key => key.startsWith(this.config.keyPrefix));
+            const settingsChanged = areaName === 'local' && changes[ExtensionConfig.storage.keys.settings];
+            if (fromOtherDevice || settingsChanged) {
+                this.schedule();
+            }
+        });
+    }
+
+    /**
+     * Sync once a burst of changes is over
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), this.config.debounceDelay);
+    }
+
+    /**
+     * Merge this device's list and settings with the shared copy, one run at a time
+     * @returns {Promise<object>} - Sync status { state, time, error }
+     */
+    async sync() {
+        const run = this.running.then(() => this.syncOnce());
+        // Keep the chain going after a failed run
+        this.running = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Run one sync
+     * @returns {Promise<object>} - Sync status { state, time, error }
+     */
+    async syncOnce() {
+        try {
+            const settings = await ExtensionUtils.storage.getSettings();
+            if (!settings.sync.enabled) {
+                // Turning sync on again starts over, as if this device had never synced
+                await chrome.storage.local.remove([this.stateKey]);
+                return this.setStatus('off');
+            }
+
+            await this.setStatus('syncing');
+            const remote = await this.readRemote();
+            if (!remote) {
+                console.log('⏳ [SyncService] Waiting for the rest of the shared list to arrive');
+                return this.setStatus('waiting');
+            }
+
+            const now = Date.now();
+            const state = await this.loadState();
+            let merged = null;
+            let productChanges = 0;
+
+            // The transform runs inside the storage lock, so the lists are read and written there too
+            const saved = await ExtensionUtils.storage.replaceProducts(async (products) => {
+                const lists = await ExtensionUtils.storage._getListsOrThrow();
+                const local = this.buildLocalDoc(products, settings, state, now, lists);
+                merged = this.pruneTombstones(this.mergeDocs(local, remote), now);
+                const applied = this.applyProducts(merged, products, now);
+                const appliedLists = this.applyLists(merged, lists);
+                if (appliedLists.changes > 0) {
+                    await ExtensionUtils.storage._writeLists(appliedLists.lists);
+                }
+                productChanges = applied.changes + appliedLists.changes;
+                return applied.products;
+            });
+            if (!saved) {
+                throw new Error('Could not save the synced list');
+            }
+
+            const settingsUpdates = this.getSettingsUpdates(merged, settings);
+            if (Object.keys(settingsUpdates).length > 0) {
+                await ExtensionUtils.storage.saveSettings(settingsUpdates);
+            }
+
+            // Local changes keep their times in the state, so a failed upload is retried by the next run
+            await chrome.storage.local.set({ [this.stateKey]: merged });
+            if (SyncService.serialize(merged) !== SyncService.serialize(remote)) {
+                await this.writeRemote(merged);
+            }
+
+            if ((productChanges > 0 || Object.keys(settingsUpdates).length > 0) && this.onApplied) {
+                await this.onApplied();
+            }
+
+            console.log(`☁️ [SyncService] Synced ${Object.keys(merged.products).length} products, ${productChanges} changed here`);
+            return this.setStatus('synced');
+        } catch (error) {
+            console.error('❌ [SyncService] Sync failed:', error);
+            return this.setStatus('error', error.message);
+        }
+    }
+
+    /**
+     * Describe this device's list and settings as a sync document
+     * Fields that still have the value last agreed with other devices keep its time; changed
+     * fields are stamped with the product's or list's last update, and missing ones become tombstones.
+     * @param {Array} products - Saved products
+     * @param {object} settings - User settings
+     * @param {object} state - Document from the last sync
+     * @param {number} now - Current time in ms
+     * @param {Array} lists - Named lists in display order
+     * @returns {object} - Sync document
+     */
+    buildLocalDoc(products, settings, state, now, lists = []) {
+        const doc = { products: {}, lists: {}, deleted: { ...state.deleted }, settings: {} };
+        const stamp = (previous, value, time) => {
+            if (previous && SyncService.serialize(previous[0]) === SyncService.serialize(value)) return previous;
+            return [value, previous ? Math.max(time, previous[1] + 1) : time];
+        };
+
+        products.forEach(product => {
+            const previous = state.products[product.id] || {};
+            const updated = Math.min(Date.parse(product.dateUpdated || product.dateAdded) || now, now);
+            doc.products[product.id] = Object.fromEntries(this.config.productFields.map(field =>
+                [field, stamp(previous[field], product[field] ?? null, updated)]));
+        });
+
+        // A default list that was never renamed or moved has no update time, so a device that joins adopts the shared one
+        lists.forEach((list, position) => {
+            const previous = (state.lists || {})[list.id] || {};
+            const updated = list.dateUpdated ? Math.min(Date.parse(list.dateUpdated) || now, now) : 0;
+            const values = { name: list.name, position };
+            doc.lists[list.id] = Object.fromEntries(this.config.listFields.map(field =>
+                [field, stamp(previous[field], values[field] ?? null, updated)]));
+        });
+
+        [...Object.keys(state.products), ...Object.keys(state.lists || {})].forEach(id => {
+            if (!doc.products[id] && !doc.lists[id] && !doc.deleted[id]) {
+                doc.deleted[id] = now;
+            }
+        });
+
+        // Settings still at their defaults lose to shared ones, so a device that joins adopts them
+        this.config.settingsFields.forEach(field => {
+            const previous = state.settings[field];
+            const value = settings[field] ?? null;
+            const isDefault = SyncService.serialize(value) === SyncService.serialize(ExtensionConfig.defaultSettings[field] ?? null);
+            doc.settings[field] = stamp(previous, value, previous || !isDefault ? now : 0);
+        });
+
+        return doc;
+    }
+
+    /**
+     * Merge two sync documents
+     * Each field keeps the value written last, with ties going to the larger value so every
+     * device reaches the same result. Product IDs are never reused, so deletions always win.
+     * @param {object} a - Sync document
+     * @param {object} b - Sync document
+     * @returns {object} - Merged document with sorted keys
+     */
+    mergeDocs(a, b) {
+        const keys = (...objects) => [...new Set(objects.flatMap(object => Object.keys(object || {})))].sort();
+        const pick = (x, y) => {
+            if (!x || !y) return x || y;
+            if (x[1] !== y[1]) return x[1] > y[1] ? x : y;
+            return SyncService.serialize(x[0]) >= SyncService.serialize(y[0]) ? x : y;
+        };
+        const mergeFields = (x = {}, y = {}) => Object.fromEntries(keys(x, y).map(field => [field, pick(x[field], y[field])]));
+
+        const merged = { products: {}, lists: {}, deleted: {}, settings: mergeFields(a.settings, b.settings) };
+        keys(a.deleted, b.deleted).forEach(id => {
+            merged.deleted[id] = Math.max(a.deleted[id] || 0, b.deleted[id] || 0);
+        });
+        ['products', 'lists'].forEach(type => {
+            keys(a[type], b[type])
+                .filter(id => !merged.deleted[id])
+                .forEach(id => {
+                    merged[type][id] = mergeFields((a[type] || {})[id], (b[type] || {})[id]);
+                });
+        });
+
+        return merged;
+    }
+
+    /**
+     * Forget tombstones older than ExtensionConfig.sync.tombstoneDays
+     * @param {object} doc - Sync document, changed in place
+     * @param {number} now - Current time in ms
+     * @returns {object} - The document
+     */
+    pruneTombstones(doc, now) {
+        const cutoff = now - this.config.tombstoneDays * 24 * 60 * 60 * 1000;
+        Object.entries(doc.deleted).forEach(([id, time]) => {
+            if (time < cutoff) delete doc.deleted[id];
+        });
+        return doc;
+    }
+
+    /**
+     * Bring the saved products in line with a merged document
+     * @param {object} doc - Merged sync document
+     * @param {Array} products - Saved products
+     * @param {number} now - Current time in ms
+     * @returns {object} - { products, changes } with the new list and the number of products added, changed or removed
+     */
+    applyProducts(doc, products, now) {
+        const money = ExtensionUtils.money;
+        const same = (x, y) => SyncService.serialize(x ?? null) === SyncService.serialize(y ?? null);
+        const local = new Map(products.map(product => [product.id, product]));
+        const added = [];
+        let changes = 0;
+
+        const kept = products.filter(product => doc.products[product.id]).map(product => {
+            const values = this.getValues(doc.products[product.id]);
+            if (Object.keys(values).every(field => same(product[field], values[field]))) return product;
+
+            changes++;
+            const updated = { ...product, ...values, id: product.id, dateUpdated: new Date(now).toISOString() };
+            if (!same(product.price, updated.price) || !same(product.priceHints, updated.priceHints)) {
+                updated.priceMoney = money.parse(updated.price, updated.priceHints);
+            }
+            if (!same(product.savedPrice, updated.savedPrice)) {
+                updated.savedPriceMoney = money.parse(updated.savedPrice || updated.price, updated.priceHints);
+            }
+            return updated;
+        });
+
+        Object.entries(doc.products)
+            .filter(([id]) => !local.has(id))
+            .forEach(([id, fields]) => {
+                const values = this.getValues(fields);
+                added.push({
+                    ...values,
+                    id,
+                    priceMoney: money.parse(values.price, values.priceHints),
+                    savedPriceMoney: money.parse(values.savedPrice || values.price, values.priceHints),
+                    dateUpdated: new Date(now).toISOString()
+                });
+            });
+        added.sort((x, y) => (y.dateAdded || '').localeCompare(x.dateAdded || ''));
+
+        changes += added.length + products.length - kept.length;
+        return { products: [...added, ...kept], changes };
+    }
+
+    /**
+     * Bring the named lists in line with a merged document
+     * Lists are ordered by their shared position, and the default list is kept even before it was shared
+     * @param {object} doc - Merged sync document
+     * @param {Array} lists - Named lists on this device
+     * @returns {object} - { lists, changes } with the new lists and the number of lists added, changed or removed
+     */
+    applyLists(doc, lists) {
+        const local = new Map(lists.map(list => [list.id, list]));
+        const shared = doc.lists || {};
+        const positions = {};
+
+        const merged = Object.entries(shared).map(([id, fields]) => {
+            const { name, position } = this.getValues(fields);
+            positions[id] = position;
+            const list = local.get(id);
+            return list && list.name === name ? list : { ...list, id, name };
+        });
+        const defaultList = lists.find(list => list.id === ExtensionConfig.lists.defaultId);
+        if (defaultList && !shared[defaultList.id]) {
+            merged.push(defaultList);
+            positions[defaultList.id] = lists.indexOf(defaultList);
+        }
+        merged.sort((x, y) => (positions[x.id] - positions[y.id]) || x.id.localeCompare(y.id));
+
+        const changes = merged.filter((list, i) => list !== lists[i]).length + Math.max(lists.length - merged.length, 0);
+        return { lists: changes > 0 ? merged : lists, changes };
+    }
+
+    /**
+     * Get the settings sections that other devices changed
+     * @param {object} doc - Merged sync document
+     * @param {object} settings - User settings on this device
+     * @returns {object} - Sections to save
+     */
+    getSettingsUpdates(doc, settings) {
+        const values = this.getValues(doc.settings);
+        return Object.fromEntries(Object.entries(values).filter(([field, value]) =>
+            value !== null && SyncService.serialize(value) !== SyncService.serialize(settings[field] ?? null)));
+    }
+
+    /**
+     * Strip the times from a set of synced fields
+     * @param {object} fields - { field: [value, time] }
+     * @returns {object} - { field: value }
+     */
+    getValues(fields) {
+        return Object.fromEntries(Object.entries(fields).map(([field, [value]]) => [field, value]));
+    }
+
+    // ============================================
+    // CHROME.STORAGE.SYNC
+    // ============================================
+
+    /**
+     * Read the shared document
+     * Chunks written together can arrive from another device one by one, so an incomplete
+     * document is reported as null and read again when the rest arrives
+     * @returns {Promise<object|null>} - Sync document, empty if nothing is shared yet
+     */
+    async readRemote() {
+        const stored = await chrome.storage.sync.get(null);
+        const meta = stored[this.metaKey];
+        if (!meta) return SyncService.emptyDoc();
+
+        const text = Array.from({ length: meta.chunks }, (_, i) => stored[this.getChunkKey(i)] || '').join('');
+        if (text.length !== meta.length || SyncService.hash(text) !== meta.hash) return null;
+
+        return JSON.parse(text);
+    }
+
+    /**
+     * Store the shared document, writing only the chunks that changed
+     * @param {object} doc - Sync document
+     * @throws {Error} - If the document does not fit in chrome.storage.sync
+     */
+    async writeRemote(doc) {
+        const text = SyncService.serialize(doc);
+        const chunks = this.splitChunks(text);
+        const meta = { chunks: chunks.length, length: text.length, hash: SyncService.hash(text) };
+
+        const bytes = chunks.reduce((total, chunk, i) => total + this.getChunkKey(i).length + SyncService.byteLength(chunk) + 2, 0) +
+            this.metaKey.length + JSON.stringify(meta).length;
+        if (bytes > this.config.quotaBytes) {
+            throw new Error(`The list is too large to sync (${Math.ceil(bytes / 1024)} KB of ${Math.floor(this.config.quotaBytes / 1024)} KB)`);
+        }
+
+        const stored = await chrome.storage.sync.get(null);
+        const updates = { [this.metaKey]: meta };
+        chunks.forEach((chunk, i) => {
+            if (stored[this.getChunkKey(i)] !== chunk) updates[this.getChunkKey(i)] = chunk;
+        });
+        await chrome.storage.sync.set(updates);
+
+        const stale = Object.keys(stored).filter(key => key.startsWith(this.config.keyPrefix) &&
+            key !== this.metaKey && Number(key.slice(this.config.keyPrefix.length)) >= chunks.length);
+        if (stale.length > 0) {
+            await chrome.storage.sync.remove(stale);
+        }
+        console.log(`☁️ [SyncService] Uploaded ${Object.keys(updates).length - 1} of ${chunks.length} chunks (${bytes} bytes)`);
+    }
+
+    /**
+     * Split text into chunks that each stay within ExtensionConfig.sync.chunkBytes once stored
+     * @param {string} text - Serialized document
+     * @returns {Array<string>} - Chunks
+     */
+    splitChunks(text) {
+        const chunks = [];
+        let start = 0;
+        let size = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const units = SyncService.isSurrogatePair(text, i) ? 2 : 1;
+            const bytes = SyncService.byteLength(text.slice(i, i + units));
+            if (size + bytes > this.config.chunkBytes) {
+                chunks.push(text.slice(start, i));
+                start = i;
+                size = 0;
+            }
+            size += bytes;
+            i += units - 1;
+        }
+        chunks.push(text.slice(start));
+
+        return chunks;
+    }
+
+    /**
+     * Get the storage key of a chunk
+     * @param {number} index - Chunk index
+     * @returns {string} - Storage key
+     */
+    getChunkKey(index) {
+        return `${this.config.keyPrefix}${index}`;
+    }
+
+    // ============================================
+    // LOCAL STATE AND STATUS
+    // ============================================
+
+    /**
+     * Get the document from the last sync
+     * @returns {Promise<object>} - Sync document, empty before the first sync
+     */
+    async loadState() {
+        const result = await chrome.storage.local.get([this.stateKey]);
+        return { ...SyncService.emptyDoc(), ...result[this.stateKey] };
+    }
+
+    /**
+     * Get the status shown in the popup header
+     * @returns {Promise<object>} - { state, time, error } with state 'off', 'syncing', 'waiting', 'synced' or 'error'
+     */
+    async getStatus() {
+        const result = await chrome.storage.local.get([this.statusKey]);
+        return result[this.statusKey] || { state: 'off', time: null, error: null };
+    }
+
+    /**
+     * Store the sync status
+     * @param {string} state - 'off', 'syncing', 'waiting', 'synced' or 'error'
+     * @param {string|null} error - What went wrong
+     * @returns {Promise<object>} - Stored status
+     */
+    async setStatus(state, error = null) {
+        const status = { state, time: new Date().toISOString(), error };
+        try {
+            await chrome.storage.local.set({ [this.statusKey]: status });
+        } catch (storageError) {
+            console.error('❌ [SyncService] Failed to save sync status:', storageError);
+        }
+        return status;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * @returns {object} - Document with nothing in it
+     */
+    static emptyDoc() {
+        return { products: {}, lists: {}, deleted: {}, settings: {} };
+    }
+
+    /**
+     * Serialize a value with object keys in sorted order, so equal values compare equal
+     * @param {*} value - JSON value
+     * @returns {string} - JSON text
+     */
+    static serialize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => SyncService.serialize(item ?? null)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${SyncService.serialize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    /**
+     * Count the bytes chrome.storage uses for a string, which it stores as JSON in UTF-8
+     * @param {string} text - Text
+     * @returns {number} - Bytes without the surrounding quotes
+     */
+    static byteLength(text) {
+        let bytes = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (SyncService.isSurrogatePair(text, i)) {
+                bytes += 4;
+                i++;
+            } else if (code === 0x22 || code === 0x5c) {
+                bytes += 2; // Escaped quote or backslash
+            } else if (code < 0x20 || (code >= 0xd800 && code <= 0xdfff)) {
+                bytes += 6; // \u escape
+            } else {
+                bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : 3;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * @param {string} text - Text
+     * @param {number} index - Position
+     * @returns {boolean} - True if a surrogate pair starts at the position
+     */
+    static isSurrogatePair(text, index) {
+        const code = text.charCodeAt(index);
+        const next = text.charCodeAt(index + 1);
+        return code >= 0xd800 && code <= 0xdbff && next >= 0xdc00 && next <= 0xdfff;
+    }
+
+    /**
+     * Checksum to tell whether all chunks of one upload have arrived
+     * @param {string} text - Serialized document
+     * @returns {string} - FNV-1a hash in hex
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+}
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncService;
+}
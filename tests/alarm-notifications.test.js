@@ -8,6 +8,7 @@ global.chrome = {
     alarms: {
         create: jest.fn(),
         clear: jest.fn(),
+        get: jest.fn(),
         onAlarm: {
             addListener: jest.fn()
         }
@@ -27,14 +28,9 @@ global.chrome = {
     }
 };
 
-// Mock ExtensionConfig
-global.ExtensionConfig = {
-    storage: {
-        keys: {
-            productList: 'saved_products'
-        }
-    }
-};
+// Load configuration and utilities used by PriceTracker
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
 
 // Import the PriceTracker class
 const PriceTracker = require('../services/PriceTracker.js');
@@ -54,13 +50,15 @@ describe('Alarm Notification System', () => {
             expect(priceTracker.storageKey).toBe('price_tracking_data');
         });
 
-        test('should set up 12-hour production alarm correctly', async () => {
+        test('should set up the alarm at the default daily schedule', async () => {
+            chrome.storage.local.get.mockResolvedValue({});
+
             await priceTracker.setupProductionAlarm();
 
             expect(chrome.alarms.clear).toHaveBeenCalledWith('productionPriceCheck');
             expect(chrome.alarms.create).toHaveBeenCalledWith('productionPriceCheck', {
-                delayInMinutes: 720,  // 12 hours
-                periodInMinutes: 720  // 12 hours
+                delayInMinutes: 1440,  // 24 hours
+                periodInMinutes: 1440  // 24 hours
             });
         });
 
@@ -81,7 +79,7 @@ describe('Alarm Notification System', () => {
             // Mock the methods that performPriceCheck calls
             priceTracker.getProducts = jest.fn();
             priceTracker.getTrackingData = jest.fn();
-            priceTracker.checkProductForSamePrice = jest.fn();
+            priceTracker.checkProduct = jest.fn();
         });
 
         test('should handle empty product list', async () => {
@@ -106,9 +104,9 @@ describe('Alarm Notification System', () => {
 
             expect(priceTracker.getProducts).toHaveBeenCalled();
             expect(priceTracker.getTrackingData).toHaveBeenCalled();
-            expect(priceTracker.checkProductForSamePrice).toHaveBeenCalledTimes(2);
-            expect(priceTracker.checkProductForSamePrice).toHaveBeenCalledWith(mockProducts[0], {});
-            expect(priceTracker.checkProductForSamePrice).toHaveBeenCalledWith(mockProducts[1], {});
+            expect(priceTracker.checkProduct).toHaveBeenCalledTimes(2);
+            expect(priceTracker.checkProduct).toHaveBeenCalledWith(mockProducts[0], {}, 'scheduled');
+            expect(priceTracker.checkProduct).toHaveBeenCalledWith(mockProducts[1], {}, 'scheduled');
         });
 
         test('should handle price check errors gracefully', async () => {
@@ -118,25 +116,31 @@ describe('Alarm Notification System', () => {
         });
     });
 
-    describe('Same Price Detection', () => {
+    describe('Product Check', () => {
+        const observation = (price) => ({ timestamp: '2024-01-01T10:00:00.000Z', price, currency: 'USD', isOnSale: false });
+
         beforeEach(() => {
-            priceTracker.sendSamePriceNotification = jest.fn();
+            priceTracker.notify = jest.fn();
+            priceTracker.alertPolicy = { evaluate: jest.fn().mockResolvedValue([]), isEnabled: jest.fn() };
             priceTracker.saveTrackingData = jest.fn();
+            // Live price equals the price passed in
+            priceTracker.refreshProductPrice = jest.fn(async (product) => product);
         });
 
-        test('should send notification when price remains the same', async () => {
+        test('should not notify when price remains the same', async () => {
             const product = { id: 'p1', title: 'Test Product', price: '$99.99' };
             const trackingData = {
                 'p1': {
                     lastPrice: '$99.99',
                     lastCheckTime: '2024-01-01T10:00:00.000Z',
-                    sameCount: 2
+                    sameCount: 2,
+                    priceHistory: [observation(99.99)]
                 }
             };
 
-            await priceTracker.checkProductForSamePrice(product, trackingData);
+            await priceTracker.checkProduct(product, trackingData);
 
-            expect(priceTracker.sendSamePriceNotification).toHaveBeenCalledWith(product, '$99.99');
+            expect(priceTracker.notify).not.toHaveBeenCalled();
             expect(priceTracker.saveTrackingData).toHaveBeenCalled();
             
             // Check that tracking data was updated
@@ -145,7 +149,7 @@ describe('Alarm Notification System', () => {
             expect(saveCall['p1'].sameCount).toBe(3);
         });
 
-        test('should not send notification when price changes', async () => {
+        test('should update tracking data when price changes', async () => {
             const product = { id: 'p1', title: 'Test Product', price: '$89.99' };
             const trackingData = {
                 'p1': {
@@ -155,9 +159,8 @@ describe('Alarm Notification System', () => {
                 }
             };
 
-            await priceTracker.checkProductForSamePrice(product, trackingData);
+            await priceTracker.checkProduct(product, trackingData);
 
-            expect(priceTracker.sendSamePriceNotification).not.toHaveBeenCalled();
             expect(priceTracker.saveTrackingData).toHaveBeenCalled();
             
             // Check that tracking data was updated for price change
@@ -167,14 +170,13 @@ describe('Alarm Notification System', () => {
             expect(saveCall['p1'].sameCount).toBe(0);
         });
 
-        test('should handle first-time product check', async () => {
+        test('should handle first-time product check without notifying', async () => {
             const product = { id: 'p1', title: 'Test Product', price: '$99.99' };
             const trackingData = {};
 
-            await priceTracker.checkProductForSamePrice(product, trackingData);
+            await priceTracker.checkProduct(product, trackingData);
 
-            // Should send notification for first-time (for testing purposes)
-            expect(priceTracker.sendSamePriceNotification).toHaveBeenCalledWith(product, '$99.99');
+            expect(priceTracker.notify).not.toHaveBeenCalled();
             expect(priceTracker.saveTrackingData).toHaveBeenCalled();
             
             // Check that tracking data was created
@@ -184,64 +186,77 @@ describe('Alarm Notification System', () => {
             expect(saveCall['p1'].sameCount).toBe(0);
         });
 
-        test('should handle product check errors gracefully', async () => {
-            const product = { id: 'p1', title: 'Test Product', price: '$99.99' };
-            const trackingData = {};
-            
-            priceTracker.saveTrackingData.mockRejectedValue(new Error('Storage error'));
+        test('should pass the new observation and earlier history to the alert policy', async () => {
+            const product = { id: 'p1', title: 'Test Product', price: '$89.99' };
+            const priceHistory = [observation(99.99)];
+
+            await priceTracker.checkProduct(product, { 'p1': { lastPrice: '$99.99', priceHistory } }, 'manual');
 
-            await expect(priceTracker.checkProductForSamePrice(product, trackingData)).resolves.not.toThrow();
+            expect(priceTracker.alertPolicy.evaluate).toHaveBeenCalledWith(
+                product,
+                expect.objectContaining({ price: 89.99, currency: 'USD', source: 'manual' }),
+                priceHistory
+            );
         });
-    });
 
-    describe('Notification Creation', () => {
-        test('should create notification with correct options', async () => {
-            const product = { id: 'p1', title: 'Test Laptop', price: '$999.99' };
-            
-            chrome.notifications.create.mockImplementation((id, options, callback) => {
-                callback(id);
-            });
-            chrome.notifications.getPermissionLevel.mockImplementation((callback) => {
-                callback('granted');
+        test('should send every alert the policy allows', async () => {
+            const product = { id: 'p1', title: 'Test Product', price: '$89.99', url: 'https://shop.example/p1', domain: 'shop.example' };
+            const alert = { rule: 'priceDrop', title: '📉 Price Drop!', message: 'Test Product dropped' };
+            priceTracker.alertPolicy.evaluate.mockResolvedValue([alert]);
+
+            await priceTracker.checkProduct(product, {});
+
+            expect(priceTracker.notify).toHaveBeenCalledWith({
+                title: 'Test Product',
+                price: '$89.99',
+                url: 'https://shop.example/p1',
+                domain: 'shop.example',
+                alert
             });
+        });
 
-            await priceTracker.sendSamePriceNotification(product, '$999.99');
+        test('should not send a target price alert when the rule is disabled', async () => {
+            const product = { id: 'p1', title: 'Test Product', price: '$89.99', priceAlert: { targetPrice: 90, triggered: false } };
+            priceTracker.alertPolicy.isEnabled.mockResolvedValue(false);
+            chrome.storage.local.get.mockResolvedValue({ saved_products: [product] });
 
-            expect(chrome.notifications.create).toHaveBeenCalled();
-            
-            const createCall = chrome.notifications.create.mock.calls[0];
-            const notificationId = createCall[0];
-            const options = createCall[1];
-            
-            expect(notificationId).toMatch(/^same-price-p1-\d+$/);
-            expect(options.type).toBe('basic');
-            expect(options.title).toBe('🔄 WishCart - Price Unchanged');
-            expect(options.message).toContain('Test Laptop is still $999.99');
-            expect(options.iconUrl).toBeDefined();
+            await priceTracker.checkProduct(product, {});
+
+            expect(priceTracker.alertPolicy.isEnabled).toHaveBeenCalledWith('targetPrice');
+            expect(priceTracker.notify).not.toHaveBeenCalled();
         });
 
-        test('should handle notification creation errors', async () => {
+        test('should handle product check errors gracefully', async () => {
             const product = { id: 'p1', title: 'Test Product', price: '$99.99' };
+            const trackingData = {};
             
-            chrome.runtime.lastError = { message: 'Notification failed' };
-            chrome.notifications.create.mockImplementation((id, options, callback) => {
-                callback(null);
-            });
+            priceTracker.saveTrackingData.mockRejectedValue(new Error('Storage error'));
 
-            await expect(priceTracker.sendSamePriceNotification(product, '$99.99')).resolves.not.toThrow();
+            await expect(priceTracker.checkProduct(product, trackingData)).resolves.not.toThrow();
         });
 
-        test('should handle missing notifications API', async () => {
+        test('should compare the live price instead of the stored one', async () => {
             const product = { id: 'p1', title: 'Test Product', price: '$99.99' };
-            
-            // Temporarily remove notifications API
-            const originalNotifications = chrome.notifications;
-            delete chrome.notifications;
+            const trackingData = {
+                'p1': { lastPrice: '$99.99', sameCount: 0 }
+            };
+            priceTracker.refreshProductPrice.mockResolvedValue({ ...product, price: '$79.99' });
 
-            await expect(priceTracker.sendSamePriceNotification(product, '$99.99')).resolves.not.toThrow();
-            
-            // Restore notifications API
-            chrome.notifications = originalNotifications;
+            await priceTracker.checkProduct(product, trackingData);
+
+            const saveCall = priceTracker.saveTrackingData.mock.calls[0][0];
+            expect(saveCall['p1'].lastPrice).toBe('$79.99');
+            expect(saveCall['p1'].samePrice).toBe(false);
+        });
+
+        test('should skip products whose live price cannot be loaded', async () => {
+            const product = { id: 'p1', title: 'Test Product', price: '$99.99' };
+            priceTracker.refreshProductPrice.mockResolvedValue(null);
+
+            await priceTracker.checkProduct(product, {});
+
+            expect(priceTracker.alertPolicy.evaluate).not.toHaveBeenCalled();
+            expect(priceTracker.saveTrackingData).not.toHaveBeenCalled();
         });
     });
 
@@ -313,44 +328,48 @@ describe('Alarm Notification System', () => {
 
             await priceTracker.triggerManualCheck();
 
-            expect(priceTracker.performPriceCheck).toHaveBeenCalled();
+            expect(priceTracker.performPriceCheck).toHaveBeenCalledWith('manual');
         });
     });
 
     describe('Integration Tests', () => {
         test('should complete full price check cycle with notifications', async () => {
+            const AlertPolicy = require('../services/AlertPolicy.js');
+            const notify = jest.fn();
+            priceTracker = new PriceTracker({ notify, alertPolicy: new AlertPolicy() });
+
             // Setup mock data
             const mockProducts = [
                 { id: 'p1', title: 'Laptop', price: '$999.99' },
-                { id: 'p2', title: 'Phone', price: '$799.99' }
+                { id: 'p2', title: 'Phone', price: '$699.99' }
             ];
+            const observation = (price) => ({ timestamp: new Date().toISOString(), price, currency: 'USD', isOnSale: false });
             
             const mockTrackingData = {
-                'p1': { lastPrice: '$999.99', sameCount: 0 }, // Same price - should notify
-                'p2': { lastPrice: '$699.99', sameCount: 1 }  // Price changed - no notification
+                'p1': { lastPrice: '$999.99', sameCount: 0, priceHistory: [observation(999.99)] }, // Same price - no notification
+                'p2': { lastPrice: '$799.99', sameCount: 1, priceHistory: [observation(799.99)] }  // Price dropped - should notify
             };
 
-            chrome.storage.local.get
-                .mockResolvedValueOnce({ 'saved_products': mockProducts })
-                .mockResolvedValueOnce({ 'price_tracking_data': mockTrackingData });
-            
-            chrome.notifications.create.mockImplementation((id, options, callback) => {
-                callback(id);
-            });
-            chrome.notifications.getPermissionLevel.mockImplementation((callback) => {
-                callback('granted');
+            chrome.storage.local.get.mockImplementation(async (keys) => {
+                if (keys.includes('saved_products')) return { 'saved_products': mockProducts };
+                if (keys.includes('price_tracking_data')) return { 'price_tracking_data': mockTrackingData };
+                return {};
             });
 
+            // Live pages report the prices in the product list
+            priceTracker.refreshProductPrice = jest.fn(async (product) => product);
+
             await priceTracker.performPriceCheck();
 
-            // Should check both products
-            expect(chrome.storage.local.get).toHaveBeenCalledTimes(2);
-            
-            // Should create notification only for same price (p1), not for price change (p2)
-            expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+            // Should notify only for the price drop (p2), not for the unchanged price (p1)
+            expect(notify).toHaveBeenCalledTimes(1);
+            expect(notify.mock.calls[0][0]).toMatchObject({
+                title: 'Phone',
+                alert: expect.objectContaining({ rule: 'priceDrop' })
+            });
             
             // Should save updated tracking data
             expect(chrome.storage.local.set).toHaveBeenCalled();
         });
     });
-}); 
\ No newline at end of file
+});
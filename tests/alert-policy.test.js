@@ -0,0 +1,179 @@
+/**
+ * Alert Policy Tests
+ * Tests alert event detection, per-rule toggles and cooldowns
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const AlertPolicy = require('../services/AlertPolicy.js');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+const observation = (price, extra = {}) => ({
+    timestamp: new Date().toISOString(),
+    price,
+    currency: 'USD',
+    isOnSale: false,
+    ...extra
+});
+
+describe('AlertPolicy', () => {
+    let policy;
+    let storage;
+    const product = { id: 'p1', title: 'Blender' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(storage, items);
+        });
+        policy = new AlertPolicy();
+    });
+
+    describe('Event detection', () => {
+        test('should detect a price drop', () => {
+            const events = policy.detectEvents(product, observation(80), [observation(100)]);
+
+            expect(events.map(event => event.rule)).toEqual(['priceDrop']);
+        });
+
+        test('should report a new all-time low along with the drop it replaces', () => {
+            const history = [observation(100), observation(90), observation(95)];
+
+            const events = policy.detectEvents(product, observation(85), history);
+
+            expect(events.map(event => event.rule)).toEqual(['allTimeLow', 'priceDrop']);
+            expect(events[1].supersededBy).toBe('allTimeLow');
+        });
+
+        test('should detect a sale starting and ending', () => {
+            const started = policy.detectEvents(product, observation(100, { isOnSale: true }), [observation(100)]);
+            const ended = policy.detectEvents(product, observation(100), [observation(100, { isOnSale: true })]);
+
+            expect(started.map(event => event.rule)).toEqual(['saleStarted']);
+            expect(ended.map(event => event.rule)).toEqual(['saleEnded']);
+        });
+
+        test('should leave the price out of a sale alert when the page showed none', () => {
+            const [event] = policy.detectEvents(product, observation(null, { isOnSale: true }), [observation(100)]);
+
+            expect(event).toMatchObject({ rule: 'saleStarted', message: 'Blender is on sale' });
+        });
+
+        test('should detect a product coming back in stock', () => {
+            const events = policy.detectEvents(
+                product,
+                observation(100, { availability: 'in_stock' }),
+                [observation(100, { availability: 'out_of_stock' })]
+            );
+
+            expect(events.map(event => event.rule)).toEqual(['backInStock']);
+        });
+
+        test('should not report anything when the price is unchanged', () => {
+            expect(policy.detectEvents(product, observation(100), [observation(100)])).toEqual([]);
+        });
+
+        test('should not report anything on the first observation', () => {
+            expect(policy.detectEvents(product, observation(100), [])).toEqual([]);
+        });
+
+        test('should not compare prices in different currencies', () => {
+            const events = policy.detectEvents(product, observation(80), [observation(100, { currency: 'EUR' })]);
+
+            expect(events).toEqual([]);
+        });
+    });
+
+    describe('Evaluation', () => {
+        test('should allow a detected event with the default settings', async () => {
+            const alerts = await policy.evaluate(product, observation(80), [observation(100)]);
+
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ rule: 'priceDrop', title: expect.any(String), message: expect.stringContaining('Blender') });
+            expect(storage.alert_state.p1.priceDrop).toEqual(expect.any(String));
+        });
+
+        test('should send only the all-time low for a drop to a new low', async () => {
+            const history = [observation(100), observation(90), observation(95)];
+
+            const alerts = await policy.evaluate(product, observation(85), history);
+
+            expect(alerts.map(alert => alert.rule)).toEqual(['allTimeLow']);
+            expect(storage.alert_state.p1.priceDrop).toBeUndefined();
+        });
+
+        test('should send the price drop when the all-time low rule is off', async () => {
+            storage.extension_settings = { alerts: { rules: { allTimeLow: { enabled: false } } } };
+            const history = [observation(100), observation(90), observation(95)];
+
+            const alerts = await policy.evaluate(product, observation(85), history);
+
+            expect(alerts.map(alert => alert.rule)).toEqual(['priceDrop']);
+        });
+
+        test('should send the price drop while the all-time low is cooling down', async () => {
+            storage.alert_state = { p1: { allTimeLow: hoursAgo(1) } };
+            const history = [observation(100), observation(90), observation(95)];
+
+            const alerts = await policy.evaluate(product, observation(85), history);
+
+            expect(alerts.map(alert => alert.rule)).toEqual(['priceDrop']);
+        });
+
+        test('should send nothing when alerts are turned off', async () => {
+            storage.extension_settings = { alerts: { enabled: false } };
+
+            await expect(policy.evaluate(product, observation(80), [observation(100)])).resolves.toEqual([]);
+        });
+
+        test('should skip rules the user disabled', async () => {
+            storage.extension_settings = { alerts: { rules: { priceDrop: { enabled: false } } } };
+
+            await expect(policy.evaluate(product, observation(80), [observation(100)])).resolves.toEqual([]);
+        });
+
+        test('should hold back an alert inside its cooldown', async () => {
+            storage.alert_state = { p1: { priceDrop: hoursAgo(1) } };
+
+            await expect(policy.evaluate(product, observation(80), [observation(100)])).resolves.toEqual([]);
+        });
+
+        test('should allow an alert again once the cooldown has passed', async () => {
+            storage.extension_settings = { alerts: { rules: { priceDrop: { cooldownMinutes: 120 } } } };
+            storage.alert_state = { p1: { priceDrop: hoursAgo(3) } };
+
+            const alerts = await policy.evaluate(product, observation(80), [observation(100)]);
+
+            expect(alerts.map(alert => alert.rule)).toEqual(['priceDrop']);
+        });
+
+        test('should report whether a rule is enabled', async () => {
+            storage.extension_settings = { alerts: { rules: { targetPrice: { enabled: false } } } };
+
+            await expect(policy.isEnabled('targetPrice')).resolves.toBe(false);
+            await expect(policy.isEnabled('priceDrop')).resolves.toBe(true);
+        });
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Price Check Queue Tests
+ * Tests concurrency limits, per-domain rate limiting, retries and persistence
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceCheckQueue = require('../services/PriceCheckQueue.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+const product = (id, domain) => ({ id, title: `Product ${id}`, url: `https://${domain}/${id}`, domain });
+
+describe('PriceCheckQueue', () => {
+    let storage;
+
+    const createQueue = (worker, options = {}) => new PriceCheckQueue({
+        worker,
+        concurrency: 2,
+        domainInterval: 0,
+        retryDelays: [5, 10, 20],
+        maxAttempts: 3,
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.entries(items).forEach(([key, value]) => {
+                storage[key] = JSON.parse(JSON.stringify(value));
+            });
+        });
+    });
+
+    test('should process every queued product', async () => {
+        const worker = jest.fn().mockResolvedValue();
+        const queue = createQueue(worker);
+
+        await queue.enqueue([product('p1', 'a.com'), product('p2', 'b.com'), product('p3', 'c.com')], 'manual');
+        await queue.run();
+
+        expect(worker.mock.calls.map(([job]) => job.productId)).toEqual(['p1', 'p2', 'p3']);
+        expect(worker.mock.calls[0][0]).toMatchObject({ domain: 'a.com', source: 'manual' });
+        expect(storage.price_check_queue.jobs).toEqual([]);
+    });
+
+    test('should not run more jobs at once than the concurrency limit', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const worker = jest.fn(async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await ExtensionUtils.async.delay(5);
+            running--;
+        });
+        const queue = createQueue(worker);
+
+        await queue.enqueue(['a.com', 'b.com', 'c.com', 'd.com', 'e.com'].map((domain, i) => product(`p${i}`, domain)));
+        await queue.run();
+
+        expect(worker).toHaveBeenCalledTimes(5);
+        expect(maxRunning).toBe(2);
+    });
+
+    test('should space out checks on the same domain and interleave other domains', async () => {
+        const starts = [];
+        const worker = jest.fn(async (job) => {
+            starts.push({ id: job.productId, domain: job.domain, time: Date.now() });
+        });
+        const queue = createQueue(worker, { concurrency: 1, domainInterval: 30 });
+
+        await queue.enqueue([product('a1', 'a.com'), product('a2', 'a.com'), product('b1', 'b.com')]);
+        await queue.run();
+
+        expect(starts.map(start => start.id)).toEqual(['a1', 'b1', 'a2']);
+        const [a1, , a2] = starts;
+        expect(a2.time - a1.time).toBeGreaterThanOrEqual(25);
+    });
+
+    test('should not queue a product twice', async () => {
+        const queue = createQueue(jest.fn());
+
+        await queue.enqueue([product('p1', 'a.com')]);
+        const added = await queue.enqueue([product('p1', 'a.com'), product('p2', 'a.com')]);
+
+        expect(added).toBe(1);
+        expect(storage.price_check_queue.jobs.map(job => job.productId)).toEqual(['p1', 'p2']);
+    });
+
+    test('should retry a failed check after the configured delays', async () => {
+        const worker = jest.fn()
+            .mockRejectedValueOnce(new Error('Timeout'))
+            .mockRejectedValueOnce(new Error('Timeout'))
+            .mockResolvedValueOnce();
+        const queue = createQueue(worker);
+
+        const started = Date.now();
+        await queue.enqueue([product('p1', 'a.com')]);
+        await queue.run();
+
+        expect(worker).toHaveBeenCalledTimes(3);
+        expect(Date.now() - started).toBeGreaterThanOrEqual(14);
+        expect(storage.price_check_queue.jobs).toEqual([]);
+    });
+
+    test('should use the retry delays from the timing configuration', () => {
+        const queue = new PriceCheckQueue();
+        const { retryDelays } = ExtensionConfig.timing;
+
+        expect(queue.getRetryDelay(1)).toBe(retryDelays[0]);
+        expect(queue.getRetryDelay(2)).toBe(retryDelays[1]);
+        expect(queue.getRetryDelay(retryDelays.length + 3)).toBe(retryDelays[retryDelays.length - 1]);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+        const worker = jest.fn().mockRejectedValue(new Error('Timeout'));
+        const queue = createQueue(worker);
+
+        await queue.enqueue([product('p1', 'a.com')]);
+        await queue.run();
+
+        expect(worker).toHaveBeenCalledTimes(3);
+        expect(storage.price_check_queue.jobs).toEqual([]);
+    });
+
+    test('should persist jobs that have not run yet', async () => {
+        const queue = createQueue(jest.fn());
+
+        await queue.enqueue([product('p1', 'a.com')], 'scheduled');
+
+        expect(storage.price_check_queue.jobs[0]).toMatchObject({
+            productId: 'p1',
+            domain: 'a.com',
+            status: 'pending',
+            attempts: 0
+        });
+    });
+
+    test('should resume jobs interrupted by a suspended service worker', async () => {
+        storage.price_check_queue = {
+            jobs: [
+                { productId: 'p1', title: 'Product p1', domain: 'a.com', source: 'scheduled', status: 'running', attempts: 1, notBefore: 0 },
+                { productId: 'p2', title: 'Product p2', domain: 'b.com', source: 'scheduled', status: 'pending', attempts: 0, notBefore: 0 }
+            ],
+            domains: {}
+        };
+        const worker = jest.fn().mockResolvedValue();
+        const queue = createQueue(worker);
+
+        await queue.resume();
+
+        expect(worker.mock.calls.map(([job]) => job.productId)).toEqual(['p1', 'p2']);
+        expect(worker.mock.calls[0][0].attempts).toBe(1);
+        expect(storage.price_check_queue.jobs).toEqual([]);
+    });
+});
+
+describe('PriceTracker with a check queue', () => {
+    let queue;
+    let priceTracker;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        queue = { setWorker: jest.fn(), enqueue: jest.fn(), run: jest.fn() };
+        priceTracker = new PriceTracker({ checkQueue: queue });
+    });
+
+    test('should register itself as the queue worker', () => {
+        expect(queue.setWorker).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    test('should queue due products instead of checking them in turn', async () => {
+        const products = [product('p1', 'a.com'), product('p2', 'b.com')];
+        priceTracker.getProducts = jest.fn().mockResolvedValue(products);
+        priceTracker.getTrackingData = jest.fn().mockResolvedValue({});
+        priceTracker.checkProduct = jest.fn();
+
+        await priceTracker.performPriceCheck('manual');
+
+        expect(queue.enqueue).toHaveBeenCalledWith(products, 'manual');
+        expect(queue.run).toHaveBeenCalled();
+        expect(priceTracker.checkProduct).not.toHaveBeenCalled();
+    });
+
+    test('should fail a queued check when the live price is unavailable so it is retried', async () => {
+        priceTracker.getProducts = jest.fn().mockResolvedValue([product('p1', 'a.com')]);
+        priceTracker.getTrackingData = jest.fn().mockResolvedValue({});
+        priceTracker.refreshProductPrice = jest.fn().mockResolvedValue(null);
+
+        await expect(priceTracker.runQueuedCheck({ productId: 'p1', source: 'scheduled' })).rejects.toThrow('Price check failed');
+    });
+
+    test('should skip queued checks for products removed in the meantime', async () => {
+        priceTracker.getProducts = jest.fn().mockResolvedValue([]);
+        priceTracker.checkProduct = jest.fn();
+
+        await expect(priceTracker.runQueuedCheck({ productId: 'p1', title: 'Gone' })).resolves.toBeUndefined();
+        expect(priceTracker.checkProduct).not.toHaveBeenCalled();
+    });
+
+    test('should not lose tracking records written by concurrent checks', async () => {
+        let stored = {};
+        priceTracker.getTrackingData = jest.fn(async () => ({ ...stored }));
+        priceTracker.saveTrackingData = jest.fn(async (data) => {
+            await ExtensionUtils.async.delay(5);
+            stored = data;
+        });
+
+        await Promise.all([
+            priceTracker.saveTrackingRecord('p1', { lastPrice: '$10.00' }),
+            priceTracker.saveTrackingRecord('p2', { lastPrice: '$20.00' })
+        ]);
+
+        expect(Object.keys(stored)).toEqual(['p1', 'p2']);
+    });
+});
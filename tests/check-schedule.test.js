@@ -0,0 +1,209 @@
+/**
+ * Check Schedule Tests
+ * Tests the configurable check frequency and due-product selection
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+const settingsWith = (frequency) => ({ schedule: { frequency } });
+
+describe('Check schedule', () => {
+    let priceTracker;
+    let storage;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.alarms.get.mockResolvedValue(undefined);
+        priceTracker = new PriceTracker();
+
+        // Let the alarm set up by the constructor settle before asserting on alarm calls
+        await new Promise(resolve => setTimeout(resolve, 0));
+        chrome.alarms.clear.mockClear();
+        chrome.alarms.create.mockClear();
+    });
+
+    describe('Check intervals', () => {
+        test('should use the global schedule for products without an override', () => {
+            expect(priceTracker.getCheckInterval({ id: 'p1' }, settingsWith('every6h'))).toBe(360);
+        });
+
+        test('should prefer the product override', () => {
+            const product = { id: 'p1', checkFrequency: 'hourly' };
+
+            expect(priceTracker.getCheckInterval(product, settingsWith('daily'))).toBe(60);
+        });
+
+        test('should not check products that are turned off', () => {
+            expect(priceTracker.getCheckInterval({ id: 'p1', checkFrequency: 'off' }, settingsWith('hourly'))).toBeNull();
+            expect(priceTracker.getCheckInterval({ id: 'p1' }, settingsWith('off'))).toBeNull();
+        });
+
+        test('should ignore unknown overrides', () => {
+            expect(priceTracker.getCheckInterval({ id: 'p1', checkFrequency: 'weekly' }, settingsWith('daily'))).toBe(1440);
+        });
+
+        test('should tick at the shortest interval in use', () => {
+            const products = [{ id: 'p1' }, { id: 'p2', checkFrequency: 'hourly' }];
+
+            expect(priceTracker.getTickInterval(products, settingsWith('daily'))).toBe(60);
+        });
+
+        test('should keep ticking for product overrides when the global schedule is off', () => {
+            const products = [{ id: 'p1' }, { id: 'p2', checkFrequency: 'every6h' }];
+
+            expect(priceTracker.getTickInterval(products, settingsWith('off'))).toBe(360);
+            expect(priceTracker.getTickInterval([{ id: 'p1' }], settingsWith('off'))).toBeNull();
+        });
+    });
+
+    describe('Due products', () => {
+        test('should select products whose interval has elapsed', () => {
+            const products = [
+                { id: 'due', lastChecked: hoursAgo(25) },
+                { id: 'recent', lastChecked: hoursAgo(2) },
+                { id: 'never' }
+            ];
+
+            const due = priceTracker.getDueProducts(products, {}, settingsWith('daily'));
+
+            expect(due.map(product => product.id)).toEqual(['due', 'never']);
+        });
+
+        test('should check volatile products more often than stable ones', () => {
+            const products = [
+                { id: 'flash', checkFrequency: 'hourly', lastChecked: hoursAgo(1) },
+                { id: 'stable', lastChecked: hoursAgo(1) }
+            ];
+
+            const due = priceTracker.getDueProducts(products, {}, settingsWith('daily'));
+
+            expect(due.map(product => product.id)).toEqual(['flash']);
+        });
+
+        test('should treat products checked just under their interval ago as due', () => {
+            const lastChecked = new Date(Date.now() - HOUR + 2 * 60 * 1000).toISOString();
+
+            const due = priceTracker.getDueProducts([{ id: 'p1', lastChecked }], {}, settingsWith('hourly'));
+
+            expect(due).toHaveLength(1);
+        });
+
+        test('should fall back to the tracking data check time', () => {
+            const trackingData = { p1: { lastCheckTime: hoursAgo(2) } };
+
+            expect(priceTracker.getDueProducts([{ id: 'p1' }], trackingData, settingsWith('daily'))).toEqual([]);
+        });
+
+        test('should never select products that are turned off', () => {
+            const products = [{ id: 'p1', checkFrequency: 'off' }];
+
+            expect(priceTracker.getDueProducts(products, {}, settingsWith('hourly'))).toEqual([]);
+        });
+    });
+
+    describe('Alarm ticks', () => {
+        beforeEach(() => {
+            priceTracker.checkProduct = jest.fn();
+        });
+
+        test('should only check due products on a scheduled tick', async () => {
+            storage.saved_products = [
+                { id: 'p1', lastChecked: hoursAgo(25) },
+                { id: 'p2', lastChecked: hoursAgo(1) }
+            ];
+
+            await priceTracker.performPriceCheck('scheduled');
+
+            expect(priceTracker.checkProduct).toHaveBeenCalledTimes(1);
+            expect(priceTracker.checkProduct.mock.calls[0][0].id).toBe('p1');
+        });
+
+        test('should check every product on a manual check', async () => {
+            storage.saved_products = [
+                { id: 'p1', lastChecked: hoursAgo(1) },
+                { id: 'p2', checkFrequency: 'off' }
+            ];
+
+            await priceTracker.performPriceCheck('manual');
+
+            expect(priceTracker.checkProduct).toHaveBeenCalledTimes(2);
+        });
+
+        test('should set the alarm period from the settings and overrides', async () => {
+            storage.extension_settings = { schedule: { frequency: 'daily' } };
+            storage.saved_products = [{ id: 'p1', checkFrequency: 'every6h' }];
+
+            await priceTracker.setupProductionAlarm();
+
+            expect(chrome.alarms.create).toHaveBeenCalledWith('productionPriceCheck', {
+                delayInMinutes: 360,
+                periodInMinutes: 360
+            });
+        });
+
+        test('should keep a running alarm with the same period', async () => {
+            chrome.alarms.get.mockResolvedValue({ name: 'productionPriceCheck', periodInMinutes: 1440 });
+
+            await priceTracker.setupProductionAlarm();
+
+            expect(chrome.alarms.clear).not.toHaveBeenCalled();
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
+        test('should clear the alarm when all checks are off', async () => {
+            storage.extension_settings = { schedule: { frequency: 'off' } };
+
+            await priceTracker.setupProductionAlarm();
+
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('productionPriceCheck');
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Product overrides', () => {
+        test('should keep the check frequency when a product is saved again', async () => {
+            const product = { title: 'Desk Chair', price: '$149.00', url: 'https://shop.example/chair', domain: 'shop.example' };
+            const productId = ExtensionUtils.storage.generateProductId(product);
+            storage.saved_products = [{ ...product, id: productId, checkFrequency: 'hourly' }];
+            chrome.storage.local.set.mockResolvedValue();
+
+            await ExtensionUtils.storage.saveProduct({ ...product, price: '$139.00' });
+
+            const saved = chrome.storage.local.set.mock.calls[0][0].saved_products[0];
+            expect(saved).toMatchObject({ price: '$139.00', checkFrequency: 'hourly' });
+        });
+    });
+});
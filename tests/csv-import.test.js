@@ -0,0 +1,198 @@
+/**
+ * CSV Import Tests
+ * Tests reading spreadsheets in different encodings and delimiters, mapping their columns,
+ * skipping products that are already saved and filling in missing titles and prices on the first check
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+// jsdom has no TextDecoder; the browser's and Node's decode the same
+global.TextDecoder = require('util').TextDecoder;
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const CsvImporter = require('../services/CsvImporter.js');
+const ProductImporter = require('../services/ProductImporter.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+describe('CSV import', () => {
+    const storageApi = ExtensionUtils.storage;
+    let storage;
+    let csvImporter;
+
+    const bytes = (text) => Uint8Array.from(Buffer.from(text, 'utf8'));
+    const saved = (title) => storage.saved_products.find(product => product.title === title);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, JSON.parse(JSON.stringify(items))));
+        csvImporter = new CsvImporter();
+    });
+
+    describe('Reading files', () => {
+        test('should read quoted cells with delimiters, quotes and line breaks', () => {
+            const rows = csvImporter.parseRows('Name,Notes\r\n"Lamp, brass","Say ""hi""\nsoon"\r\n\r\nRug,', ',');
+
+            expect(rows).toEqual([['Name', 'Notes'], ['Lamp, brass', 'Say "hi"\nsoon'], ['Rug', '']]);
+        });
+
+        test('should detect semicolon and tab delimiters', () => {
+            expect(csvImporter.detectDelimiter('Name;Price;URL\nLamp;"19,99";https://shop.example/lamp')).toBe(';');
+            expect(csvImporter.detectDelimiter('Name\tPrice\nLamp, brass\t19.99')).toBe('\t');
+            expect(csvImporter.detectDelimiter('https://shop.example/lamp')).toBe(',');
+        });
+
+        test('should detect UTF-8, UTF-16 and Windows-1252 files', () => {
+            const utf16 = Uint8Array.from([0xFF, 0xFE, ...Buffer.from('Name\nLampe à poser', 'utf16le')]);
+            const windows1252 = Uint8Array.from([...Buffer.from('Name\nLampe '), 0xE0, ...Buffer.from(' poser')]);
+
+            expect(csvImporter.decode(bytes('\uFEFFName\nLampe à poser'))).toEqual({ text: 'Name\nLampe à poser', encoding: 'utf-8' });
+            expect(csvImporter.decode(utf16)).toEqual({ text: 'Name\nLampe à poser', encoding: 'utf-16le' });
+            expect(csvImporter.decode(windows1252)).toEqual({ text: 'Name\nLampe à poser', encoding: 'windows-1252' });
+        });
+
+        test('should treat a first row with a link as data rather than a header', () => {
+            const table = csvImporter.read(bytes('https://shop.example/lamp,Lamp\nhttps://shop.example/rug,Rug'));
+
+            expect(table.headers).toEqual(['Column 1', 'Column 2']);
+            expect(table.rows).toHaveLength(2);
+        });
+
+        test('should explain an empty file', () => {
+            expect(() => csvImporter.read(bytes('\n\n'))).toThrow('The file does not contain any rows');
+        });
+    });
+
+    describe('Mapping columns', () => {
+        test('should guess columns from header names', () => {
+            const table = csvImporter.read(bytes('Item Name;Cost;Link;Comments;Labels\nLamp;19.99;https://shop.example/lamp;Brass;desk'));
+
+            expect(csvImporter.guessMapping(table)).toEqual({ url: 2, title: 0, price: 1, note: 3, tags: 4 });
+        });
+
+        test('should find the URL column from its cells when no header names it', () => {
+            const table = csvImporter.read(bytes('What,Where\nLamp,www.shop.example/lamp'));
+
+            expect(csvImporter.guessMapping(table)).toMatchObject({ url: 1, title: null });
+        });
+
+        test('should fill in stand-in titles and the no price text and list what is missing', () => {
+            const table = csvImporter.read(bytes('URL,Title,Price,Notes\nshop.example/lamp/,,TBD,For the desk\nhttps://shop.example/rug,Rug,$60.00,'));
+
+            const records = csvImporter.toRecords(table, csvImporter.guessMapping(table));
+
+            expect(records).toEqual([
+                {
+                    title: 'shop.example/lamp',
+                    price: 'No price found',
+                    url: 'https://shop.example/lamp/',
+                    domain: 'shop.example',
+                    needsDetails: ['title', 'price'],
+                    note: 'For the desk'
+                },
+                { title: 'Rug', price: '$60.00', url: 'https://shop.example/rug', domain: 'shop.example', needsDetails: [] }
+            ]);
+        });
+    });
+
+    describe('Importing', () => {
+        test('should only keep http(s) links', () => {
+            const table = csvImporter.read(bytes('URL,Title\njavascript:alert(1),A\ndata:text/html;base64,PHA+,B\nmailto:shop@shop.example,C\nshop.example:8080/lamp,D\nHTTP://shop.example/rug,E'));
+
+            const urls = csvImporter.toRecords(table, { url: 0, title: 1 }).map(record => record.url);
+
+            expect(urls).toEqual(['', '', '', 'https://shop.example:8080/lamp', 'HTTP://shop.example/rug']);
+        });
+
+        test('should only add products that are not saved yet', async () => {
+            await storageApi.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+            const table = csvImporter.read(bytes([
+                'URL,Title',
+                'https://www.shop.example/lamp?utm_source=sheet,Brass lamp',
+                'https://shop.example/rug,Rug',
+                'https://shop.example/rug/,Rug again',
+                'javascript:alert(1),Bad link'
+            ].join('\n')));
+
+            const summary = await new ProductImporter().apply(csvImporter.toRecords(table, csvImporter.guessMapping(table)), 'add');
+
+            expect(summary).toMatchObject({ added: 1, updated: 0, unchanged: 1, invalid: 2, productIds: [saved('Rug').id] });
+            expect(storage.saved_products.map(product => product.title)).toEqual(['Rug', 'Lamp']);
+        });
+
+        test('should fill in the title and saved price on the first check', async () => {
+            await new ProductImporter().apply([{
+                title: 'shop.example/lamp',
+                price: 'No price found',
+                url: 'https://shop.example/lamp',
+                needsDetails: ['title', 'price']
+            }], 'add');
+            const pageFetcher = {
+                fetchPageInfo: jest.fn().mockResolvedValue({ title: 'Brass Desk Lamp', price: '$19.99' })
+            };
+            const priceTracker = new PriceTracker({ pageFetcher });
+
+            await priceTracker.refreshProductPrice(storage.saved_products[0]);
+
+            expect(storage.saved_products[0]).toMatchObject({
+                title: 'Brass Desk Lamp',
+                price: '$19.99',
+                savedPrice: '$19.99',
+                savedPriceMoney: { amount: 1999, currency: 'USD' },
+                needsDetails: []
+            });
+        });
+
+        test('should keep waiting for a title the page does not show', async () => {
+            await new ProductImporter().apply([{ title: 'shop.example/lamp', price: '$20.00', url: 'https://shop.example/lamp', needsDetails: ['title'] }], 'add');
+            const pageFetcher = { fetchPageInfo: jest.fn().mockResolvedValue({ title: 'No title found', price: '$19.99' }) };
+
+            await new PriceTracker({ pageFetcher }).refreshProductPrice(storage.saved_products[0]);
+
+            expect(storage.saved_products[0]).toMatchObject({ title: 'shop.example/lamp', savedPrice: '$20.00', needsDetails: ['title'] });
+        });
+
+        test('should queue checks for imported products', async () => {
+            await storageApi.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+            await storageApi.saveProduct({ title: 'Rug', price: '$60.00', url: 'https://shop.example/rug' });
+            const checkQueue = { setWorker: jest.fn(), enqueue: jest.fn().mockResolvedValue(1), run: jest.fn() };
+            const priceTracker = new PriceTracker({ checkQueue });
+
+            await expect(priceTracker.checkProducts([saved('Rug').id, 'removed'])).resolves.toBe(1);
+
+            expect(checkQueue.enqueue).toHaveBeenCalledWith([expect.objectContaining({ title: 'Rug' })], 'import');
+            expect(checkQueue.run).toHaveBeenCalled();
+        });
+    });
+});
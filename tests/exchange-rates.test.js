@@ -0,0 +1,146 @@
+/**
+ * Exchange Rates Tests
+ * Tests the bundled and user rate tables, JSON/CSV import and currency conversion
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn(),
+            remove: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const ExchangeRates = require('../services/ExchangeRates.js');
+
+const money = ExtensionUtils.money;
+
+describe('ExchangeRates', () => {
+    let exchangeRates;
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+        chrome.storage.local.remove.mockImplementation(async (key) => delete storage[key]);
+        exchangeRates = new ExchangeRates();
+    });
+
+    describe('Rate tables', () => {
+        test('should use the bundled table until the user saves one', async () => {
+            const table = await exchangeRates.getTable();
+
+            expect(table).toMatchObject({ base: 'USD', date: ExtensionConfig.exchangeRates.date, source: 'bundled' });
+            expect(table.rates.EUR).toBe(ExtensionConfig.exchangeRates.rates.EUR);
+        });
+
+        test('should save, use and reset a user table', async () => {
+            await exchangeRates.saveTable({ date: '2025-07-15', rates: { USD: 1, EUR: '0.9' } });
+
+            await expect(exchangeRates.getTable()).resolves.toEqual({
+                base: 'USD',
+                date: '2025-07-15',
+                rates: { USD: 1, EUR: 0.9 },
+                source: 'user'
+            });
+
+            await exchangeRates.resetTable();
+            await expect(exchangeRates.getTable()).resolves.toMatchObject({ source: 'bundled' });
+        });
+
+        test('should reject tables without valid rates', async () => {
+            await expect(exchangeRates.saveTable({ rates: {} })).rejects.toThrow(ExtensionConfig.messages.errors.invalidRates);
+            expect(() => exchangeRates.normalizeTable({ rates: { EUR: 0 } })).toThrow('(EUR)');
+            expect(() => exchangeRates.normalizeTable({ rates: { EURO: 0.9 } })).toThrow('(EURO)');
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        test('should date tables without a date today', () => {
+            const table = exchangeRates.normalizeTable({ rates: { eur: 1, usd: 1.17 } });
+
+            expect(table).toEqual({ base: 'EUR', date: new Date().toISOString().slice(0, 10), rates: { EUR: 1, USD: 1.17 } });
+        });
+    });
+
+    describe('Import', () => {
+        test('should read a JSON table', () => {
+            const text = JSON.stringify({ base: 'EUR', date: '2025-07-01', rates: { EUR: 1, USD: 1.17, GBP: 0.86 } });
+
+            expect(exchangeRates.parse(text)).toEqual({ base: 'EUR', date: '2025-07-01', rates: { EUR: 1, USD: 1.17, GBP: 0.86 } });
+        });
+
+        test('should read a JSON object of rates', () => {
+            expect(exchangeRates.parse('{ "USD": 1, "CAD": 1.37 }').rates).toEqual({ USD: 1, CAD: 1.37 });
+        });
+
+        test('should read CSV with a header, a date row and comments', () => {
+            const text = [
+                'currency,rate',
+                '# exported from my bank',
+                'date,2025-07-01',
+                'USD,1',
+                'EUR;0,85',
+                '"GBP","0.73"',
+                ''
+            ].join('\n');
+
+            expect(exchangeRates.parse(text)).toEqual({
+                base: 'USD',
+                date: '2025-07-01',
+                rates: { USD: 1, EUR: 0.85, GBP: 0.73 }
+            });
+        });
+
+        test('should write CSV that reads back to the same table', () => {
+            const table = { base: 'USD', date: '2025-06-30', rates: { USD: 1, JPY: 144.1 } };
+
+            expect(exchangeRates.parse(exchangeRates.toCsv(table))).toEqual(table);
+        });
+
+        test('should reject text that is not a rate table', () => {
+            expect(() => exchangeRates.parse('hello')).toThrow();
+            expect(() => exchangeRates.parse('{ not json')).toThrow();
+        });
+    });
+
+    describe('Conversion', () => {
+        const table = { base: 'USD', date: '2025-06-30', rates: { USD: 1, EUR: 0.8, JPY: 150, CAD: 1.25 } };
+
+        test('should convert between currencies through the base', () => {
+            expect(exchangeRates.convert(money.parse('€40.00'), 'USD', table)).toMatchObject({ amount: 5000, currency: 'USD' });
+            expect(exchangeRates.convert(money.parse('CA$25.00'), 'EUR', table)).toMatchObject({ amount: 1600, currency: 'EUR' });
+        });
+
+        test('should round to the minor units of the target currency', () => {
+            expect(exchangeRates.convert(money.parse('€1.99'), 'JPY', table)).toMatchObject({ amount: 373, currency: 'JPY' });
+        });
+
+        test('should keep prices already in the target currency', () => {
+            const price = money.parse('$19.99');
+
+            expect(exchangeRates.convert(price, 'USD', table)).toBe(price);
+        });
+
+        test('should not convert without a rate or a currency', () => {
+            expect(exchangeRates.convert(money.parse('£10.00'), 'USD', table)).toBeNull();
+            expect(exchangeRates.convert(money.parse('10.00'), 'USD', table)).toBeNull();
+            expect(exchangeRates.convert(null, 'USD', table)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Named List Tests
+ * Tests creating, renaming, reordering and deleting lists and moving or copying products between them
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+
+describe('Named lists', () => {
+    const storageApi = ExtensionUtils.storage;
+    let storage;
+
+    const lamp = { title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' };
+    const chair = { title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' };
+    const saved = (title) => storage.saved_products.find(product => product.title === title);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, JSON.parse(JSON.stringify(items))));
+    });
+
+    describe('Lists', () => {
+        test('should always have the default list', async () => {
+            await expect(storageApi.getLists()).resolves.toEqual([{ id: 'default', name: 'Tracked Products' }]);
+        });
+
+        test('should create, rename and reorder lists', async () => {
+            const gifts = await storageApi.createList('  Gifts  ');
+            const office = await storageApi.createList('Home office');
+
+            await expect(storageApi.renameList(gifts.id, 'Birthday gifts')).resolves.toBe(true);
+            await expect(storageApi.moveList(office.id, -1)).resolves.toBe(true);
+            await expect(storageApi.moveList('default', -1)).resolves.toBe(false);
+
+            const lists = await storageApi.getLists();
+            expect(lists.map(list => list.name)).toEqual(['Tracked Products', 'Home office', 'Birthday gifts']);
+            expect(ExtensionUtils.isUuid(gifts.id)).toBe(true);
+        });
+
+        test('should not create or rename lists without a name', async () => {
+            await expect(storageApi.createList('   ')).resolves.toBeNull();
+            await expect(storageApi.renameList('default', '')).resolves.toBe(false);
+            expect(storage.wishlists).toBeUndefined();
+        });
+
+        test('should rename the default list but never delete it', async () => {
+            await storageApi.renameList('default', 'Later');
+
+            await expect(storageApi.deleteList('default')).resolves.toBe(false);
+            await expect(storageApi.getLists()).resolves.toEqual([expect.objectContaining({ id: 'default', name: 'Later' })]);
+        });
+
+        test('should delete products only in a deleted list and keep those in other lists', async () => {
+            const gifts = await storageApi.createList('Gifts');
+            await storageApi.saveProduct(lamp, gifts.id);
+            await storageApi.saveProduct(chair, gifts.id);
+            await storageApi.addToList(saved('Chair').id, 'default');
+
+            await expect(storageApi.deleteList(gifts.id)).resolves.toBe(true);
+
+            expect(storage.saved_products).toEqual([expect.objectContaining({ title: 'Chair', lists: ['default'] })]);
+            expect(storage.wishlists.map(list => list.id)).toEqual(['default']);
+        });
+    });
+
+    describe('Products in lists', () => {
+        test('should treat products saved before there were lists as in the default list', () => {
+            expect(storageApi.getProductLists({ id: 'lamp' })).toEqual(['default']);
+            expect(storageApi.isInList({ id: 'lamp' }, 'default')).toBe(true);
+            expect(storageApi.isInList({ id: 'lamp', lists: ['gifts'] }, 'default')).toBe(false);
+            expect(storageApi.isInList({ id: 'lamp', lists: ['gifts'] }, null)).toBe(true);
+        });
+
+        test('should add a product saved again to the chosen list without taking it out of others', async () => {
+            await storageApi.saveProduct(lamp);
+            await storageApi.saveProduct({ ...lamp, url: 'https://shop.example/lamp?utm_source=mail' }, 'gifts');
+
+            expect(storage.saved_products).toHaveLength(1);
+            expect(saved('Lamp').lists).toEqual(['default', 'gifts']);
+        });
+
+        test('should move and copy products between lists', async () => {
+            await storageApi.saveProduct(lamp);
+            const id = saved('Lamp').id;
+
+            await storageApi.moveToList(id, 'default', 'gifts');
+            expect(saved('Lamp').lists).toEqual(['gifts']);
+
+            await storageApi.addToList(id, 'office');
+            await storageApi.addToList(id, 'office');
+            expect(saved('Lamp').lists).toEqual(['gifts', 'office']);
+        });
+
+        test('should remove a product from one list and delete it once it is in none', async () => {
+            await storageApi.saveProduct(lamp, 'gifts');
+            const id = saved('Lamp').id;
+            await storageApi.addToList(id, 'office');
+
+            await storageApi.removeFromList(id, 'gifts');
+            expect(saved('Lamp').lists).toEqual(['office']);
+
+            await storageApi.removeFromList(id, 'office');
+            expect(storage.saved_products).toEqual([]);
+        });
+
+        test('should clear one list and leave the others alone', async () => {
+            await storageApi.saveProduct(lamp, 'gifts');
+            await storageApi.saveProduct(chair);
+
+            await expect(storageApi.clearList('gifts')).resolves.toBe(true);
+
+            expect(storage.saved_products.map(product => product.title)).toEqual(['Chair']);
+        });
+
+        test('should export one list or all lists', async () => {
+            await storageApi.saveProduct(lamp, 'gifts');
+            await storageApi.saveProduct(chair);
+
+            expect(JSON.parse(await storageApi.exportProducts('gifts')).map(product => product.title)).toEqual(['Lamp']);
+            expect(JSON.parse(await storageApi.exportProducts()).map(product => product.title)).toEqual(['Chair', 'Lamp']);
+        });
+    });
+});
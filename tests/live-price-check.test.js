@@ -0,0 +1,153 @@
+/**
+ * Live Price Check Tests
+ * Tests loading product pages in the background and writing fresh prices back
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    tabs: {
+        create: jest.fn(),
+        get: jest.fn(),
+        remove: jest.fn(),
+        sendMessage: jest.fn(),
+        onUpdated: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    notifications: {
+        create: jest.fn()
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PageFetcher = require('../services/PageFetcher.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+describe('PageFetcher', () => {
+    let fetcher;
+
+    beforeEach(() => {
+        fetcher = new PageFetcher({ settleDelay: 0, pageTimeout: 1000 });
+        chrome.tabs.create.mockResolvedValue({ id: 42 });
+        chrome.tabs.get.mockResolvedValue({ id: 42, status: 'complete' });
+        chrome.tabs.remove.mockResolvedValue();
+    });
+
+    test('should open an inactive tab and read page info from the content script', async () => {
+        chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+            callback({ title: 'Headphones', price: '$59.99', url: 'https://shop.example/p' });
+        });
+
+        const pageInfo = await fetcher.fetchPageInfo('https://shop.example/p');
+
+        expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://shop.example/p', active: false });
+        expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'getPageInfo' }, expect.any(Function));
+        expect(pageInfo.price).toBe('$59.99');
+        expect(chrome.tabs.remove).toHaveBeenCalledWith(42);
+    });
+
+    test('should wait for the tab to finish loading', async () => {
+        chrome.tabs.get.mockResolvedValue({ id: 42, status: 'loading' });
+        chrome.tabs.onUpdated.addListener.mockImplementation((listener) => {
+            setTimeout(() => listener(42, { status: 'complete' }), 0);
+        });
+        chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+            callback({ title: 'Headphones', price: '$59.99' });
+        });
+
+        await expect(fetcher.fetchPageInfo('https://shop.example/p')).resolves.toMatchObject({ price: '$59.99' });
+        expect(chrome.tabs.onUpdated.removeListener).toHaveBeenCalled();
+    });
+
+    test('should close the tab and reject when the content script does not answer', async () => {
+        chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+            chrome.runtime.lastError = { message: 'Receiving end does not exist' };
+            callback(undefined);
+            chrome.runtime.lastError = null;
+        });
+
+        await expect(fetcher.fetchPageInfo('https://shop.example/p'))
+            .rejects.toThrow(ExtensionConfig.messages.errors.contentScriptError);
+        expect(chrome.tabs.remove).toHaveBeenCalledWith(42);
+    });
+});
+
+describe('PriceTracker live price refresh', () => {
+    const product = { id: 'p1', title: 'Headphones', price: '$79.99', url: 'https://shop.example/p' };
+    let pageFetcher;
+    let priceTracker;
+
+    beforeEach(() => {
+        pageFetcher = { fetchPageInfo: jest.fn() };
+        priceTracker = new PriceTracker({ pageFetcher });
+        chrome.storage.local.get.mockResolvedValue({ saved_products: [product] });
+        chrome.storage.local.set.mockResolvedValue();
+    });
+
+    test('should write the fresh price back to the saved product', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({ title: 'Headphones', price: '$59.99' });
+
+        const refreshed = await priceTracker.refreshProductPrice(product);
+
+        expect(pageFetcher.fetchPageInfo).toHaveBeenCalledWith(product.url);
+        expect(refreshed.price).toBe('$59.99');
+
+        const saved = chrome.storage.local.set.mock.calls[0][0].saved_products[0];
+        expect(saved.price).toBe('$59.99');
+        expect(saved.lastChecked).toEqual(expect.any(String));
+        expect(saved.saleInfo).toEqual({ isOnSale: false });
+    });
+
+    test('should store sale details when the page reports a sale', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({
+            title: 'Headphones',
+            price: { currentPrice: '$49.99', originalPrice: '$79.99', isOnSale: true, saleType: 'flash' }
+        });
+
+        const refreshed = await priceTracker.refreshProductPrice(product);
+
+        expect(refreshed.price).toBe('$49.99');
+        expect(refreshed.saleInfo).toMatchObject({ isOnSale: true, originalPrice: '$79.99', saleType: 'flash' });
+    });
+
+    test('should return null when no price is found on the page', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({ title: 'Headphones', price: 'No price found' });
+
+        await expect(priceTracker.refreshProductPrice(product)).resolves.toBeNull();
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('should return null when the page cannot be loaded', async () => {
+        pageFetcher.fetchPageInfo.mockRejectedValue(new Error('Timeout'));
+
+        await expect(priceTracker.refreshProductPrice(product)).resolves.toBeNull();
+    });
+
+    test('should detect a price change during a scheduled check', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({ title: 'Headphones', price: '$59.99' });
+        priceTracker.saveTrackingData = jest.fn();
+
+        await priceTracker.checkProduct(product, { p1: { lastPrice: '$79.99', sameCount: 3 } });
+
+        expect(priceTracker.saveTrackingData.mock.calls[0][0].p1).toMatchObject({ lastPrice: '$59.99', sameCount: 0 });
+    });
+});
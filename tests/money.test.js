@@ -0,0 +1,151 @@
+/**
+ * Money Tests
+ * Tests the shared price parser and the money values stored with prices
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+const money = ExtensionUtils.money;
+
+describe('ExtensionUtils.money', () => {
+    describe('parse', () => {
+        test('should hold the amount in minor units with the currency and raw text', () => {
+            expect(money.parse('$29.99')).toEqual({ amount: 2999, currency: 'USD', raw: '$29.99' });
+            expect(money.parse(' CA$1,299.50 ')).toEqual({ amount: 129950, currency: 'CAD', raw: 'CA$1,299.50' });
+            expect(money.parse('29,99 EUR')).toEqual({ amount: 2999, currency: 'EUR', raw: '29,99 EUR' });
+        });
+
+        test('should use whole units for zero-decimal currencies', () => {
+            expect(money.parse('¥12,800')).toEqual({ amount: 12800, currency: 'JPY', raw: '¥12,800' });
+        });
+
+        test('should read grouped and decimal separators', () => {
+            expect(money.toMajor(money.parse('$999,999,999.99'))).toBe(999999999.99);
+            expect(money.toMajor(money.parse('1.299,00 €'))).toBe(1299);
+            expect(money.toMajor(money.parse('£1,299'))).toBe(1299);
+            expect(money.toMajor(money.parse('£19'))).toBe(19);
+        });
+
+        test('should use the fallback currency only when the text shows none', () => {
+            expect(money.parse('49.00', 'GBP').currency).toBe('GBP');
+            expect(money.parse('$49.00', 'GBP').currency).toBe('USD');
+            expect(money.parse('49.00').currency).toBeNull();
+        });
+
+        test('should accept numbers and existing money values', () => {
+            const value = money.parse('€45.00');
+
+            expect(money.parse(value)).toBe(value);
+            expect(money.parse(12.5, 'EUR')).toEqual({ amount: 1250, currency: 'EUR', raw: '12.5' });
+        });
+
+        test('should return null without an amount', () => {
+            expect(money.parse('')).toBeNull();
+            expect(money.parse(null)).toBeNull();
+            expect(money.parse('Free')).toBeNull();
+            expect(money.parse(ExtensionConfig.messages.notFound.price)).toBeNull();
+        });
+    });
+
+    describe('comparisons', () => {
+        test('should treat differently formatted prices as equal', () => {
+            expect(money.equals('$1,299.00', '$1299')).toBe(true);
+            expect(money.equals('US$ 29.99', '$29.99')).toBe(true);
+        });
+
+        test('should not treat amounts in different currencies as equal', () => {
+            expect(money.equals('$29.99', '€29.99')).toBe(false);
+            expect(money.compare('$29.99', '€19.99')).toBeNull();
+        });
+
+        test('should order prices in the same currency', () => {
+            expect(money.compare('$19.99', '$29.99')).toBeLessThan(0);
+            expect(money.compare('$29.99', '$19.99')).toBeGreaterThan(0);
+        });
+
+        test('should not treat missing prices as equal', () => {
+            expect(money.equals(null, null)).toBe(false);
+        });
+    });
+
+    test('should keep getNumericValue working on top of the parser', () => {
+        expect(ExtensionUtils.price.getNumericValue('AU$1,299.50')).toBe(1299.5);
+        expect(ExtensionUtils.price.getNumericValue('no numbers')).toBe(0);
+    });
+
+    test('should format money values with their currency', () => {
+        expect(money.format(money.parse('$1,299.50'))).toBe(
+            new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' }).format(1299.5)
+        );
+        expect(money.format(money.parse('12.5'))).toBe('12.50');
+        expect(money.format(null)).toBe('');
+    });
+});
+
+describe('Stored prices', () => {
+    let priceTracker;
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+        priceTracker = new PriceTracker();
+    });
+
+    test('should save products with money values', async () => {
+        await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '€39,90', url: 'https://shop.example/lamp' });
+
+        expect(storage.saved_products[0]).toMatchObject({
+            price: '€39,90',
+            priceMoney: { amount: 3990, currency: 'EUR' },
+            savedPriceMoney: { amount: 3990, currency: 'EUR' }
+        });
+    });
+
+    test('should count a reformatted price as unchanged', async () => {
+        const pageFetcher = { fetchPageInfo: jest.fn().mockResolvedValue({ price: '$1,299.00' }) };
+        priceTracker = new PriceTracker({ pageFetcher });
+        storage.saved_products = [{ id: 'p1', title: 'Laptop', price: '$1299', url: 'https://shop.example/laptop' }];
+        const trackingData = { p1: { lastPrice: '$1299', sameCount: 1 } };
+
+        await priceTracker.checkProduct(storage.saved_products[0], trackingData);
+
+        expect(trackingData.p1).toMatchObject({
+            lastPrice: '$1,299.00',
+            lastMoney: { amount: 129900, currency: 'USD' },
+            samePrice: true,
+            sameCount: 2
+        });
+    });
+});
@@ -511,17 +511,17 @@ describe('📊 Statistics Calculation Tests', () => {
     });
 
     test('3. Should extract numeric price correctly', () => {
-        expect(popup.extractNumericPrice('$99.99')).toBe(99.99);
-        expect(popup.extractNumericPrice('€1,234.56')).toBe(1234.56);
-        expect(popup.extractNumericPrice('¥1000')).toBe(1000);
-        expect(popup.extractNumericPrice('Free')).toBe(0);
+        expect(ExtensionUtils.price.getNumericValue('$99.99')).toBe(99.99);
+        expect(ExtensionUtils.price.getNumericValue('€1,234.56')).toBe(1234.56);
+        expect(ExtensionUtils.price.getNumericValue('¥1000')).toBe(1000);
+        expect(ExtensionUtils.price.getNumericValue('Free')).toBe(0);
     });
 
     test('4. Should handle invalid prices', () => {
-        expect(popup.extractNumericPrice('')).toBe(0);
-        expect(popup.extractNumericPrice(null)).toBe(0);
-        expect(popup.extractNumericPrice(undefined)).toBe(0);
-        expect(popup.extractNumericPrice('Not a price')).toBe(0);
+        expect(ExtensionUtils.price.getNumericValue('')).toBe(0);
+        expect(ExtensionUtils.price.getNumericValue(null)).toBe(0);
+        expect(ExtensionUtils.price.getNumericValue(undefined)).toBe(0);
+        expect(ExtensionUtils.price.getNumericValue('Not a price')).toBe(0);
     });
 
     test('5. Should calculate total saved amount', () => {
@@ -0,0 +1,144 @@
+/**
+ * Price Alert Tests
+ * Tests per-product target price and percentage alerts
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    notifications: {
+        create: jest.fn()
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+describe('Target price alerts', () => {
+    let notify;
+    let priceTracker;
+
+    const productWithAlert = (price, priceAlert) => ({
+        id: 'p1',
+        title: 'Espresso Machine',
+        price,
+        url: 'https://shop.example/espresso',
+        domain: 'shop.example',
+        priceAlert
+    });
+
+    const savedProduct = () => chrome.storage.local.set.mock.calls[0][0].saved_products[0];
+
+    beforeEach(() => {
+        notify = jest.fn();
+        priceTracker = new PriceTracker({ notify });
+        chrome.storage.local.get.mockResolvedValue({ saved_products: [productWithAlert('$300.00', null)] });
+        chrome.storage.local.set.mockResolvedValue();
+    });
+
+    test('should use the target price as threshold', () => {
+        expect(priceTracker.getAlertThreshold({ targetPrice: 250 })).toBe(250);
+    });
+
+    test('should derive the threshold from the percentage below the saved price', () => {
+        expect(priceTracker.getAlertThreshold({ percentBelow: 20, referencePrice: 300 })).toBe(240);
+    });
+
+    test('should fire on whichever threshold is reached first when both are set', () => {
+        expect(priceTracker.getAlertThreshold({ targetPrice: 200, percentBelow: 10, referencePrice: 300 })).toBe(270);
+    });
+
+    test('should have no threshold without an alert', () => {
+        expect(priceTracker.getAlertThreshold(null)).toBeNull();
+        expect(priceTracker.getAlertThreshold({ targetPrice: null, percentBelow: null })).toBeNull();
+    });
+
+    test('should notify and mark the alert triggered when the price crosses the threshold', async () => {
+        await priceTracker.checkPriceAlert(productWithAlert('$249.00', { targetPrice: 250, triggered: false }));
+
+        expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+            title: 'Espresso Machine',
+            price: '$249.00',
+            url: 'https://shop.example/espresso',
+            priceAlert: expect.objectContaining({ targetPrice: 250, threshold: 250 })
+        }));
+        expect(savedProduct().priceAlert).toMatchObject({ triggered: true, triggeredAt: expect.any(String) });
+    });
+
+    test('should not notify again while the price stays below the threshold', async () => {
+        await priceTracker.checkPriceAlert(productWithAlert('$240.00', { targetPrice: 250, triggered: true }));
+
+        expect(notify).not.toHaveBeenCalled();
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('should re-arm the alert when the price rises above the threshold', async () => {
+        await priceTracker.checkPriceAlert(productWithAlert('$280.00', { targetPrice: 250, triggered: true }));
+
+        expect(notify).not.toHaveBeenCalled();
+        expect(savedProduct().priceAlert).toMatchObject({ triggered: false, triggeredAt: null });
+    });
+
+    test('should not notify while the price is above the threshold', async () => {
+        await priceTracker.checkPriceAlert(productWithAlert('$280.00', { percentBelow: 10, referencePrice: 300, triggered: false }));
+
+        expect(notify).not.toHaveBeenCalled();
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('should check the alert during a price check', async () => {
+        const product = productWithAlert('$300.00', { targetPrice: 250, triggered: false });
+        priceTracker.refreshProductPrice = jest.fn(async () => ({ ...product, price: '$199.00' }));
+        priceTracker.saveTrackingData = jest.fn();
+
+        await priceTracker.checkProduct(product, {});
+
+        expect(notify).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Saved price reference', () => {
+    beforeEach(() => {
+        chrome.storage.local.set.mockResolvedValue();
+    });
+
+    test('should remember the price a product was saved at', async () => {
+        chrome.storage.local.get.mockResolvedValue({ saved_products: [] });
+
+        await ExtensionUtils.storage.saveProduct({ title: 'Kettle', price: '$40.00', url: 'https://shop.example/kettle' });
+
+        expect(chrome.storage.local.set.mock.calls[0][0].saved_products[0].savedPrice).toBe('$40.00');
+    });
+
+    test('should keep the saved price and alert when a product is saved again', async () => {
+        const product = { title: 'Kettle', price: '$35.00', url: 'https://shop.example/kettle' };
+        const id = ExtensionUtils.storage.generateProductId(product);
+        chrome.storage.local.get.mockResolvedValue({
+            saved_products: [{ ...product, id, price: '$40.00', savedPrice: '$40.00', priceAlert: { targetPrice: 30 } }]
+        });
+
+        await ExtensionUtils.storage.saveProduct(product);
+
+        const saved = chrome.storage.local.set.mock.calls[0][0].saved_products[0];
+        expect(saved.price).toBe('$35.00');
+        expect(saved.savedPrice).toBe('$40.00');
+        expect(saved.priceAlert).toEqual({ targetPrice: 30 });
+    });
+});
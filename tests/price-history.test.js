@@ -0,0 +1,223 @@
+/**
+ * Price History Tests
+ * Tests the per-product price observation series kept by PriceTracker
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    notifications: {
+        create: jest.fn()
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+describe('Price history observations', () => {
+    let priceTracker;
+
+    beforeEach(() => {
+        priceTracker = new PriceTracker();
+        priceTracker.saveTrackingData = jest.fn();
+    });
+
+    test('should record value, currency, sale flag, original price and source', () => {
+        const observation = priceTracker.createObservation({
+            price: 'CA$49.99',
+            saleInfo: { isOnSale: true, originalPrice: 'CA$69.99' }
+        }, 'manual');
+
+        expect(observation).toEqual({
+            timestamp: expect.any(String),
+            price: 49.99,
+            currency: 'CAD',
+            isOnSale: true,
+            originalPrice: 69.99,
+            availability: null,
+            source: 'manual'
+        });
+    });
+
+    test('should record a plain price without sale details', () => {
+        const observation = priceTracker.createObservation({ price: '€19,99' }, 'scheduled');
+
+        expect(observation).toMatchObject({ price: 19.99, currency: 'EUR', isOnSale: false, originalPrice: null });
+    });
+
+    test('should append an observation on every check', async () => {
+        const product = { id: 'p1', title: 'Lamp', price: '$30.00' };
+        priceTracker.refreshProductPrice = jest.fn(async () => ({ ...product, price: '$25.00' }));
+        const trackingData = {
+            p1: {
+                lastPrice: '$30.00',
+                sameCount: 0,
+                priceHistory: [{ timestamp: daysAgo(1), price: 30, currency: 'USD', isOnSale: false, originalPrice: null, source: 'scheduled' }]
+            }
+        };
+
+        await priceTracker.checkProduct(product, trackingData, 'manual');
+
+        const history = priceTracker.saveTrackingData.mock.calls[0][0].p1.priceHistory;
+        expect(history).toHaveLength(2);
+        expect(history[1]).toMatchObject({ price: 25, currency: 'USD', source: 'manual' });
+    });
+
+    test('should start a series on the first check', async () => {
+        const product = { id: 'p1', title: 'Lamp', price: '$30.00' };
+        priceTracker.refreshProductPrice = jest.fn(async () => product);
+        const trackingData = {};
+
+        await priceTracker.checkProduct(product, trackingData);
+
+        expect(trackingData.p1.priceHistory).toHaveLength(1);
+        expect(trackingData.p1.priceHistory[0]).toMatchObject({ price: 30, source: 'scheduled' });
+    });
+
+    test('should keep at most the configured number of observations', () => {
+        const { maxEntries } = ExtensionConfig.priceTracking.history;
+        const history = Array.from({ length: maxEntries }, (_, i) => ({ timestamp: daysAgo(1), price: i }));
+
+        const trimmed = priceTracker.appendObservation(history, { timestamp: daysAgo(0), price: -1 });
+
+        expect(trimmed).toHaveLength(maxEntries);
+        expect(trimmed[0].price).toBe(1);
+        expect(trimmed[trimmed.length - 1].price).toBe(-1);
+    });
+
+    test('should drop observations older than the retention window', () => {
+        const { maxAgeDays } = ExtensionConfig.priceTracking.history;
+        const history = [
+            { timestamp: daysAgo(maxAgeDays + 5), price: 10 },
+            { timestamp: daysAgo(3), price: 9 }
+        ];
+
+        const trimmed = priceTracker.appendObservation(history, { timestamp: daysAgo(0), price: 8 });
+
+        expect(trimmed.map(entry => entry.price)).toEqual([9, 8]);
+    });
+
+    test('should return the full series for a product', async () => {
+        const priceHistory = [{ timestamp: daysAgo(2), price: 10 }, { timestamp: daysAgo(1), price: 9 }];
+        chrome.storage.local.get.mockResolvedValue({ price_tracking_data: { p1: { priceHistory } } });
+
+        await expect(priceTracker.getProductPriceHistory('p1')).resolves.toEqual(priceHistory);
+        await expect(priceTracker.getProductPriceHistory('missing')).resolves.toEqual([]);
+    });
+});
+
+describe('Price drop detection', () => {
+    let priceTracker;
+    const products = [
+        { id: 'p1', title: 'Lamp', url: 'https://shop.example/lamp', domain: 'shop.example' },
+        { id: 'p2', title: 'Desk', url: 'https://shop.example/desk', domain: 'shop.example' },
+        { id: 'p3', title: 'Chair', url: 'https://shop.example/chair', domain: 'shop.example' }
+    ];
+    const observation = (days, price, currency = 'USD') => ({ timestamp: daysAgo(days), price, currency });
+
+    const mockStorage = (trackingData) => {
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            if (keys.includes('saved_products')) return { saved_products: products };
+            return { price_tracking_data: trackingData };
+        });
+    };
+
+    beforeEach(() => {
+        priceTracker = new PriceTracker();
+    });
+
+    test('should report a drop below the price from daysBack days ago', async () => {
+        const drop = observation(2, 30);
+        mockStorage({
+            p1: { priceHistory: [observation(10, 40), observation(8, 40), drop] }
+        });
+
+        const drops = await priceTracker.getProductsWithPriceDrops(7);
+
+        expect(drops).toHaveLength(1);
+        expect(drops[0]).toMatchObject({
+            productId: 'p1',
+            previousPrice: 40,
+            currentPrice: 30,
+            dropAmount: 10,
+            dropPercentage: 25,
+            currency: 'USD',
+            dropDate: drop.timestamp
+        });
+    });
+
+    test('should report a drop below the rolling maximum inside the window', async () => {
+        const spike = observation(3, 60);
+        const firstDrop = observation(2, 45);
+        mockStorage({
+            p2: { priceHistory: [observation(10, 50), observation(5, 50), spike, firstDrop, observation(1, 48)] }
+        });
+
+        const [drop] = await priceTracker.getProductsWithPriceDrops(7);
+
+        expect(drop).toMatchObject({ productId: 'p2', previousPrice: 60, currentPrice: 48, dropAmount: 12, dropPercentage: 20 });
+        expect(drop.dropDate).toBe(firstDrop.timestamp);
+    });
+
+    test('should ignore products whose price did not drop', async () => {
+        mockStorage({
+            p1: { priceHistory: [observation(10, 30), observation(2, 35)] },
+            p2: { priceHistory: [observation(3, 20), observation(1, 20)] }
+        });
+
+        await expect(priceTracker.getProductsWithPriceDrops(7)).resolves.toEqual([]);
+    });
+
+    test('should ignore drops older than the window', async () => {
+        mockStorage({
+            p1: { priceHistory: [observation(30, 80), observation(20, 50), observation(1, 50)] }
+        });
+
+        await expect(priceTracker.getProductsWithPriceDrops(7)).resolves.toEqual([]);
+    });
+
+    test('should not compare observations in different currencies', async () => {
+        mockStorage({
+            p1: { priceHistory: [observation(4, 100, 'CAD'), observation(1, 80, 'USD')] }
+        });
+
+        await expect(priceTracker.getProductsWithPriceDrops(7)).resolves.toEqual([]);
+    });
+
+    test('should order results by largest percentage drop', async () => {
+        mockStorage({
+            p1: { priceHistory: [observation(5, 100), observation(1, 90)] },
+            p3: { priceHistory: [observation(5, 100), observation(1, 50)] }
+        });
+
+        const drops = await priceTracker.getProductsWithPriceDrops(7);
+
+        expect(drops.map(drop => drop.productId)).toEqual(['p3', 'p1']);
+    });
+
+    test('should return an empty list when storage fails', async () => {
+        chrome.storage.local.get.mockRejectedValue(new Error('Storage error'));
+
+        await expect(priceTracker.getProductsWithPriceDrops(7)).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Price Parsing Tests
+ * Table-driven corpus of price formats from different locales and currencies
+ */
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+
+const money = ExtensionUtils.money;
+
+describe('Locale-aware price parsing', () => {
+    // [price text, page hints, expected currency, expected amount in minor units]
+    const corpus = [
+        // US and UK grouping
+        ['$1,299.99', { locale: 'en-US' }, 'USD', 129999],
+        ['$999,999,999.99', null, 'USD', 99999999999],
+        ['£1,299', { locale: 'en-GB' }, 'GBP', 129900],
+        ['US$ 29.99', null, 'USD', 2999],
+
+        // Continental Europe
+        ['1.299,00 €', { locale: 'de-DE' }, 'EUR', 129900],
+        ['1.299,00 €', null, 'EUR', 129900],
+        ['€1.299', null, 'EUR', 129900],
+        ['29,99 EUR', null, 'EUR', 2999],
+        ['0,750 €', null, 'EUR', 75],
+        ['1\u202f299,99\u00a0€', { locale: 'fr-FR' }, 'EUR', 129999],
+        ['1\u00a0299,99 €', null, 'EUR', 129999],
+        ['1 299,99 €', { locale: 'fr' }, 'EUR', 129999],
+        ['12 800 ₽', { locale: 'ru' }, 'RUB', 1280000],
+
+        // Switzerland
+        ["CHF 1'299.–", { locale: 'de-CH' }, 'CHF', 129900],
+        ['CHF 1’299.50', null, 'CHF', 129950],
+        ['1.299,- CHF', null, 'CHF', 129900],
+
+        // Latin America
+        ['R$ 1.234,56', { locale: 'pt-BR' }, 'BRL', 123456],
+        ['R$ 99,90', null, 'BRL', 9990],
+        ['MX$2,499.00', null, 'MXN', 249900],
+
+        // India uses lakh grouping
+        ['₹1,23,456', { locale: 'en-IN' }, 'INR', 12345600],
+        ['₹1,23,456.50', null, 'INR', 12345650],
+        ['₹12,34,56,789', null, 'INR', 123456789 * 100],
+
+        // Zero-decimal currencies
+        ['¥12,800', { locale: 'ja-JP' }, 'JPY', 12800],
+        ['￥980', null, 'JPY', 980],
+        ['12800.00 JPY', null, 'JPY', 12800],
+        ['₩1,250,000', { locale: 'ko-KR' }, 'KRW', 1250000],
+        ['₩ 45.000', null, 'KRW', 45000],
+
+        // Three-decimal currencies
+        ['KWD 1.250', { locale: 'en' }, 'KWD', 1250],
+        ['KWD 1,250', { locale: 'en' }, 'KWD', 1250000],
+        ['KWD 1.250', null, 'KWD', 1250],
+        ['TND 12,500', null, 'TND', 12500],
+        ['OMR 1,250.500', null, 'OMR', 1250500],
+
+        // Shared symbols resolved by the currency the page declares
+        ['$24.99', { currency: 'CAD' }, 'CAD', 2499],
+        ['$.99', null, 'USD', 99],
+        ['$24.99', { currency: 'EUR' }, 'USD', 2499],
+        ['¥98', { currency: 'CNY' }, 'CNY', 9800],
+
+        // No currency in the text: the page hints decide
+        ['1.250', { locale: 'de-DE' }, null, 125000],
+        ['1.250', { locale: 'en-US' }, null, 125],
+        ['1.250', { locale: 'en-US', currency: 'USD' }, 'USD', 125000],
+        ['1,250', { locale: 'pt_BR' }, null, 125],
+        ['1.250', null, null, 125000]
+    ];
+
+    test.each(corpus)('%s with %j is %s %d', (text, hints, currency, amount) => {
+        expect(money.parse(text, hints)).toEqual({ amount, currency, raw: text.trim() });
+    });
+
+    test('should ignore locales the browser does not know', () => {
+        expect(money.getNumberFormat('not a locale!')).toBeNull();
+        expect(money.parse('1.250', { locale: 'not a locale!' }).amount).toBe(125000);
+    });
+});
+
+describe('Finding prices in text', () => {
+    const found = [
+        ['Now only 1.299,00 € incl. VAT', '1.299,00 €'],
+        ["Preis: CHF 1'299.– inkl. MwSt.", "CHF 1'299"],
+        ['Por R$ 1.234,56 à vista', 'R$ 1.234,56'],
+        ['Price ₹1,23,456 (incl. taxes)', '₹1,23,456'],
+        ['Was $1,299.99 now', '$1,299.99'],
+        ['価格 ¥12,800 (税込)', '¥12,800'],
+        ['Total 12 800 ₽', '12 800 ₽'],
+        ['Only $.99 today', '$.99']
+    ];
+
+    test.each(found)('should find the full price in %j', (text, price) => {
+        expect(ExtensionUtils.text.extractPrice(text)).toBe(price);
+        expect(ExtensionUtils.price.isValid(price)).toBe(true);
+    });
+
+    test('should not treat plain numbers as prices', () => {
+        expect(ExtensionUtils.text.extractPrice('Model 2024, 3 colours')).toBeNull();
+        expect(ExtensionUtils.price.isValid('1,299')).toBe(false);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Product Details Tests
+ * Tests the tags, note, priority, quantity and preferred size or color users keep on saved products
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+
+describe('Product details', () => {
+    const storageApi = ExtensionUtils.storage;
+    const lamp = { title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' };
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, JSON.parse(JSON.stringify(items))));
+    });
+
+    describe('Cleaning up', () => {
+        test('should split, trim and dedupe tags', () => {
+            expect(storageApi.normalizeTags(' desk, #Gift ,,gift,  home   office ')).toEqual(['desk', 'Gift', 'home office']);
+            expect(storageApi.normalizeTags(['a', 'A', ''])).toEqual(['a']);
+            expect(storageApi.normalizeTags(null)).toEqual([]);
+        });
+
+        test('should keep tags within the configured limits', () => {
+            const tags = storageApi.normalizeTags(Array.from({ length: 30 }, (_, i) => `tag-${i}-${'x'.repeat(40)}`));
+
+            expect(tags).toHaveLength(ExtensionConfig.productDetails.maxTags);
+            tags.forEach(tag => expect(tag.length).toBeLessThanOrEqual(ExtensionConfig.productDetails.maxTagLength));
+        });
+
+        test('should turn empty or invalid values into null', () => {
+            expect(storageApi.normalizeDetails({ note: '  ', priority: '', quantity: '0', variant: '' }))
+                .toEqual({ note: null, priority: null, quantity: null, variant: null });
+            expect(storageApi.normalizeDetails({ priority: '6', quantity: '2.5' })).toEqual({ priority: null, quantity: null });
+            expect(storageApi.normalizeDetails({ priority: '4', quantity: '3', variant: ' Navy,   size M ' }))
+                .toEqual({ priority: 4, quantity: 3, variant: 'Navy, size M' });
+        });
+
+        test('should only clean the fields it is given', () => {
+            expect(storageApi.normalizeDetails({ note: 'For the desk' })).toEqual({ note: 'For the desk' });
+        });
+    });
+
+    describe('Saving', () => {
+        test('should save details edited in the list', async () => {
+            await storageApi.saveProduct(lamp);
+            const [{ id }] = storage.saved_products;
+
+            await expect(storageApi.updateProductDetails(id, {
+                tags: 'desk, gift',
+                note: 'Warm white bulb',
+                priority: '5',
+                quantity: '2',
+                variant: 'Black'
+            })).resolves.toBe(true);
+
+            expect(storage.saved_products[0]).toMatchObject({
+                tags: ['desk', 'gift'],
+                note: 'Warm white bulb',
+                priority: 5,
+                quantity: 2,
+                variant: 'Black'
+            });
+        });
+
+        test('should keep details when the same product is saved again from its page', async () => {
+            await storageApi.saveProduct({ ...lamp, tags: ['desk'], priority: 3 });
+
+            await storageApi.saveProduct({ ...lamp, price: '$18.00' });
+
+            expect(storage.saved_products).toEqual([expect.objectContaining({ price: '$18.00', tags: ['desk'], priority: 3 })]);
+        });
+
+        test('should keep details in exported products', async () => {
+            await storageApi.saveProduct({ ...lamp, tags: 'desk', note: 'Gift for Sam', quantity: 2, variant: 'Brass' });
+
+            const [exported] = JSON.parse(await storageApi.exportProducts());
+
+            expect(exported).toMatchObject({ tags: ['desk'], note: 'Gift for Sam', quantity: 2, variant: 'Brass' });
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Product Edit Tests
+ * Tests correcting the title, price, currency and URL of saved products by hand, and that
+ * saving from the page again or a background price check keeps the corrections
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+describe('Product edits', () => {
+    const storageApi = ExtensionUtils.storage;
+    const page = {
+        title: 'Brass Desk Lamp | Lamp Shop',
+        price: '$19.99',
+        url: 'https://shop.example/lamp'
+    };
+    let storage;
+    let id;
+
+    const saved = () => storage.saved_products[0];
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, JSON.parse(JSON.stringify(items))));
+
+        await storageApi.saveProduct(page);
+        id = saved().id;
+    });
+
+    describe('Editing', () => {
+        test('should correct the title and mark it as overridden', async () => {
+            await expect(storageApi.editProduct(id, { title: '  Brass Desk Lamp ' })).resolves.toBe(true);
+
+            expect(saved()).toMatchObject({ title: 'Brass Desk Lamp', userOverrides: ['title'] });
+        });
+
+        test('should only mark fields whose value changed', async () => {
+            await storageApi.editProduct(id, { title: page.title, price: page.price, url: page.url, currency: 'USD' });
+
+            expect(saved().userOverrides).toEqual([]);
+            expect(saved().title).toBe(page.title);
+        });
+
+        test('should read a bare amount in the chosen currency', async () => {
+            await storageApi.editProduct(id, { price: '24.50', currency: 'CAD' });
+
+            expect(saved()).toMatchObject({
+                price: expect.stringContaining('24.50'),
+                priceMoney: { amount: 2450, currency: 'CAD' },
+                savedPriceMoney: { amount: 1999, currency: 'CAD' },
+                overriddenPrice: '$19.99',
+                userOverrides: ['currency', 'price']
+            });
+        });
+
+        test('should update the product key and domain with the URL', async () => {
+            await storageApi.editProduct(id, { url: 'www.lamps.example/brass-lamp' });
+
+            expect(saved()).toMatchObject({
+                url: 'https://www.lamps.example/brass-lamp',
+                domain: 'www.lamps.example',
+                productKey: 'lamps.example/brass-lamp',
+                canonicalUrl: null,
+                userOverrides: ['url']
+            });
+        });
+
+        test('should reject an empty title, a price without an amount and an invalid URL', async () => {
+            await expect(storageApi.editProduct(id, { title: '   ' })).resolves.toBe(false);
+            await expect(storageApi.editProduct(id, { price: 'soon' })).resolves.toBe(false);
+            await expect(storageApi.editProduct(id, { url: 'https://' })).resolves.toBe(false);
+
+            expect(saved().title).toBe(page.title);
+            expect(saved().userOverrides).toBeUndefined();
+        });
+    });
+
+    describe('Keeping corrections', () => {
+        test('should keep a corrected title when the product is saved again from its page', async () => {
+            await storageApi.editProduct(id, { title: 'Brass Desk Lamp' });
+
+            await storageApi.saveProduct({ ...page, price: '$18.00' });
+
+            expect(storage.saved_products).toHaveLength(1);
+            expect(saved()).toMatchObject({ title: 'Brass Desk Lamp', price: '$18.00' });
+        });
+
+        test('should keep a corrected price while the page still shows the price it replaced', () => {
+            const product = { price: '$24.50', overriddenPrice: '$19.99', userOverrides: ['price'] };
+
+            expect(storageApi.keepOverrides(product, { price: '$19.99' })).toMatchObject({ price: '$24.50' });
+            expect(storageApi.keepOverrides(product, { price: '$17.00' })).toMatchObject({
+                price: '$17.00',
+                userOverrides: [],
+                overriddenPrice: null
+            });
+        });
+
+        test('should not let a background check undo corrections', async () => {
+            await storageApi.editProduct(id, { title: 'Brass Desk Lamp', price: '24.50', currency: 'CAD' });
+            const pageFetcher = {
+                fetchPageInfo: jest.fn().mockResolvedValue({ title: page.title, price: '$19.99', priceHints: { currency: 'USD' } })
+            };
+            const priceTracker = new PriceTracker({ pageFetcher });
+
+            const refreshed = await priceTracker.refreshProductPrice(saved());
+
+            expect(refreshed).toMatchObject({ title: 'Brass Desk Lamp', priceMoney: { amount: 2450, currency: 'CAD' } });
+            expect(saved()).toMatchObject({
+                title: 'Brass Desk Lamp',
+                priceMoney: { amount: 2450, currency: 'CAD' },
+                priceHints: { currency: 'CAD' },
+                lastChecked: expect.any(String)
+            });
+        });
+
+        test('should track the page price again once it changes', async () => {
+            await storageApi.editProduct(id, { price: '24.50', currency: 'CAD' });
+            const pageFetcher = { fetchPageInfo: jest.fn().mockResolvedValue({ price: '$22.00' }) };
+            const priceTracker = new PriceTracker({ pageFetcher });
+
+            await priceTracker.refreshProductPrice(saved());
+
+            expect(saved()).toMatchObject({
+                price: '$22.00',
+                priceMoney: { amount: 2200, currency: 'CAD' },
+                userOverrides: ['currency']
+            });
+        });
+    });
+});
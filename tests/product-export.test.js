@@ -0,0 +1,129 @@
+/**
+ * Product Export Tests
+ * Tests the spreadsheet CSV export with picked columns, RFC 4180 quoting and the
+ * long-format price history CSV
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const ProductExporter = require('../services/ProductExporter.js');
+
+describe('Product export', () => {
+    const storageApi = ExtensionUtils.storage;
+    const lamp = {
+        title: 'Lamp',
+        price: '$18.00',
+        url: 'https://shop.example/lamp',
+        saleInfo: { isOnSale: true, originalPrice: '$24.00' },
+        tags: ['desk', 'gift']
+    };
+    let storage;
+    let exporter;
+
+    const rows = (csv) => csv.split('\r\n');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, JSON.parse(JSON.stringify(items))));
+        exporter = new ProductExporter();
+    });
+
+    describe('Quoting', () => {
+        test('should quote fields with commas, quotes and line breaks and end lines with CRLF', () => {
+            expect(exporter.toCsv([['plain', 'a,b', 'say "hi"', 'two\nlines', null, 3]]))
+                .toBe('plain,"a,b","say ""hi""","two\nlines",,3\r\n');
+        });
+
+        test('should keep spreadsheets from evaluating text that looks like a formula', () => {
+            expect(exporter.formatCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+            expect(exporter.formatCell('@SUM')).toBe("'@SUM");
+            expect(exporter.formatCell(-5)).toBe('-5');
+        });
+    });
+
+    describe('Product CSV', () => {
+        test('should write every column by default', async () => {
+            await storageApi.saveProduct(lamp);
+            const id = storage.saved_products[0].id;
+            storage.price_tracking_data = {
+                [id]: { priceHistory: [{ timestamp: '2025-01-01T00:00:00.000Z', price: 16.5, currency: 'USD' }] }
+            };
+
+            const [header, row, end] = rows(await exporter.exportCsv());
+
+            expect(header).toBe('Title,Current price,Amount,Currency,Original price,Discount %,Domain,URL,Date added,Last checked,Lowest seen,Tags');
+            expect(row).toBe(`Lamp,$18.00,18.00,USD,$24.00,25,shop.example,https://shop.example/lamp,${storage.saved_products[0].dateAdded},,16.50,"desk, gift"`);
+            expect(end).toBe('');
+        });
+
+        test('should write only the picked columns, in the configured order', async () => {
+            await storageApi.saveProduct({ ...lamp, title: 'Lamp, brass "deluxe"' });
+
+            const csv = await exporter.exportCsv(null, ['url', 'title', 'unknown']);
+
+            expect(rows(csv)).toEqual(['Title,URL', '"Lamp, brass ""deluxe""",https://shop.example/lamp', '']);
+        });
+
+        test('should leave price columns empty when there is no price', async () => {
+            await storageApi.saveProduct({ title: 'Rug', price: 'No price found', url: 'https://shop.example/rug' });
+
+            const csv = await exporter.exportCsv(null, ['title', 'price', 'amount', 'discountPercent', 'lowestPrice']);
+
+            expect(rows(csv)[1]).toBe('Rug,,,,');
+        });
+
+        test('should only export products in the chosen list', async () => {
+            await storageApi.saveProduct(lamp, 'gifts');
+            await storageApi.saveProduct({ title: 'Rug', price: '$60.00', url: 'https://shop.example/rug' });
+
+            expect(rows(await exporter.exportCsv('gifts', ['title']))).toEqual(['Title', 'Lamp', '']);
+        });
+    });
+
+    describe('Price history CSV', () => {
+        test('should write one row per observation', async () => {
+            await storageApi.saveProduct(lamp);
+            const id = storage.saved_products[0].id;
+            storage.price_tracking_data = {
+                [id]: {
+                    priceHistory: [
+                        { timestamp: '2025-01-01T00:00:00.000Z', price: 24, currency: 'USD', isOnSale: false, availability: 'in_stock', source: 'scheduled' },
+                        { timestamp: '2025-01-02T00:00:00.000Z', price: 18, currency: 'USD', isOnSale: true, originalPrice: 24, source: 'manual' }
+                    ]
+                }
+            };
+
+            expect(rows(await exporter.exportHistoryCsv())).toEqual([
+                'Product ID,Title,URL,Observed at,Price,Currency,On sale,Original price,Availability,Source',
+                `${id},Lamp,https://shop.example/lamp,2025-01-01T00:00:00.000Z,24.00,USD,no,,in_stock,scheduled`,
+                `${id},Lamp,https://shop.example/lamp,2025-01-02T00:00:00.000Z,18.00,USD,yes,24.00,,manual`,
+                ''
+            ]);
+        });
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Product Identity Tests
+ * Tests URL canonicalization, retailer product keys, permanent product IDs and merging duplicate saved products
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+const url = ExtensionUtils.url;
+
+describe('Canonical URLs', () => {
+    test('should strip tracking parameters, fragments and trailing slashes', () => {
+        expect(url.canonicalize('https://www.Shop.example/lamp/?utm_source=mail&utm_campaign=june&ref=home#reviews'))
+            .toBe('https://shop.example/lamp');
+        expect(url.canonicalize('https://shop.example/lamp?gclid=abc&fbclid=def&color=red'))
+            .toBe('https://shop.example/lamp?color=red');
+    });
+
+    test('should keep parameters that choose the product, in a stable order', () => {
+        expect(url.canonicalize('https://shop.example/item?size=m&color=red'))
+            .toBe(url.canonicalize('https://shop.example/item?color=red&size=m&utm_medium=social'));
+    });
+
+    test('should leave text that is not a URL alone', () => {
+        expect(url.canonicalize(' not a url ')).toBe('not a url');
+        expect(url.canonicalize('')).toBe('');
+    });
+
+    describe('declared by the page', () => {
+        const page = 'https://www.shop.example/lamp?utm_source=mail';
+
+        test('should prefer the canonical link, then og:url', () => {
+            expect(url.pickCanonical(page, ['/products/lamp', 'https://shop.example/og-lamp']))
+                .toBe('https://www.shop.example/products/lamp');
+            expect(url.pickCanonical(page, [null, 'https://shop.example/og-lamp']))
+                .toBe('https://shop.example/og-lamp');
+        });
+
+        test('should ignore canonicals on another site or pointing at the home page', () => {
+            expect(url.pickCanonical(page, ['https://other.example/lamp', 'https://www.shop.example/'])).toBeNull();
+            expect(url.pickCanonical(page, ['javascript:void(0)'])).toBeNull();
+            expect(url.pickCanonical('not a url', ['https://shop.example/lamp'])).toBeNull();
+        });
+    });
+});
+
+describe('Retailer product keys', () => {
+    test.each([
+        ['https://www.amazon.com/dp/B00X4WHP5E', 'amazon:amazon.com:b00x4whp5e'],
+        ['https://www.amazon.com/Echo-Dot/dp/B00X4WHP5E/ref=sr_1_1?keywords=echo&qid=1', 'amazon:amazon.com:b00x4whp5e'],
+        ['https://amazon.com/gp/product/B00X4WHP5E?psc=1', 'amazon:amazon.com:b00x4whp5e'],
+        ['https://smile.amazon.co.uk/gp/aw/d/B00X4WHP5E', 'amazon:amazon.co.uk:b00x4whp5e'],
+        ['https://www.ebay.com/itm/125412345678?hash=item1d3', 'ebay:ebay.com:125412345678'],
+        ['https://www.ebay.com/itm/Vintage-Lamp/125412345678', 'ebay:ebay.com:125412345678'],
+        ['https://cgi.ebay.de/ws/eBayISAPI.dll?ViewItem&item=125412345678', 'ebay:ebay.de:125412345678'],
+        ['https://shop.example/products/linen-shirt', 'shopify:shop.example:linen-shirt'],
+        ['https://shop.example/collections/summer/products/linen-shirt?variant=4242', 'shopify:shop.example:linen-shirt:4242']
+    ])('%s is %s', (link, key) => {
+        expect(url.getRetailerKey(link)).toBe(key);
+    });
+
+    test('should not read keys from other pages', () => {
+        expect(url.getRetailerKey('https://www.amazon.com/s?k=lamp')).toBeNull();
+        expect(url.getRetailerKey('https://shop.example/products/lamps/12345')).toBeNull();
+        expect(url.getRetailerKey('https://other.example/dp/B00X4WHP5E')).toBeNull();
+    });
+});
+
+describe('Product keys', () => {
+    const id = (product) => url.getProductKey(product);
+
+    test('should give links to the same product the same key', () => {
+        const product = { title: 'Echo Dot', url: 'https://www.amazon.com/dp/B00X4WHP5E' };
+
+        expect(id({ ...product, url: 'https://www.amazon.com/gp/product/B00X4WHP5E?tag=deals-20' })).toBe(id(product));
+        expect(id({ ...product, title: 'Echo Dot (3rd Gen)' })).toBe(id(product));
+        expect(id({ title: 'Lamp', url: 'https://shop.example/lamp?utm_source=mail' }))
+            .toBe(id({ title: 'Lamp', url: 'https://www.shop.example/lamp/' }));
+    });
+
+    test('should use the canonical URL the page declared', () => {
+        const canonical = { title: 'Lamp', url: 'https://shop.example/lamp', canonicalUrl: 'https://shop.example/lamp' };
+
+        expect(id({ ...canonical, url: 'https://shop.example/sale/lamp-42?from=home' })).toBe(id(canonical));
+    });
+
+    test('should keep variants and different products apart', () => {
+        expect(id({ url: 'https://shop.example/products/shirt?variant=1' }))
+            .not.toBe(id({ url: 'https://shop.example/products/shirt?variant=2' }));
+        expect(id({ url: 'https://shop.example/lamp' })).not.toBe(id({ url: 'https://shop.example/chair' }));
+    });
+
+    test('should fall back to title and domain without a URL', () => {
+        expect(id({ title: 'Lamp', domain: 'shop.example' })).toBe(id({ title: 'Lamp', domain: 'shop.example', url: ' ' }));
+    });
+});
+
+describe('Duplicate products', () => {
+    let storage;
+    let priceTracker;
+
+    const observation = (timestamp, price) => ({ timestamp, price, currency: 'USD', isOnSale: false, availability: null });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+        priceTracker = new PriceTracker();
+    });
+
+    test('should update a saved product when it is saved again through a tracking link', async () => {
+        await ExtensionUtils.storage.saveProduct({ title: 'Echo Dot', price: '$49.99', url: 'https://www.amazon.com/dp/B00X4WHP5E' });
+        await ExtensionUtils.storage.saveProduct({
+            title: 'Echo Dot (3rd Gen)',
+            price: '$39.99',
+            url: 'https://www.amazon.com/Echo-Dot/dp/B00X4WHP5E/ref=sr_1_1?tag=deals-20'
+        });
+
+        expect(storage.saved_products).toHaveLength(1);
+        expect(storage.saved_products[0]).toMatchObject({ title: 'Echo Dot (3rd Gen)', price: '$39.99', savedPrice: '$49.99' });
+        expect(storage.saved_products[0].productKey).toBe('amazon:amazon.com:b00x4whp5e');
+    });
+
+    test('should merge entries of the same product with their histories and alert state', async () => {
+        storage.saved_products = [
+            {
+                id: 'new', title: 'Echo Dot (3rd Gen)', price: '$39.99', url: 'https://amazon.com/gp/product/B00X4WHP5E?psc=1',
+                dateAdded: '2025-06-01T00:00:00.000Z', dateUpdated: '2025-06-10T00:00:00.000Z', checkFrequency: 'hourly'
+            },
+            { id: 'lamp', title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' },
+            {
+                id: 'old', title: 'Echo Dot', price: '$49.99', savedPrice: '$59.99', url: 'https://www.amazon.com/dp/B00X4WHP5E',
+                dateAdded: '2025-05-01T00:00:00.000Z', dateUpdated: '2025-05-20T00:00:00.000Z', priceAlert: { targetPrice: 35 }
+            }
+        ];
+        storage.price_tracking_data = {
+            old: { lastPrice: '$49.99', lastCheckTime: '2025-05-20T00:00:00.000Z', priceHistory: [observation('2025-05-20T00:00:00.000Z', 49.99)] },
+            new: { lastPrice: '$39.99', lastCheckTime: '2025-06-10T00:00:00.000Z', priceHistory: [observation('2025-06-10T00:00:00.000Z', 39.99)] }
+        };
+        storage.alert_state = {
+            old: { priceDrop: '2025-05-20T00:00:00.000Z', backInStock: '2025-05-02T00:00:00.000Z' },
+            new: { priceDrop: '2025-06-10T00:00:00.000Z' }
+        };
+
+        await expect(priceTracker.mergeDuplicateProducts()).resolves.toBe(1);
+
+        const echoId = 'old';
+        expect(storage.saved_products.map(product => product.title)).toEqual(['Echo Dot (3rd Gen)', 'Lamp']);
+        expect(storage.saved_products[0]).toMatchObject({
+            id: echoId,
+            productKey: 'amazon:amazon.com:b00x4whp5e',
+            price: '$39.99',
+            savedPrice: '$59.99',
+            dateAdded: '2025-05-01T00:00:00.000Z',
+            priceAlert: { targetPrice: 35 },
+            checkFrequency: 'hourly'
+        });
+        expect(Object.keys(storage.price_tracking_data)).toEqual([echoId]);
+        expect(storage.price_tracking_data[echoId]).toMatchObject({ lastPrice: '$39.99' });
+        expect(storage.price_tracking_data[echoId].priceHistory.map(entry => entry.price)).toEqual([49.99, 39.99]);
+        expect(storage.alert_state).toEqual({
+            [echoId]: { priceDrop: '2025-06-10T00:00:00.000Z', backInStock: '2025-05-02T00:00:00.000Z' }
+        });
+    });
+
+    test('should only write when keys change or entries merge', async () => {
+        storage.saved_products = [{ id: 'lamp', title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' }];
+
+        await expect(priceTracker.mergeDuplicateProducts()).resolves.toBe(0);
+        expect(storage.saved_products[0]).toMatchObject({ id: 'lamp', productKey: 'shop.example/lamp' });
+
+        chrome.storage.local.set.mockClear();
+        await priceTracker.mergeDuplicateProducts();
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+});
+
+describe('Permanent product IDs', () => {
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+    });
+
+    test('should generate version 4 UUIDs', () => {
+        const ids = Array.from({ length: 50 }, () => ExtensionUtils.storage.generateProductId());
+
+        ids.forEach(id => expect(ExtensionUtils.isUuid(id)).toBe(true));
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ExtensionUtils.isUuid('1x2y3z')).toBe(false);
+    });
+
+    test('should give a new product an ID once and keep it when saved again', async () => {
+        await ExtensionUtils.storage.saveProduct({ id: 'from-popup', title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+        const { id } = storage.saved_products[0];
+
+        await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$18.00', url: 'https://shop.example/lamp?utm_source=mail' });
+
+        expect(ExtensionUtils.isUuid(id)).toBe(true);
+        expect(storage.saved_products).toHaveLength(1);
+        expect(storage.saved_products[0]).toMatchObject({ id, price: '$18.00' });
+    });
+
+    test('should give every new product its own ID', async () => {
+        await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+        await ExtensionUtils.storage.saveProduct({ title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' });
+
+        expect(storage.saved_products.map(product => product.title)).toEqual(['Chair', 'Lamp']);
+        expect(storage.saved_products[0].id).not.toBe(storage.saved_products[1].id);
+    });
+});
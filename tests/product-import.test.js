@@ -0,0 +1,252 @@
+/**
+ * Product Import Tests
+ * Tests previewing and importing exported lists in merge and replace mode, and that
+ * price history, tags and lists come back with the products
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const ProductImporter = require('../services/ProductImporter.js');
+
+describe('Product import', () => {
+    const storageApi = ExtensionUtils.storage;
+    const lamp = { title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' };
+    const chair = { title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' };
+    const desk = { title: 'Desk', price: '$150.00', url: 'https://shop.example/desk' };
+    let storage;
+    let importer;
+
+    const saved = (title) => storage.saved_products.find(product => product.title === title);
+    const exported = async () => JSON.parse(await storageApi.exportProducts());
+    const past = '2020-01-01T00:00:00.000Z';
+    const future = '2099-01-01T00:00:00.000Z';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, JSON.parse(JSON.stringify(items))));
+        importer = new ProductImporter();
+    });
+
+    describe('Reading files', () => {
+        test('should read an array of products or an object with a products array', () => {
+            expect(importer.parse('[{"title":"Lamp"}]')).toEqual([{ title: 'Lamp' }]);
+            expect(importer.parse('{"products":[{"title":"Lamp"}]}')).toEqual([{ title: 'Lamp' }]);
+        });
+
+        test('should explain files it cannot read', () => {
+            expect(() => importer.parse('not json')).toThrow('The file is not valid JSON');
+            expect(() => importer.parse('{"rates":{}}')).toThrow('The file does not contain a list of products');
+        });
+    });
+
+    describe('Preview', () => {
+        test('should sort records into new, updated, conflicting, unchanged and invalid', async () => {
+            await storageApi.saveProduct(lamp);
+            await storageApi.saveProduct(chair);
+            await storageApi.saveProduct(desk);
+            const [deskRecord, chairRecord, lampRecord] = await exported();
+
+            const plan = await importer.preview([
+                { ...lampRecord, note: 'From the backup', dateUpdated: future },
+                { ...chairRecord, note: 'Older note', dateUpdated: past },
+                { ...deskRecord, price: '$140.00' },
+                { title: 'Rug', price: '$60.00', url: 'https://shop.example/rug' },
+                { title: 'Rug again', url: 'https://shop.example/rug?utm_source=mail' },
+                { title: 'No link', url: 'not a url' },
+                'garbage'
+            ]);
+
+            expect(plan.adds.map(({ record }) => record.title)).toEqual(['Rug']);
+            expect(plan.updates.map(({ existing }) => existing.title)).toEqual(['Lamp']);
+            expect(plan.conflicts.map(({ existing }) => existing.title)).toEqual(['Chair']);
+            // Prices are kept current by checks, so a different price alone changes nothing
+            expect(plan.unchanged.map(({ existing }) => existing.title)).toEqual(['Desk']);
+            expect(plan.invalid).toHaveLength(3);
+            expect(plan.removals).toEqual([]);
+        });
+
+        test('should skip records whose title or URL is not text', async () => {
+            const plan = await importer.preview([
+                { ...lamp, title: { text: 'Lamp' } },
+                { ...lamp, url: ['https://shop.example/lamp'] },
+                chair
+            ]);
+
+            expect(plan.invalid).toHaveLength(2);
+            expect(plan.adds.map(({ record }) => record.title)).toEqual(['Chair']);
+        });
+
+        test('should refuse an import past the product limit instead of dropping products', async () => {
+            await storageApi.saveProduct(lamp);
+            await storageApi.saveProduct(chair);
+            const records = Array.from({ length: ExtensionConfig.storage.maxItems }, (_, i) => (
+                { title: `Item ${i}`, price: '$1.00', url: `https://shop.example/item-${i}` }
+            ));
+
+            expect((await importer.preview(records)).overLimit).toBe(2);
+            expect((await importer.preview(records, 'replace')).overLimit).toBe(0);
+            await expect(importer.apply(records)).resolves.toBeNull();
+            expect(storage.saved_products.map(product => product.title)).toEqual(['Chair', 'Lamp']);
+        });
+
+        test('should list the saved products replace mode removes', async () => {
+            await storageApi.saveProduct(lamp);
+            await storageApi.saveProduct(chair);
+
+            const plan = await importer.preview([{ ...lamp }], 'replace');
+
+            expect(plan.removals.map(({ existing }) => existing.title)).toEqual(['Chair']);
+        });
+    });
+
+    describe('Importing', () => {
+        test('should only save known fields, with the types the extension uses', async () => {
+            await importer.apply([{
+                ...lamp,
+                priceMoney: { amount: 1, currency: 'XXX' },
+                injected: '<img src=x>',
+                availability: 'sold by magic',
+                checkFrequency: 'every minute',
+                priceAlert: { targetPrice: '15.50', percentBelow: 'lots', createdAt: past },
+                userOverrides: ['title', 'constructor'],
+                needsDetails: 'title',
+                priceHints: { currency: 'usd', locale: 'en-US' },
+                saleInfo: { isOnSale: 'yes', originalPrice: 25 }
+            }]);
+
+            const product = saved('Lamp');
+            expect(product).not.toHaveProperty('injected');
+            expect(product).toMatchObject({
+                priceMoney: { amount: 2000, currency: 'USD' },
+                availability: null,
+                checkFrequency: null,
+                priceAlert: { targetPrice: 15.5, percentBelow: null, createdAt: past },
+                userOverrides: ['title'],
+                needsDetails: [],
+                priceHints: { currency: null, locale: 'en-US' },
+                saleInfo: { isOnSale: false, originalPrice: null }
+            });
+        });
+
+        test('should drop price alerts without a usable threshold', async () => {
+            await importer.apply([{ ...lamp, priceAlert: { targetPrice: 'soon', percentBelow: 150 } }]);
+
+            expect(saved('Lamp').priceAlert).toBeNull();
+        });
+
+        test('should add new products and keep saved changes newer than the file when merging', async () => {
+            await storageApi.saveProduct(lamp);
+            await storageApi.saveProduct(chair);
+            const [chairRecord, lampRecord] = await exported();
+
+            const summary = await importer.apply([
+                { ...lampRecord, tags: ['desk'], dateUpdated: future },
+                { ...chairRecord, note: 'Older note', dateUpdated: past },
+                desk
+            ]);
+
+            expect(summary).toEqual({ added: 1, updated: 1, removed: 0, kept: 1, unchanged: 0, invalid: 0, productIds: [saved('Desk').id] });
+            expect(storage.saved_products.map(product => product.title)).toEqual(['Desk', 'Chair', 'Lamp']);
+            expect(saved('Lamp').tags).toEqual(['desk']);
+            expect(saved('Chair').note).toBeUndefined();
+            expect(saved('Desk')).toMatchObject({ priceMoney: { amount: 15000, currency: 'USD' }, lists: ['default'] });
+            expect(ExtensionUtils.isUuid(saved('Desk').id)).toBe(true);
+        });
+
+        test('should make the saved list match the file when replacing', async () => {
+            await storageApi.saveProduct(lamp);
+            await storageApi.saveProduct(chair);
+            const [chairRecord] = await exported();
+
+            const summary = await importer.apply([{ ...chairRecord, note: 'Older note', dateUpdated: past }], 'replace');
+
+            expect(summary).toMatchObject({ updated: 1, removed: 1, kept: 0 });
+            expect(storage.saved_products).toEqual([expect.objectContaining({ title: 'Chair', note: 'Older note' })]);
+        });
+
+        test('should keep the checked price of a product the import updates', async () => {
+            await storageApi.saveProduct(lamp);
+            const [lampRecord] = await exported();
+            await storageApi.updateProduct(saved('Lamp').id, { price: '$18.00' });
+
+            await importer.apply([{ ...lampRecord, note: 'Warm white', dateUpdated: future }]);
+
+            expect(saved('Lamp')).toMatchObject({ price: '$18.00', note: 'Warm white' });
+        });
+
+        test('should clean up imported details', async () => {
+            await importer.apply([{ ...lamp, tags: 'desk, #Gift', priority: 9, quantity: '2' }]);
+
+            expect(saved('Lamp')).toMatchObject({ tags: ['desk', 'Gift'], priority: null, quantity: 2 });
+        });
+
+        test('should restore products, lists and price history in another profile', async () => {
+            const gifts = await storageApi.createList('Gifts');
+            await storageApi.saveProduct(lamp, gifts.id);
+            await storageApi.saveProduct(chair);
+            storage.price_tracking_data = {
+                [saved('Lamp').id]: { priceHistory: [{ price: 22, timestamp: past }] }
+            };
+            const file = await storageApi.exportProducts();
+            storage = {};
+
+            const summary = await importer.apply(importer.parse(file));
+
+            expect(summary).toMatchObject({ added: 2 });
+            expect(storage.wishlists.map(list => list.name)).toEqual(['Tracked Products', 'Gifts']);
+            const giftsId = storage.wishlists[1].id;
+            expect(saved('Lamp').lists).toEqual([giftsId]);
+            expect(saved('Chair').lists).toEqual(['default']);
+            expect(storage.price_tracking_data[saved('Lamp').id].priceHistory).toEqual([{ price: 22, timestamp: past }]);
+        });
+
+        test('should merge price history without repeating observations', async () => {
+            await storageApi.saveProduct(lamp);
+            const id = saved('Lamp').id;
+            const later = '2021-06-01T00:00:00.000Z';
+            storage.price_tracking_data = { [id]: { priceHistory: [{ price: 21, timestamp: later }], lastCheckTime: later } };
+            const [lampRecord] = await exported();
+
+            await importer.apply([{
+                ...lampRecord,
+                priceHistory: [{ price: 21, timestamp: later }, { price: 25, timestamp: past }, { price: 1, timestamp: 'never' }]
+            }]);
+
+            expect(storage.price_tracking_data[id]).toEqual({
+                priceHistory: [{ price: 25, timestamp: past }, { price: 21, timestamp: later }],
+                lastCheckTime: later
+            });
+        });
+
+        test('should put products that name no list into the chosen list', async () => {
+            await importer.apply([lamp], 'merge', 'office');
+
+            expect(saved('Lamp').lists).toEqual(['office']);
+        });
+    });
+});
@@ -0,0 +1,362 @@
+/**
+ * Product Repository Tests
+ * Tests the IndexedDB stores for products, price history, alert state and notifications,
+ * the storage API on top of them and the migration that moves data out of chrome.storage.local
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn(),
+            remove: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+global.ProductRepository = require('../services/ProductRepository.js');
+const PriceTracker = require('../services/PriceTracker.js');
+const AlertPolicy = require('../services/AlertPolicy.js');
+const { StorageMigrations } = require('../services/StorageMigrations.js');
+
+/**
+ * Minimal in-memory IndexedDB: requests succeed on a later task and a transaction
+ * commits once no requests are pending, or rolls back its stores when aborted
+ */
+function createFakeIndexedDB() {
+    const databases = {};
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    const respond = (transaction, run) => {
+        const request = { result: undefined, error: null };
+        let result;
+        let error = null;
+        try {
+            result = run();
+        } catch (failure) {
+            error = failure;
+        }
+        transaction.pending++;
+        setTimeout(() => {
+            transaction.pending--;
+            if (transaction.finished) return;
+            if (error) {
+                request.error = error;
+                transaction.error = error;
+                if (request.onerror) request.onerror();
+                transaction.abort();
+                return;
+            }
+            request.result = clone(result);
+            if (request.onsuccess) request.onsuccess();
+            transaction.scheduleCommit();
+        });
+        return request;
+    };
+
+    const createStore = (store, transaction) => {
+        const sorted = () => [...store.records].sort(([a], [b]) => compare(a, b));
+        const write = (value, overwrite) => {
+            const record = clone(value);
+            const key = store.keyPath ? record[store.keyPath] : ++store.nextKey;
+            if (key === undefined || key === null) throw new Error('DataError: record has no key');
+            if (!overwrite && store.records.has(key)) throw new Error('ConstraintError: key exists');
+            store.records.set(key, record);
+            return key;
+        };
+        const byIndex = (indexName, query) => {
+            const keyPath = store.indexes[indexName];
+            return sorted()
+                .filter(([, record]) => record[keyPath] !== undefined && (query === undefined || record[keyPath] === query))
+                .sort(([, a], [, b]) => compare(a[keyPath], b[keyPath]));
+        };
+
+        return {
+            createIndex(indexName, keyPath) {
+                store.indexes[indexName] = keyPath;
+            },
+            get: (key) => respond(transaction, () => store.records.get(key)),
+            getAll: () => respond(transaction, () => sorted().map(([, record]) => record)),
+            put: (value) => respond(transaction, () => write(value, true)),
+            add: (value) => respond(transaction, () => write(value, false)),
+            delete: (key) => respond(transaction, () => store.records.delete(key)),
+            clear: () => respond(transaction, () => store.records.clear()),
+            index: (indexName) => ({
+                getAll: (query) => respond(transaction, () => byIndex(indexName, query).map(([, record]) => record)),
+                getAllKeys: (query) => respond(transaction, () => byIndex(indexName, query).map(([key]) => key))
+            })
+        };
+    };
+
+    const createDatabase = (name) => ({
+        name,
+        version: 0,
+        stores: {},
+        createObjectStore(storeName, options = {}) {
+            this.stores[storeName] = { keyPath: options.keyPath || null, nextKey: 0, records: new Map(), indexes: {} };
+            return createStore(this.stores[storeName], { pending: 0, scheduleCommit() {} });
+        },
+        transaction(storeNames, mode) {
+            const db = this;
+            const backup = storeNames.map(storeName => [storeName, new Map(db.stores[storeName].records)]);
+            const transaction = {
+                mode,
+                pending: 0,
+                finished: false,
+                error: null,
+                objectStore: (storeName) => createStore(db.stores[storeName], transaction),
+                scheduleCommit() {
+                    setTimeout(() => {
+                        if (transaction.finished || transaction.pending > 0) return;
+                        transaction.finished = true;
+                        if (transaction.oncomplete) transaction.oncomplete();
+                    });
+                },
+                abort() {
+                    if (transaction.finished) throw new Error('InvalidStateError');
+                    transaction.finished = true;
+                    backup.forEach(([storeName, records]) => {
+                        db.stores[storeName].records = records;
+                    });
+                    if (transaction.onabort) transaction.onabort();
+                }
+            };
+            transaction.scheduleCommit();
+            return transaction;
+        }
+    });
+
+    return {
+        databases,
+        open(name, version) {
+            const request = {};
+            setTimeout(() => {
+                const db = databases[name] || (databases[name] = createDatabase(name));
+                if (db.version < version) {
+                    const oldVersion = db.version;
+                    db.version = version;
+                    request.result = db;
+                    if (request.onupgradeneeded) request.onupgradeneeded({ oldVersion });
+                }
+                request.result = db;
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+describe('ProductRepository', () => {
+    let storage;
+    let fakeIndexedDB;
+    let repository;
+
+    const observation = (timestamp, price) => ({ timestamp, price, currency: 'USD', isOnSale: false, availability: null });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            if (keys === null) return JSON.parse(JSON.stringify(storage));
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+        chrome.storage.local.remove.mockImplementation(async (keys) => [].concat(keys).forEach(key => delete storage[key]));
+
+        fakeIndexedDB = createFakeIndexedDB();
+        repository = new ProductRepository({ indexedDB: fakeIndexedDB });
+        ProductRepository.shared = repository;
+        jest.spyOn(ProductRepository, 'isSupported').mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ProductRepository.shared = null;
+    });
+
+    describe('Stores', () => {
+        test('should keep products with indexes on domain, date added and last check', async () => {
+            await repository.putProduct({ id: 'a', domain: 'shop.example', productKey: 'shop.example/lamp', dateAdded: '2025-06-01T00:00:00.000Z', lastChecked: '2025-06-03T00:00:00.000Z' });
+            await repository.putProduct({ id: 'b', domain: 'other.example', productKey: 'other.example/chair', dateAdded: '2025-06-02T00:00:00.000Z', lastChecked: '2025-06-02T00:00:00.000Z' });
+            await repository.putProduct({ id: 'c', domain: 'shop.example', productKey: 'shop.example/desk', dateAdded: '2025-05-01T00:00:00.000Z' });
+
+            expect((await repository.getProducts()).map(product => product.id)).toEqual(['b', 'a', 'c']);
+            expect((await repository.queryProducts('domain', 'shop.example')).map(product => product.id)).toEqual(['a', 'c']);
+            expect((await repository.queryProducts('lastChecked')).map(product => product.id)).toEqual(['b', 'a']);
+            await expect(repository.findByProductKey('other.example/chair')).resolves.toMatchObject({ id: 'b' });
+            await expect(repository.getProduct('missing')).resolves.toBeNull();
+        });
+
+        test('should add new observations and drop trimmed ones without rewriting the rest', async () => {
+            await repository.saveTrackingRecord('a', {
+                lastPrice: '$20.00',
+                priceHistory: [observation('2025-06-01T00:00:00.000Z', 22), observation('2025-06-02T00:00:00.000Z', 20)]
+            });
+            await repository.saveTrackingRecord('a', {
+                lastPrice: '$18.00',
+                priceHistory: [observation('2025-06-02T00:00:00.000Z', 20), observation('2025-06-03T00:00:00.000Z', 18)]
+            });
+
+            const data = await repository.getTrackingData();
+            expect(data.a.lastPrice).toBe('$18.00');
+            expect(data.a.priceHistory.map(entry => entry.price)).toEqual([20, 18]);
+            expect([...fakeIndexedDB.databases.wishcart.stores.observations.records.keys()]).toEqual([2, 3]);
+        });
+
+        test('should remove a product with its history and alert state', async () => {
+            await repository.putProduct({ id: 'a', dateAdded: '2025-06-01T00:00:00.000Z' });
+            await repository.saveTrackingRecord('a', { lastPrice: '$20.00', priceHistory: [observation('2025-06-01T00:00:00.000Z', 20)] });
+            await repository.saveAlertState({ a: { priceDrop: '2025-06-01T00:00:00.000Z' } });
+
+            await repository.deleteProduct('a');
+
+            await expect(repository.getProducts()).resolves.toEqual([]);
+            await expect(repository.getTrackingData()).resolves.toEqual({});
+            await expect(repository.getAlertState()).resolves.toEqual({});
+        });
+
+        test('should keep notification data until it is removed', async () => {
+            await repository.saveNotification('sale-1', { url: 'https://shop.example/lamp', productInfo: { id: 'a' } });
+
+            await expect(repository.getNotification('sale-1')).resolves.toEqual({ url: 'https://shop.example/lamp', productInfo: { id: 'a' } });
+            await repository.deleteNotification('sale-1');
+            await expect(repository.getNotification('sale-1')).resolves.toBeNull();
+        });
+
+        test('should leave the stores as they were when a write in a transaction fails', async () => {
+            await repository.putProducts([{ id: 'a', dateAdded: '2025-06-01T00:00:00.000Z' }]);
+
+            await expect(repository.putProducts([{ id: 'b' }, { title: 'No ID' }])).rejects.toThrow('DataError');
+
+            expect((await repository.getProducts()).map(product => product.id)).toEqual(['a']);
+        });
+    });
+
+    describe('Storage API', () => {
+        test('should save, update and remove products without keeping them in chrome.storage.local', async () => {
+            await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+            await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$18.00', url: 'https://www.shop.example/lamp?utm_source=mail' });
+            await ExtensionUtils.storage.saveProduct({ title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' });
+
+            const products = await ExtensionUtils.storage.getProducts();
+            expect(products.map(product => product.title)).toEqual(['Chair', 'Lamp']);
+            expect(products[1]).toMatchObject({ price: '$18.00', savedPrice: '$20.00', productKey: 'shop.example/lamp' });
+
+            await ExtensionUtils.storage.removeProduct(products[0].id);
+
+            expect((await ExtensionUtils.storage.getProducts()).map(product => product.title)).toEqual(['Lamp']);
+            expect(Object.keys(storage)).toEqual(['data_revision']);
+        });
+
+        test('should only announce changes to open views when something was written', async () => {
+            await ExtensionUtils.storage.replaceProducts(products => products);
+            await new PriceTracker().mergeDuplicateProducts();
+            expect(storage.data_revision).toBeUndefined();
+
+            await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+            expect(storage.data_revision).toBeDefined();
+        });
+
+        test('should not cap the number of saved products', async () => {
+            const urls = Array.from({ length: ExtensionConfig.storage.maxItems + 1 }, (_, i) => `https://shop.example/item-${i}`);
+
+            await repository.putProducts(urls.map((url, i) => ({ id: `p${i}`, url, productKey: url, dateAdded: new Date(i).toISOString() })));
+            await ExtensionUtils.storage.saveProduct({ title: 'One more', price: '$1.00', url: 'https://shop.example/one-more' });
+
+            await expect(ExtensionUtils.storage.getProducts()).resolves.toHaveLength(urls.length + 1);
+        });
+
+        test('should store tracking records, alert state and notifications in the database', async () => {
+            const priceTracker = new PriceTracker();
+            const alertPolicy = new AlertPolicy();
+
+            await priceTracker.saveTrackingRecord('a', { lastPrice: '$20.00', priceHistory: [observation('2025-06-01T00:00:00.000Z', 20)] });
+            await alertPolicy.saveState({ a: { priceDrop: '2025-06-01T00:00:00.000Z' } });
+            await ExtensionUtils.storage.saveNotification('sale-1', { url: 'https://shop.example/lamp' });
+
+            await expect(priceTracker.getTrackingData()).resolves.toEqual({
+                a: { lastPrice: '$20.00', priceHistory: [observation('2025-06-01T00:00:00.000Z', 20)] }
+            });
+            await expect(alertPolicy.getState()).resolves.toEqual({ a: { priceDrop: '2025-06-01T00:00:00.000Z' } });
+            await expect(ExtensionUtils.storage.getNotification('sale-1')).resolves.toEqual({ url: 'https://shop.example/lamp' });
+            expect(Object.keys(storage)).toEqual(['data_revision']);
+        });
+    });
+
+    describe('Migration', () => {
+        const id = '4f1c2e00-7a3b-4c1d-9e2f-0123456789ab';
+
+        beforeEach(() => {
+            storage.schema_version = 3;
+            storage.saved_products = [{ id, title: 'Lamp', price: '$20.00', productKey: 'shop.example/lamp', dateAdded: '2025-06-01T00:00:00.000Z' }];
+            storage.price_tracking_data = { [id]: { lastPrice: '$20.00', priceHistory: [observation('2025-06-01T00:00:00.000Z', 20)] } };
+            storage.alert_state = { [id]: { priceDrop: '2025-06-01T00:00:00.000Z' } };
+            storage['notification_sale-1'] = { url: 'https://shop.example/lamp', productInfo: { id } };
+            storage.user_settings = { alerts: { enabled: true } };
+        });
+
+        test('should move products and their data into the database', async () => {
+            const report = await new StorageMigrations().run();
+
+            expect(report).toMatchObject({
+                from: 3,
+                to: 4,
+                removed: ['saved_products', 'price_tracking_data', 'alert_state', 'notification_sale-1'],
+                error: null
+            });
+            expect(storage).toEqual({ schema_version: 4, user_settings: { alerts: { enabled: true } } });
+            await expect(repository.getProducts()).resolves.toEqual([expect.objectContaining({ id, title: 'Lamp' })]);
+            await expect(repository.getTrackingData()).resolves.toEqual({
+                [id]: { lastPrice: '$20.00', priceHistory: [observation('2025-06-01T00:00:00.000Z', 20)] }
+            });
+            await expect(repository.getAlertState()).resolves.toEqual({ [id]: { priceDrop: '2025-06-01T00:00:00.000Z' } });
+            await expect(repository.getNotification('sale-1')).resolves.toMatchObject({ productInfo: { id } });
+        });
+
+        test('should not copy anything in a dry run', async () => {
+            const report = await new StorageMigrations().run({ dryRun: true });
+
+            expect(report.removed).toContain('saved_products');
+            expect(storage.saved_products).toHaveLength(1);
+            await expect(repository.getProducts()).resolves.toEqual([]);
+        });
+
+        test('should keep the data in chrome.storage.local when copying fails', async () => {
+            jest.spyOn(repository, 'importAll').mockRejectedValue(new Error('Database is blocked'));
+
+            const report = await new StorageMigrations().run();
+
+            expect(report).toMatchObject({ from: 3, to: 3, error: 'Move products, price history and alert state to IndexedDB: Database is blocked' });
+            expect(storage.saved_products).toHaveLength(1);
+            expect(storage.schema_version).toBe(3);
+        });
+
+        test('should leave chrome.storage.local alone where IndexedDB is unavailable', async () => {
+            ProductRepository.isSupported.mockReturnValue(false);
+
+            const report = await new StorageMigrations().run();
+
+            expect(report).toMatchObject({ to: 4, removed: [] });
+            expect(storage.saved_products).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Retailer Adapter Tests
+ * Tests adapter lookup by hostname and platform markers, and the built-in adapters
+ */
+
+require('../config.js');
+const { RetailerAdapterRegistry, RetailerAdapters } = require('../services/RetailerAdapters.js');
+
+const parse = (html, bodyClass = '') =>
+    new DOMParser().parseFromString(`<html><head></head><body class="${bodyClass}">${html}</body></html>`, 'text/html');
+
+describe('RetailerAdapterRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = RetailerAdapterRegistry.createDefault();
+    });
+
+    test('should match retailers by hostname pattern', () => {
+        const doc = parse('');
+
+        expect(registry.getAdapter('www.amazon.co.uk', doc).name).toBe('amazon');
+        expect(registry.getAdapter('smile.amazon.com', doc).name).toBe('amazon');
+        expect(registry.getAdapter('www.ebay.de', doc).name).toBe('ebay');
+        expect(registry.getAdapter('cool-store.myshopify.com', doc).name).toBe('shopify');
+    });
+
+    test('should not match lookalike hostnames', () => {
+        expect(registry.getAdapter('notamazon.com', parse(''))).toBeNull();
+    });
+
+    test('should detect store platforms from page markers', () => {
+        const shopify = parse('<link rel="preconnect" href="https://cdn.shopify.com">');
+        const woocommerce = parse('', 'single-product woocommerce');
+
+        expect(registry.getAdapter('shop.example', shopify).name).toBe('shopify');
+        expect(registry.getAdapter('shop.example', woocommerce).name).toBe('woocommerce');
+    });
+
+    test('should fall back to generic extraction for unknown sites', () => {
+        expect(registry.getAdapter('shop.example', parse('<h1>Product</h1>'))).toBeNull();
+    });
+
+    test('should let a store adapter take precedence over its platform adapter', () => {
+        registry.register({ name: 'fancy-store', hosts: [/(^|\.)fancy\.example$/], extractTitle: () => 'Fancy' });
+        const doc = parse('<link href="https://cdn.shopify.com/s.css">');
+
+        expect(registry.getAdapter('www.fancy.example', doc).name).toBe('fancy-store');
+    });
+
+    test('should reject adapters without a way to match pages', () => {
+        expect(() => registry.register({ name: 'broken' })).toThrow();
+    });
+});
+
+describe('Built-in adapters', () => {
+    test('should read Amazon title, sale price, availability and variant', () => {
+        const doc = parse(`
+            <span id="productTitle"> Noise Cancelling Headphones </span>
+            <div id="corePriceDisplay_desktop_feature_div">
+                <span class="a-price"><span class="a-offscreen">$199.99</span></span>
+                <span class="a-price a-text-price"><span class="a-offscreen">$249.99</span></span>
+            </div>
+            <div id="availability"><span>Only 3 left in stock - order soon.</span></div>
+            <div id="variation_color_name"><span class="selection">Midnight Blue</span></div>
+            <div id="variation_style_name"><span class="selection">Wireless</span></div>
+        `);
+        const amazon = RetailerAdapters.amazon;
+
+        expect(amazon.extractTitle(doc)).toBe('Noise Cancelling Headphones');
+        expect(amazon.extractPrice(doc)).toBe('$199.99');
+        expect(amazon.extractSalePrice(doc)).toEqual({ currentPrice: '$199.99', originalPrice: '$249.99' });
+        expect(amazon.extractAvailability(doc)).toBe('limited');
+        expect(amazon.extractVariant(doc)).toBe('Midnight Blue / Wireless');
+    });
+
+    test('should report Amazon products that are unavailable', () => {
+        const doc = parse('<div id="availability"><span>Currently unavailable.</span></div>');
+
+        expect(RetailerAdapters.amazon.extractAvailability(doc)).toBe('out_of_stock');
+        expect(RetailerAdapters.amazon.extractSalePrice(doc)).toBeNull();
+    });
+
+    test('should read WooCommerce sale prices, stock and variations', () => {
+        const doc = parse(`
+            <div class="summary">
+                <h1 class="product_title">Linen Shirt</h1>
+                <p class="price">
+                    <del><span class="woocommerce-Price-amount amount">€59.00</span></del>
+                    <ins><span class="woocommerce-Price-amount amount">€45.00</span></ins>
+                </p>
+                <p class="stock out-of-stock">Out of stock</p>
+            </div>
+            <table class="variations">
+                <tr><td><select name="attribute_size"><option value="">Choose</option><option value="m" selected>M</option></select></td></tr>
+            </table>
+        `, 'woocommerce');
+        const woocommerce = RetailerAdapters.woocommerce;
+
+        expect(woocommerce.extractTitle(doc)).toBe('Linen Shirt');
+        expect(woocommerce.extractPrice(doc)).toBe('€45.00');
+        expect(woocommerce.extractSalePrice(doc)).toEqual({ currentPrice: '€45.00', originalPrice: '€59.00' });
+        expect(woocommerce.extractAvailability(doc)).toBe('out_of_stock');
+        expect(woocommerce.extractVariant(doc)).toBe('M');
+    });
+
+    test('should read Shopify availability from the add to cart button', () => {
+        const doc = parse(`
+            <form action="/cart/add">
+                <select name="id"><option value="1">Small</option><option value="2" selected>Large</option></select>
+                <button type="submit" disabled>Sold out</button>
+            </form>
+        `);
+
+        expect(RetailerAdapters.shopify.extractAvailability(doc)).toBe('out_of_stock');
+        expect(RetailerAdapters.shopify.extractVariant(doc)).toBe('Large');
+    });
+
+    test('should leave unsupported details to the generic extraction', () => {
+        const doc = parse('<h1>Nothing here</h1>');
+
+        expect(RetailerAdapters.ebay.extractTitle(doc)).toBeNull();
+        expect(RetailerAdapters.ebay.extractPrice(doc)).toBeNull();
+        expect(RetailerAdapters.ebay.extractVariant(doc)).toBeNull();
+    });
+});
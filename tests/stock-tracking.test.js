@@ -0,0 +1,133 @@
+/**
+ * Stock Tracking Tests
+ * Tests availability on saved products, in the price history and back-in-stock alerts
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const AlertPolicy = require('../services/AlertPolicy.js');
+const PriceTracker = require('../services/PriceTracker.js');
+
+const observation = (price, availability, extra = {}) => ({
+    timestamp: new Date().toISOString(),
+    price,
+    currency: 'USD',
+    isOnSale: false,
+    availability,
+    ...extra
+});
+
+describe('Availability on saved products', () => {
+    const product = { id: 'p1', title: 'Game Console', price: '$499.00', url: 'https://shop.example/console' };
+    let pageFetcher;
+    let priceTracker;
+
+    const savedProduct = () => chrome.storage.local.set.mock.calls[0][0].saved_products[0];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        pageFetcher = { fetchPageInfo: jest.fn() };
+        priceTracker = new PriceTracker({ pageFetcher });
+        chrome.storage.local.get.mockResolvedValue({ saved_products: [product] });
+        chrome.storage.local.set.mockResolvedValue();
+    });
+
+    test('should store the availability reported by the page', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({ price: '$479.00', availability: 'limited' });
+
+        const refreshed = await priceTracker.refreshProductPrice(product);
+
+        expect(refreshed).toMatchObject({ price: '$479.00', availability: 'limited', priceUnavailable: false });
+        expect(savedProduct()).toMatchObject({ price: '$479.00', availability: 'limited' });
+    });
+
+    test('should record a sold-out page that shows no price', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({ price: 'No price found', availability: 'out_of_stock' });
+
+        const refreshed = await priceTracker.refreshProductPrice(product);
+
+        expect(refreshed).toMatchObject({ price: '$499.00', availability: 'out_of_stock', priceUnavailable: true });
+        expect(savedProduct()).toMatchObject({ price: '$499.00', availability: 'out_of_stock' });
+    });
+
+    test('should keep the availability and no price in the history of a sold-out check', async () => {
+        pageFetcher.fetchPageInfo.mockResolvedValue({ price: 'No price found', availability: 'out_of_stock' });
+        priceTracker.saveTrackingData = jest.fn();
+        priceTracker.checkPriceAlert = jest.fn();
+        const trackingData = { p1: { lastPrice: '$499.00', priceHistory: [observation(499, 'in_stock')] } };
+
+        await expect(priceTracker.checkProduct(product, trackingData)).resolves.toBe(true);
+
+        expect(trackingData.p1.lastPrice).toBe('$499.00');
+        expect(trackingData.p1.priceHistory[1]).toMatchObject({ price: null, availability: 'out_of_stock' });
+        expect(priceTracker.checkPriceAlert).not.toHaveBeenCalled();
+    });
+});
+
+describe('Back-in-stock alerts', () => {
+    let policy;
+    const product = { id: 'p1', title: 'Game Console' };
+
+    beforeEach(() => {
+        policy = new AlertPolicy();
+    });
+
+    const rules = (events) => events.map(event => event.rule);
+
+    test('should alert when an out-of-stock item is in stock again', () => {
+        const events = policy.detectEvents(product, observation(499, 'in_stock'), [observation(null, 'out_of_stock')]);
+
+        expect(rules(events)).toEqual(['backInStock']);
+        expect(events[0].message).toContain('available again');
+    });
+
+    test('should alert when a backordered item returns with few left', () => {
+        const events = policy.detectEvents(product, observation(499, 'limited'), [observation(499, 'backorder')]);
+
+        expect(rules(events)).toEqual(['backInStock']);
+    });
+
+    test('should look past checks that could not tell the availability', () => {
+        const history = [observation(null, 'out_of_stock'), observation(null, null)];
+
+        expect(rules(policy.detectEvents(product, observation(499, 'in_stock'), history))).toEqual(['backInStock']);
+    });
+
+    test('should not alert while the item stays in stock or sold out', () => {
+        expect(policy.detectEvents(product, observation(499, 'in_stock'), [observation(499, 'in_stock')])).toEqual([]);
+        expect(policy.detectEvents(product, observation(null, 'out_of_stock'), [observation(null, 'out_of_stock')])).toEqual([]);
+    });
+
+    test('should not treat a pre-order as back in stock', () => {
+        expect(policy.detectEvents(product, observation(499, 'preorder'), [observation(null, 'out_of_stock')])).toEqual([]);
+    });
+
+    test('should compare prices with the last check that had a price', () => {
+        const history = [observation(499, 'in_stock'), observation(null, 'out_of_stock')];
+
+        const events = policy.detectEvents(product, observation(449, 'in_stock'), history);
+
+        expect(rules(events)).toEqual(['priceDrop', 'backInStock']);
+    });
+});
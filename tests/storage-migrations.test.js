@@ -0,0 +1,202 @@
+/**
+ * Storage Migrations Tests
+ * Tests the schema version, the migration runner with dry runs and rollback, and the migrations
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn(),
+            remove: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const { StorageMigrations, SchemaMigrations } = require('../services/StorageMigrations.js');
+
+describe('StorageMigrations', () => {
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            if (keys === null) return JSON.parse(JSON.stringify(storage));
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = storage[key];
+            });
+            return result;
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+        chrome.storage.local.remove.mockImplementation(async (keys) => [].concat(keys).forEach(key => delete storage[key]));
+    });
+
+    describe('Runner', () => {
+        const migrations = [
+            { version: 1, description: 'Rename list', migrate: (data) => { data.list = data.old_list || []; delete data.old_list; } },
+            { version: 2, description: 'Count items', migrate: (data) => { data.count = data.list.length; } }
+        ];
+
+        test('should treat data without a version as version 0', async () => {
+            const runner = new StorageMigrations(migrations);
+
+            await expect(runner.getVersion()).resolves.toBe(0);
+            await expect(runner.isCurrent()).resolves.toBe(false);
+            expect(runner.getLatestVersion()).toBe(2);
+        });
+
+        test('should apply pending migrations in order and store the version', async () => {
+            storage.old_list = ['a', 'b'];
+
+            const report = await new StorageMigrations(migrations).run();
+
+            expect(report).toMatchObject({ from: 0, to: 2, applied: ['Rename list', 'Count items'], removed: ['old_list'], error: null });
+            expect(storage).toEqual({ list: ['a', 'b'], count: 2, schema_version: 2 });
+        });
+
+        test('should skip migrations that were already applied', async () => {
+            storage.list = ['a'];
+            storage.schema_version = 1;
+
+            const report = await new StorageMigrations(migrations).run();
+
+            expect(report.applied).toEqual(['Count items']);
+            expect(storage).toEqual({ list: ['a'], count: 1, schema_version: 2 });
+        });
+
+        test('should do nothing when the data is current', async () => {
+            storage.schema_version = 2;
+
+            await expect(new StorageMigrations(migrations).run()).resolves.toMatchObject({ from: 2, to: 2, applied: [] });
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        test('should report a dry run without writing', async () => {
+            storage.old_list = ['a'];
+
+            const report = await new StorageMigrations(migrations).run({ dryRun: true });
+
+            expect(report).toMatchObject({ dryRun: true, to: 2, changed: ['list', 'count', 'schema_version'], removed: ['old_list'] });
+            expect(storage).toEqual({ old_list: ['a'] });
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        test('should leave the data alone when a migration fails', async () => {
+            storage.old_list = ['a'];
+            const failing = [migrations[0], { version: 2, description: 'Broken', migrate: () => { throw new Error('bad shape'); } }];
+
+            const report = await new StorageMigrations(failing).run();
+
+            expect(report.error).toBe('Broken: bad shape');
+            expect(storage).toEqual({ old_list: ['a'] });
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        test('should roll back when the write fails', async () => {
+            storage.old_list = ['a'];
+            chrome.storage.local.remove.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+            const report = await new StorageMigrations(migrations).run();
+
+            expect(report).toMatchObject({ from: 0, to: 0, error: 'Quota exceeded' });
+            expect(storage).toEqual({ old_list: ['a'] });
+        });
+
+        test('should mark new installs as current', async () => {
+            await new StorageMigrations(migrations).markCurrent();
+
+            expect(storage.schema_version).toBe(2);
+        });
+    });
+
+    describe('Migrations', () => {
+        test('should bring data from before versioning to the current schema', async () => {
+            storage.saved_products = [{
+                id: 'k3j2h1',
+                title: 'Headphones',
+                url: 'https://shop.example/headphones',
+                price: { currentPrice: '$79.99', originalPrice: '$99.99', isOnSale: true, saleType: 'sale' },
+                savedPrice: '$99.99'
+            }];
+            storage.price_tracking_data = { k3j2h1: { lastPrice: { currentPrice: '$79.99' }, sameCount: 2 } };
+
+            const report = await new StorageMigrations().run();
+
+            expect(report).toMatchObject({ from: 0, to: SchemaMigrations.length, error: null });
+            const [product] = storage.saved_products;
+            expect(product).toMatchObject({
+                price: '$79.99',
+                saleInfo: { isOnSale: true, originalPrice: '$99.99', saleType: 'sale' },
+                priceMoney: { amount: 7999, currency: 'USD' },
+                savedPriceMoney: { amount: 9999, currency: 'USD' },
+                productKey: 'shop.example/headphones'
+            });
+            expect(ExtensionUtils.isUuid(product.id)).toBe(true);
+            expect(storage.price_tracking_data).toEqual({
+                [product.id]: { lastPrice: '$79.99', lastMoney: { amount: 7999, currency: 'USD', raw: '$79.99' }, sameCount: 2 }
+            });
+        });
+
+        test('should add money values to products and tracking records from older versions', async () => {
+            storage.schema_version = 1;
+            storage.saved_products = [{ id: '4f1c2e00-7a3b-4c1d-9e2f-0123456789ab', price: '$24.00', savedPrice: '$30.00' }];
+            storage.price_tracking_data = { '4f1c2e00-7a3b-4c1d-9e2f-0123456789ab': { lastPrice: '$24.00', sameCount: 2 } };
+
+            await new StorageMigrations().run();
+
+            expect(storage.saved_products[0]).toMatchObject({
+                priceMoney: { amount: 2400, currency: 'USD' },
+                savedPriceMoney: { amount: 3000, currency: 'USD' }
+            });
+            expect(storage.price_tracking_data['4f1c2e00-7a3b-4c1d-9e2f-0123456789ab'])
+                .toMatchObject({ sameCount: 2, lastMoney: { amount: 2400, currency: 'USD' } });
+        });
+
+        test('should move legacy IDs and everything stored under them to UUIDs', async () => {
+            storage.schema_version = 2;
+            storage.saved_products = [
+                { id: 'k3j2h1', title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' },
+                { id: '4f1c2e00-7a3b-4c1d-9e2f-0123456789ab', title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' }
+            ];
+            storage.price_tracking_data = { k3j2h1: { lastPrice: '$20.00' }, '4f1c2e00-7a3b-4c1d-9e2f-0123456789ab': { lastPrice: '$90.00' } };
+            storage.alert_state = { k3j2h1: { priceDrop: '2025-06-10T00:00:00.000Z' } };
+            storage.price_check_queue = { jobs: [{ productId: 'k3j2h1', title: 'Lamp' }], domains: {} };
+            storage['notification_sale-1'] = { url: 'https://shop.example/lamp', productInfo: { id: 'k3j2h1', title: 'Lamp' } };
+            storage['notification_sale-2'] = { url: 'https://other.example/', productInfo: { id: 'removed' } };
+
+            await new StorageMigrations().run();
+
+            const [lamp, chair] = storage.saved_products;
+            expect(ExtensionUtils.isUuid(lamp.id)).toBe(true);
+            expect(lamp.productKey).toBe('shop.example/lamp');
+            expect(chair.id).toBe('4f1c2e00-7a3b-4c1d-9e2f-0123456789ab');
+            expect(storage.price_tracking_data).toEqual({ [lamp.id]: { lastPrice: '$20.00' }, [chair.id]: { lastPrice: '$90.00' } });
+            expect(storage.alert_state).toEqual({ [lamp.id]: { priceDrop: '2025-06-10T00:00:00.000Z' } });
+            expect(storage.price_check_queue.jobs[0].productId).toBe(lamp.id);
+            expect(storage['notification_sale-1'].productInfo.id).toBe(lamp.id);
+            expect(storage['notification_sale-2'].productInfo.id).toBe('removed');
+        });
+
+        test('should accept data that already has the current shapes', () => {
+            const product = {
+                id: '4f1c2e00-7a3b-4c1d-9e2f-0123456789ab',
+                price: '$20.00',
+                priceMoney: { amount: 2000, currency: 'USD', raw: '$20.00' },
+                savedPriceMoney: null
+            };
+            const data = { saved_products: [product], price_tracking_data: {} };
+
+            SchemaMigrations.forEach(migration => migration.migrate(data));
+
+            expect(data.saved_products).toEqual([product]);
+        });
+    });
+});
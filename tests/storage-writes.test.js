@@ -0,0 +1,176 @@
+/**
+ * Storage Write Tests
+ * Tests that concurrent writes from the popup and price checks do not overwrite each other
+ * and that views hear about changes made elsewhere
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    alarms: {
+        create: jest.fn(),
+        clear: jest.fn(),
+        get: jest.fn(),
+        onAlarm: {
+            addListener: jest.fn()
+        }
+    },
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const PriceTracker = require('../services/PriceTracker.js');
+const AlertPolicy = require('../services/AlertPolicy.js');
+
+// Resolve on a later task, like chrome.storage does, so unserialized writes interleave
+const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), 5));
+
+describe('Storage writes', () => {
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = {};
+        chrome.storage.local.get.mockImplementation((keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (storage[key] !== undefined) result[key] = JSON.parse(JSON.stringify(storage[key]));
+            });
+            return later(result);
+        });
+        chrome.storage.local.set.mockImplementation((items) => later(Object.assign(storage, items)));
+    });
+
+    afterEach(() => {
+        delete global.navigator.locks;
+    });
+
+    describe('Serialized mutations', () => {
+        test('should keep every product saved at the same time', async () => {
+            await Promise.all([
+                ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' }),
+                ExtensionUtils.storage.saveProduct({ title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' }),
+                ExtensionUtils.storage.saveProduct({ title: 'Desk', price: '$150.00', url: 'https://shop.example/desk' })
+            ]);
+
+            expect(storage.saved_products.map(product => product.title)).toEqual(['Desk', 'Chair', 'Lamp']);
+        });
+
+        test('should not lose a removal that overlaps a price update', async () => {
+            storage.saved_products = [
+                { id: 'lamp', title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' },
+                { id: 'chair', title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' }
+            ];
+
+            await Promise.all([
+                ExtensionUtils.storage.updateProduct('lamp', { price: '$18.00' }),
+                ExtensionUtils.storage.removeProduct('chair')
+            ]);
+
+            expect(storage.saved_products).toEqual([expect.objectContaining({ id: 'lamp', price: '$18.00' })]);
+        });
+
+        test('should keep the tracking records of products checked at the same time', async () => {
+            const priceTracker = new PriceTracker();
+
+            await Promise.all([
+                priceTracker.saveTrackingRecord('lamp', { lastPrice: '$20.00' }),
+                priceTracker.saveTrackingRecord('chair', { lastPrice: '$90.00' })
+            ]);
+
+            expect(storage.price_tracking_data).toEqual({ lamp: { lastPrice: '$20.00' }, chair: { lastPrice: '$90.00' } });
+        });
+
+        test('should send an alert once when the same drop is evaluated twice at the same time', async () => {
+            const policy = new AlertPolicy();
+            const product = { id: 'lamp', title: 'Lamp' };
+            const observation = (price) => ({ timestamp: new Date().toISOString(), price, currency: 'USD', isOnSale: false });
+
+            const results = await Promise.all([
+                policy.evaluate(product, observation(80), [observation(100)]),
+                policy.evaluate(product, observation(80), [observation(100)])
+            ]);
+
+            expect(results.map(alerts => alerts.length)).toEqual([1, 0]);
+        });
+
+        test('should keep every setting saved at the same time', async () => {
+            await Promise.all([
+                ExtensionUtils.storage.saveSettings({ alerts: { enabled: false } }),
+                ExtensionUtils.storage.saveSettings({ sync: { enabled: true } })
+            ]);
+
+            expect(storage.extension_settings).toMatchObject({ alerts: { enabled: false }, sync: { enabled: true } });
+        });
+
+        test('should refuse a new product past the limit without removing a saved one', async () => {
+            storage.saved_products = Array.from({ length: ExtensionConfig.storage.maxItems }, (_, i) => (
+                { id: `p${i}`, title: `Item ${i}`, price: '$1.00', url: `https://shop.example/item-${i}` }
+            ));
+
+            await expect(ExtensionUtils.storage.saveProduct({ title: 'One more', price: '$1.00', url: 'https://shop.example/one-more' }))
+                .resolves.toBe(false);
+            await expect(ExtensionUtils.storage.saveProduct({ title: 'Item 0 again', price: '$2.00', url: 'https://shop.example/item-0' }))
+                .resolves.toBe(true);
+
+            expect(storage.saved_products).toHaveLength(ExtensionConfig.storage.maxItems);
+            expect(storage.saved_products.map(product => product.id)).toContain(`p${ExtensionConfig.storage.maxItems - 1}`);
+            expect(storage.saved_products.some(product => product.title === 'One more')).toBe(false);
+        });
+
+        test('should keep working after a failed write', async () => {
+            chrome.storage.local.set.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+            await expect(ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' }))
+                .resolves.toBe(false);
+            await expect(ExtensionUtils.storage.saveProduct({ title: 'Chair', price: '$90.00', url: 'https://shop.example/chair' }))
+                .resolves.toBe(true);
+            expect(storage.saved_products.map(product => product.title)).toEqual(['Chair']);
+        });
+
+        test('should hold the shared Web Lock where it is available', async () => {
+            global.navigator.locks = { request: jest.fn((name, callback) => callback()) };
+
+            await ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' });
+
+            expect(navigator.locks.request).toHaveBeenCalledWith('wishcart-storage', expect.any(Function));
+            expect(storage.saved_products).toHaveLength(1);
+        });
+    });
+
+    describe('Change subscription', () => {
+        test('should report changes to products and tracking data in local storage', () => {
+            const callback = jest.fn();
+            ExtensionUtils.storage.onChange(callback);
+            const [listener] = chrome.storage.onChanged.addListener.mock.calls[0];
+
+            listener({ saved_products: {}, extension_settings: {} }, 'local');
+            listener({ data_revision: {} }, 'local');
+            listener({ extension_settings: {} }, 'local');
+            listener({ saved_products: {} }, 'sync');
+
+            expect(callback.mock.calls).toEqual([[['saved_products']], [['data_revision']]]);
+        });
+
+        test('should stop listening when unsubscribed', () => {
+            const unsubscribe = ExtensionUtils.storage.onChange(jest.fn());
+            const [listener] = chrome.storage.onChanged.addListener.mock.calls[0];
+
+            unsubscribe();
+
+            expect(chrome.storage.onChanged.removeListener).toHaveBeenCalledWith(listener);
+        });
+    });
+});
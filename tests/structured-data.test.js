@@ -0,0 +1,202 @@
+/**
+ * Structured Data Extraction Tests
+ * Tests schema.org Product extraction from JSON-LD and microdata
+ */
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const StructuredDataExtractor = require('../services/StructuredDataExtractor.js');
+
+const parse = (html) => new DOMParser().parseFromString(`<html><head></head><body>${html}</body></html>`, 'text/html');
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+describe('StructuredDataExtractor', () => {
+    let extractor;
+
+    beforeEach(() => {
+        extractor = new StructuredDataExtractor();
+    });
+
+    describe('JSON-LD', () => {
+        test('should extract the full product record', () => {
+            const doc = parse(jsonLd({
+                '@context': 'https://schema.org',
+                '@type': 'Product',
+                name: 'Trail Running Shoe',
+                brand: { '@type': 'Brand', name: 'Peakline' },
+                sku: 'TRS-42',
+                gtin13: '0123456789012',
+                mpn: 'PL-TRS-42',
+                image: ['https://shop.example/shoe-1.jpg', { '@type': 'ImageObject', url: 'https://shop.example/shoe-2.jpg' }],
+                offers: {
+                    '@type': 'Offer',
+                    price: '129.95',
+                    priceCurrency: 'EUR',
+                    availability: 'https://schema.org/InStock',
+                    priceValidUntil: '2025-12-31',
+                    seller: { '@type': 'Organization', name: 'Shoe Shop' }
+                },
+                aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.6', reviewCount: 87, bestRating: '5' }
+            }));
+
+            expect(extractor.extract(doc)).toEqual({
+                source: 'json-ld',
+                name: 'Trail Running Shoe',
+                brand: 'Peakline',
+                sku: 'TRS-42',
+                gtin: '0123456789012',
+                mpn: 'PL-TRS-42',
+                image: ['https://shop.example/shoe-1.jpg', 'https://shop.example/shoe-2.jpg'],
+                url: null,
+                price: 129.95,
+                priceCurrency: 'EUR',
+                lowPrice: null,
+                highPrice: null,
+                offerCount: null,
+                availability: 'in_stock',
+                priceValidUntil: '2025-12-31',
+                seller: 'Shoe Shop',
+                aggregateRating: { ratingValue: 4.6, reviewCount: 87, ratingCount: null, bestRating: 5 }
+            });
+        });
+
+        test('should find the product inside an @graph and resolve @id references', () => {
+            const doc = parse(jsonLd({
+                '@context': 'https://schema.org',
+                '@graph': [
+                    { '@type': 'WebPage', '@id': '#webpage', name: 'Kettle page' },
+                    { '@type': 'Product', '@id': '#product', name: 'Kettle', brand: 'Boilright', offers: { '@id': '#offer' } },
+                    { '@type': 'Offer', '@id': '#offer', price: 39, priceCurrency: 'GBP', availability: 'OutOfStock', seller: { '@id': '#store' } },
+                    { '@type': 'Organization', '@id': '#store', name: 'Kitchen Store' }
+                ]
+            }));
+
+            expect(extractor.extract(doc)).toMatchObject({
+                name: 'Kettle',
+                brand: 'Boilright',
+                price: 39,
+                priceCurrency: 'GBP',
+                availability: 'out_of_stock',
+                seller: 'Kitchen Store'
+            });
+        });
+
+        test('should report the price range of an AggregateOffer', () => {
+            const doc = parse(jsonLd({
+                '@type': 'Product',
+                name: 'Desk Lamp',
+                offers: {
+                    '@type': 'AggregateOffer',
+                    lowPrice: '24.99',
+                    highPrice: '39.99',
+                    offerCount: '3',
+                    priceCurrency: 'USD',
+                    offers: [{ '@type': 'Offer', price: '29.99', availability: 'https://schema.org/LimitedAvailability' }]
+                }
+            }));
+
+            expect(extractor.extract(doc)).toMatchObject({
+                price: 24.99,
+                lowPrice: 24.99,
+                highPrice: 39.99,
+                offerCount: 3,
+                priceCurrency: 'USD',
+                availability: 'limited'
+            });
+        });
+
+        test('should prefer the product with a price over other products on the page', () => {
+            const doc = parse(
+                jsonLd([{ '@type': 'Product', name: 'Related item' }]) +
+                jsonLd({ '@type': ['Product', 'Thing'], name: 'Main item', offers: [{ price: 10, priceCurrency: 'USD' }] })
+            );
+
+            expect(extractor.extract(doc).name).toBe('Main item');
+        });
+
+        test('should skip invalid JSON-LD blocks', () => {
+            const doc = parse('<script type="application/ld+json">{ not json</script>' +
+                jsonLd({ '@type': 'Product', name: 'Valid', offers: { price: 5, priceCurrency: 'USD' } }));
+
+            expect(extractor.extract(doc).name).toBe('Valid');
+        });
+
+        test('should return null without Product data', () => {
+            const doc = parse(jsonLd({ '@type': 'Organization', name: 'Shop' }));
+
+            expect(extractor.extract(doc)).toBeNull();
+        });
+    });
+
+    describe('Microdata', () => {
+        test('should extract a product from itemprop attributes', () => {
+            const doc = parse(`
+                <div itemscope itemtype="https://schema.org/Product">
+                    <h1 itemprop="name">Espresso Machine</h1>
+                    <img itemprop="image" src="https://shop.example/espresso.jpg">
+                    <span itemprop="brand" itemscope itemtype="https://schema.org/Brand">
+                        <span itemprop="name">Crema</span>
+                    </span>
+                    <meta itemprop="sku" content="EM-100">
+                    <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+                        <span itemprop="price" content="349.00">$349.00</span>
+                        <meta itemprop="priceCurrency" content="USD">
+                        <link itemprop="availability" href="https://schema.org/PreOrder">
+                        <time itemprop="priceValidUntil" datetime="2025-06-30">June 30</time>
+                        <div itemprop="seller" itemscope itemtype="https://schema.org/Organization">
+                            <span itemprop="name">Coffee Corner</span>
+                        </div>
+                    </div>
+                    <div itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
+                        <span itemprop="ratingValue">4.2</span>
+                        <span itemprop="ratingCount">15</span>
+                    </div>
+                </div>
+            `);
+
+            expect(extractor.extract(doc)).toMatchObject({
+                source: 'microdata',
+                name: 'Espresso Machine',
+                brand: 'Crema',
+                sku: 'EM-100',
+                image: ['https://shop.example/espresso.jpg'],
+                price: 349,
+                priceCurrency: 'USD',
+                availability: 'preorder',
+                priceValidUntil: '2025-06-30',
+                seller: 'Coffee Corner',
+                aggregateRating: { ratingValue: 4.2, ratingCount: 15 }
+            });
+        });
+
+        test('should not mix properties of nested items into the product', () => {
+            const doc = parse(`
+                <div itemscope itemtype="http://schema.org/Product">
+                    <span itemprop="name">Backpack</span>
+                    <div itemprop="offers" itemscope itemtype="http://schema.org/Offer">
+                        <span itemprop="name">Offer name</span>
+                        <span itemprop="price">59.50</span>
+                    </div>
+                </div>
+            `);
+
+            expect(extractor.extract(doc)).toMatchObject({ name: 'Backpack', price: 59.5 });
+        });
+
+        test('should read prices shown as text with the page locale and currency', () => {
+            const offer = (price, currency) => `
+                <div itemscope itemtype="https://schema.org/Product">
+                    <span itemprop="name">Sofa</span>
+                    <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+                        <span itemprop="price">${price}</span>
+                        <meta itemprop="priceCurrency" content="${currency}">
+                    </div>
+                </div>`;
+
+            expect(extractor.extract(parse(`<div lang="de-DE">${offer('1.299,00 €', 'EUR')}</div>`)).price).toBe(1299);
+            expect(extractor.extract(parse(offer('1.299', 'EUR'))).price).toBe(1299);
+            expect(extractor.extract(parse(offer('$1,299.00', 'USD'))).price).toBe(1299);
+            expect(extractor.extract(parse(offer('1.250', 'KWD'))).price).toBe(1.25);
+        });
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * Sync Tests
+ * Tests sharing the list and settings between devices through chrome.storage.sync,
+ * with per-field last-writer-wins merges, tombstones, chunking and quota limits
+ */
+
+// Mock Chrome APIs
+global.chrome = {
+    storage: {
+        local: {
+            get: jest.fn(),
+            set: jest.fn(),
+            remove: jest.fn()
+        },
+        sync: {
+            get: jest.fn(),
+            set: jest.fn(),
+            remove: jest.fn()
+        },
+        onChanged: {
+            addListener: jest.fn(),
+            removeListener: jest.fn()
+        }
+    },
+    runtime: {
+        lastError: null
+    }
+};
+
+require('../config.js');
+global.ExtensionUtils = require('../utils.js');
+const SyncService = require('../services/SyncService.js');
+
+const mockArea = (area, read) => {
+    area.get.mockImplementation(async (keys) => {
+        const data = read();
+        const wanted = keys === null ? Object.keys(data) : keys;
+        const result = {};
+        wanted.forEach(key => {
+            if (data[key] !== undefined) result[key] = JSON.parse(JSON.stringify(data[key]));
+        });
+        return result;
+    });
+    area.set.mockImplementation(async (items) => Object.assign(read(), JSON.parse(JSON.stringify(items))));
+    area.remove.mockImplementation(async (keys) => [].concat(keys).forEach(key => delete read()[key]));
+};
+
+describe('SyncService', () => {
+    let devices;
+    let shared;
+    let current;
+    let syncService;
+
+    // Run work as one of the devices, which share chrome.storage.sync but not chrome.storage.local
+    const on = async (device, work) => {
+        current = device;
+        return work();
+    };
+    const products = (device) => devices[device].saved_products || [];
+    const product = (overrides) => ({
+        id: overrides.id,
+        title: 'Lamp',
+        url: 'https://shop.example/lamp',
+        domain: 'shop.example',
+        price: '$20.00',
+        savedPrice: '$25.00',
+        dateAdded: '2025-06-01T00:00:00.000Z',
+        dateUpdated: '2025-06-01T00:00:00.000Z',
+        ...overrides
+    });
+    const enabled = { sync: { enabled: true } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        devices = { a: { extension_settings: enabled }, b: { extension_settings: enabled } };
+        shared = {};
+        current = 'a';
+        mockArea(chrome.storage.local, () => devices[current]);
+        mockArea(chrome.storage.sync, () => shared);
+        syncService = new SyncService();
+    });
+
+    describe('Sharing', () => {
+        test('should bring products and settings to a device that joins', async () => {
+            devices.a.saved_products = [product({ id: 'lamp' })];
+            devices.a.extension_settings = { ...enabled, currency: { home: 'EUR' } };
+
+            await expect(on('a', () => syncService.sync())).resolves.toMatchObject({ state: 'synced', error: null });
+            await expect(on('b', () => syncService.sync())).resolves.toMatchObject({ state: 'synced' });
+
+            expect(products('b')).toEqual([expect.objectContaining({
+                id: 'lamp',
+                title: 'Lamp',
+                priceMoney: expect.objectContaining({ amount: 2000, currency: 'USD' }),
+                savedPriceMoney: expect.objectContaining({ amount: 2500, currency: 'USD' })
+            })]);
+            expect(devices.b.extension_settings.currency).toEqual({ home: 'EUR' });
+            expect(devices.b.sync_status).toMatchObject({ state: 'synced' });
+        });
+
+        test('should merge edits to different fields of the same product', async () => {
+            devices.a.saved_products = [product({ id: 'lamp' })];
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            devices.a.saved_products = [product({ id: 'lamp', priceAlert: { targetPrice: 15 }, dateUpdated: '2025-06-02T00:00:00.000Z' })];
+            devices.b.saved_products = [product({ id: 'lamp', title: 'Desk lamp', dateUpdated: '2025-06-03T00:00:00.000Z' })];
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+            await on('a', () => syncService.sync());
+
+            [products('a')[0], products('b')[0]].forEach(merged => {
+                expect(merged).toMatchObject({ title: 'Desk lamp', priceAlert: { targetPrice: 15 } });
+            });
+        });
+
+        test('should share tags, notes and other details', async () => {
+            devices.a.saved_products = [product({ id: 'lamp', tags: ['desk'], note: 'Warm white', priority: 4, quantity: 2, variant: 'Brass' })];
+
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            expect(products('b')[0]).toMatchObject({ tags: ['desk'], note: 'Warm white', priority: 4, quantity: 2, variant: 'Brass' });
+        });
+
+        test('should keep the latest edit of a field whichever device syncs first', async () => {
+            devices.a.saved_products = [product({ id: 'lamp' })];
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            devices.a.saved_products = [product({ id: 'lamp', title: 'Older edit', dateUpdated: '2025-06-02T00:00:00.000Z' })];
+            devices.b.saved_products = [product({ id: 'lamp', title: 'Newer edit', dateUpdated: '2025-06-03T00:00:00.000Z' })];
+            await on('b', () => syncService.sync());
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            expect(products('a')[0].title).toBe('Newer edit');
+            expect(products('b')[0].title).toBe('Newer edit');
+        });
+
+        test('should delete products removed on another device', async () => {
+            devices.a.saved_products = [product({ id: 'lamp' }), product({ id: 'chair', title: 'Chair', url: 'https://shop.example/chair' })];
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            await on('a', () => ExtensionUtils.storage.removeProduct('chair'));
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            expect(products('b').map(entry => entry.id)).toEqual(['lamp']);
+            expect(devices.b.sync_state.deleted).toHaveProperty('chair');
+        });
+
+        test('should keep price history on each device', async () => {
+            devices.a.saved_products = [product({ id: 'lamp', priceMoney: { amount: 2000, currency: 'USD' }, lastChecked: '2025-06-02T00:00:00.000Z' })];
+            devices.a.price_tracking_data = { lamp: { lastPrice: '$20.00', priceHistory: [{ timestamp: '2025-06-02T00:00:00.000Z', price: 20 }] } };
+
+            await on('a', () => syncService.sync());
+
+            const text = Object.keys(shared).filter(key => key !== 'wishlist_meta').map(key => shared[key]).join('');
+            expect(text).toContain('"title"');
+            expect(text).not.toContain('priceHistory');
+            expect(text).not.toContain('lastChecked');
+        });
+
+        test('should not touch chrome.storage.sync while sync is off', async () => {
+            devices.a.extension_settings = {};
+            devices.a.saved_products = [product({ id: 'lamp' })];
+
+            await expect(on('a', () => syncService.sync())).resolves.toMatchObject({ state: 'off' });
+
+            expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+            expect(devices.a.sync_state).toBeUndefined();
+        });
+    });
+
+    describe('Lists', () => {
+        const lists = (device) => (devices[device].wishlists || []).map(list => list.name);
+
+        test('should share named lists and which products are in them', async () => {
+            const gifts = await on('a', () => ExtensionUtils.storage.createList('Gifts'));
+            devices.a.saved_products = [product({ id: 'lamp', lists: [gifts.id] })];
+
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            expect(lists('b')).toEqual(['Tracked Products', 'Gifts']);
+            expect(products('b')[0].lists).toEqual([gifts.id]);
+        });
+
+        test('should give a device that joins the shared name of the default list', async () => {
+            await on('a', () => ExtensionUtils.storage.renameList('default', 'Later'));
+            await on('a', () => syncService.sync());
+
+            await on('b', () => syncService.sync());
+
+            expect(lists('b')).toEqual(['Later']);
+            expect(lists('a')).toEqual(['Later']);
+        });
+
+        test('should delete lists deleted on another device', async () => {
+            const gifts = await on('a', () => ExtensionUtils.storage.createList('Gifts'));
+            await on('a', () => ExtensionUtils.storage.saveProduct({ title: 'Lamp', price: '$20.00', url: 'https://shop.example/lamp' }, gifts.id));
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+            expect(products('b')).toHaveLength(1);
+
+            await on('a', () => ExtensionUtils.storage.deleteList(gifts.id));
+            await on('a', () => syncService.sync());
+            await on('b', () => syncService.sync());
+
+            expect(lists('b')).toEqual(['Tracked Products']);
+            expect(products('b')).toEqual([]);
+        });
+    });
+
+    describe('Conflict resolution', () => {
+        const doc = (products, deleted = {}) => ({ products, deleted, settings: {} });
+
+        test('should give the same result in either order, with ties going to the larger value', () => {
+            const a = doc({ lamp: { title: ['Lamp', 100], price: ['$20.00', 300] } });
+            const b = doc({ lamp: { title: ['Desk lamp', 200], price: ['$18.00', 300] } });
+
+            const merged = syncService.mergeDocs(a, b);
+
+            expect(merged.products.lamp).toEqual({ price: ['$20.00', 300], title: ['Desk lamp', 200] });
+            expect(SyncService.serialize(syncService.mergeDocs(b, a))).toBe(SyncService.serialize(merged));
+        });
+
+        test('should let deletions win over edits', () => {
+            const merged = syncService.mergeDocs(
+                doc({ lamp: { title: ['Desk lamp', 500] } }),
+                doc({}, { lamp: 400 })
+            );
+
+            expect(merged.products).toEqual({});
+            expect(merged.deleted).toEqual({ lamp: 400 });
+        });
+
+        test('should forget old tombstones', () => {
+            const now = Date.parse('2025-08-01T00:00:00.000Z');
+            const pruned = syncService.pruneTombstones(doc({}, {
+                old: Date.parse('2025-06-01T00:00:00.000Z'),
+                recent: Date.parse('2025-07-20T00:00:00.000Z')
+            }), now);
+
+            expect(Object.keys(pruned.deleted)).toEqual(['recent']);
+        });
+
+        test('should only restamp fields whose value changed', () => {
+            const state = doc({ lamp: { title: ['Lamp', 100], price: ['$20.00', 100] } });
+            const local = syncService.buildLocalDoc(
+                [{ id: 'lamp', title: 'Lamp', price: '$18.00', dateUpdated: new Date(5000).toISOString() }],
+                {},
+                state,
+                9000
+            );
+
+            expect(local.products.lamp.title).toEqual(['Lamp', 100]);
+            expect(local.products.lamp.price).toEqual(['$18.00', 5000]);
+        });
+    });
+
+    describe('Quota limits', () => {
+        const manyProducts = (count) => Array.from({ length: count }, (_, i) => product({
+            id: `product-${i}`,
+            title: `Ceramic lamp № ${i} 🛋️ with a long name that takes up room in the sync quota`,
+            url: `https://shop.example/lamps/${i}`
+        }));
+
+        test('should split the list into chunks that fit the per-item quota', async () => {
+            devices.a.saved_products = manyProducts(40);
+
+            await on('a', () => syncService.sync());
+
+            const chunkKeys = Object.keys(shared).filter(key => key !== 'wishlist_meta');
+            expect(chunkKeys.length).toBeGreaterThan(1);
+            chunkKeys.forEach(key => {
+                expect(key.length + SyncService.byteLength(shared[key]) + 2).toBeLessThanOrEqual(8192);
+            });
+
+            await on('b', () => syncService.sync());
+            expect(products('b')).toHaveLength(40);
+            expect(products('b').find(entry => entry.id === 'product-7').title).toContain('№ 7 🛋️');
+        });
+
+        test('should remove chunks left over from a longer list', async () => {
+            devices.a.saved_products = manyProducts(40);
+            await on('a', () => syncService.sync());
+            const before = Object.keys(shared).length;
+
+            devices.a.saved_products = manyProducts(1);
+            await on('a', () => syncService.sync());
+
+            expect(Object.keys(shared).length).toBeLessThan(before);
+            expect(shared.wishlist_meta.chunks).toBe(Object.keys(shared).length - 1);
+        });
+
+        test('should report a list too large to sync and keep it local', async () => {
+            const quota = ExtensionConfig.sync.quotaBytes;
+            ExtensionConfig.sync.quotaBytes = 2000;
+            devices.a.saved_products = manyProducts(10);
+
+            try {
+                await expect(on('a', () => syncService.sync())).resolves.toMatchObject({
+                    state: 'error',
+                    error: expect.stringContaining('too large to sync')
+                });
+            } finally {
+                ExtensionConfig.sync.quotaBytes = quota;
+            }
+
+            expect(shared).toEqual({});
+            expect(products('a')).toHaveLength(10);
+        });
+
+        test('should wait until every chunk from another device has arrived', async () => {
+            devices.a.saved_products = manyProducts(40);
+            await on('a', () => syncService.sync());
+            delete shared.wishlist_1;
+
+            await expect(on('b', () => syncService.sync())).resolves.toMatchObject({ state: 'waiting' });
+
+            expect(products('b')).toEqual([]);
+        });
+    });
+});
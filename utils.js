@@ -12,6 +12,31 @@ const ExtensionUtils = {
         return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
     },
 
+    /**
+     * Generates a random RFC 4122 version 4 UUID
+     * @returns {string} - UUID like "3b241101-e2bb-4255-8caf-4136c566a962"
+     */
+    generateUuid() {
+        if (typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+
+    /**
+     * Checks whether a value is a UUID from generateUuid
+     * @param {string} id - Value to check
+     * @returns {boolean} - True for version 4 UUIDs
+     */
+    isUuid(id) {
+        return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id);
+    },
+
     /**
      * URL utilities for validation and normalization
      */
@@ -54,6 +79,333 @@ const ExtensionUtils = {
             }
             
             return url;
+        },
+
+        /**
+         * Reduces a product URL to the form shared by every link to the same page:
+         * lower-case host without "www.", no fragment, no tracking parameters,
+         * remaining parameters sorted and no trailing slash
+         * @param {string} url - URL to canonicalize
+         * @returns {string} - Canonical URL, or the trimmed input if it is not a valid URL
+         */
+        canonicalize(url) {
+            if (!url) return '';
+
+            let parsed;
+            try {
+                parsed = new URL(this.normalize(url));
+            } catch (error) {
+                return url.trim();
+            }
+
+            const params = [...parsed.searchParams.entries()]
+                .filter(([name]) => !this.isTrackingParam(name))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const query = new URLSearchParams(params).toString();
+            const host = parsed.host.toLowerCase().replace(/^www\./, '');
+            const path = parsed.pathname.replace(/\/+$/, '');
+
+            return `${parsed.protocol}//${host}${path}${query ? `?${query}` : ''}`;
+        },
+
+        /**
+         * Checks whether a query parameter only tracks where the visit came from
+         * @param {string} name - Parameter name
+         * @returns {boolean} - True for analytics, affiliate and referral parameters
+         */
+        isTrackingParam(name) {
+            const { trackingParams, trackingPrefixes } = ExtensionConfig.productIdentity;
+            const key = name.toLowerCase();
+            return trackingParams.includes(key) || trackingPrefixes.some(prefix => key.startsWith(prefix));
+        },
+
+        /**
+         * Picks the canonical address a page declares for itself
+         * Candidates on another site, or pointing a product page at the site root, are ignored
+         * @param {string} pageUrl - Address the page was loaded from
+         * @param {Array<string>} candidates - <link rel="canonical"> and og:url values, in order of preference
+         * @returns {string|null} - Absolute canonical URL
+         */
+        pickCanonical(pageUrl, candidates) {
+            let page;
+            try {
+                page = new URL(pageUrl);
+            } catch (error) {
+                return null;
+            }
+
+            const site = (host) => host.toLowerCase().replace(/^(www|m)\./, '');
+            for (const candidate of candidates) {
+                if (!candidate) continue;
+                try {
+                    const canonical = new URL(candidate, page);
+                    const sameSite = site(canonical.hostname) === site(page.hostname);
+                    const keepsPath = canonical.pathname !== '/' || page.pathname === '/';
+                    if (/^https?:$/.test(canonical.protocol) && sameSite && keepsPath) {
+                        return canonical.href;
+                    }
+                } catch (error) {
+                    continue;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Reads a retailer's own product id from a URL (Amazon ASIN, eBay item number,
+         * Shopify product handle and variant), which stays the same across link formats
+         * @param {string} url - Product URL
+         * @returns {string|null} - Key like "amazon:amazon.com:b00x4whp5e", or null for other URLs
+         */
+        getRetailerKey(url) {
+            let parsed;
+            try {
+                parsed = new URL(this.normalize(url));
+            } catch (error) {
+                return null;
+            }
+
+            const host = parsed.hostname.toLowerCase().replace(/^(www|m|smile)\./, '');
+            for (const rule of ExtensionConfig.productIdentity.retailerKeys) {
+                // Retailer hosts are reduced to the store domain ("cgi.ebay.de" is "ebay.de")
+                const store = rule.host ? host.match(rule.host)?.[0].replace(/^\./, '') : host;
+                if (!store) continue;
+
+                const match = parsed.pathname.match(rule.path);
+                const param = rule.param ? parsed.searchParams.get(rule.param) : null;
+                const id = match ? match[1] : (param && /^\d+$/.test(param) ? param : null);
+                if (!id) continue;
+
+                const variant = rule.variantParam ? parsed.searchParams.get(rule.variantParam) : null;
+                return [rule.name, store, id, variant].filter(Boolean).join(':').toLowerCase();
+            }
+            return null;
+        },
+
+        /**
+         * Gets the identity of a product: the retailer product key if the page or canonical URL
+         * has one, otherwise the canonical URL without protocol, otherwise title and domain
+         * @param {object} product - Product with url and optionally canonicalUrl
+         * @returns {string} - Product key
+         */
+        getProductKey(product) {
+            const urls = [product.url, product.canonicalUrl].filter(url => url && url.trim());
+
+            for (const url of urls) {
+                const retailerKey = this.getRetailerKey(url);
+                if (retailerKey) return retailerKey;
+            }
+
+            const url = product.canonicalUrl || urls[0];
+            if (url) {
+                return this.canonicalize(url).replace(/^https?:\/\//, '');
+            }
+            return `${product.title || 'untitled'}-${product.domain || 'unknown'}`;
+        }
+    },
+    
+    /**
+     * Money values: { amount, currency, raw }
+     * amount is an integer in the currency's minor units (cents for USD, yen for JPY),
+     * currency is an ISO 4217 code (null if the text showed none) and raw is the original text
+     */
+    money: {
+        /**
+         * Parses price text into a money value
+         * This is the one price parser; every other price helper builds on it
+         * @param {string|number|object} value - Price text like "CA$1,299.50", a number or a money value
+         * @param {string|object} hints - Currency code, or { currency, locale } read from the page
+         *                                (currency is used when the text shows none or only a shared symbol like $)
+         * @returns {object|null} - Money value or null if no amount was found
+         */
+        parse(value, hints = null) {
+            const { currency = null, locale = null } = typeof hints === 'string' ? { currency: hints } : hints || {};
+            
+            if (this.isMoney(value)) return value;
+            if (typeof value === 'number') {
+                return Number.isFinite(value) ? this.fromMajor(value, currency, String(value)) : null;
+            }
+            if (!value || typeof value !== 'string') return null;
+            
+            const raw = value.trim();
+            const code = ExtensionUtils.price.getCurrencyCode(raw, currency) || currency;
+            const amount = this.parseNumber(raw, { currency: code, locale });
+            if (amount === null) return null;
+            
+            return this.fromMajor(amount, code, raw);
+        },
+        
+        /**
+         * Reads the first amount in price text
+         * Separators are resolved from the number itself where possible ("1.234,56", "1,23,456",
+         * "1'299.50"); a single separator before exactly 3 digits ("1.299") is a decimal point when
+         * the page locale says so, or for 3-decimal currencies ("KWD 1.250") on pages without a locale
+         * @param {string} text - Price text
+         * @param {object} hints - { currency, locale } of the price
+         * @returns {number|null} - Amount in major units
+         */
+        parseNumber(text, hints = {}) {
+            const match = text.match(ExtensionConfig.priceExtraction.amountPattern);
+            if (!match) return null;
+            
+            const number = match[0].replace(/[\u00a0\u202f\u2009]/g, ' ').replace(/’/g, "'");
+            const separators = number.replace(/\d/g, '');
+            if (!separators) return parseFloat(number);
+            
+            const separator = separators[separators.length - 1];
+            const position = number.lastIndexOf(separator);
+            const integer = number.slice(0, position);
+            const fraction = number.slice(position + 1);
+            
+            if (this.isDecimalSeparator(separator, separators, integer, fraction, hints)) {
+                return parseFloat(`${integer.replace(/\D/g, '')}.${fraction}`);
+            }
+            return parseFloat(number.replace(/\D/g, ''));
+        },
+        
+        /**
+         * Decides whether the last separator of an amount is its decimal point
+         * @param {string} separator - Last separator in the amount
+         * @param {string} separators - All separators in order
+         * @param {string} integer - Text before the last separator
+         * @param {string} fraction - Digits after the last separator
+         * @param {object} hints - { currency, locale } of the price
+         * @returns {boolean} - True for a decimal point, false for a digit group separator
+         */
+        isDecimalSeparator(separator, separators, integer, fraction, hints) {
+            // Apostrophes and spaces only ever group digits
+            if (separator === "'" || separator === ' ') return false;
+            
+            // With two kinds of separators a single trailing one is the decimal point
+            if (new Set(separators).size > 1) return separators.indexOf(separator) === separators.length - 1;
+            
+            // The same separator twice groups digits ("1.234.567", "1,23,456")
+            if (separators.length > 1) return false;
+            
+            if (fraction.length !== 3 || /^0*$/.test(integer)) return true;
+            
+            // "1.299" or "¥12,800": only 3-decimal currencies show 3 decimals
+            const threeDecimals = !!hints.currency && this.getDecimals(hints.currency) === 3;
+            if (hints.currency && !threeDecimals) return false;
+            
+            const format = this.getNumberFormat(hints.locale);
+            return format ? format.decimal === separator : threeDecimals;
+        },
+        
+        /**
+         * Gets the separators a locale uses for numbers
+         * @param {string} locale - BCP 47 tag like "de-CH", or an og:locale value like "pt_BR"
+         * @returns {object|null} - { decimal, group }, or null for a missing or unknown locale
+         */
+        getNumberFormat(locale) {
+            if (!locale) return null;
+            
+            try {
+                const parts = new Intl.NumberFormat(locale.replace('_', '-')).formatToParts(1234567.5);
+                const part = (type) => (parts.find(item => item.type === type) || {}).value || null;
+                return { decimal: part('decimal'), group: part('group') };
+            } catch (error) {
+                return null;
+            }
+        },
+        
+        /**
+         * Creates a money value from an amount in major units
+         * @param {number} value - Amount like 29.99
+         * @param {string|null} currency - ISO 4217 code
+         * @param {string} raw - Original text
+         * @returns {object} - Money value
+         */
+        fromMajor(value, currency = null, raw = null) {
+            const factor = Math.pow(10, this.getDecimals(currency));
+            return {
+                amount: Math.round(value * factor),
+                currency: currency || null,
+                raw: raw === null ? String(value) : raw
+            };
+        },
+        
+        /**
+         * Reads a money value as an amount in another currency, for prices whose symbol was misread
+         * @param {object} money - Money value
+         * @param {string} currency - ISO 4217 code the amount is really in
+         * @returns {object|null} - Money value with the same major amount in the given currency
+         */
+        withCurrency(money, currency) {
+            if (!this.isMoney(money) || !currency || money.currency === currency) return money || null;
+            return this.fromMajor(this.toMajor(money), currency, money.raw);
+        },
+        
+        /**
+         * Gets the amount of a money value in major units
+         * @param {object} money - Money value
+         * @returns {number} - Amount like 29.99, or 0 for no value
+         */
+        toMajor(money) {
+            if (!this.isMoney(money)) return 0;
+            return money.amount / Math.pow(10, this.getDecimals(money.currency));
+        },
+        
+        /**
+         * Gets the number of minor unit digits of a currency
+         * @param {string|null} currency - ISO 4217 code
+         * @returns {number} - Digits after the decimal point
+         */
+        getDecimals(currency) {
+            const decimals = ExtensionConfig.priceExtraction.currencyDecimals[currency];
+            return decimals === undefined ? 2 : decimals;
+        },
+        
+        /**
+         * Checks whether a value is a money value
+         * @param {*} value - Value to check
+         * @returns {boolean} - True for { amount, currency, raw } objects
+         */
+        isMoney(value) {
+            return !!value && typeof value === 'object' && Number.isInteger(value.amount) && 'currency' in value;
+        },
+        
+        /**
+         * Checks whether two prices are the same amount in the same currency
+         * @param {object|string} a - Money value or price text
+         * @param {object|string} b - Money value or price text
+         * @returns {boolean} - True if equal, regardless of how the prices were formatted
+         */
+        equals(a, b) {
+            const first = this.parse(a);
+            const second = this.parse(b);
+            return !!first && !!second && first.currency === second.currency && first.amount === second.amount;
+        },
+        
+        /**
+         * Compares two prices
+         * @param {object|string} a - Money value or price text
+         * @param {object|string} b - Money value or price text
+         * @returns {number|null} - Negative if a is lower, positive if higher, null if they can't be compared
+         */
+        compare(a, b) {
+            const first = this.parse(a);
+            const second = this.parse(b);
+            if (!first || !second || first.currency !== second.currency) return null;
+            return first.amount - second.amount;
+        },
+        
+        /**
+         * Formats a money value for display
+         * @param {object} money - Money value
+         * @returns {string} - Localized price, or the amount with its code if the currency is unknown
+         */
+        format(money) {
+            if (!this.isMoney(money)) return '';
+            
+            const value = this.toMajor(money);
+            if (!money.currency) return value.toFixed(this.getDecimals(null));
+            
+            try {
+                return new Intl.NumberFormat(undefined, { style: 'currency', currency: money.currency }).format(value);
+            } catch (error) {
+                return `${value.toFixed(this.getDecimals(money.currency))} ${money.currency}`;
+            }
         }
     },
     
@@ -69,16 +421,8 @@ const ExtensionUtils = {
         isValid(price) {
             if (!price || typeof price !== 'string') return false;
             
-            // Enhanced pattern to include CA$, US$, AU$, etc.
-            const pricePatterns = [
-                /(?:CA|US|AU|NZ|HK|SG)\$\s*\d+(?:[.,]\d{2})?/,
-                /[\$€£¥₹₽]\s*\d+(?:[.,]\d{2})?/,
-                /\d+(?:[.,]\d{2})?\s*[\$€£¥₹₽]/,
-                /\d+(?:[.,]\d{2})?\s*(?:USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|CZK|HUF|RUB)/i
-            ];
-            
             const trimmedPrice = price.trim();
-            const hasValidPattern = pricePatterns.some(pattern => pattern.test(trimmedPrice));
+            const hasValidPattern = this.getPatterns().some(pattern => pattern.test(trimmedPrice));
             
             return hasValidPattern && 
                    !price.includes('Loading') && 
@@ -100,34 +444,80 @@ const ExtensionUtils = {
         /**
          * Extracts numeric value from price string
          * @param {string} priceString - Price string
+         * @param {string|object} hints - Currency code or { currency, locale } of the page
          * @returns {number} - Numeric value
          */
-        getNumericValue(priceString) {
-            if (!priceString) return 0;
-            
-            // Remove currency prefixes (CA$, US$, etc.) and symbols
-            const cleanedPrice = priceString.replace(/(?:CA|US|AU|NZ|HK|SG)\$|[^\d.,]/g, '');
-            
-            // Handle different number formats
-            if (cleanedPrice.includes(',') && cleanedPrice.includes('.')) {
-                // Format like 1,299.99 - comma as thousands separator
-                const match = cleanedPrice.match(/[\d,]+\.?\d*/);
-                return match ? parseFloat(match[0].replace(/,/g, '')) : 0;
-            } else if (cleanedPrice.includes(',')) {
-                // Could be either thousands separator or decimal separator
-                const parts = cleanedPrice.split(',');
-                if (parts.length === 2 && parts[1].length <= 2) {
-                    // Likely decimal separator (e.g., "29,99")
-                    return parseFloat(cleanedPrice.replace(',', '.'));
-                } else {
-                    // Likely thousands separator (e.g., "1,299")
-                    return parseFloat(cleanedPrice.replace(/,/g, ''));
-                }
-            } else {
-                // Simple number with just dots
-                const match = cleanedPrice.match(/\d+(?:\.\d{2})?/);
-                return match ? parseFloat(match[0]) : 0;
+        getNumericValue(priceString, hints = null) {
+            return ExtensionUtils.money.toMajor(ExtensionUtils.money.parse(priceString, hints));
+        },
+
+        /**
+         * Detects the ISO 4217 currency code of a price string
+         * @param {string} priceString - Price string like "CA$29.99" or "29,99 EUR"
+         * @param {string} hint - Currency the page declares, used to tell apart currencies sharing a symbol
+         * @returns {string|null} - Currency code or null if none is recognisable
+         */
+        getCurrencyCode(priceString, hint = null) {
+            if (!priceString || typeof priceString !== 'string') return null;
+            
+            const { currencyCodes, currencySymbols, sharedSymbols } = ExtensionConfig.priceExtraction;
+            const codeMatch = priceString.match(new RegExp(`\\b(${currencyCodes.join('|')})\\b`, 'i'));
+            if (codeMatch) return codeMatch[1].toUpperCase();
+            
+            const symbol = Object.keys(currencySymbols).find(key => priceString.includes(key));
+            if (!symbol) return null;
+            
+            return (sharedSymbols[symbol] || []).includes(hint) ? hint : currencySymbols[symbol];
+        },
+        
+        /**
+         * Builds the patterns that find a price in text: an amount with a currency symbol or code
+         * before or after it
+         * @param {string} flags - RegExp flags, e.g. 'g' to find every price
+         * @returns {Array<RegExp>} - Patterns in order of preference
+         */
+        getPatterns(flags = '') {
+            const { amountPattern, currencySymbols, currencyCodes } = ExtensionConfig.priceExtraction;
+            const amount = `(?:${amountPattern.source})`;
+            const symbols = `(?:${Object.keys(currencySymbols).map(symbol => symbol.replace(/[$]/g, '\\$')).join('|')})`;
+            const codes = `(?:${currencyCodes.join('|')})`;
+            
+            return [
+                new RegExp(`${symbols}\\s*${amount}`, flags),
+                new RegExp(`${amount}\\s*${symbols}`, flags),
+                new RegExp(`\\b${codes}\\s*${amount}`, `${flags}i`),
+                new RegExp(`${amount}\\s*${codes}\\b`, `${flags}i`)
+            ];
+        },
+        
+        /**
+         * Gets the current price string from extracted price info
+         * @param {string|object} priceInfo - Price string or sale info object from the content script
+         * @returns {string|null} - Current price string or null if none was found
+         */
+        getCurrentPrice(priceInfo) {
+            const price = typeof priceInfo === 'object' && priceInfo !== null ?
+                priceInfo.currentPrice || priceInfo.displayText :
+                priceInfo;
+
+            return this.isValid(price) ? price : null;
+        },
+
+        /**
+         * Gets the sale details from extracted price info
+         * @param {string|object} priceInfo - Price string or sale info object from the content script
+         * @returns {object} - Sale info for storage
+         */
+        getSaleInfo(priceInfo) {
+            if (typeof priceInfo === 'object' && priceInfo !== null && priceInfo.isOnSale) {
+                return {
+                    isOnSale: true,
+                    originalPrice: priceInfo.originalPrice,
+                    discount: priceInfo.discount,
+                    saleType: priceInfo.saleType
+                };
             }
+            return { isOnSale: false };
         }
     },
     
@@ -214,35 +604,24 @@ const ExtensionUtils = {
         extractPrice(text) {
             if (!text) return null;
             
-            const pricePatterns = [
-                // Prefixed currencies like CA$129, US$99, AU$150
-                /(?:CA|US|AU|NZ|HK|SG)\$\s*\d+(?:[.,]\d{2})?/g,
-                // Standard currency symbols
-                /\$\s*\d+(?:[.,]\d{2})?/g,
-                /€\s*\d+(?:[.,]\d{2})?/g,
-                /£\s*\d+(?:[.,]\d{2})?/g,
-                /¥\s*\d+(?:[.,]\d{2})?/g,
-                /₹\s*\d+(?:[.,]\d{2})?/g,
-                /₽\s*\d+(?:[.,]\d{2})?/g,
-                // Numbers followed by currency symbols
-                /\d+(?:[.,]\d{2})?\s*\$/g,
-                /\d+(?:[.,]\d{2})?\s*€/g,
-                /\d+(?:[.,]\d{2})?\s*£/g,
-                /\d+(?:[.,]\d{2})?\s*¥/g,
-                /\d+(?:[.,]\d{2})?\s*₹/g,
-                /\d+(?:[.,]\d{2})?\s*₽/g,
-                // Currency codes
-                /\d+(?:[.,]\d{2})?\s*(?:USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|CZK|HUF|RUB)/gi
-            ];
-            
-            for (const pattern of pricePatterns) {
-                const matches = text.match(pattern);
-                if (matches && matches.length > 0) {
-                    return matches[0].trim();
+            for (const pattern of ExtensionUtils.price.getPatterns()) {
+                const match = text.match(pattern);
+                if (match) {
+                    return match[0].trim();
                 }
             }
             
             return null;
+        },
+        
+        /**
+         * Escapes text for use in HTML markup and attribute values
+         * @param {string} text - Text typed by the user
+         * @returns {string} - Escaped text
+         */
+        escapeHtml(text) {
+            const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+            return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
         }
     },
     
@@ -288,65 +667,167 @@ const ExtensionUtils = {
      * Simple and Reliable Storage utilities for managing saved products
      */
     storage: {
+        /**
+         * Gets the IndexedDB repository for products and their tracking data
+         * @returns {ProductRepository|null} - Repository, or null where products stay in chrome.storage.local
+         *                                     (content scripts, and environments without IndexedDB)
+         */
+        getRepository() {
+            return typeof ProductRepository !== 'undefined' && ProductRepository.isSupported() ?
+                ProductRepository.getDefault() :
+                null;
+        },
+
+        /**
+         * Gets how many products can be saved
+         * @returns {number|null} - ExtensionConfig.storage.maxItems when products live in chrome.storage,
+         *                          null when IndexedDB keeps them without a limit
+         */
+        getProductLimit() {
+            return this.getRepository() ? null : ExtensionConfig.storage.maxItems;
+        },
+
+        // Mutations waiting in this context when Web Locks are unavailable
+        writes: Promise.resolve(),
+
+        /**
+         * Runs a read-modify-write of stored data with no other writer in between
+         * The popup and the service worker share a Web Lock, so a write in one cannot
+         * overwrite a change the other made after it read. Mutations must not nest.
+         * @param {Function} work - Async function that reads and writes the data
+         * @returns {Promise<*>} - Result of the work
+         */
+        async mutate(work) {
+            const run = async () => {
+                const repository = this.getRepository();
+                const writeCount = repository?.writeCount;
+                const result = await work();
+                // IndexedDB writes do not reach chrome.storage.onChanged, so open views hear about them here
+                if (repository && repository.writeCount !== writeCount) {
+                    await chrome.storage.local.set({ [ExtensionConfig.storage.keys.dataRevision]: ExtensionUtils.generateUuid() });
+                }
+                return result;
+            };
+
+            if (typeof navigator !== 'undefined' && navigator.locks) {
+                return navigator.locks.request(ExtensionConfig.storage.lockName, run);
+            }
+
+            const write = this.writes.then(run);
+            // Keep the chain going after a failed write
+            this.writes = write.catch(() => {});
+            return write;
+        },
+
+        /**
+         * Calls back whenever saved products, their lists, tracking data or alert state change,
+         * in this view or any other
+         * @param {Function} callback - Receives the names of the changed storage keys
+         * @returns {Function} - Stops listening
+         */
+        onChange(callback) {
+            const keys = ExtensionConfig.storage.keys;
+            const watched = [keys.productList, keys.lists, keys.trackingData, keys.alertState, keys.dataRevision];
+            const listener = (changes, areaName) => {
+                if (areaName !== 'local') return;
+                const changed = Object.keys(changes).filter(key => watched.includes(key));
+                if (changed.length > 0) callback(changed);
+            };
+
+            chrome.storage.onChanged.addListener(listener);
+            return () => chrome.storage.onChanged.removeListener(listener);
+        },
+
         /**
          * Saves a product to the stored list with proper duplicate handling
+         * Saving a product that is already saved adds it to the list without taking it out of others
          * @param {object} product - Product object with title, price, url, domain
-         * @returns {Promise<boolean>} - Success status
+         * @param {string|null} listId - List to save it to, defaults to product.lists or the default list
+         * @returns {Promise<boolean>} - Success status, false without saving when a new product would go
+         *                               past getProductLimit()
          */
-        async saveProduct(product) {
+        async saveProduct(product, listId = null) {
             try {
-                console.log('💾 [Storage] Saving product:', product);
+                return await this.mutate(async () => {
+                    console.log('💾 [Storage] Saving product:', product);
+                    const repository = this.getRepository();
                 
-                // This will throw if there's an error, which we want to catch
-                const existingProducts = await this._getProductsOrThrow();
-                console.log('📋 [Storage] Current products count:', existingProducts.length);
+                    const productKey = ExtensionUtils.url.getProductKey(product);
+                    console.log('🔑 [Storage] Product key:', productKey);
                 
-                const productId = this.generateProductId(product);
-                console.log('🔑 [Storage] Generated ID:', productId);
+                    // Check if product already exists by its identity key
+                    // This will throw if there's an error, which we want to catch
+                    const existingProducts = repository ? null : await this._getProductsOrThrow();
+                    const existing = repository ?
+                        await repository.findByProductKey(productKey) :
+                        existingProducts.find(p => (p.productKey || ExtensionUtils.url.getProductKey(p)) === productKey);
+                    console.log('🔍 [Storage] Existing product:', existing?.id || null);
                 
-                // Check if product already exists by ID
-                const existingIndex = existingProducts.findIndex(p => p.id === productId);
-                console.log('🔍 [Storage] Existing index:', existingIndex);
+                    const lists = listId ? [listId] : this.getProductLists(product);
+                    let savedProduct;
                 
-                let updatedProducts;
+                    if (existing) {
+                        // Update existing product
+                        console.log('🔄 [Storage] Updating existing product');
+                        savedProduct = {
+                            ...product,
+                            id: existing.id, // IDs never change once assigned
+                            productKey,
+                            priceMoney: ExtensionUtils.money.parse(product.price, product.priceHints),
+                            dateAdded: existing.dateAdded, // Preserve original date
+                            savedPrice: existing.savedPrice || product.price,
+                            savedPriceMoney: existing.savedPriceMoney ||
+                                ExtensionUtils.money.parse(existing.savedPrice || product.price, product.priceHints),
+                            priceAlert: existing.priceAlert || null,
+                            checkFrequency: existing.checkFrequency || null,
+                            // Details the user entered stay unless the product brings its own
+                            ...this.getDetails(existing),
+                            ...this.getDetails(product),
+                            lists: [...new Set([...this.getProductLists(existing), ...lists])],
+                            dateUpdated: new Date().toISOString()
+                        };
+                        savedProduct = { ...savedProduct, ...this.keepOverrides(existing, savedProduct) };
+                    } else {
+                        console.log('➕ [Storage] Adding new product');
+                        savedProduct = {
+                            ...product,
+                            id: this.generateProductId(),
+                            productKey,
+                            priceMoney: ExtensionUtils.money.parse(product.price, product.priceHints),
+                            savedPrice: product.price, // Reference for "% below saved price" alerts
+                            savedPriceMoney: ExtensionUtils.money.parse(product.price, product.priceHints),
+                            ...this.getDetails(product),
+                            lists,
+                            dateAdded: new Date().toISOString(),
+                            dateUpdated: new Date().toISOString()
+                        };
+                    }
                 
-                if (existingIndex !== -1) {
-                    // Update existing product
-                    console.log('🔄 [Storage] Updating existing product');
-                    updatedProducts = [...existingProducts];
-                    updatedProducts[existingIndex] = {
-                        ...product,
-                        id: productId,
-                        dateAdded: existingProducts[existingIndex].dateAdded, // Preserve original date
-                        dateUpdated: new Date().toISOString()
-                    };
-                } else {
-                    // Add new product at the beginning
-                    console.log('➕ [Storage] Adding new product');
-                    const newProduct = {
-                        ...product,
-                        id: productId,
-                        dateAdded: new Date().toISOString(),
-                        dateUpdated: new Date().toISOString()
-                    };
-                    
-                    updatedProducts = [newProduct, ...existingProducts];
-                    
-                    // Limit the number of stored products
-                    if (updatedProducts.length > ExtensionConfig.storage.maxItems) {
-                        updatedProducts = updatedProducts.slice(0, ExtensionConfig.storage.maxItems);
-                        console.log('✂️ [Storage] Trimmed to max items:', ExtensionConfig.storage.maxItems);
+                    if (repository) {
+                        await repository.putProduct(savedProduct);
+                        console.log('✅ [Storage] Successfully saved:', savedProduct.id);
+                        return true;
                     }
-                }
                 
-                // Save to Chrome storage
-                await chrome.storage.local.set({
-                    [ExtensionConfig.storage.keys.productList]: updatedProducts
-                });
+                    // chrome.storage keeps the list in one array with new products at the beginning
+                    const updatedProducts = existing ?
+                        existingProducts.map(p => (p === existing ? savedProduct : p)) :
+                        [savedProduct, ...existingProducts];
                 
-                console.log('✅ [Storage] Successfully saved. New count:', updatedProducts.length);
-                return true;
+                    // Refused like _replaceProducts does, so no saved product is dropped to make room
+                    if (!existing && updatedProducts.length > this.getProductLimit()) {
+                        throw new Error(ExtensionConfig.messages.errors.tooManyProducts);
+                    }
+                
+                    // Save to Chrome storage
+                    await chrome.storage.local.set({
+                        [ExtensionConfig.storage.keys.productList]: updatedProducts
+                    });
                 
+                    console.log('✅ [Storage] Successfully saved. New count:', updatedProducts.length);
+                    return true;
+                
+                });
             } catch (error) {
                 console.error('❌ [Storage] Failed to save product:', error);
                 ExtensionUtils.log.error('Failed to save product', error);
@@ -360,10 +841,7 @@ const ExtensionUtils = {
          */
         async getProducts() {
             try {
-                const result = await chrome.storage.local.get([ExtensionConfig.storage.keys.productList]);
-                const products = result[ExtensionConfig.storage.keys.productList] || [];
-                console.log('📋 [Storage] Retrieved products count:', products.length);
-                return products;
+                return await this._getProductsOrThrow();
             } catch (error) {
                 console.error('❌ [Storage] Failed to get products:', error);
                 ExtensionUtils.log.error('Failed to get products', error);
@@ -376,8 +854,10 @@ const ExtensionUtils = {
          * @returns {Promise<Array>} - Array of saved products
          */
         async _getProductsOrThrow() {
-            const result = await chrome.storage.local.get([ExtensionConfig.storage.keys.productList]);
-            const products = result[ExtensionConfig.storage.keys.productList] || [];
+            const repository = this.getRepository();
+            const products = repository ?
+                await repository.getProducts() :
+                (await chrome.storage.local.get([ExtensionConfig.storage.keys.productList]))[ExtensionConfig.storage.keys.productList] || [];
             console.log('📋 [Storage] Retrieved products count:', products.length);
             return products;
         },
@@ -389,17 +869,27 @@ const ExtensionUtils = {
          */
         async removeProduct(productId) {
             try {
-                console.log('🗑️ [Storage] Removing product ID:', productId);
+                return await this.mutate(async () => {
+                    console.log('🗑️ [Storage] Removing product ID:', productId);
+                
+                    const repository = this.getRepository();
+                    if (repository) {
+                        // Also removes the product's price history and alert state
+                        await repository.deleteProduct(productId);
+                        console.log('✅ [Storage] Product removed:', productId);
+                        return true;
+                    }
                 
-                const existingProducts = await this.getProducts();
-                const filteredProducts = existingProducts.filter(p => p.id !== productId);
+                    const existingProducts = await this.getProducts();
+                    const filteredProducts = existingProducts.filter(p => p.id !== productId);
                 
-                await chrome.storage.local.set({
-                    [ExtensionConfig.storage.keys.productList]: filteredProducts
-                });
+                    await chrome.storage.local.set({
+                        [ExtensionConfig.storage.keys.productList]: filteredProducts
+                    });
                 
-                console.log('✅ [Storage] Product removed. New count:', filteredProducts.length);
-                return true;
+                    console.log('✅ [Storage] Product removed. New count:', filteredProducts.length);
+                    return true;
+                });
             } catch (error) {
                 console.error('❌ [Storage] Failed to remove product:', error);
                 ExtensionUtils.log.error('Failed to remove product', error);
@@ -407,20 +897,84 @@ const ExtensionUtils = {
             }
         },
         
+        /**
+         * Updates fields of a saved product in place
+         * @param {string} productId - ID of the product to update
+         * @param {object|Function} updates - Fields to merge into the product, or a function that
+         *                                    receives the saved product and returns them
+         * @returns {Promise<boolean>} - True if the product was found and saved
+         */
+        async updateProduct(productId, updates) {
+            try {
+                return await this.mutate(async () => {
+                    console.log('✏️ [Storage] Updating product ID:', productId, updates);
+
+                    const repository = this.getRepository();
+                    if (repository) {
+                        const product = await repository.getProduct(productId);
+                        if (!product) {
+                            console.log('⚠️ [Storage] Product not found for update:', productId);
+                            return false;
+                        }
+                        const changes = typeof updates === 'function' ? updates(product) : updates;
+                        await repository.putProduct({ ...product, ...changes, id: productId, dateUpdated: new Date().toISOString() });
+                        console.log('✅ [Storage] Product updated:', productId);
+                        return true;
+                    }
+
+                    const existingProducts = await this._getProductsOrThrow();
+                    const index = existingProducts.findIndex(p => p.id === productId);
+
+                    if (index === -1) {
+                        console.log('⚠️ [Storage] Product not found for update:', productId);
+                        return false;
+                    }
+
+                    const updatedProducts = [...existingProducts];
+                    updatedProducts[index] = {
+                        ...existingProducts[index],
+                        ...(typeof updates === 'function' ? updates(existingProducts[index]) : updates),
+                        id: productId,
+                        dateUpdated: new Date().toISOString()
+                    };
+
+                    await chrome.storage.local.set({
+                        [ExtensionConfig.storage.keys.productList]: updatedProducts
+                    });
+
+                    console.log('✅ [Storage] Product updated:', productId);
+                    return true;
+                });
+            } catch (error) {
+                console.error('❌ [Storage] Failed to update product:', error);
+                ExtensionUtils.log.error('Failed to update product', error);
+                return false;
+            }
+        },
+
         /**
          * Clears all saved products
          * @returns {Promise<boolean>} - Success status
          */
         async clearProducts() {
             try {
-                console.log('🧹 [Storage] Clearing all products');
+                return await this.mutate(async () => {
+                    console.log('🧹 [Storage] Clearing all products');
                 
-                await chrome.storage.local.set({
-                    [ExtensionConfig.storage.keys.productList]: []
-                });
+                    const repository = this.getRepository();
+                    if (repository) {
+                        await repository.clearProducts();
+                        console.log('✅ [Storage] All products cleared');
+                        return true;
+                    }
                 
-                console.log('✅ [Storage] All products cleared');
-                return true;
+                    await chrome.storage.local.set({
+                        [ExtensionConfig.storage.keys.productList]: []
+                    });
+                
+                    console.log('✅ [Storage] All products cleared');
+                    return true;
+                });
             } catch (error) {
                 console.error('❌ [Storage] Failed to clear products:', error);
                 ExtensionUtils.log.error('Failed to clear products', error);
@@ -429,14 +983,511 @@ const ExtensionUtils = {
         },
         
         /**
-         * Exports products as JSON
-         * @returns {Promise<string>} - JSON string of products
+         * Replaces the saved products in one mutation, for changes to many products at once
+         * @param {Function} transform - Receives the saved products and returns the new list, may be async
+         * @returns {Promise<boolean>} - Success status
+         */
+        async replaceProducts(transform) {
+            try {
+                return await this.mutate(() => this._replaceProducts(transform));
+            } catch (error) {
+                console.error('❌ [Storage] Failed to replace products:', error);
+                ExtensionUtils.log.error('Failed to replace products', error);
+                return false;
+            }
+        },
+        
+        /**
+         * Internal method that replaces the saved products and throws errors
+         * Callers must already be inside a mutation
+         * @param {Function} transform - Receives the saved products and returns the new list, may be async
+         * @returns {Promise<boolean>} - True once the new list is stored
+         * @throws {Error} - If the new list is longer than before and over getProductLimit(); nothing is written
+         */
+        async _replaceProducts(transform) {
+            const repository = this.getRepository();
+            const existingProducts = await this._getProductsOrThrow();
+            const products = await transform(existingProducts);
+            
+            if (JSON.stringify(products) === JSON.stringify(existingProducts)) {
+                console.log('✅ [Storage] Products unchanged');
+                return true;
+            }
+            
+            if (repository) {
+                // Only products that changed are written; removed ones take their tracking data with them
+                const before = new Map(existingProducts.map(p => [p.id, JSON.stringify(p)]));
+                const kept = new Set(products.map(p => p.id));
+                await repository.writeProducts(
+                    products.filter(p => before.get(p.id) !== JSON.stringify(p)),
+                    existingProducts.filter(p => !kept.has(p.id)).map(p => p.id)
+                );
+            } else {
+                // Refused rather than trimmed, so no product is dropped without the user knowing
+                const limit = this.getProductLimit();
+                if (products.length > limit && products.length > existingProducts.length) {
+                    throw new Error(ExtensionConfig.messages.errors.tooManyProducts);
+                }
+                await chrome.storage.local.set({
+                    [ExtensionConfig.storage.keys.productList]: products
+                });
+            }
+            
+            console.log('✅ [Storage] Products replaced. New count:', products.length);
+            return true;
+        },
+        
+        /**
+         * Corrects the title, price, currency or URL of a saved product by hand
+         * Corrected fields are marked as user-overridden, so saving the product again from its page
+         * or a background price check does not undo them
+         * @param {string} productId - ID of the product
+         * @param {object} edits - Any of title, price (text like "49.99"), currency (ISO 4217 code) and url
+         * @returns {Promise<boolean>} - True if the product was found and saved, false for an empty title,
+         *                               a price without an amount or an invalid URL
+         */
+        async editProduct(productId, edits) {
+            const title = edits.title === undefined ? undefined : ExtensionUtils.text.normalize(edits.title);
+            const url = edits.url === undefined ? undefined : ExtensionUtils.url.normalize(edits.url);
+            const invalidPrice = edits.price !== undefined && !ExtensionUtils.money.parse(String(edits.price));
+            if (title === '' || invalidPrice || (url !== undefined && !ExtensionUtils.url.validate(url).valid)) {
+                console.log('⚠️ [Storage] Invalid product edit:', edits);
+                return false;
+            }
+            
+            return this.updateProduct(productId, (product) => {
+                const money = ExtensionUtils.money;
+                const overrides = new Set(product.userOverrides || []);
+                const changes = {};
+                
+                if (title !== undefined && title !== product.title) {
+                    changes.title = title.slice(0, ExtensionConfig.storage.maxTitleLength);
+                    overrides.add('title');
+                }
+                
+                const currency = edits.currency ? edits.currency.toUpperCase() : null;
+                const priceHints = currency ? { ...product.priceHints, currency } : product.priceHints;
+                const currencyChanged = !!currency && currency !== (product.priceMoney?.currency || product.priceHints?.currency);
+                if (currencyChanged) {
+                    changes.priceHints = priceHints;
+                    changes.savedPriceMoney = money.withCurrency(product.savedPriceMoney || money.parse(product.savedPrice, priceHints), currency);
+                    overrides.add('currency');
+                }
+                
+                const typed = edits.price === undefined ? product.price : String(edits.price).trim();
+                const priceChanged = typed !== product.price;
+                if (priceChanged || currencyChanged) {
+                    changes.priceMoney = money.withCurrency(money.parse(typed, priceHints), currency || priceHints?.currency);
+                    // A bare amount like "49.99" is shown with its currency
+                    const shownCurrency = ExtensionUtils.price.getCurrencyCode(typed, changes.priceMoney?.currency);
+                    changes.price = !changes.priceMoney || shownCurrency === changes.priceMoney.currency ?
+                        typed :
+                        money.format(changes.priceMoney);
+                }
+                if (priceChanged) {
+                    // The page price being corrected, so a check that still reads it keeps the correction
+                    changes.overriddenPrice = overrides.has('price') ? product.overriddenPrice : product.price;
+                    overrides.add('price');
+                }
+                
+                if (url !== undefined && url !== product.url) {
+                    changes.url = url;
+                    changes.canonicalUrl = null; // Belonged to the old page
+                    changes.domain = new URL(url).hostname;
+                    changes.productKey = ExtensionUtils.url.getProductKey({ ...product, ...changes });
+                    overrides.add('url');
+                }
+                
+                return { ...changes, userOverrides: [...overrides] };
+            });
+        },
+        
+        /**
+         * Puts back the fields the user corrected in an update read from the product page
+         * A corrected price is kept while the page still shows the price it replaced; once the
+         * page shows a new price, that price is tracked again
+         * @param {object} product - Saved product with userOverrides
+         * @param {object} updates - Fields read from the product page
+         * @returns {object} - Updates with the user's title, URL, currency and price where they apply
+         */
+        keepOverrides(product, updates) {
+            const overrides = product.userOverrides || [];
+            if (overrides.length === 0) return updates;
+            
+            const money = ExtensionUtils.money;
+            const kept = { ...updates };
+            const restored = [
+                ...(overrides.includes('title') ? ['title'] : []),
+                ...(overrides.includes('url') ? ['url', 'canonicalUrl', 'productKey', 'domain'] : [])
+            ];
+            restored.filter(field => field in kept).forEach(field => {
+                kept[field] = product[field] ?? null;
+            });
+            
+            const currency = overrides.includes('currency') ? product.priceHints?.currency : null;
+            if (currency && kept.priceHints) {
+                kept.priceHints = { ...kept.priceHints, currency };
+            }
+            if (currency && kept.price) {
+                kept.priceMoney = money.withCurrency(money.parse(kept.price, kept.priceHints || product.priceHints), currency);
+            }
+            
+            if (overrides.includes('price') && kept.price) {
+                if (kept.price === product.overriddenPrice || money.equals(kept.price, product.overriddenPrice)) {
+                    kept.price = product.price;
+                    kept.priceMoney = product.priceMoney;
+                } else {
+                    kept.userOverrides = overrides.filter(field => field !== 'price');
+                    kept.overriddenPrice = null;
+                }
+            }
+            
+            return kept;
+        },
+        
+        /**
+         * Saves the details the user entered for a product
+         * @param {string} productId - ID of the product
+         * @param {object} details - Any of tags, note, priority, quantity and variant
+         * @returns {Promise<boolean>} - True if the product was found and saved
+         */
+        async updateProductDetails(productId, details) {
+            return this.updateProduct(productId, this.normalizeDetails(details));
+        },
+        
+        /**
+         * Gets the details a product carries, cleaned up
+         * @param {object} product - Product, saved or about to be saved
+         * @returns {object} - Details that have a value, without empty tag lists
+         */
+        getDetails(product) {
+            const present = ExtensionConfig.productDetails.fields
+                .filter(field => product[field] !== undefined && product[field] !== null);
+            const details = this.normalizeDetails(Object.fromEntries(present.map(field => [field, product[field]])));
+            return Object.fromEntries(Object.entries(details)
+                .filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0)));
+        },
+        
+        /**
+         * Cleans up product details entered by the user or read from an import
+         * @param {object} details - Any of tags (array or comma-separated text), note, priority (1-5),
+         *                           quantity and variant (preferred size or color)
+         * @returns {object} - The given fields, with empty or invalid values as null and tags as an array
+         */
+        normalizeDetails(details) {
+            const limits = ExtensionConfig.productDetails;
+            const text = (value, maxLength) => String(value ?? '').trim().slice(0, maxLength) || null;
+            const integer = (value, min, max) => {
+                const number = value === '' || value === null ? NaN : Number(value);
+                return Number.isInteger(number) && number >= min && number <= max ? number : null;
+            };
+            const normalizers = {
+                tags: value => this.normalizeTags(value),
+                note: value => text(value, limits.maxNoteLength),
+                priority: value => integer(value, 1, 5),
+                quantity: value => integer(value, 1, limits.maxQuantity),
+                variant: value => ExtensionUtils.text.normalize(text(value, limits.maxVariantLength) || '') || null
+            };
+            
+            return Object.fromEntries(Object.keys(normalizers)
+                .filter(field => field in details)
+                .map(field => [field, normalizers[field](details[field])]));
+        },
+        
+        /**
+         * Cleans up tags: trimmed, without duplicates (ignoring case) and within the configured limits
+         * @param {Array<string>|string} tags - Tags, or comma-separated text like "desk, gift"
+         * @returns {Array<string>} - Tags in the order given
+         */
+        normalizeTags(tags) {
+            const { maxTags, maxTagLength } = ExtensionConfig.productDetails;
+            const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+            const seen = new Set();
+            
+            return list
+                .map(tag => ExtensionUtils.text.normalize(String(tag ?? '')).replace(/^#\s*/, '').slice(0, maxTagLength))
+                .filter(tag => {
+                    const key = tag.toLowerCase();
+                    if (!tag || seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .slice(0, maxTags);
+        },
+        
+        // ============================================
+        // NAMED LISTS
+        // ============================================
+        
+        /**
+         * Gets the named lists in the order the user arranged them
+         * The default list always exists and holds products saved before there were lists
+         * @returns {Promise<Array>} - Lists like { id, name, dateAdded, dateUpdated }
+         */
+        async getLists() {
+            try {
+                return await this._getListsOrThrow();
+            } catch (error) {
+                console.error('❌ [Storage] Failed to get lists:', error);
+                ExtensionUtils.log.error('Failed to get lists', error);
+                return [{ id: ExtensionConfig.lists.defaultId, name: ExtensionConfig.lists.defaultName }];
+            }
+        },
+        
+        /**
+         * Internal method to get the named lists that throws errors
+         * @returns {Promise<Array>} - Lists, starting with the default list until the user moves it
+         */
+        async _getListsOrThrow() {
+            const { defaultId, defaultName } = ExtensionConfig.lists;
+            const key = ExtensionConfig.storage.keys.lists;
+            const lists = (await chrome.storage.local.get([key]))[key] || [];
+            return lists.some(list => list.id === defaultId) ? lists : [{ id: defaultId, name: defaultName }, ...lists];
+        },
+        
+        /**
+         * Internal method that stores the named lists; callers must already be inside a mutation
+         * @param {Array} lists - Lists in display order
+         */
+        async _writeLists(lists) {
+            await chrome.storage.local.set({ [ExtensionConfig.storage.keys.lists]: lists });
+        },
+        
+        /**
+         * Creates a named list at the end of the list picker
+         * @param {string} name - List name
+         * @returns {Promise<object|null>} - New list, or null if the name is empty or saving failed
+         */
+        async createList(name) {
+            const listName = this.normalizeListName(name);
+            if (!listName) return null;
+            
+            try {
+                return await this.mutate(async () => {
+                    const now = new Date().toISOString();
+                    const list = { id: ExtensionUtils.generateUuid(), name: listName, dateAdded: now, dateUpdated: now };
+                    await this._writeLists([...await this._getListsOrThrow(), list]);
+                    console.log('✅ [Storage] List created:', list.id);
+                    return list;
+                });
+            } catch (error) {
+                console.error('❌ [Storage] Failed to create list:', error);
+                ExtensionUtils.log.error('Failed to create list', error);
+                return null;
+            }
+        },
+        
+        /**
+         * Renames a named list
+         * @param {string} listId - ID of the list
+         * @param {string} name - New name
+         * @returns {Promise<boolean>} - True if the list was found and saved
+         */
+        async renameList(listId, name) {
+            const listName = this.normalizeListName(name);
+            if (!listName) return false;
+            
+            return this._updateLists('rename list', (lists) => {
+                const list = lists.find(entry => entry.id === listId);
+                if (!list) return null;
+                return lists.map(entry => (entry === list ?
+                    { ...entry, name: listName, dateUpdated: new Date().toISOString() } :
+                    entry));
+            });
+        },
+        
+        /**
+         * Moves a named list up or down in the list picker
+         * @param {string} listId - ID of the list
+         * @param {number} offset - -1 to move it up, 1 to move it down
+         * @returns {Promise<boolean>} - True if the list was moved
+         */
+        async moveList(listId, offset) {
+            return this._updateLists('move list', (lists) => {
+                const index = lists.findIndex(entry => entry.id === listId);
+                const target = index + offset;
+                if (index === -1 || target < 0 || target >= lists.length) return null;
+                
+                const now = new Date().toISOString();
+                const reordered = [...lists];
+                [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+                return reordered.map((entry, i) => (i === index || i === target ? { ...entry, dateUpdated: now } : entry));
+            });
+        },
+        
+        /**
+         * Deletes a named list; products only in that list are removed with their price history
+         * The default list cannot be deleted
+         * @param {string} listId - ID of the list
+         * @returns {Promise<boolean>} - True if the list was deleted
+         */
+        async deleteList(listId) {
+            if (listId === ExtensionConfig.lists.defaultId) return false;
+            
+            try {
+                return await this.mutate(async () => {
+                    const lists = await this._getListsOrThrow();
+                    if (!lists.some(list => list.id === listId)) return false;
+                    
+                    await this._replaceProducts(products => this._removeFromList(products, listId));
+                    await this._writeLists(lists.filter(list => list.id !== listId));
+                    console.log('✅ [Storage] List deleted:', listId);
+                    return true;
+                });
+            } catch (error) {
+                console.error('❌ [Storage] Failed to delete list:', error);
+                ExtensionUtils.log.error('Failed to delete list', error);
+                return false;
+            }
+        },
+        
+        /**
+         * Internal method that changes the named lists in one mutation
+         * @param {string} action - What is being done, for the error log
+         * @param {Function} change - Receives the lists and returns the new lists, or null to leave them
+         * @returns {Promise<boolean>} - True if the lists were changed
          */
-        async exportProducts() {
+        async _updateLists(action, change) {
             try {
-                console.log('📤 [Storage] Exporting products');
-                const products = await this.getProducts();
-                return JSON.stringify(products, null, 2);
+                return await this.mutate(async () => {
+                    const lists = change(await this._getListsOrThrow());
+                    if (!lists) return false;
+                    await this._writeLists(lists);
+                    console.log(`✅ [Storage] Lists saved after ${action}`);
+                    return true;
+                });
+            } catch (error) {
+                console.error(`❌ [Storage] Failed to ${action}:`, error);
+                ExtensionUtils.log.error(`Failed to ${action}`, error);
+                return false;
+            }
+        },
+        
+        /**
+         * Gets the lists a product is in
+         * @param {object} product - Saved product
+         * @returns {Array<string>} - List IDs; products saved before there were lists are in the default list
+         */
+        getProductLists(product) {
+            return product.lists?.length ? product.lists : [ExtensionConfig.lists.defaultId];
+        },
+        
+        /**
+         * Checks whether a product is in a list
+         * @param {object} product - Saved product
+         * @param {string|null} listId - List ID, or null for all lists
+         * @returns {boolean} - True if the product is shown in the list
+         */
+        isInList(product, listId) {
+            return !listId || this.getProductLists(product).includes(listId);
+        },
+        
+        /**
+         * Adds a saved product to another list as well
+         * @param {string} productId - ID of the product
+         * @param {string} listId - ID of the list to copy it to
+         * @returns {Promise<boolean>} - Success status
+         */
+        async addToList(productId, listId) {
+            return this.replaceProducts(products => products.map(product => (
+                product.id === productId && !this.isInList(product, listId) ?
+                    { ...product, lists: [...this.getProductLists(product), listId], dateUpdated: new Date().toISOString() } :
+                    product
+            )));
+        },
+        
+        /**
+         * Moves a saved product from one list to another
+         * @param {string} productId - ID of the product
+         * @param {string} fromListId - ID of the list it leaves
+         * @param {string} toListId - ID of the list it joins
+         * @returns {Promise<boolean>} - Success status
+         */
+        async moveToList(productId, fromListId, toListId) {
+            return this.replaceProducts(products => products.map(product => {
+                if (product.id !== productId || fromListId === toListId) return product;
+                const lists = this.getProductLists(product).filter(id => id !== fromListId && id !== toListId);
+                return { ...product, lists: [...lists, toListId], dateUpdated: new Date().toISOString() };
+            }));
+        },
+        
+        /**
+         * Takes a product out of one list; a product left in no list is removed with its price history
+         * @param {string} productId - ID of the product
+         * @param {string} listId - ID of the list
+         * @returns {Promise<boolean>} - Success status
+         */
+        async removeFromList(productId, listId) {
+            return this.replaceProducts(products => this._removeFromList(products, listId, productId));
+        },
+        
+        /**
+         * Empties a list; products also in other lists stay there
+         * @param {string} listId - ID of the list
+         * @returns {Promise<boolean>} - Success status
+         */
+        async clearList(listId) {
+            return this.replaceProducts(products => this._removeFromList(products, listId));
+        },
+        
+        /**
+         * Internal method that takes products out of a list
+         * @param {Array} products - Saved products
+         * @param {string} listId - ID of the list
+         * @param {string|null} productId - Only this product, or null for every product in the list
+         * @returns {Array} - New product list without products that are left in no list
+         */
+        _removeFromList(products, listId, productId = null) {
+            const now = new Date().toISOString();
+            return products
+                .map(product => {
+                    if ((productId && product.id !== productId) || !this.isInList(product, listId)) return product;
+                    const lists = this.getProductLists(product).filter(id => id !== listId);
+                    return lists.length > 0 ? { ...product, lists, dateUpdated: now } : null;
+                })
+                .filter(Boolean);
+        },
+        
+        /**
+         * Trims a list name to what the list picker shows
+         * @param {string} name - Name typed by the user
+         * @returns {string} - Name, empty if nothing usable was typed
+         */
+        normalizeListName(name) {
+            return ExtensionUtils.text.normalize(String(name || '')).slice(0, ExtensionConfig.lists.maxNameLength);
+        },
+        
+        /**
+         * Gets the price tracking records of all products
+         * @returns {Promise<object>} - Tracking records by product ID
+         */
+        async getTrackingData() {
+            const repository = this.getRepository();
+            if (repository) return await repository.getTrackingData();
+            
+            const trackingKey = ExtensionConfig.storage.keys.trackingData;
+            return (await chrome.storage.local.get([trackingKey]))[trackingKey] || {};
+        },
+        
+        /**
+         * Exports products as JSON, each with its price history and the names of its lists
+         * @param {string|null} listId - Only products in this list, or null for all lists
+         * @returns {Promise<string>} - JSON string of products, read back by services/ProductImporter.js
+         */
+        async exportProducts(listId = null) {
+            try {
+                console.log('📤 [Storage] Exporting products', listId || 'from all lists');
+                const products = (await this.getProducts()).filter(product => this.isInList(product, listId));
+                const trackingData = await this.getTrackingData();
+                const listNames = new Map((await this.getLists()).map(list => [list.id, list.name]));
+                
+                // Price history and list names travel with each product, so an import in another profile can restore them
+                const records = products.map(product => ({
+                    ...product,
+                    listNames: this.getProductLists(product).map(id => listNames.get(id) ?? null),
+                    priceHistory: trackingData[product.id]?.priceHistory || []
+                }));
+                return JSON.stringify(records, null, 2);
             } catch (error) {
                 console.error('❌ [Storage] Failed to export products:', error);
                 ExtensionUtils.log.error('Failed to export products', error);
@@ -444,49 +1495,147 @@ const ExtensionUtils = {
             }
         },
 
+        /**
+         * Stores the data needed to handle clicks on a notification
+         * @param {string} notificationId - Notification ID
+         * @param {object} data - Product URL and details shown in the notification
+         * @returns {Promise<boolean>} - Success status
+         */
+        async saveNotification(notificationId, data) {
+            try {
+                const repository = this.getRepository();
+                if (repository) {
+                    await repository.saveNotification(notificationId, data);
+                } else {
+                    await chrome.storage.local.set({ [`notification_${notificationId}`]: data });
+                }
+                return true;
+            } catch (error) {
+                console.error('❌ [Storage] Failed to save notification:', error);
+                ExtensionUtils.log.error('Failed to save notification', error);
+                return false;
+            }
+        },
+
+        /**
+         * Gets the data stored for a notification
+         * @param {string} notificationId - Notification ID
+         * @returns {Promise<object|null>} - Notification data
+         */
+        async getNotification(notificationId) {
+            try {
+                const repository = this.getRepository();
+                if (repository) {
+                    return await repository.getNotification(notificationId);
+                }
+                const result = await chrome.storage.local.get([`notification_${notificationId}`]);
+                return result[`notification_${notificationId}`] || null;
+            } catch (error) {
+                console.error('❌ [Storage] Failed to get notification:', error);
+                ExtensionUtils.log.error('Failed to get notification', error);
+                return null;
+            }
+        },
+
+        /**
+         * Removes the data stored for a notification
+         * @param {string} notificationId - Notification ID
+         * @returns {Promise<boolean>} - Success status
+         */
+        async removeNotification(notificationId) {
+            try {
+                const repository = this.getRepository();
+                if (repository) {
+                    await repository.deleteNotification(notificationId);
+                } else {
+                    await chrome.storage.local.remove([`notification_${notificationId}`]);
+                }
+                return true;
+            } catch (error) {
+                console.error('❌ [Storage] Failed to remove notification:', error);
+                ExtensionUtils.log.error('Failed to remove notification', error);
+                return false;
+            }
+        },
+
+        /**
+         * Gets user settings merged over the defaults from ExtensionConfig
+         * @returns {Promise<object>} - Complete settings object
+         */
+        async getSettings() {
+            try {
+                const result = await chrome.storage.local.get([ExtensionConfig.storage.keys.settings]);
+                return this._mergeDefaults(ExtensionConfig.defaultSettings, result[ExtensionConfig.storage.keys.settings] || {});
+            } catch (error) {
+                console.error('❌ [Storage] Failed to get settings:', error);
+                ExtensionUtils.log.error('Failed to get settings', error);
+                return this._mergeDefaults(ExtensionConfig.defaultSettings, {});
+            }
+        },
+        
+        /**
+         * Saves user settings, merging the updates into the stored settings
+         * @param {object} updates - Partial settings to store
+         * @returns {Promise<boolean>} - Success status
+         */
+        async saveSettings(updates) {
+            try {
+                console.log('⚙️ [Storage] Saving settings:', updates);
+                
+                return await this.mutate(async () => {
+                    const result = await chrome.storage.local.get([ExtensionConfig.storage.keys.settings]);
+                    const settings = this._mergeDefaults(result[ExtensionConfig.storage.keys.settings] || {}, updates);
+                    
+                    await chrome.storage.local.set({
+                        [ExtensionConfig.storage.keys.settings]: settings
+                    });
+                    return true;
+                });
+            } catch (error) {
+                console.error('❌ [Storage] Failed to save settings:', error);
+                ExtensionUtils.log.error('Failed to save settings', error);
+                return false;
+            }
+        },
+        
+        /**
+         * Deep-merges plain objects, with values from overrides taking precedence
+         * @param {object} base - Base values
+         * @param {object} overrides - Values to apply on top
+         * @returns {object} - New merged object
+         */
+        _mergeDefaults(base, overrides) {
+            const merged = { ...base };
+            
+            Object.entries(overrides || {}).forEach(([key, value]) => {
+                const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+                merged[key] = isPlainObject && base[key] && typeof base[key] === 'object' ?
+                    this._mergeDefaults(base[key], value) :
+                    value;
+            });
+            
+            return merged;
+        },
+
         /**
          * Adds a product to the stored list (alias for saveProduct)
          * @param {object} product - Product object with title, price, url, domain
+         * @param {string|null} listId - List to add it to
          * @returns {Promise<boolean>} - Success status
          */
-        async addProduct(product) {
+        async addProduct(product, listId = null) {
             console.log('➕ [Storage] Adding product (alias for saveProduct):', product);
-            return await this.saveProduct(product);
+            return await this.saveProduct(product, listId);
         },
         
         /**
-         * Generates a unique ID for a product based on URL and title
-         * @param {object} product - Product object
+         * Generates the ID for a newly saved product
+         * IDs are random and never change; which saved entry a product belongs to is decided
+         * by its key from ExtensionUtils.url.getProductKey, so no two products can share an ID
          * @returns {string} - Unique product ID
          */
-        generateProductId(product) {
-            // Create a unique identifier using URL (primary) + title (secondary)
-            let identifier;
-            
-            if (product.url && product.url.trim()) {
-                // Use full URL as primary identifier
-                identifier = product.url.trim();
-            } else {
-                // Fallback to title + domain combination
-                identifier = `${product.title || 'untitled'}-${product.domain || 'unknown'}`;
-            }
-            
-            // Create a more robust hash using URL + title for uniqueness
-            const combined = `${identifier}|${product.title || ''}`;
-            
-            // Use a simple hash function for better uniqueness
-            let hash = 0;
-            for (let i = 0; i < combined.length; i++) {
-                const char = combined.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash; // Convert to 32-bit integer
-            }
-            
-            // Convert to positive number and then to base36 for shorter ID
-            const cleanId = Math.abs(hash).toString(36).substring(0, 16);
-            
-            console.log('🔑 [Storage] Generated ID for:', identifier, '→', cleanId);
-            return cleanId;
+        generateProductId() {
+            return ExtensionUtils.generateUuid();
         },
         
         /**